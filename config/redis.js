@@ -117,6 +117,21 @@ const safeSet = async (key, value, ttl = null) => {
   }
 };
 
+/**
+ * Safely set value only if the key does not exist yet (atomic lock)
+ * Returns true if set, false if the key already exists, null if Redis is not available
+ */
+const safeSetNX = async (key, value, ttl) => {
+  if (!isRedisConnected()) return null;
+  try {
+    const result = await redis.set(key, value, 'EX', ttl, 'NX');
+    return result === 'OK';
+  } catch (error) {
+    logger.error('Redis SET NX error', { key, error: error.message });
+    return null;
+  }
+};
+
 /**
  * Safely delete value from Redis
  */
@@ -190,6 +205,7 @@ module.exports = {
   isRedisConnected,
   safeGet,
   safeSet,
+  safeSetNX,
   safeDel,
   deleteByPattern,
   closeRedis,
@@ -215,11 +215,20 @@ const initSocket = (server) => {
           return;
         }
 
-        const isAuthorized =
+        let isAuthorized =
           socket.user.role === 'admin' ||
           commande.clientId === socket.user.id ||
           commande.prestataireId === socket.user.id;
 
+        // Participants d'une commande groupée : même suivi que l'hôte
+        if (!isAuthorized) {
+          const { CommandeGroupePart } = require('../models');
+          isAuthorized = Boolean(await CommandeGroupePart.findOne({
+            where: { commandeId: commande.id, participantId: socket.user.id },
+            attributes: ['id']
+          }));
+        }
+
         if (!isAuthorized) {
           socket.emit('error', { message: 'Access denied to this order' });
           return;
@@ -1,8 +1,12 @@
-const { User, Commande, Livraison, CommandeItem, Plat, sequelize } = require('../models');
+const { User, Commande, Livraison, CommandeItem, Plat, MouvementEspeces, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { paginate, paginationResponse } = require('../utils/helpers');
-const { DELIVERY_STATUS, LIVREUR_STATUS, ORDER_STATUS, ROLES, LIVREUR_COMMISSION_RATE } = require('../utils/constants');
+const { DELIVERY_STATUS, LIVREUR_STATUS, ORDER_STATUS, ROLES, LIVREUR_COMMISSION_RATE, PAYMENT_MODES } = require('../utils/constants');
 const { emitToUser } = require('../config/socket');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { getSettings } = require('../services/settingsService');
+const { recordRemittance, getDiscrepancyReport, getTotalCashHeld } = require('../services/cashCollectionService');
+const { logAdminAction, AUDIT_ACTIONS } = require('../utils/auditLogger');
 const { Op } = require('sequelize');
 const bcrypt = require('bcrypt');
 
@@ -265,12 +269,21 @@ const assignerCommande = asyncHandler(async (req, res) => {
             villeRecuperation: commande.prestataire.ville,
             adresseLivraison: commande.adresseLivraison,
             villeLivraison: commande.villeLivraison,
-            fraisLivraison: commande.fraisLivraison
+            fraisLivraison: commande.fraisLivraison,
+            pourboire: commande.pourboire || 0
         });
     }
 
     // MAJ statut commande
-    await commande.update({ statut: ORDER_STATUS.DELIVERING });
+    const result = await transitionCommande(commande, ORDER_STATUS.DELIVERING, {
+        acteurId: req.user.id,
+        acteurType: 'admin',
+        metadata: { livraisonId: livraison.id, livreurId }
+    });
+    if (!result.success) {
+        res.status(400);
+        throw new Error(result.error);
+    }
 
     // MAJ statut livreur
     await livreur.update({ livreurStatus: LIVREUR_STATUS.BUSY });
@@ -426,7 +439,7 @@ const getLivreursDisponibles = asyncHandler(async (req, res) => {
             isActive: true,
             livreurStatus: LIVREUR_STATUS.AVAILABLE
         },
-        attributes: ['id', 'nom', 'prenom', 'telephone', 'positionActuelle', 'dernierePingPosition', 'noteLivreur', 'nombreLivraisons', 'livreurZones']
+        attributes: ['id', 'nom', 'prenom', 'telephone', 'positionActuelle', 'dernierePingPosition', 'noteLivreur', 'nombreLivraisons', 'livreurZones', 'soldeEspeces']
     });
 
     res.json({
@@ -454,13 +467,22 @@ const autoAssignerCommande = asyncHandler(async (req, res) => {
         throw new Error('Commande non trouvée');
     }
 
+    const where = {
+        role: ROLES.LIVREUR,
+        isActive: true,
+        livreurStatus: LIVREUR_STATUS.AVAILABLE
+    };
+
+    // Paiement à la livraison : pas de livreur qui dépasserait le plafond d'espèces
+    const { codCashCap } = await getSettings('delivery');
+    const plafondEspeces = commande.modePaiement === PAYMENT_MODES.CASH && codCashCap > 0;
+    if (plafondEspeces) {
+        where.soldeEspeces = { [Op.lte]: codCashCap - commande.getMontantAPayer() };
+    }
+
     // Trouver le livreur disponible avec la meilleure note
     const livreur = await User.findOne({
-        where: {
-            role: ROLES.LIVREUR,
-            isActive: true,
-            livreurStatus: LIVREUR_STATUS.AVAILABLE
-        },
+        where,
         order: [
             ['noteLivreur', 'DESC'],
             ['nombreLivraisons', 'DESC']
@@ -469,7 +491,9 @@ const autoAssignerCommande = asyncHandler(async (req, res) => {
 
     if (!livreur) {
         res.status(400);
-        throw new Error('Aucun livreur disponible');
+        throw new Error(plafondEspeces
+            ? 'Aucun livreur disponible sous le plafond d\'espèces pour cette commande'
+            : 'Aucun livreur disponible');
     }
 
     // Utiliser la fonction d'assignation existante
@@ -477,6 +501,146 @@ const autoAssignerCommande = asyncHandler(async (req, res) => {
     return assignerCommande(req, res);
 });
 
+// ═══════════════════════════════════════════════════════════════
+// ESPÈCES DES LIVREURS (PAIEMENT À LA LIVRAISON)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @desc    Espèces détenues par les livreurs
+ * @route   GET /api/admin/especes
+ * @access  Private/Admin
+ */
+const getEspecesLivreurs = asyncHandler(async (req, res) => {
+    const [livreurs, total, { codCashCap }] = await Promise.all([
+        User.findAll({
+            where: { role: ROLES.LIVREUR, soldeEspeces: { [Op.ne]: 0 } },
+            attributes: ['id', 'nom', 'prenom', 'telephone', 'livreurStatus', 'soldeEspeces'],
+            order: [['soldeEspeces', 'DESC']]
+        }),
+        getTotalCashHeld(),
+        getSettings('delivery')
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            total,
+            plafond: codCashCap,
+            livreurs: livreurs.map(l => ({
+                ...l.toJSON(),
+                auDessusDuPlafond: codCashCap > 0 && parseFloat(l.soldeEspeces) > codCashCap
+            }))
+        }
+    });
+});
+
+/**
+ * @desc    Caisse d'un livreur : solde et mouvements
+ * @route   GET /api/admin/livreurs/:id/especes
+ * @access  Private/Admin
+ */
+const getEspecesLivreur = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+    const livreur = await User.findOne({
+        where: { id: req.params.id, role: ROLES.LIVREUR },
+        attributes: ['id', 'nom', 'prenom', 'soldeEspeces']
+    });
+
+    if (!livreur) {
+        res.status(404);
+        throw new Error('Livreur non trouvé');
+    }
+
+    const { count, rows: mouvements } = await MouvementEspeces.findAndCountAll({
+        where: { livreurId: livreur.id },
+        include: [{ model: Commande, as: 'commande', attributes: ['id', 'numero'] }],
+        order: [['id', 'DESC']],
+        limit: limitNum,
+        offset
+    });
+
+    res.json({
+        success: true,
+        livreur,
+        ...paginationResponse(mouvements, count, pageNum, limitNum)
+    });
+});
+
+/**
+ * @desc    Enregistrer une remise d'espèces d'un livreur
+ * @route   POST /api/admin/livreurs/:id/remises
+ * @access  Private/Admin
+ */
+const enregistrerRemise = asyncHandler(async (req, res) => {
+    const { montantRemis, commentaire } = req.body;
+
+    const result = await recordRemittance({
+        livreurId: req.params.id,
+        adminId: req.user.id,
+        montantRemis: parseFloat(montantRemis),
+        commentaire
+    });
+
+    if (!result.success) {
+        res.status(404);
+        throw new Error(result.error);
+    }
+
+    const { remise } = result;
+    const ecart = parseFloat(remise.ecart);
+
+    logAdminAction({
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        action: AUDIT_ACTIONS.CASH_REMITTANCE,
+        targetType: 'livreur',
+        targetId: remise.livreurId,
+        details: {
+            remiseId: remise.id,
+            montantAttendu: parseFloat(remise.montantAttendu),
+            montantRemis: parseFloat(remise.montantRemis),
+            ecart
+        },
+        ip: req.ip
+    });
+
+    emitToUser(remise.livreurId, 'especes:remise', {
+        remiseId: remise.id,
+        montantRemis: parseFloat(remise.montantRemis),
+        soldeEspeces: parseFloat(remise.soldeApres)
+    });
+
+    res.status(201).json({
+        success: true,
+        message: ecart === 0
+            ? 'Remise enregistrée'
+            : `Remise enregistrée avec un écart de ${ecart.toLocaleString('fr-FR')} DA`,
+        data: remise
+    });
+});
+
+/**
+ * @desc    Rapport des écarts de remise d'espèces
+ * @route   GET /api/admin/especes/ecarts
+ * @access  Private/Admin
+ */
+const getEcartsEspeces = asyncHandler(async (req, res) => {
+    const { du, au, livreurId } = req.query;
+
+    const rapport = await getDiscrepancyReport({
+        du: du ? new Date(du) : undefined,
+        au: au ? new Date(au) : undefined,
+        livreurId: livreurId ? parseInt(livreurId) : undefined
+    });
+
+    res.json({
+        success: true,
+        data: rapport
+    });
+});
+
 module.exports = {
     getLivreurs,
     getLivreurById,
@@ -488,5 +652,9 @@ module.exports = {
     reassignerCommande,
     getStatsLivraisons,
     getLivreursDisponibles,
-    autoAssignerCommande
+    autoAssignerCommande,
+    getEspecesLivreurs,
+    getEspecesLivreur,
+    enregistrerRemise,
+    getEcartsEspeces
 };
@@ -0,0 +1,261 @@
+const { Commande, CommandeItem, CommandeAmendement, Notification, sequelize } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { ORDER_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+const { emitToUser, emitToPrestataire } = require('../config/socket');
+const { sendPushToUser } = require('../services/pushService');
+const { buildAmendement, applyAmendement, refundDifference } = require('../services/amendementService');
+const { recordHistory } = require('../services/orderStateMachine');
+const logger = require('../config/logger');
+
+// Une commande ne peut plus être modifiée une fois en préparation
+const STATUTS_MODIFIABLES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED];
+
+/**
+ * @desc    Proposer une modification de commande (Prestataire)
+ * @route   POST /api/commandes/:id/amendements
+ * @access  Private/Prestataire
+ */
+const proposerAmendement = asyncHandler(async (req, res) => {
+  const { changements, message } = req.body;
+
+  const commande = await Commande.findOne({
+    where: { id: req.params.id, prestataireId: req.user.id },
+    include: [{ model: CommandeItem, as: 'items' }]
+  });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  if (!STATUTS_MODIFIABLES.includes(commande.statut)) {
+    res.status(400);
+    throw new Error('Seules les commandes en attente ou confirmées peuvent être modifiées');
+  }
+
+  const enAttente = await CommandeAmendement.findOne({
+    where: { commandeId: commande.id, statut: 'en_attente' }
+  });
+  if (enAttente) {
+    res.status(409);
+    throw new Error('Une modification attend déjà la réponse du client');
+  }
+
+  const proposition = await buildAmendement({ commande, items: commande.items, changements });
+  if (!proposition.valid) {
+    res.status(400);
+    throw new Error(proposition.error);
+  }
+
+  const amendement = await CommandeAmendement.create({
+    commandeId: commande.id,
+    prestataireId: req.user.id,
+    changements,
+    lignes: proposition.lignes,
+    message: message || null,
+    ancienTotal: commande.total,
+    nouveauSousTotal: proposition.nouveauSousTotal,
+    nouvelleReduction: proposition.nouvelleReduction,
+    nouveauTotal: proposition.nouveauTotal,
+    difference: proposition.difference
+  });
+
+  try {
+    emitToUser(commande.clientId, 'commande:amendement', {
+      commandeId: commande.id,
+      numero: commande.numero,
+      amendement
+    });
+
+    await Notification.create({
+      userId: commande.clientId,
+      type: NOTIFICATION_TYPES.ORDER_STATUS,
+      titre: { fr: 'Modification de votre commande' },
+      message: { fr: `Le restaurant propose de modifier la commande #${commande.numero}. Nouveau total: ${proposition.nouveauTotal} DA.` },
+      lien: `/client/orders/${commande.id}`,
+      data: { commandeId: commande.id, amendementId: amendement.id }
+    });
+
+    await sendPushToUser(commande.clientId, {
+      title: '✏️ Commande modifiée',
+      body: `Le restaurant propose une modification de la commande #${commande.numero}`,
+      icon: '/icons/icon-192x192.png',
+      data: { url: `/client/orders/${commande.id}` }
+    });
+  } catch (error) {
+    logger.error(`[Amendement] Erreur notification commande #${commande.numero}:`, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Modification proposée au client',
+    data: amendement
+  });
+});
+
+/**
+ * @desc    Modifications proposées sur une commande
+ * @route   GET /api/commandes/:id/amendements
+ * @access  Private
+ */
+const getAmendements = asyncHandler(async (req, res) => {
+  const commande = await Commande.findByPk(req.params.id);
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  // Vérifier l'accès
+  if (req.user.role !== 'admin' &&
+    commande.clientId !== req.user.id &&
+    commande.prestataireId !== req.user.id) {
+    res.status(403);
+    throw new Error('Accès non autorisé');
+  }
+
+  const amendements = await CommandeAmendement.findAll({
+    where: { commandeId: commande.id },
+    order: [['createdAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: amendements
+  });
+});
+
+/**
+ * @desc    Accepter ou refuser une modification (Client)
+ * @route   POST /api/commandes/:id/amendements/:amendementId/repondre
+ * @access  Private/Client
+ */
+const repondreAmendement = asyncHandler(async (req, res) => {
+  const { accepter } = req.body;
+
+  const commande = await Commande.findOne({
+    where: { id: req.params.id, clientId: req.user.id }
+  });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  const amendement = await CommandeAmendement.findOne({
+    where: { id: req.params.amendementId, commandeId: commande.id }
+  });
+
+  if (!amendement) {
+    res.status(404);
+    throw new Error('Modification non trouvée');
+  }
+
+  if (amendement.statut !== 'en_attente') {
+    res.status(400);
+    throw new Error('Cette modification a déjà reçu une réponse');
+  }
+
+  if (!accepter) {
+    await amendement.update({ statut: 'refusee', dateReponse: new Date() });
+
+    emitToPrestataire(commande.prestataireId, 'commande:amendement-reponse', {
+      commandeId: commande.id,
+      numero: commande.numero,
+      amendementId: amendement.id,
+      statut: 'refusee'
+    });
+
+    return res.json({
+      success: true,
+      message: 'Modification refusée',
+      data: amendement
+    });
+  }
+
+  // La commande ne doit pas avoir avancé depuis la proposition
+  if (!STATUTS_MODIFIABLES.includes(commande.statut)) {
+    await amendement.update({ statut: 'annulee', dateReponse: new Date() });
+    res.status(400);
+    throw new Error('La commande est déjà en préparation, la modification ne peut plus être appliquée');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Réserver la réponse : deux acceptations simultanées ne peuvent pas s'appliquer
+    const [claimed] = await CommandeAmendement.update(
+      { statut: 'acceptee', dateReponse: new Date() },
+      { where: { id: amendement.id, statut: 'en_attente' }, transaction }
+    );
+    if (claimed === 0) {
+      res.status(409);
+      throw new Error('Cette modification a déjà reçu une réponse');
+    }
+
+    const result = await applyAmendement({ amendement, commande, transaction });
+    if (!result.success) {
+      res.status(400);
+      throw new Error(result.error);
+    }
+
+    await recordHistory(commande, {
+      ancienStatut: commande.statut,
+      nouveauStatut: commande.statut,
+      acteurId: req.user.id,
+      acteurType: 'client',
+      motif: 'Modification de la commande acceptée',
+      metadata: {
+        amendementId: amendement.id,
+        ancienTotal: parseFloat(amendement.ancienTotal),
+        nouveauTotal: parseFloat(amendement.nouveauTotal)
+      },
+      transaction
+    });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await amendement.reload();
+
+  // Rembourser la différence après validation
+  const remboursement = await refundDifference({ amendement, commande });
+  if (remboursement) {
+    emitToUser(commande.clientId, 'paiement:refund', {
+      commandeId: commande.id,
+      amount: remboursement.amount,
+      success: remboursement.success
+    });
+  }
+
+  emitToPrestataire(commande.prestataireId, 'commande:amendement-reponse', {
+    commandeId: commande.id,
+    numero: commande.numero,
+    amendementId: amendement.id,
+    statut: 'acceptee',
+    nouveauTotal: amendement.nouveauTotal
+  });
+
+  const commandeMaj = await Commande.findByPk(commande.id, {
+    include: [{ model: CommandeItem, as: 'items' }]
+  });
+
+  res.json({
+    success: true,
+    message: 'Modification acceptée',
+    data: {
+      commande: commandeMaj,
+      amendement,
+      remboursement
+    }
+  });
+});
+
+module.exports = {
+  proposerAmendement,
+  getAmendements,
+  repondreAmendement
+};
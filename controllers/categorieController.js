@@ -69,7 +69,7 @@ const getCategorie = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const createCategorie = asyncHandler(async (req, res) => {
-  const { nom, description, image, icone, ordre, type } = req.body;
+  const { nom, description, image, icone, ordre, type, tauxTVA } = req.body;
 
   // Générer le slug
   const slug = slugify(nom.fr || nom);
@@ -88,7 +88,8 @@ const createCategorie = asyncHandler(async (req, res) => {
     icone: icone || 'utensils',
     slug,
     ordre: ordre || 0,
-    type: type || 'plat'
+    type: type || 'plat',
+    tauxTVA: tauxTVA ?? null
   });
 
   res.status(201).json({
@@ -111,7 +112,7 @@ const updateCategorie = asyncHandler(async (req, res) => {
     throw new Error('Catégorie non trouvée');
   }
 
-  const { nom, description, image, icone, ordre, isActive, type } = req.body;
+  const { nom, description, image, icone, ordre, isActive, type, tauxTVA } = req.body;
 
   // Si le nom change, mettre à jour le slug
   let slug = categorie.slug;
@@ -134,7 +135,8 @@ const updateCategorie = asyncHandler(async (req, res) => {
     slug,
     ordre: ordre !== undefined ? ordre : categorie.ordre,
     isActive: isActive !== undefined ? isActive : categorie.isActive,
-    type: type || categorie.type
+    type: type || categorie.type,
+    tauxTVA: tauxTVA !== undefined ? tauxTVA : categorie.tauxTVA
   });
 
   res.json({
@@ -0,0 +1,325 @@
+const { Checkout, Commande, CommandeItem, Livraison, Plat, User, PanierItem, sequelize } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { paginate, paginationResponse, generateOrderNumber } = require('../utils/helpers');
+const { ORDER_STATUS } = require('../utils/constants');
+const { sendOrderConfirmationEmail } = require('../services/emailService');
+const { emitToPrestataire } = require('../config/socket');
+const { priceMultiOrder, persistCommande, recordPromotionUsage } = require('../services/checkoutService');
+const { checkCartConflicts, getConflictMessage, buildAcknowledgement } = require('../services/dietaryProfileService');
+const { checkPaymentMode } = require('../services/orderRulesService');
+
+/**
+ * Statut global d'un checkout déduit de ses sous-commandes
+ */
+const getStatutGlobal = (commandes) => {
+  const actives = commandes.filter(c => c.statut !== ORDER_STATUS.CANCELLED);
+  if (actives.length === 0) return ORDER_STATUS.CANCELLED;
+  if (actives.every(c => c.statut === ORDER_STATUS.DELIVERED)) return ORDER_STATUS.DELIVERED;
+  if (actives.some(c => c.statut === ORDER_STATUS.DELIVERING || c.statut === ORDER_STATUS.DELIVERED)) {
+    return ORDER_STATUS.DELIVERING;
+  }
+  if (actives.every(c => c.statut === ORDER_STATUS.PENDING)) return ORDER_STATUS.PENDING;
+  return ORDER_STATUS.PREPARING;
+};
+
+/**
+ * Format de réponse d'un devis multi-prestataires
+ */
+const formatDevis = (devis) => ({
+  valid: devis.valid,
+  erreurs: devis.erreurs,
+  avertissements: devis.avertissements,
+  sousCommandes: devis.groupes.map(g => ({
+    prestataireId: g.prestataireId,
+    lignes: g.lignes,
+    sousTotal: g.sousTotal,
+    reduction: g.reduction,
+    fraisLivraison: g.fraisLivraison,
+    pourboire: g.pourboire,
+    livraison: g.livraison,
+    programmation: g.programmation,
+    preparation: g.preparation,
+    total: g.total
+  })),
+  sousTotal: devis.sousTotal,
+  reduction: devis.reduction,
+  fraisLivraison: devis.fraisLivraison,
+  pourboire: devis.pourboire,
+  codePromo: devis.promotion ? devis.promotion.code : null,
+  total: devis.total
+});
+
+/**
+ * @desc    Devis d'un panier multi-prestataires (Client)
+ * @route   POST /api/checkouts/devis
+ * @access  Private/Client
+ */
+const getDevisCheckout = asyncHandler(async (req, res) => {
+  const {
+    items, codePromo, pourboire, pourboirePourcentage,
+    adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee
+  } = req.body;
+
+  const devis = await priceMultiOrder({
+    userId: req.user.id,
+    items,
+    codePromo,
+    livraison: { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee },
+    pourboire: { montant: pourboire, pourcentage: pourboirePourcentage }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...formatDevis(devis),
+      conflitsAlimentaires: checkCartConflicts(devis.groupes.flatMap(g => g.plats), req.user.profilAlimentaire)
+    }
+  });
+});
+
+/**
+ * @desc    Passer un checkout multi-prestataires (une commande par prestataire)
+ * @route   POST /api/checkouts
+ * @access  Private/Client
+ */
+const createCheckout = asyncHandler(async (req, res) => {
+  const {
+    items, // [{ platId, quantite, options?, instructions? }]
+    adresseLivraison,
+    villeLivraison,
+    positionLivraison,
+    telephoneLivraison,
+    instructions,
+    dateLivraisonSouhaitee,
+    modePaiement,
+    codePromo,
+    pourboire,
+    pourboirePourcentage,
+    confirmationAllergies
+  } = req.body;
+
+  if (!items || items.length === 0) {
+    res.status(400);
+    throw new Error('Le panier est vide');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const devis = await priceMultiOrder({
+      userId: req.user.id,
+      items,
+      codePromo,
+      livraison: { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee },
+      pourboire: { montant: pourboire, pourcentage: pourboirePourcentage },
+      transaction
+    });
+
+    if (!devis.valid) {
+      res.status(400);
+      throw new Error(devis.erreurs[0]);
+    }
+
+    // Un seul paiement pour le checkout : autorisé par chacun des prestataires
+    const paiementCheck = await checkPaymentMode({
+      client: req.user,
+      prestataireIds: devis.groupes.map(g => g.prestataireId),
+      total: devis.total,
+      modePaiement
+    });
+    if (!paiementCheck.valid) {
+      res.status(400);
+      throw new Error(paiementCheck.error);
+    }
+
+    // Plats en conflit avec le profil alimentaire : confirmation explicite du client
+    const conflits = checkCartConflicts(devis.groupes.flatMap(g => g.plats), req.user.profilAlimentaire);
+    if (conflits.length > 0 && !confirmationAllergies) {
+      res.status(400);
+      throw new Error(getConflictMessage(conflits));
+    }
+
+    const checkout = await Checkout.create({
+      numero: generateOrderNumber().replace('EAT-', 'CHK-'),
+      clientId: req.user.id,
+      promotionId: devis.promotion ? devis.promotion.id : null,
+      sousTotal: devis.sousTotal,
+      reduction: devis.reduction,
+      fraisLivraison: devis.fraisLivraison,
+      total: devis.total,
+      modePaiement,
+      codePromoUtilise: devis.promotion ? devis.promotion.code : null
+    }, { transaction });
+
+    const details = {
+      adresseLivraison, villeLivraison, positionLivraison, telephoneLivraison,
+      instructions, dateLivraisonSouhaitee, modePaiement
+    };
+    const commandes = [];
+    for (const groupe of devis.groupes) {
+      const commande = await persistCommande({
+        client: req.user,
+        prestataireId: groupe.prestataireId,
+        devis: groupe,
+        details: {
+          ...details,
+          avertissementsAlimentaires: buildAcknowledgement(checkCartConflicts(groupe.plats, req.user.profilAlimentaire))
+        },
+        checkoutId: checkout.id,
+        transaction
+      });
+      commandes.push(commande);
+    }
+
+    // Checkout passé depuis le panier persistant : le vider avec la création
+    if (req.panier) {
+      await PanierItem.destroy({ where: { panierId: req.panier.id }, transaction });
+    }
+
+    // Une seule utilisation du code promo pour tout le checkout
+    if (devis.promotion) {
+      const premiereEligible = commandes.find(c => c.promotionId) || commandes[0];
+      await recordPromotionUsage({
+        promotionId: devis.promotion.id,
+        userId: req.user.id,
+        commandeId: premiereEligible.id,
+        montantReduction: devis.reduction,
+        transaction
+      });
+    }
+
+    await transaction.commit();
+
+    const checkoutComplet = await Checkout.findByPk(checkout.id, {
+      include: [{
+        model: Commande,
+        as: 'commandes',
+        include: [
+          { model: CommandeItem, as: 'items', include: [{ model: Plat, as: 'plat' }] },
+          { model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] }
+        ]
+      }]
+    });
+
+    // Notifier chaque prestataire de sa sous-commande
+    try {
+      for (const commande of checkoutComplet.commandes) {
+        await sendOrderConfirmationEmail(req.user, commande, commande.items);
+
+        emitToPrestataire(commande.prestataireId, 'commande:nouvelle', {
+          commandeId: commande.id,
+          numero: commande.numero,
+          client: `${req.user.prenom} ${req.user.nom}`,
+          total: commande.total,
+          items: commande.items.length
+        });
+      }
+    } catch (emailError) {
+      console.error('Erreur envoi notification:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${commandes.length} commande(s) créée(s) avec succès`,
+      avertissements: devis.avertissements,
+      data: checkoutComplet
+    });
+
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+});
+
+/**
+ * @desc    Mes checkouts multi-prestataires (Client)
+ * @route   GET /api/checkouts
+ * @access  Private/Client
+ */
+const getMesCheckouts = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+  const { count, rows: checkouts } = await Checkout.findAndCountAll({
+    where: { clientId: req.user.id },
+    include: [{
+      model: Commande,
+      as: 'commandes',
+      attributes: ['id', 'numero', 'statut', 'total', 'prestataireId']
+    }],
+    order: [['createdAt', 'DESC']],
+    limit: limitNum,
+    offset,
+    distinct: true
+  });
+
+  const data = checkouts.map(checkout => ({
+    ...checkout.toJSON(),
+    statutGlobal: getStatutGlobal(checkout.commandes)
+  }));
+
+  res.json({
+    success: true,
+    ...paginationResponse(data, count, pageNum, limitNum)
+  });
+});
+
+/**
+ * @desc    Suivi combiné d'un checkout et de ses sous-commandes
+ * @route   GET /api/checkouts/:id
+ * @access  Private/Client
+ */
+const getCheckoutById = asyncHandler(async (req, res) => {
+  const checkout = await Checkout.findOne({
+    where: { id: req.params.id, clientId: req.user.id },
+    include: [{
+      model: Commande,
+      as: 'commandes',
+      include: [
+        { model: CommandeItem, as: 'items' },
+        { model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement', 'avatar', 'telephone'] },
+        {
+          model: Livraison,
+          as: 'livraison',
+          attributes: ['id', 'statut', 'livreurId', 'dateAssignation', 'dateRecuperation', 'dateLivraison']
+        }
+      ]
+    }],
+    order: [[{ model: Commande, as: 'commandes' }, 'id', 'ASC']]
+  });
+
+  if (!checkout) {
+    res.status(404);
+    throw new Error('Checkout non trouvé');
+  }
+
+  const commandes = checkout.commandes;
+
+  res.json({
+    success: true,
+    data: {
+      ...checkout.toJSON(),
+      statutGlobal: getStatutGlobal(commandes),
+      progression: {
+        livrees: commandes.filter(c => c.statut === ORDER_STATUS.DELIVERED).length,
+        annulees: commandes.filter(c => c.statut === ORDER_STATUS.CANCELLED).length,
+        total: commandes.length
+      },
+      suivi: commandes.map(c => ({
+        commandeId: c.id,
+        numero: c.numero,
+        prestataire: c.prestataire,
+        statut: c.statut,
+        statutLabel: c.getStatusLabel(),
+        statutLivraison: c.livraison ? c.livraison.statut : null
+      }))
+    }
+  });
+});
+
+module.exports = {
+  getDevisCheckout,
+  createCheckout,
+  getMesCheckouts,
+  getCheckoutById
+};
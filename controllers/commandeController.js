@@ -1,9 +1,23 @@
-const { Commande, CommandeItem, CommandeHistorique, Plat, User, Promotion, PromotionUsage, sequelize } = require('../models');
+const { Commande, CommandeItem, CommandeHistorique, Plat, User, Promotion, PanierItem, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { paginate, paginationResponse, generateOrderNumber } = require('../utils/helpers');
-const { ORDER_STATUS, PAYMENT_STATUS, ORDER_REJECTION_REASONS } = require('../utils/constants');
-const { sendOrderConfirmationEmail, sendOrderStatusEmail } = require('../services/emailService');
-const { emitToUser, emitToPrestataire, emitToCommande } = require('../config/socket');
+const { paginate, paginationResponse } = require('../utils/helpers');
+const {
+  ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES, PREPAID_PAYMENT_MODES, ORDER_REJECTION_REASONS, REFUND_DESTINATIONS
+} = require('../utils/constants');
+const { sendOrderConfirmationEmail } = require('../services/emailService');
+const { emitToUser, emitToPrestataire } = require('../config/socket');
+const { resolveItemOptions } = require('../services/platOptionsService');
+const { priceOrder, persistCommande, recordPromotionUsage } = require('../services/checkoutService');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { issueRefundCreditNote } = require('../services/invoiceService');
+const { recordRefund } = require('../services/ledgerService');
+const { getUsableBalance, payWithWallet, refundToWallet } = require('../services/walletService');
+const { allocateGiftCards, redeemGiftCards } = require('../services/giftCardService');
+const {
+  getRefundSummary, withOriginalRefund, restorePrepaidShares, claimRefund, releaseRefund, completeRefund
+} = require('../services/refundService');
+const { checkCartConflicts, getConflictMessage, buildAcknowledgement } = require('../services/dietaryProfileService');
+const { checkPaymentMode } = require('../services/orderRulesService');
 const { Op } = require('sequelize');
 
 /**
@@ -17,11 +31,18 @@ const createCommande = asyncHandler(async (req, res) => {
     items, // [{ platId, quantite, options?, instructions? }]
     adresseLivraison,
     villeLivraison,
+    positionLivraison,
     telephoneLivraison,
     instructions,
     dateLivraisonSouhaitee,
     modePaiement,
-    codePromo
+    codePromo,
+    pourboire,
+    pourboirePourcentage,
+    confirmationAllergies,
+    utiliserPortefeuille,
+    montantPortefeuille,
+    codesCartesCadeaux
   } = req.body;
 
   // Validation de base
@@ -34,181 +55,102 @@ const createCommande = asyncHandler(async (req, res) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Vérifier que tous les plats appartiennent au même prestataire et sont disponibles
-    const platIds = items.map(item => item.platId);
-    const plats = await Plat.findAll({
-      where: { id: platIds, isDeleted: false },
+    // Vérifier les plats, les options et le code promo, puis calculer les totaux
+    const devis = await priceOrder({
+      userId: req.user.id,
+      prestataireId,
+      items,
+      codePromo,
+      livraison: { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee },
+      pourboire: { montant: pourboire, pourcentage: pourboirePourcentage },
       transaction
     });
 
-    if (plats.length !== platIds.length) {
-      throw new Error('Certains plats ne sont pas disponibles');
+    if (!devis.valid) {
+      res.status(400);
+      throw new Error(devis.erreurs[0]);
     }
 
-    // Vérifier que tous les plats sont du même prestataire
-    const prestataireIds = [...new Set(plats.map(p => p.prestataireId))];
-    if (prestataireIds.length > 1) {
-      throw new Error('Tous les plats doivent provenir du même prestataire');
+    // Cartes cadeaux puis portefeuille ; le reste est réglé par le moyen de paiement choisi
+    const cartesCadeaux = codesCartesCadeaux?.length > 0
+      ? await allocateGiftCards({ codes: codesCartesCadeaux, clientId: req.user.id, total: devis.total, transaction })
+      : { success: true, utilisations: [], total: 0 };
+    if (!cartesCadeaux.success) {
+      res.status(400);
+      throw new Error(cartesCadeaux.error);
     }
 
-    if (prestataireIds[0] !== prestataireId) {
-      throw new Error('Prestataire invalide');
+    const apresCartes = Math.round((devis.total - cartesCadeaux.total) * 100) / 100;
+    const partPortefeuille = (utiliserPortefeuille || modePaiement === PAYMENT_MODES.WALLET) && apresCartes > 0
+      ? await getUsableBalance({ clientId: req.user.id, total: apresCartes, montantMax: montantPortefeuille, transaction })
+      : 0;
+    const resteAPayer = Math.round((apresCartes - partPortefeuille) * 100) / 100;
+
+    let modeReglement = modePaiement;
+    if (resteAPayer === 0) {
+      modeReglement = partPortefeuille > 0 ? PAYMENT_MODES.WALLET : PAYMENT_MODES.GIFT_CARD;
+    } else if (PREPAID_PAYMENT_MODES.includes(modePaiement)) {
+      res.status(400);
+      throw new Error('Solde insuffisant : choisissez un moyen de paiement pour le reste');
     }
 
-    // Vérifier la disponibilité et le stock
-    for (const plat of plats) {
-      const itemData = items.find(i => i.platId === plat.id);
-      if (!plat.isAvailable) {
-        throw new Error(`Le plat "${plat.getNom()}" n'est pas disponible`);
-      }
-      if (plat.stock !== -1 && plat.stock < itemData.quantite) {
-        throw new Error(`Stock insuffisant pour "${plat.getNom()}"`);
-      }
+    // Montant maximum de la commande entière ; moyen de paiement autorisé pour le reste à payer
+    // (réglages admin et boutique)
+    const paiementCheck = await checkPaymentMode({
+      client: req.user,
+      prestataireIds: [prestataireId],
+      total: devis.total,
+      montantMode: resteAPayer,
+      modePaiement
+    });
+    if (!paiementCheck.valid) {
+      res.status(400);
+      throw new Error(paiementCheck.error);
     }
 
-    // Calculer le sous-total
-    let sousTotal = 0;
-    const commandeItems = [];
-
-    for (const itemData of items) {
-      const plat = plats.find(p => p.id === itemData.platId);
-      const prixBase = plat.getPrixActuel();
-
-      // Calculer les suppléments des options
-      let supplementsTotal = 0;
-      if (itemData.options && Array.isArray(itemData.options)) {
-        for (const opt of itemData.options) {
-          supplementsTotal += opt.supplement || 0;
-        }
-      }
-
-      const prixUnitaire = prixBase + supplementsTotal;
-      const itemSousTotal = prixUnitaire * itemData.quantite;
-      sousTotal += itemSousTotal;
-
-      commandeItems.push({
-        platId: plat.id,
-        quantite: itemData.quantite,
-        prixUnitaire: prixBase,
-        sousTotal: itemSousTotal,
-        options: itemData.options || [],
-        supplementsTotal,
-        instructions: itemData.instructions,
-        platSnapshot: {
-          nom: plat.nom,
-          description: plat.description,
-          image: plat.image
-        }
-      });
+    // Plats en conflit avec le profil alimentaire : confirmation explicite du client
+    const conflits = checkCartConflicts(devis.plats, req.user.profilAlimentaire);
+    if (conflits.length > 0 && !confirmationAllergies) {
+      res.status(400);
+      throw new Error(getConflictMessage(conflits));
     }
 
-    // Appliquer le code promo si fourni
-    let reduction = 0;
-    let promotionId = null;
-    let fraisLivraisonGratuits = false;
-
-    if (codePromo) {
-      const promotion = await Promotion.findOne({
-        where: {
-          code: codePromo.toUpperCase(),
-          isActive: true,
-          dateDebut: { [Op.lte]: new Date() },
-          dateFin: { [Op.gte]: new Date() },
-          [Op.or]: [
-            { prestataireId: null, isGlobal: true },
-            { prestataireId }
-          ]
-        },
-        transaction
-      });
+    const commande = await persistCommande({
+      client: req.user,
+      prestataireId,
+      devis,
+      details: {
+        adresseLivraison, villeLivraison, positionLivraison, telephoneLivraison,
+        instructions, dateLivraisonSouhaitee,
+        modePaiement: modeReglement,
+        montantPortefeuille: partPortefeuille,
+        montantCartesCadeaux: cartesCadeaux.total,
+        avertissementsAlimentaires: buildAcknowledgement(conflits)
+      },
+      transaction
+    });
 
-      if (promotion) {
-        // Vérifier les limites d'utilisation
-        if (promotion.limiteUtilisationTotale !== -1 &&
-          promotion.utilisationsActuelles >= promotion.limiteUtilisationTotale) {
-          throw new Error('Ce code promo a atteint sa limite d\'utilisation');
-        }
-
-        // Vérifier l'utilisation par utilisateur
-        const userUsages = await PromotionUsage.count({
-          where: { promotionId: promotion.id, userId: req.user.id },
-          transaction
-        });
-
-        if (userUsages >= promotion.limiteParUtilisateur) {
-          throw new Error('Vous avez déjà utilisé ce code promo');
-        }
-
-        // Vérifier le montant minimum
-        if (sousTotal < promotion.montantMinimum) {
-          throw new Error(`Montant minimum requis: ${promotion.montantMinimum} DZD`);
-        }
-
-        // Calculer la réduction
-        if (promotion.type === 'livraison_gratuite') {
-          fraisLivraisonGratuits = true;
-        } else {
-          reduction = promotion.calculerReduction(sousTotal);
-        }
-        promotionId = promotion.id;
+    await redeemGiftCards({ commande, utilisations: cartesCadeaux.utilisations }, transaction);
+    if (partPortefeuille > 0) {
+      const debit = await payWithWallet({ commande, montant: partPortefeuille }, transaction);
+      if (!debit.success) {
+        res.status(400);
+        throw new Error(debit.error);
       }
     }
 
-    // Frais de livraison
-    const fraisLivraison = fraisLivraisonGratuits ? 0 : (parseFloat(process.env.DEFAULT_DELIVERY_FEE) || 200);
-
-    // Total
-    const total = sousTotal - reduction + fraisLivraison;
-
-    // Créer la commande
-    const commande = await Commande.create({
-      numero: generateOrderNumber(),
-      clientId: req.user.id,
-      prestataireId,
-      promotionId,
-      statut: ORDER_STATUS.PENDING,
-      sousTotal,
-      reduction,
-      fraisLivraison,
-      total,
-      adresseLivraison,
-      villeLivraison,
-      telephoneLivraison: telephoneLivraison || req.user.telephone,
-      instructions,
-      dateLivraisonSouhaitee,
-      modePaiement,
-      statutPaiement: modePaiement === 'especes' ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.PENDING,
-      codePromoUtilise: codePromo?.toUpperCase()
-    }, { transaction });
-
-    // Créer les items de la commande
-    for (const item of commandeItems) {
-      await CommandeItem.create({
-        commandeId: commande.id,
-        ...item
-      }, { transaction });
-    }
-
-    // Mettre à jour le stock des plats
-    for (const itemData of items) {
-      const plat = plats.find(p => p.id === itemData.platId);
-      if (plat.stock !== -1) {
-        await plat.decrement('stock', { by: itemData.quantite, transaction });
-      }
-      await plat.increment('nombreCommandes', { transaction });
+    // Commande passée depuis le panier persistant : le vider avec la création
+    if (req.panier) {
+      await PanierItem.destroy({ where: { panierId: req.panier.id }, transaction });
     }
 
     // Mettre à jour l'utilisation du code promo
-    if (promotionId) {
-      await PromotionUsage.create({
-        promotionId,
+    if (devis.promotion) {
+      await recordPromotionUsage({
+        promotionId: devis.promotion.id,
         userId: req.user.id,
         commandeId: commande.id,
-        montantReduction: reduction
-      }, { transaction });
-
-      await Promotion.increment('utilisationsActuelles', {
-        where: { id: promotionId },
+        montantReduction: devis.reduction,
         transaction
       });
     }
@@ -236,7 +178,7 @@ const createCommande = asyncHandler(async (req, res) => {
         numero: commande.numero,
         client: `${req.user.prenom} ${req.user.nom}`,
         total: commande.total,
-        items: commandeItems.length
+        items: devis.lignes.length
       });
     } catch (emailError) {
       console.error('Erreur envoi notification:', emailError);
@@ -245,6 +187,7 @@ const createCommande = asyncHandler(async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Commande créée avec succès',
+      avertissements: devis.avertissements,
       data: commandeComplete
     });
 
@@ -254,6 +197,49 @@ const createCommande = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Calculer un devis de commande sans la créer (Client)
+ * @route   POST /api/commandes/devis
+ * @access  Private/Client
+ */
+const getDevis = asyncHandler(async (req, res) => {
+  const {
+    prestataireId, items, codePromo, pourboire, pourboirePourcentage,
+    adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee
+  } = req.body;
+
+  const devis = await priceOrder({
+    userId: req.user.id,
+    prestataireId,
+    items,
+    codePromo,
+    livraison: { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee },
+    pourboire: { montant: pourboire, pourcentage: pourboirePourcentage }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      valid: devis.valid,
+      erreurs: devis.erreurs,
+      avertissements: devis.avertissements,
+      conflitsAlimentaires: checkCartConflicts(devis.plats, req.user.profilAlimentaire),
+      prestataireId,
+      lignes: devis.lignes,
+      sousTotal: devis.sousTotal,
+      reduction: devis.reduction,
+      fraisLivraison: devis.fraisLivraison,
+      fraisLivraisonGratuits: devis.fraisLivraisonGratuits,
+      pourboire: devis.pourboire,
+      livraison: devis.livraison,
+      programmation: devis.programmation,
+      preparation: devis.preparation,
+      codePromo: devis.promotion ? devis.promotion.code : null,
+      total: devis.total
+    }
+  });
+});
+
 /**
  * @desc    Obtenir mes commandes (Client)
  * @route   GET /api/commandes/mes-commandes
@@ -381,80 +367,15 @@ const updateStatutCommande = asyncHandler(async (req, res) => {
     throw new Error('Commande non trouvée');
   }
 
-  // Valider la transition de statut
-  const validTransitions = {
-    [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
-    [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
-    [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY],
-    [ORDER_STATUS.READY]: [ORDER_STATUS.DELIVERING],
-    [ORDER_STATUS.DELIVERING]: [ORDER_STATUS.DELIVERED],
-    [ORDER_STATUS.DELIVERED]: [],
-    [ORDER_STATUS.CANCELLED]: []
-  };
+  const result = await transitionCommande(commande, statut, {
+    acteurId: req.user.id,
+    acteurType: 'prestataire',
+    motif: motifAnnulation
+  });
 
-  if (!validTransitions[commande.statut]?.includes(statut)) {
+  if (!result.success) {
     res.status(400);
-    throw new Error(`Transition de statut invalide: ${commande.statut} → ${statut}`);
-  }
-
-  // Mettre à jour les dates selon le statut
-  const updateData = { statut };
-
-  switch (statut) {
-    case ORDER_STATUS.CONFIRMED:
-      updateData.dateConfirmation = new Date();
-      break;
-    case ORDER_STATUS.PREPARING:
-      updateData.datePreparation = new Date();
-      break;
-    case ORDER_STATUS.READY:
-      updateData.datePrete = new Date();
-      break;
-    case ORDER_STATUS.DELIVERED:
-      updateData.dateLivraison = new Date();
-      if (commande.modePaiement === 'especes') {
-        updateData.statutPaiement = PAYMENT_STATUS.SUCCESS;
-      }
-      break;
-    case ORDER_STATUS.CANCELLED:
-      updateData.dateAnnulation = new Date();
-      updateData.motifAnnulation = motifAnnulation;
-      // Remettre le stock
-      const items = await CommandeItem.findAll({ where: { commandeId: commande.id } });
-      for (const item of items) {
-        const plat = await Plat.findByPk(item.platId);
-        if (plat && plat.stock !== -1) {
-          await plat.increment('stock', { by: item.quantite });
-        }
-      }
-      break;
-  }
-
-  const ancienStatut = commande.statut;
-  await commande.update(updateData);
-
-  // Notifications
-  try {
-    // Email au client
-    await sendOrderStatusEmail(commande.client, commande, statut);
-
-    // Socket au client
-    emitToUser(commande.clientId, 'commande:statut-update', {
-      commandeId: commande.id,
-      numero: commande.numero,
-      ancienStatut,
-      nouveauStatut: statut,
-      date: new Date()
-    });
-
-    // Socket aux abonnés de cette commande
-    emitToCommande(commande.id, 'commande:statut-update', {
-      commandeId: commande.id,
-      statut,
-      date: new Date()
-    });
-  } catch (error) {
-    console.error('Erreur notification:', error);
+    throw new Error(result.error);
   }
 
   res.json({
@@ -480,17 +401,28 @@ const recommander = asyncHandler(async (req, res) => {
     throw new Error('Commande non trouvée');
   }
 
-  // Récupérer les plats encore disponibles
+  // Récupérer les plats encore disponibles et re-tarifer les options au prix actuel
   const items = [];
+  const avertissements = [];
   for (const item of commandeOriginale.items) {
     const plat = await Plat.findOne({
       where: { id: item.platId, isAvailable: true, isDeleted: false }
     });
     if (plat) {
+      const selections = (item.options || []).map(opt => ({ nom: opt.nom, choix: opt.choix }));
+      let optionsResult = resolveItemOptions(plat, selections);
+
+      if (!optionsResult.valid) {
+        avertissements.push(`${optionsResult.error} : options à choisir à nouveau`);
+        optionsResult = { options: [], supplementsTotal: 0 };
+      }
+
       items.push({
         platId: plat.id,
         quantite: item.quantite,
-        options: item.options
+        options: optionsResult.options,
+        prixUnitaire: plat.getPrixActuel(),
+        supplementsTotal: optionsResult.supplementsTotal
       });
     }
   }
@@ -507,7 +439,8 @@ const recommander = asyncHandler(async (req, res) => {
       prestataireId: commandeOriginale.prestataireId,
       items,
       adresseLivraison: commandeOriginale.adresseLivraison,
-      villeLivraison: commandeOriginale.villeLivraison
+      villeLivraison: commandeOriginale.villeLivraison,
+      avertissements
     }
   });
 });
@@ -554,7 +487,7 @@ const getAllCommandes = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const forceRemboursement = asyncHandler(async (req, res) => {
-  const { montant, motif } = req.body;
+  const { montant, motif, destination = REFUND_DESTINATIONS.ORIGINAL } = req.body;
 
   const commande = await Commande.findByPk(req.params.id);
 
@@ -563,15 +496,100 @@ const forceRemboursement = asyncHandler(async (req, res) => {
     throw new Error('Commande non trouvée');
   }
 
-  await commande.update({
-    statutPaiement: PAYMENT_STATUS.REFUNDED,
-    notesPrestataire: `[ADMIN] Remboursement forcé: ${montant} DZD - ${motif}`
+  if (commande.statutPaiement !== PAYMENT_STATUS.SUCCESS) {
+    res.status(400);
+    throw new Error('Cette commande ne peut pas être remboursée');
+  }
+
+  // Le cumul des remboursements (litiges, annulation, carte, portefeuille) ne dépasse pas ce qui a été payé
+  const { restant } = await getRefundSummary(commande);
+  if (restant <= 0) {
+    res.status(400);
+    throw new Error('Cette commande a déjà été entièrement remboursée');
+  }
+  if (montant && parseFloat(montant) > restant) {
+    res.status(400);
+    throw new Error(`Le montant dépasse le reste remboursable de la commande (${restant} DA)`);
+  }
+
+  // Réserver le remboursement : deux demandes simultanées ne remboursent pas deux fois
+  if (!await claimRefund(commande)) {
+    res.status(409);
+    throw new Error('Un remboursement est déjà en cours pour cette commande');
+  }
+
+  let portefeuille = null;
+  let prepaye;
+  let montantTotal;
+  try {
+    // Remboursement complet : la part réglée d'avance retourne d'abord aux cartes cadeaux et au portefeuille
+    prepaye = montant
+      ? { cartesCadeaux: 0, portefeuille: 0 }
+      : await restorePrepaidShares(commande, { montantMax: restant, motif: 'Remboursement' });
+    const montantRestant = montant
+      ? parseFloat(montant)
+      : Math.round((restant - prepaye.cartesCadeaux - prepaye.portefeuille) * 100) / 100;
+    montantTotal = Math.round((montantRestant + prepaye.cartesCadeaux + prepaye.portefeuille) * 100) / 100;
+
+    // Crédit immédiat du portefeuille si demandé ; sinon remboursement effectué hors plateforme
+    let paiementDetails = commande.paiementDetails;
+    if (destination === REFUND_DESTINATIONS.WALLET && montantRestant > 0) {
+      const credit = await refundToWallet({
+        commande,
+        montant: montantRestant,
+        motif,
+        adminId: req.user.id
+      });
+      if (!credit.success) {
+        res.status(400);
+        throw new Error(credit.error);
+      }
+      portefeuille = credit.mouvement;
+    } else if (montantRestant > 0) {
+      paiementDetails = withOriginalRefund(commande.paiementDetails, montantRestant, {
+        destination: REFUND_DESTINATIONS.ORIGINAL,
+        amount: montantRestant,
+        reason: motif,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Remboursée une fois tout rendu ; sinon reste payée, avec le cumul remboursé
+    await completeRefund(commande, {
+      paiementDetails,
+      notesPrestataire: `[ADMIN] Remboursement forcé: ${montantTotal} DZD - ${motif}`
+    });
+  } catch (error) {
+    await releaseRefund(commande);
+    throw error;
+  }
+
+  if (portefeuille) {
+    emitToUser(commande.clientId, 'portefeuille:credit', {
+      commandeId: commande.id,
+      montant: parseFloat(portefeuille.montant),
+      solde: parseFloat(portefeuille.soldeApres)
+    });
+  }
+
+  await issueRefundCreditNote({
+    commandeId: commande.id,
+    montant: montantTotal,
+    motif
+  });
+  await recordRefund({
+    commandeId: commande.id,
+    montant: montantTotal,
+    motif
   });
 
   res.json({
     success: true,
-    message: 'Remboursement enregistré',
-    data: commande
+    message: portefeuille ? 'Remboursement crédité sur le portefeuille du client' : 'Remboursement enregistré',
+    data: commande,
+    portefeuille,
+    cartesCadeaux: prepaye.cartesCadeaux,
+    partPortefeuille: prepaye.portefeuille
   });
 });
 
@@ -599,49 +617,61 @@ const cancelCommandeClient = asyncHandler(async (req, res) => {
     throw new Error('Cette commande ne peut plus être annulée');
   }
 
-  const ancienStatut = commande.statut;
+  const result = await transitionCommande(commande, ORDER_STATUS.CANCELLED, {
+    acteurId: req.user.id,
+    acteurType: 'client',
+    motif: motif || 'Annulée par le client'
+  });
 
-  // Restaurer le stock des plats
-  const items = await CommandeItem.findAll({ where: { commandeId: commande.id } });
-  for (const item of items) {
-    const plat = await Plat.findByPk(item.platId);
-    if (plat && plat.stock !== -1) {
-      await plat.increment('stock', { by: item.quantite });
-    }
+  if (!result.success) {
+    res.status(400);
+    throw new Error(result.error);
   }
 
-  // Mettre à jour la commande
-  await commande.update({
-    statut: ORDER_STATUS.CANCELLED,
-    dateAnnulation: new Date(),
-    motifAnnulation: motif || 'Annulée par le client'
+  res.json({
+    success: true,
+    message: 'Commande annulée avec succès',
+    data: commande
   });
+});
 
-  // Enregistrer dans l'historique
-  await CommandeHistorique.create({
-    commandeId: commande.id,
-    ancienStatut,
-    nouveauStatut: ORDER_STATUS.CANCELLED,
+/**
+ * @desc    Accepter une commande (Prestataire), y compris une commande programmée à l'avance
+ * @route   POST /api/commandes/:id/accepter
+ * @access  Private/Prestataire
+ */
+const acceptCommande = asyncHandler(async (req, res) => {
+  const commande = await Commande.findOne({
+    where: { id: req.params.id, prestataireId: req.user.id },
+    include: [{ model: User, as: 'client' }]
+  });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  if (commande.statut !== ORDER_STATUS.PENDING) {
+    res.status(400);
+    throw new Error('Seules les commandes en attente peuvent être acceptées');
+  }
+
+  // Commande programmée acceptée : la préparation démarre à debutPreparationPrevu (scheduledOrdersJob)
+  const result = await transitionCommande(commande, ORDER_STATUS.CONFIRMED, {
     acteurId: req.user.id,
-    acteurType: 'client',
-    motif: motif || 'Annulée par le client'
+    acteurType: 'prestataire',
+    motif: commande.isScheduled ? 'Commande programmée acceptée' : null,
+    metadata: commande.isScheduled ? { debutPreparationPrevu: commande.debutPreparationPrevu } : null
   });
 
-  // Notifier le prestataire
-  try {
-    emitToPrestataire(commande.prestataireId, 'commande:annulee', {
-      commandeId: commande.id,
-      numero: commande.numero,
-      motif: motif || 'Annulée par le client',
-      annulePar: 'client'
-    });
-  } catch (error) {
-    console.error('Erreur notification:', error);
+  if (!result.success) {
+    res.status(400);
+    throw new Error(result.error);
   }
 
   res.json({
     success: true,
-    message: 'Commande annulée avec succès',
+    message: 'Commande acceptée',
     data: commande
   });
 });
@@ -676,23 +706,13 @@ const refuseCommande = asyncHandler(async (req, res) => {
     throw new Error('Seules les commandes en attente peuvent être refusées');
   }
 
-  const ancienStatut = commande.statut;
-
-  // Restaurer le stock des plats
-  const items = await CommandeItem.findAll({ where: { commandeId: commande.id } });
-  for (const item of items) {
-    const plat = await Plat.findByPk(item.platId);
-    if (plat && plat.stock !== -1) {
-      await plat.increment('stock', { by: item.quantite });
-    }
-  }
-
   // Labels pour les motifs
   const motifLabels = {
     [ORDER_REJECTION_REASONS.OUT_OF_STOCK]: 'Rupture de stock',
     [ORDER_REJECTION_REASONS.TOO_BUSY]: 'Trop occupé actuellement',
     [ORDER_REJECTION_REASONS.OUTSIDE_HOURS]: 'Hors horaires d\'ouverture',
     [ORDER_REJECTION_REASONS.DELIVERY_ZONE]: 'Zone de livraison non desservie',
+    [ORDER_REJECTION_REASONS.NO_RESPONSE]: 'Commande non confirmée à temps',
     [ORDER_REJECTION_REASONS.OTHER]: 'Autre raison'
   };
 
@@ -700,35 +720,16 @@ const refuseCommande = asyncHandler(async (req, res) => {
     ? `${motifLabels[motifCode]} - ${motifDetails}`
     : motifLabels[motifCode];
 
-  // Mettre à jour la commande
-  await commande.update({
-    statut: ORDER_STATUS.CANCELLED,
-    dateAnnulation: new Date(),
-    motifAnnulation: motifComplet
-  });
-
-  // Enregistrer dans l'historique
-  await CommandeHistorique.create({
-    commandeId: commande.id,
-    ancienStatut,
-    nouveauStatut: ORDER_STATUS.CANCELLED,
+  const result = await transitionCommande(commande, ORDER_STATUS.CANCELLED, {
     acteurId: req.user.id,
     acteurType: 'prestataire',
     motif: motifComplet,
     motifCode
   });
 
-  // Notifier le client
-  try {
-    emitToUser(commande.clientId, 'commande:refusee', {
-      commandeId: commande.id,
-      numero: commande.numero,
-      motif: motifComplet
-    });
-
-    await sendOrderStatusEmail(commande.client, commande, ORDER_STATUS.CANCELLED);
-  } catch (error) {
-    console.error('Erreur notification:', error);
+  if (!result.success) {
+    res.status(400);
+    throw new Error(result.error);
   }
 
   res.json({
@@ -777,6 +778,7 @@ const getCommandeHistorique = asyncHandler(async (req, res) => {
 
 module.exports = {
   createCommande,
+  getDevis,
   getMesCommandes,
   getCommandeById,
   getCommandesPrestataire,
@@ -785,6 +787,7 @@ module.exports = {
   getAllCommandes,
   forceRemboursement,
   cancelCommandeClient,
+  acceptCommande,
   refuseCommande,
   getCommandeHistorique
 };
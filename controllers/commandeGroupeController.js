@@ -0,0 +1,743 @@
+const {
+  CommandeGroupe, CommandeGroupeItem, CommandeGroupePart, Commande, Plat, User, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { ROLES, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES } = require('../utils/constants');
+const { emitToUser, emitToPrestataire } = require('../config/socket');
+const { resolveItemOptions } = require('../services/platOptionsService');
+const { priceOrder, persistCommande, recordPromotionUsage } = require('../services/checkoutService');
+const {
+  generateGroupCode, isGroupeOuvert, computeParts, debitGiftCard, settleCommandeIfComplete
+} = require('../services/groupOrderService');
+const { getOnlineProvider } = require('../services/paymentProviderService');
+const { checkPaymentMode } = require('../services/orderRulesService');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Ne conserver que le nom et le choix des options (les suppléments viennent du catalogue)
+ */
+const normalizeSelections = (options) => (Array.isArray(options) ? options : [])
+  .map(opt => ({ nom: opt.nom, choix: opt.choix }));
+
+/**
+ * Récupérer un groupe par son code de partage
+ */
+const findGroupe = (code) => CommandeGroupe.findOne({ where: { code } });
+
+/**
+ * Vue du groupe : plats de chaque participant avec les prix actuels du catalogue
+ */
+const buildGroupeView = async (groupe, userId) => {
+  const items = await CommandeGroupeItem.findAll({
+    where: { groupeId: groupe.id },
+    include: [
+      { model: Plat, as: 'plat' },
+      { model: User, as: 'participant', attributes: ['id', 'prenom', 'nom'] }
+    ],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const participants = new Map();
+  for (const item of items) {
+    const plat = item.plat;
+    let prixUnitaire = null;
+    if (plat && !plat.isDeleted && plat.isAvailable) {
+      const optionsResult = resolveItemOptions(plat, normalizeSelections(item.options));
+      if (optionsResult.valid) {
+        prixUnitaire = round(plat.getPrixActuel() + optionsResult.supplementsTotal);
+      }
+    }
+
+    const entry = participants.get(item.participantId) || {
+      participant: item.participant,
+      items: [],
+      sousTotal: 0
+    };
+    entry.items.push({
+      id: item.id,
+      platId: item.platId,
+      nom: plat ? plat.getNom() : null,
+      image: plat ? plat.image : null,
+      quantite: item.quantite,
+      options: item.options,
+      instructions: item.instructions,
+      prixUnitaire,
+      sousTotal: prixUnitaire !== null ? round(prixUnitaire * item.quantite) : 0,
+      disponible: prixUnitaire !== null
+    });
+    entry.sousTotal = round(entry.sousTotal + (prixUnitaire !== null ? prixUnitaire * item.quantite : 0));
+    participants.set(item.participantId, entry);
+  }
+
+  const parts = groupe.commandeId
+    ? await CommandeGroupePart.findAll({
+      where: { groupeId: groupe.id },
+      attributes: { exclude: ['paiementDetails'] }
+    })
+    : [];
+  const commande = groupe.commandeId
+    ? await Commande.findByPk(groupe.commandeId, {
+      attributes: ['id', 'numero', 'statut', 'statutPaiement', 'sousTotal', 'reduction', 'fraisLivraison', 'total']
+    })
+    : null;
+
+  const prestataire = await User.findByPk(groupe.prestataireId, { attributes: ['id', 'nomEtablissement', 'avatar'] });
+
+  return {
+    id: groupe.id,
+    code: groupe.code,
+    nom: groupe.nom,
+    statut: groupe.statut,
+    dateLimite: groupe.dateLimite,
+    ouvert: isGroupeOuvert(groupe),
+    hoteId: groupe.hoteId,
+    estHote: groupe.hoteId === userId,
+    prestataire,
+    participants: [...participants.values()],
+    sousTotal: round([...participants.values()].reduce((sum, p) => sum + p.sousTotal, 0)),
+    commande,
+    parts,
+    maPart: parts.find(p => p.participantId === userId) || null
+  };
+};
+
+/**
+ * Prévenir les participants d'un changement du panier partagé
+ */
+const notifyParticipants = async (groupe, event, payload) => {
+  const items = await CommandeGroupeItem.findAll({
+    where: { groupeId: groupe.id },
+    attributes: ['participantId']
+  });
+  const userIds = new Set([groupe.hoteId, ...items.map(i => i.participantId)]);
+  for (const userId of userIds) {
+    emitToUser(userId, event, { code: groupe.code, ...payload });
+  }
+};
+
+/**
+ * @desc    Ouvrir une commande groupée (Client hôte)
+ * @route   POST /api/commandes-groupe
+ * @access  Private/Client
+ */
+const createGroupe = asyncHandler(async (req, res) => {
+  const { prestataireId, dateLimite, nom } = req.body;
+
+  const prestataire = await User.findOne({
+    where: { id: prestataireId, role: ROLES.PRESTATAIRE, isActive: true }
+  });
+  if (!prestataire) {
+    res.status(404);
+    throw new Error('Prestataire non trouvé');
+  }
+
+  if (new Date(dateLimite) <= new Date()) {
+    res.status(400);
+    throw new Error('L\'heure limite doit être dans le futur');
+  }
+
+  const groupe = await CommandeGroupe.create({
+    code: generateGroupCode(),
+    hoteId: req.user.id,
+    prestataireId,
+    nom,
+    dateLimite
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Commande groupée ouverte',
+    data: {
+      ...(await buildGroupeView(groupe, req.user.id)),
+      lienPartage: `${process.env.FRONTEND_URL}/groupe/${groupe.code}`
+    }
+  });
+});
+
+/**
+ * @desc    Obtenir une commande groupée par son lien
+ * @route   GET /api/commandes-groupe/:code
+ * @access  Private
+ */
+const getGroupe = asyncHandler(async (req, res) => {
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  res.json({
+    success: true,
+    data: await buildGroupeView(groupe, req.user.id)
+  });
+});
+
+/**
+ * @desc    Ajouter un plat à une commande groupée (Participant)
+ * @route   POST /api/commandes-groupe/:code/items
+ * @access  Private/Client
+ */
+const ajouterItemGroupe = asyncHandler(async (req, res) => {
+  const { platId, quantite = 1, options, instructions } = req.body;
+
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  if (!isGroupeOuvert(groupe)) {
+    res.status(400);
+    throw new Error('Cette commande groupée n\'accepte plus de plats');
+  }
+
+  const plat = await Plat.findOne({
+    where: { id: platId, prestataireId: groupe.prestataireId, isDeleted: false }
+  });
+  if (!plat) {
+    res.status(404);
+    throw new Error('Plat non trouvé chez ce prestataire');
+  }
+
+  if (!plat.isAvailable) {
+    res.status(400);
+    throw new Error(`Le plat "${plat.getNom()}" n'est pas disponible`);
+  }
+
+  const selections = normalizeSelections(options);
+  const optionsResult = resolveItemOptions(plat, selections);
+  if (!optionsResult.valid) {
+    res.status(400);
+    throw new Error(optionsResult.error);
+  }
+
+  // Le stock est comparé à la quantité cumulée de tout le groupe
+  if (plat.stock !== -1) {
+    const dejaCommande = await CommandeGroupeItem.sum('quantite', {
+      where: { groupeId: groupe.id, platId: plat.id }
+    }) || 0;
+    if (plat.stock < dejaCommande + quantite) {
+      res.status(400);
+      throw new Error(`Stock insuffisant pour "${plat.getNom()}"`);
+    }
+  }
+
+  await CommandeGroupeItem.create({
+    groupeId: groupe.id,
+    participantId: req.user.id,
+    platId: plat.id,
+    quantite,
+    options: selections,
+    instructions
+  });
+
+  await notifyParticipants(groupe, 'groupe:maj', { participantId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Plat ajouté à la commande groupée',
+    data: await buildGroupeView(groupe, req.user.id)
+  });
+});
+
+/**
+ * @desc    Modifier un de mes plats dans une commande groupée
+ * @route   PUT /api/commandes-groupe/:code/items/:itemId
+ * @access  Private/Client
+ */
+const modifierItemGroupe = asyncHandler(async (req, res) => {
+  const { quantite, options, instructions } = req.body;
+
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  if (!isGroupeOuvert(groupe)) {
+    res.status(400);
+    throw new Error('Cette commande groupée n\'accepte plus de modifications');
+  }
+
+  const item = await CommandeGroupeItem.findOne({
+    where: { id: req.params.itemId, groupeId: groupe.id, participantId: req.user.id },
+    include: [{ model: Plat, as: 'plat' }]
+  });
+  if (!item) {
+    res.status(404);
+    throw new Error('Article non trouvé');
+  }
+
+  const updateData = {};
+  if (quantite !== undefined) updateData.quantite = quantite;
+  if (instructions !== undefined) updateData.instructions = instructions;
+  if (options !== undefined) updateData.options = normalizeSelections(options);
+
+  const optionsResult = resolveItemOptions(item.plat, updateData.options || normalizeSelections(item.options));
+  if (!optionsResult.valid) {
+    res.status(400);
+    throw new Error(optionsResult.error);
+  }
+
+  if (updateData.quantite !== undefined && item.plat.stock !== -1) {
+    const autresLignes = await CommandeGroupeItem.sum('quantite', {
+      where: { groupeId: groupe.id, platId: item.platId }
+    }) - item.quantite;
+    if (item.plat.stock < autresLignes + updateData.quantite) {
+      res.status(400);
+      throw new Error(`Stock insuffisant pour "${item.plat.getNom()}"`);
+    }
+  }
+
+  await item.update(updateData);
+  await notifyParticipants(groupe, 'groupe:maj', { participantId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Commande groupée mise à jour',
+    data: await buildGroupeView(groupe, req.user.id)
+  });
+});
+
+/**
+ * @desc    Retirer un plat d'une commande groupée (le sien, ou n'importe lequel pour l'hôte)
+ * @route   DELETE /api/commandes-groupe/:code/items/:itemId
+ * @access  Private/Client
+ */
+const retirerItemGroupe = asyncHandler(async (req, res) => {
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  if (groupe.statut !== 'ouverte') {
+    res.status(400);
+    throw new Error('Cette commande groupée n\'accepte plus de modifications');
+  }
+
+  const where = { id: req.params.itemId, groupeId: groupe.id };
+  if (groupe.hoteId !== req.user.id) {
+    where.participantId = req.user.id;
+  }
+
+  const deleted = await CommandeGroupeItem.destroy({ where });
+  if (!deleted) {
+    res.status(404);
+    throw new Error('Article non trouvé');
+  }
+
+  await notifyParticipants(groupe, 'groupe:maj', { participantId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Article retiré',
+    data: await buildGroupeView(groupe, req.user.id)
+  });
+});
+
+/**
+ * @desc    Annuler une commande groupée non passée (Hôte)
+ * @route   DELETE /api/commandes-groupe/:code
+ * @access  Private/Client
+ */
+const annulerGroupe = asyncHandler(async (req, res) => {
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe || groupe.hoteId !== req.user.id) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  if (groupe.statut !== 'ouverte') {
+    res.status(400);
+    throw new Error('Cette commande groupée a déjà été passée ou annulée');
+  }
+
+  await groupe.update({ statut: 'annulee' });
+  await notifyParticipants(groupe, 'groupe:annulee', {});
+
+  res.json({
+    success: true,
+    message: 'Commande groupée annulée'
+  });
+});
+
+/**
+ * @desc    Passer la commande du groupe (Hôte)
+ * @route   POST /api/commandes-groupe/:code/commander
+ * @access  Private/Client
+ */
+const commanderGroupe = asyncHandler(async (req, res) => {
+  const {
+    adresseLivraison,
+    villeLivraison,
+    positionLivraison,
+    telephoneLivraison,
+    instructions,
+    dateLivraisonSouhaitee,
+    codePromo
+  } = req.body;
+
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe || groupe.hoteId !== req.user.id) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  if (groupe.statut !== 'ouverte') {
+    res.status(400);
+    throw new Error('Cette commande groupée a déjà été passée ou annulée');
+  }
+
+  const groupeItems = await CommandeGroupeItem.findAll({
+    where: { groupeId: groupe.id },
+    order: [['createdAt', 'ASC']]
+  });
+  if (groupeItems.length === 0) {
+    res.status(400);
+    throw new Error('La commande groupée est vide');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Verrouiller le groupe : une seule commande par groupe
+    const [claimed] = await CommandeGroupe.update(
+      { statut: 'commandee' },
+      { where: { id: groupe.id, statut: 'ouverte' }, transaction }
+    );
+    if (claimed === 0) {
+      res.status(409);
+      throw new Error('Cette commande groupée a déjà été passée');
+    }
+
+    const devis = await priceOrder({
+      userId: req.user.id,
+      prestataireId: groupe.prestataireId,
+      items: groupeItems.map(i => ({
+        platId: i.platId,
+        quantite: i.quantite,
+        options: i.options,
+        instructions: i.instructions
+      })),
+      codePromo,
+      livraison: { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee },
+      transaction
+    });
+
+    if (!devis.valid) {
+      res.status(400);
+      throw new Error(devis.erreurs[0]);
+    }
+
+    const paiementCheck = await checkPaymentMode({
+      client: req.user,
+      prestataireIds: [groupe.prestataireId],
+      total: devis.total,
+      modePaiement: PAYMENT_MODES.CIB
+    });
+    if (!paiementCheck.valid) {
+      res.status(400);
+      throw new Error(paiementCheck.error);
+    }
+
+    // Chaque participant règle sa part en ligne
+    const commande = await persistCommande({
+      client: req.user,
+      prestataireId: groupe.prestataireId,
+      devis,
+      details: {
+        adresseLivraison, villeLivraison, positionLivraison, telephoneLivraison,
+        instructions, dateLivraisonSouhaitee, modePaiement: PAYMENT_MODES.CIB
+      },
+      transaction
+    });
+
+    // Parts réglées une à une par les participants : le stock n'expire pas
+    await commande.update({
+      paiementDetails: { commandeGroupeId: groupe.id, paiementFractionne: true },
+      stockReserveJusquA: null
+    }, { transaction });
+
+    if (devis.promotion) {
+      await recordPromotionUsage({
+        promotionId: devis.promotion.id,
+        userId: req.user.id,
+        commandeId: commande.id,
+        montantReduction: devis.reduction,
+        transaction
+      });
+    }
+
+    const parts = computeParts(devis, groupeItems);
+    for (const part of parts) {
+      await CommandeGroupePart.create({
+        groupeId: groupe.id,
+        commandeId: commande.id,
+        ...part
+      }, { transaction });
+    }
+
+    await groupe.update({ statut: 'commandee', commandeId: commande.id }, { transaction });
+
+    await transaction.commit();
+
+    emitToPrestataire(groupe.prestataireId, 'commande:nouvelle', {
+      commandeId: commande.id,
+      numero: commande.numero,
+      client: `${req.user.prenom} ${req.user.nom}`,
+      total: commande.total,
+      items: devis.lignes.length,
+      groupe: true
+    });
+
+    for (const part of parts) {
+      emitToUser(part.participantId, 'groupe:commandee', {
+        code: groupe.code,
+        commandeId: commande.id,
+        numero: commande.numero,
+        montant: part.montant
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Commande groupée passée, chaque participant peut régler sa part',
+      avertissements: devis.avertissements,
+      data: await buildGroupeView(groupe, req.user.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+});
+
+/**
+ * Récupérer la part du participant connecté dans une commande groupée passée
+ */
+const findPartAPayer = async (req, res) => {
+  const groupe = await findGroupe(req.params.code);
+  if (!groupe || !groupe.commandeId) {
+    res.status(404);
+    throw new Error('Commande groupée non trouvée');
+  }
+
+  const part = await CommandeGroupePart.findOne({
+    where: { groupeId: groupe.id, participantId: req.user.id }
+  });
+  if (!part) {
+    res.status(404);
+    throw new Error('Aucune part à régler dans cette commande groupée');
+  }
+
+  if (part.statutPaiement === PAYMENT_STATUS.SUCCESS) {
+    res.status(400);
+    throw new Error('Votre part a déjà été payée');
+  }
+
+  // Les parts déjà réglées ont été remboursées à l'annulation : plus rien à payer
+  const commande = await Commande.findByPk(groupe.commandeId, { attributes: ['id', 'statut'] });
+  if (!commande || commande.statut === ORDER_STATUS.CANCELLED) {
+    res.status(400);
+    throw new Error('La commande groupée a été annulée');
+  }
+
+  return { groupe, part };
+};
+
+/**
+ * Part réglée : prévenir l'hôte et solder la commande si c'était la dernière
+ */
+const respondPartPayee = async (res, { groupe, part, participantId }) => {
+  const montant = parseFloat(part.montant);
+
+  emitToUser(groupe.hoteId, 'groupe:part-payee', {
+    code: groupe.code,
+    participantId,
+    montant
+  });
+
+  const commandePayee = await settleCommandeIfComplete(groupe.commandeId);
+
+  res.json({
+    success: true,
+    message: 'Votre part a été payée',
+    data: {
+      part: await CommandeGroupePart.findByPk(part.id, { attributes: { exclude: ['paiementDetails'] } }),
+      commandePayee
+    }
+  });
+};
+
+/**
+ * @desc    Régler ma part d'une commande groupée : débit de la carte cadeau,
+ *          ou ouverture de la session de paiement par carte
+ * @route   POST /api/commandes-groupe/:code/payer
+ * @access  Private/Client
+ */
+const payerPart = asyncHandler(async (req, res) => {
+  const { modePaiement, codeCarteCadeau, returnUrl } = req.body;
+
+  const { groupe, part } = await findPartAPayer(req, res);
+  const montant = parseFloat(part.montant);
+
+  if (modePaiement !== 'carte_cadeau') {
+    // Le participant règle sa part sur la page de paiement, puis revient la confirmer
+    const result = await getOnlineProvider().initiate({
+      reference: `${groupe.code}-${part.id}`,
+      amount: montant,
+      description: `Part de la commande groupée EATERZ ${groupe.code}`,
+      cardType: modePaiement,
+      returnUrl,
+      customer: { email: req.user.email, telephone: req.user.telephone }
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    // Une confirmation en cours ne peut pas être remplacée par une nouvelle session
+    const [updated] = await CommandeGroupePart.update(
+      { modePaiement, transactionId: result.transactionId, statutPaiement: PAYMENT_STATUS.PENDING },
+      { where: { id: part.id, statutPaiement: { [Op.in]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] } } }
+    );
+    if (updated === 0) {
+      res.status(409);
+      throw new Error('Un paiement de votre part est déjà en cours');
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        sessionId: result.transactionId,
+        paymentUrl: result.paymentUrl,
+        expiresAt: result.expiresAt,
+        amount: montant
+      }
+    });
+  }
+
+  // Réserver la part : deux paiements simultanés ne peuvent pas débiter deux fois
+  const [claimed] = await CommandeGroupePart.update(
+    { statutPaiement: PAYMENT_STATUS.PROCESSING, modePaiement },
+    { where: { id: part.id, statutPaiement: { [Op.in]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] } } }
+  );
+  if (claimed === 0) {
+    res.status(409);
+    throw new Error('Un paiement de votre part est déjà en cours');
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const result = await debitGiftCard({
+      code: codeCarteCadeau,
+      part,
+      libelle: `Part de la commande groupée ${groupe.code}`,
+      transaction
+    });
+    if (!result.success) {
+      res.status(400);
+      throw new Error(result.error);
+    }
+
+    await part.update({
+      statutPaiement: PAYMENT_STATUS.SUCCESS,
+      giftCardId: result.giftCard.id,
+      datePaiement: new Date(),
+      paiementDetails: {
+        giftCardCode: result.giftCard.code,
+        soldeRestant: parseFloat(result.giftCard.montantRestant)
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    await part.update({ statutPaiement: PAYMENT_STATUS.FAILED });
+    throw error;
+  }
+
+  await respondPartPayee(res, { groupe, part, participantId: req.user.id });
+});
+
+/**
+ * @desc    Confirmer le paiement par carte de ma part au retour de la page de paiement
+ * @route   POST /api/commandes-groupe/:code/payer/confirmer
+ * @access  Private/Client
+ */
+const confirmerPart = asyncHandler(async (req, res) => {
+  const { groupe, part } = await findPartAPayer(req, res);
+
+  if (!part.transactionId || part.modePaiement === 'carte_cadeau') {
+    res.status(400);
+    throw new Error('Aucun paiement par carte en cours pour votre part');
+  }
+
+  const [claimed] = await CommandeGroupePart.update(
+    { statutPaiement: PAYMENT_STATUS.PROCESSING },
+    { where: { id: part.id, statutPaiement: { [Op.in]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] } } }
+  );
+  if (claimed === 0) {
+    res.status(409);
+    throw new Error('Un paiement de votre part est déjà en cours');
+  }
+
+  // Vérifier auprès du fournisseur que la transaction est payée, du montant de la part
+  const result = await getOnlineProvider().confirm({
+    transactionId: part.transactionId,
+    amount: parseFloat(part.montant),
+    cardType: part.modePaiement
+  });
+
+  if (!result.success) {
+    await part.update({
+      statutPaiement: PAYMENT_STATUS.FAILED,
+      paiementDetails: {
+        error: result.error,
+        code: result.code,
+        transactionId: result.transactionId,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return res.status(400).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      transactionId: result.transactionId
+    });
+  }
+
+  await part.update({
+    statutPaiement: PAYMENT_STATUS.SUCCESS,
+    transactionId: result.transactionId,
+    datePaiement: new Date(),
+    paiementDetails: {
+      cardLast4: result.cardLast4,
+      cardType: result.cardType,
+      authorizationCode: result.authorizationCode,
+      responseCode: result.responseCode,
+      timestamp: result.timestamp
+    }
+  });
+
+  await respondPartPayee(res, { groupe, part, participantId: req.user.id });
+});
+
+module.exports = {
+  createGroupe,
+  getGroupe,
+  ajouterItemGroupe,
+  modifierItemGroupe,
+  retirerItemGroupe,
+  annulerGroupe,
+  commanderGroupe,
+  payerPart,
+  confirmerPart
+};
@@ -0,0 +1,105 @@
+const { Commande, EcritureComptable, User } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { paginate, paginationResponse } = require('../utils/helpers');
+const { getBalances } = require('../services/ledgerService');
+
+/**
+ * @desc    Soldes des comptes (plateforme, prestataires, livreurs, encaissement)
+ * @route   GET /api/comptabilite/soldes
+ * @access  Private/Admin
+ */
+const getSoldes = asyncHandler(async (req, res) => {
+  const { compte, titulaireId, du, au } = req.query;
+
+  const soldes = await getBalances({
+    compte,
+    titulaireId: titulaireId ? parseInt(titulaireId) : undefined,
+    du: du ? new Date(du) : undefined,
+    au: au ? new Date(au) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: soldes
+  });
+});
+
+/**
+ * @desc    Écritures du grand livre
+ * @route   GET /api/comptabilite/ecritures
+ * @access  Private/Admin
+ */
+const getEcritures = asyncHandler(async (req, res) => {
+  const { page, limit, commandeId, compte, titulaireId, evenement } = req.query;
+  const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+  const where = {};
+  if (commandeId) where.commandeId = commandeId;
+  if (compte) where.compte = compte;
+  if (titulaireId) where.titulaireId = titulaireId;
+  if (evenement) where.evenement = evenement;
+
+  const { count, rows: ecritures } = await EcritureComptable.findAndCountAll({
+    where,
+    include: [
+      { model: Commande, as: 'commande', attributes: ['id', 'numero'] },
+      { model: User, as: 'titulaire', attributes: ['id', 'prenom', 'nom', 'nomEtablissement'] }
+    ],
+    order: [['id', 'DESC']],
+    limit: limitNum,
+    offset
+  });
+
+  res.json({
+    success: true,
+    ...paginationResponse(ecritures, count, pageNum, limitNum)
+  });
+});
+
+/**
+ * @desc    Opérations comptables d'une commande
+ * @route   GET /api/comptabilite/commandes/:id
+ * @access  Private/Admin
+ */
+const getEcrituresCommande = asyncHandler(async (req, res) => {
+  const commande = await Commande.findByPk(req.params.id, { attributes: ['id', 'numero', 'statut', 'total'] });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  const ecritures = await EcritureComptable.findAll({
+    where: { commandeId: commande.id },
+    order: [['id', 'ASC']]
+  });
+
+  // Regroupement par opération, dans l'ordre chronologique
+  const operations = new Map();
+  for (const ecriture of ecritures) {
+    if (!operations.has(ecriture.operation)) {
+      operations.set(ecriture.operation, {
+        operation: ecriture.operation,
+        evenement: ecriture.evenement,
+        litigeId: ecriture.litigeId,
+        date: ecriture.createdAt,
+        lignes: []
+      });
+    }
+    operations.get(ecriture.operation).lignes.push(ecriture);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      commande,
+      operations: [...operations.values()]
+    }
+  });
+});
+
+module.exports = {
+  getSoldes,
+  getEcritures,
+  getEcrituresCommande
+};
@@ -1,8 +1,8 @@
 const PDFDocument = require('pdfkit');
 const { Parser } = require('json2csv');
-const { Commande, CommandeItem, Plat, User, Avis, Litige, sequelize } = require('../models');
+const { Commande, CommandeItem, Plat, User, Avis, Litige, ReleveReglement, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { ORDER_STATUS } = require('../utils/constants');
+const { ORDER_STATUS, ROLES, SETTLEMENT_STATUS } = require('../utils/constants');
 const { Op } = require('sequelize');
 
 // ═══════════════════════════════════════════════════════════════
@@ -39,6 +39,12 @@ const getStatusLabel = (statut) => {
     return labels[statut] || statut;
 };
 
+/**
+ * Pourboire total d'une commande (checkout + après livraison)
+ */
+const getPourboireTotal = (cmd) =>
+    parseFloat(cmd.pourboire || 0) + parseFloat(cmd.pourboireApresLivraison || 0);
+
 /**
  * Générer l'en-tête PDF avec logo et titre
  */
@@ -210,6 +216,7 @@ const exportClientCommandes = asyncHandler(async (req, res) => {
             'Sous-total (DZD)': cmd.sousTotal,
             'Frais livraison (DZD)': cmd.fraisLivraison,
             'Réduction (DZD)': cmd.reduction || 0,
+            'Pourboire (DZD)': getPourboireTotal(cmd),
             'Total (DZD)': cmd.total,
             'Mode paiement': cmd.modePaiement,
             'Adresse': cmd.adresseLivraison,
@@ -237,12 +244,14 @@ const exportClientCommandes = asyncHandler(async (req, res) => {
 
     // Statistiques résumées
     const totalDepense = commandes.reduce((sum, c) => sum + parseFloat(c.total), 0);
+    const totalPourboires = commandes.reduce((sum, c) => sum + getPourboireTotal(c), 0);
     const commandesLivrees = commandes.filter(c => c.statut === ORDER_STATUS.DELIVERED).length;
 
     doc.fillColor('#333333').fontSize(12).font('Helvetica-Bold').text('Résumé', 50);
     doc.moveDown(0.5);
     doc.fontSize(10).font('Helvetica')
         .text(`Total dépensé: ${totalDepense.toLocaleString('fr-FR')} DZD`)
+        .text(`Pourboires versés aux livreurs: ${totalPourboires.toLocaleString('fr-FR')} DZD`)
         .text(`Commandes livrées: ${commandesLivrees}`)
         .text(`Commandes annulées: ${commandes.filter(c => c.statut === ORDER_STATUS.CANCELLED).length}`);
 
@@ -515,6 +524,113 @@ const exportPrestataireRapportVentes = asyncHandler(async (req, res) => {
     doc.end();
 });
 
+/**
+ * Formater un montant en dinars
+ */
+const formatMontant = (montant) => `${parseFloat(montant || 0).toLocaleString('fr-FR')} DZD`;
+
+const ENCAISSE_PAR_LABELS = {
+    plateforme: 'Plateforme (carte)',
+    livreur: 'Livreur (espèces)',
+    prestataire: 'Prestataire (espèces)'
+};
+
+/**
+ * @desc    Export d'un relevé de règlement (PDF ou CSV)
+ * @route   GET /api/export/releves/:id
+ * @access  Private (prestataire du relevé, admin)
+ */
+const exportReleveReglement = asyncHandler(async (req, res) => {
+    const { format = 'pdf' } = req.query;
+
+    const releve = await ReleveReglement.findByPk(req.params.id, {
+        include: [{ model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] }]
+    });
+
+    if (!releve || (req.user.role !== ROLES.ADMIN && releve.prestataireId !== req.user.id)) {
+        res.status(404);
+        throw new Error('Relevé non trouvé');
+    }
+
+    const periode = `du ${formatDate(releve.periodeDebut)} au ${formatDate(releve.periodeFin)}`;
+
+    if (format === 'csv') {
+        const csvData = (releve.lignes || []).map(l => ({
+            'Relevé': releve.numero,
+            'N° Commande': l.numero,
+            'Date livraison': formatDate(l.date),
+            'Mode paiement': l.modePaiement,
+            'Encaissé par': ENCAISSE_PAR_LABELS[l.encaissePar] || '',
+            'Ventes brutes (DZD)': l.brut,
+            'Promotion (DZD)': l.promo,
+            'Commission (DZD)': l.commission,
+            'Remboursement (DZD)': l.remboursement,
+            'Frais livraison et pourboire (DZD)': l.fraisLivraison,
+            'Net (DZD)': l.net
+        }));
+
+        const parser = new Parser({ fields: Object.keys(csvData[0] || {}) });
+        const csv = parser.parse(csvData);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=${releve.numero}.csv`);
+        return res.send('\uFEFF' + csv);
+    }
+
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${releve.numero}.pdf`);
+
+    doc.pipe(res);
+
+    generatePDFHeader(doc, `Relevé de règlement ${releve.numero}`, `${releve.prestataire?.nomEtablissement || 'Prestataire'} | ${periode}`);
+
+    // Récapitulatif
+    doc.fillColor('#333333').fontSize(12).font('Helvetica-Bold').text('Récapitulatif', 40);
+    doc.moveDown(0.5);
+    doc.fontSize(10).font('Helvetica')
+        .text(`Commandes livrées: ${releve.nombreCommandes}`)
+        .text(`Ventes brutes: ${formatMontant(releve.ventesBrutes)}`)
+        .text(`Promotions financées par l'établissement: ${formatMontant(releve.promotions)}`)
+        .text(`Commissions EATERZ: ${formatMontant(releve.commissions)}`)
+        .text(`Remboursements et litiges: ${formatMontant(releve.remboursements)}`)
+        .text(`Frais de livraison et pourboires (livraisons assurées par l'établissement): ${formatMontant(releve.fraisLivraison)}`)
+        .font('Helvetica-Bold').text(`Net dû: ${formatMontant(releve.netDu)}`)
+        .font('Helvetica').text(`Espèces encaissées par l'établissement: -${formatMontant(releve.especesPrestataire)}`)
+        .font('Helvetica-Bold').text(`Montant à verser: ${formatMontant(releve.montantAVerser)}`);
+
+    doc.moveDown(0.5);
+    doc.fillColor('#888888').fontSize(9).font('Helvetica')
+        .text(`Pour information : promotions prises en charge par EATERZ ${formatMontant(releve.promotionsPlateforme)}, espèces encaissées par les livreurs EATERZ ${formatMontant(releve.especesLivreurs)}.`)
+        .text(releve.statut === SETTLEMENT_STATUS.PAID
+            ? `Réglé le ${formatDate(releve.datePaiement)}${releve.referencePaiement ? ` (réf. ${releve.referencePaiement})` : ''}`
+            : 'En attente de règlement');
+
+    doc.moveDown();
+
+    // Détail par commande
+    const headers = ['N°', 'Livraison', 'Encaissé par', 'Brut', 'Promo', 'Commission', 'Rembours.', 'Livraison/pourb.', 'Net'];
+    const data = (releve.lignes || []).map(l => [
+        l.numero,
+        formatDate(l.date),
+        ENCAISSE_PAR_LABELS[l.encaissePar] || '',
+        l.brut.toLocaleString('fr-FR'),
+        l.promo.toLocaleString('fr-FR'),
+        l.commission.toLocaleString('fr-FR'),
+        l.remboursement.toLocaleString('fr-FR'),
+        l.fraisLivraison.toLocaleString('fr-FR'),
+        l.net.toLocaleString('fr-FR')
+    ]);
+
+    createPDFTable(doc, headers, data, {
+        startX: 40,
+        columnWidths: [80, 100, 110, 75, 65, 80, 75, 95, 80]
+    });
+
+    doc.end();
+});
+
 // ═══════════════════════════════════════════════════════════════
 // EXPORTS ADMIN
 // ═══════════════════════════════════════════════════════════════
@@ -558,6 +674,7 @@ const exportAdminCommandes = asyncHandler(async (req, res) => {
             'Sous-total (DZD)': cmd.sousTotal,
             'Frais livraison (DZD)': cmd.fraisLivraison,
             'Réduction (DZD)': cmd.reduction || 0,
+            'Pourboire (DZD)': getPourboireTotal(cmd),
             'Total (DZD)': cmd.total,
             'Mode paiement': cmd.modePaiement,
             'Statut paiement': cmd.statutPaiement,
@@ -755,6 +872,7 @@ module.exports = {
     exportClientCommandes,
     exportPrestataireCommandes,
     exportPrestataireRapportVentes,
+    exportReleveReglement,
     exportAdminCommandes,
     exportAdminUtilisateurs,
     exportAdminAvis,
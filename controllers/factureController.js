@@ -0,0 +1,86 @@
+const PDFDocument = require('pdfkit');
+const { Commande, Facture } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { ROLES, ORDER_STATUS } = require('../utils/constants');
+const { getTimezone } = require('../services/openingHoursService');
+const { TYPES, issueInvoice, renderInvoicePDF } = require('../services/invoiceService');
+
+/**
+ * Le client, le prestataire de la commande et les admins ont accès aux factures
+ */
+const canAccess = (user, commande) =>
+  user.role === ROLES.ADMIN || commande.clientId === user.id || commande.prestataireId === user.id;
+
+/**
+ * @desc    Factures et avoirs d'une commande
+ * @route   GET /api/factures/commande/:commandeId
+ * @access  Private (client, prestataire de la commande, admin)
+ */
+const getFacturesCommande = asyncHandler(async (req, res) => {
+  const commande = await Commande.findByPk(req.params.commandeId);
+
+  if (!commande || !canAccess(req.user, commande)) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  // Commandes livrées avant la mise en place de la facturation : émission à la demande
+  if (commande.statut === ORDER_STATUS.DELIVERED) {
+    await issueInvoice(commande.id);
+  }
+
+  const factures = await Facture.findAll({
+    where: { commandeId: commande.id },
+    attributes: ['id', 'type', 'numero', 'dateEmission', 'totalHT', 'totalTVA', 'totalTTC', 'factureOrigineId', 'motif'],
+    order: [['dateEmission', 'ASC'], ['id', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: factures
+  });
+});
+
+/**
+ * @desc    Télécharger une facture ou un avoir (PDF)
+ * @route   GET /api/factures/:id/pdf
+ * @access  Private (client, prestataire de la commande, admin)
+ */
+const downloadFacture = asyncHandler(async (req, res) => {
+  const facture = await Facture.findByPk(req.params.id, {
+    include: [
+      { model: Commande, as: 'commande', attributes: ['id', 'clientId', 'prestataireId'] },
+      { model: Facture, as: 'factureOrigine', attributes: ['id', 'numero'] }
+    ]
+  });
+
+  if (!facture || !canAccess(req.user, facture.commande)) {
+    res.status(404);
+    throw new Error('Facture non trouvée');
+  }
+
+  const timezone = await getTimezone();
+
+  // Date de création figée sur l'émission : le fichier régénéré est identique
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `${facture.type === TYPES.AVOIR ? 'Avoir' : 'Facture'} ${facture.numero}`,
+      Author: facture.vendeur.nom,
+      CreationDate: new Date(facture.dateEmission)
+    }
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${facture.numero}.pdf`);
+
+  doc.pipe(res);
+  renderInvoicePDF(doc, facture, timezone);
+  doc.end();
+});
+
+module.exports = {
+  getFacturesCommande,
+  downloadFacture
+};
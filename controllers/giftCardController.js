@@ -179,53 +179,14 @@ const claimGiftCard = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Utiliser une carte cadeau (appelé lors du checkout)
+ * @desc    Utiliser une carte cadeau (remplacé par les codes donnés à la création de la commande)
  * @route   POST /api/gift-cards/:id/use
  * @access  Private
  */
 const useGiftCard = asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { montant } = req.body;
-    const userId = req.user.id;
-
-    const giftCard = await GiftCard.findByPk(id);
-
-    if (!giftCard) {
-        res.status(404);
-        throw new Error('Carte cadeau non trouvée');
-    }
-
-    if (giftCard.beneficiaireId !== userId) {
-        res.status(403);
-        throw new Error('Cette carte ne vous appartient pas');
-    }
-
-    if (giftCard.statut === 'used' || giftCard.statut === 'expired') {
-        res.status(400);
-        throw new Error('Cette carte ne peut plus être utilisée');
-    }
-
-    if (montant > parseFloat(giftCard.montantRestant)) {
-        res.status(400);
-        throw new Error(`Solde insuffisant. Disponible: ${giftCard.montantRestant} DA`);
-    }
-
-    // Déduire le montant
-    const nouveauSolde = parseFloat(giftCard.montantRestant) - montant;
-    await giftCard.update({
-        montantRestant: nouveauSolde,
-        statut: nouveauSolde === 0 ? 'used' : 'claimed',
-        dateUtilisation: nouveauSolde === 0 ? new Date() : giftCard.dateUtilisation,
-    });
-
-    res.json({
-        success: true,
-        message: `${montant} DA utilisés`,
-        data: {
-            montantUtilise: montant,
-            montantRestant: nouveauSolde,
-        },
-    });
+    // Une déduction doit être rattachée à une commande : voir codesCartesCadeaux (POST /api/commandes)
+    res.status(410);
+    throw new Error('Les cartes cadeaux s\'utilisent au paiement de la commande (codesCartesCadeaux)');
 });
 
 /**
@@ -3,6 +3,9 @@ const { asyncHandler } = require('../middleware/errorMiddleware');
 const { paginate, paginationResponse } = require('../utils/helpers');
 const { DISPUTE_STATUS } = require('../utils/constants');
 const { emitToUser, emitToAdmins } = require('../config/socket');
+const { recordDisputeRefund } = require('../services/ledgerService');
+const { refundToWallet } = require('../services/walletService');
+const { getRefundSummary, restorePrepaidShares } = require('../services/refundService');
 const { Op } = require('sequelize');
 
 /**
@@ -258,6 +261,55 @@ const resoudreLitige = asyncHandler(async (req, res) => {
     throw new Error('Litige non trouvé');
   }
 
+  if (litige.statut === DISPUTE_STATUS.RESOLVED) {
+    res.status(400);
+    throw new Error('Ce litige est déjà résolu');
+  }
+
+  if (resolution === 'remboursement_partiel' && !montantRembourse) {
+    res.status(400);
+    throw new Error('Montant remboursé requis pour un remboursement partiel');
+  }
+
+  // Remboursement crédité immédiatement sur le portefeuille du client, dans la
+  // limite de ce qui a été payé et pas encore rendu (carte, portefeuille,
+  // annulation). Remboursement total : les cartes cadeaux et la part réglée par
+  // le portefeuille encore engagées sont d'abord restituées
+  let portefeuille = null;
+  let montantTotal = 0;
+  if (resolution === 'remboursement_total' || resolution === 'remboursement_partiel') {
+    const commande = await Commande.findByPk(litige.commandeId);
+    const { restant } = await getRefundSummary(commande);
+
+    if (montantRembourse && parseFloat(montantRembourse) > restant) {
+      res.status(400);
+      throw new Error(`Le montant dépasse le reste remboursable de la commande (${restant} DA)`);
+    }
+
+    const prepaye = montantRembourse
+      ? { cartesCadeaux: 0, portefeuille: 0 }
+      : await restorePrepaidShares(commande, { montantMax: restant, motif: `Litige ${litige.numero}` });
+    const montantCredit = montantRembourse
+      ? parseFloat(montantRembourse)
+      : Math.round((restant - prepaye.cartesCadeaux - prepaye.portefeuille) * 100) / 100;
+    montantTotal = Math.round((montantCredit + prepaye.cartesCadeaux + prepaye.portefeuille) * 100) / 100;
+
+    if (montantCredit > 0) {
+      const credit = await refundToWallet({
+        commande,
+        montant: montantCredit,
+        motif: `litige ${litige.numero}`,
+        adminId: req.user.id,
+        litigeId: litige.id
+      });
+      if (!credit.success) {
+        res.status(400);
+        throw new Error(credit.error);
+      }
+      portefeuille = credit.mouvement;
+    }
+  }
+
   await litige.update({
     statut: DISPUTE_STATUS.RESOLVED,
     resolution,
@@ -270,11 +322,17 @@ const resoudreLitige = asyncHandler(async (req, res) => {
   litige.addMessage(req.user.id, 'admin', `Litige résolu: ${resolution}. ${commentaireResolution || ''}`);
   await litige.save();
 
+  // Remboursement à la charge du prestataire (ce qui a effectivement été rendu au client)
+  if (montantTotal > 0) {
+    await recordDisputeRefund({ litige, montant: montantTotal });
+  }
+
   // Notifications
   emitToUser(litige.clientId, 'litige:resolu', {
     litigeId: litige.id,
     resolution,
-    montantRembourse
+    montantRembourse,
+    soldePortefeuille: portefeuille ? parseFloat(portefeuille.soldeApres) : undefined
   });
 
   res.json({
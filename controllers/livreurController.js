@@ -1,8 +1,10 @@
-const { User, Commande, Livraison, CommandeItem, Plat, LoyaltyTransaction, sequelize } = require('../models');
+const { User, Commande, Livraison, CommandeItem, Plat, LoyaltyTransaction, MouvementEspeces, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { paginate, paginationResponse } = require('../utils/helpers');
 const { DELIVERY_STATUS, LIVREUR_STATUS, ORDER_STATUS, LIVREUR_COMMISSION_RATE } = require('../utils/constants');
 const { emitToUser, emitToPrestataire } = require('../config/socket');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { getSettings } = require('../services/settingsService');
 const { Op } = require('sequelize');
 
 /**
@@ -181,6 +183,24 @@ const updateStatutCourse = asyncHandler(async (req, res) => {
 
     const updateData = { statut };
 
+    // La commande suit la course : récupérée -> en livraison, livrée -> livrée
+    const statutCommande = {
+        [DELIVERY_STATUS.PICKED_UP]: ORDER_STATUS.DELIVERING,
+        [DELIVERY_STATUS.DELIVERED]: ORDER_STATUS.DELIVERED
+    }[statut];
+
+    if (statutCommande && course.commande.statut !== statutCommande) {
+        const result = await transitionCommande(course.commande, statutCommande, {
+            acteurId: req.user.id,
+            acteurType: 'livreur',
+            metadata: { livraisonId: course.id }
+        });
+        if (!result.success) {
+            res.status(400);
+            throw new Error(result.error);
+        }
+    }
+
     switch (statut) {
         case DELIVERY_STATUS.PICKED_UP:
             updateData.dateRecuperation = new Date();
@@ -188,8 +208,6 @@ const updateStatutCourse = asyncHandler(async (req, res) => {
         case DELIVERY_STATUS.DELIVERED:
             updateData.dateLivraison = new Date();
             updateData.commission = course.fraisLivraison * 0.8; // Supposons 80% commission
-            // MAJ statut commande
-            await course.commande.update({ statut: 'livree', dateLivraison: new Date() }); // 'livree' au lieu de ORDER_STATUS.DELIVERED si non importé
             // MAJ stats livreur
             await req.user.increment('nombreLivraisons');
 
@@ -449,6 +467,35 @@ const getGains = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Espèces détenues et mouvements de caisse
+ * @route   GET /api/livreur/especes
+ * @access  Private/Livreur
+ */
+const getEspeces = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+    const [livreur, { codCashCap }, { count, rows }] = await Promise.all([
+        User.findByPk(req.user.id, { attributes: ['id', 'soldeEspeces'] }),
+        getSettings('delivery'),
+        MouvementEspeces.findAndCountAll({
+            where: { livreurId: req.user.id },
+            include: [{ model: Commande, as: 'commande', attributes: ['id', 'numero'] }],
+            order: [['id', 'DESC']],
+            limit: limitNum,
+            offset
+        })
+    ]);
+
+    res.json({
+        success: true,
+        soldeEspeces: parseFloat(livreur.soldeEspeces || 0),
+        plafond: codCashCap,
+        ...paginationResponse(rows, count, pageNum, limitNum)
+    });
+});
+
 module.exports = {
     getDashboard,
     getCoursesAssignees,
@@ -457,5 +504,6 @@ module.exports = {
     updatePosition,
     toggleDisponibilite,
     getHistorique,
-    getGains
+    getGains,
+    getEspeces
 };
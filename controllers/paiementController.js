@@ -1,8 +1,112 @@
-const { Commande, User } = require('../models');
+const { Op } = require('sequelize');
+const { Commande, Checkout, User, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { PAYMENT_STATUS } = require('../utils/constants');
+const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES, REFUND_DESTINATIONS } = require('../utils/constants');
 const { emitToUser } = require('../config/socket');
-const satimService = require('../services/satimService');
+const { getPaymentProvider, getOnlineProvider } = require('../services/paymentProviderService');
+const { issueRefundCreditNote } = require('../services/invoiceService');
+const { recordRefund } = require('../services/ledgerService');
+const { refundToWallet } = require('../services/walletService');
+const {
+  getRefundSummary, withOriginalRefund, restorePrepaidShares, claimRefund, releaseRefund, completeRefund
+} = require('../services/refundService');
+const { commitPayment } = require('../services/stockReservationService');
+const { getPaymentOptions, checkPaymentMode } = require('../services/orderRulesService');
+
+const RESERVATION_EXPIRED = 'Cette commande a été annulée (paiement non finalisé à temps), veuillez commander à nouveau';
+const PAYMENT_NOT_INITIATED = 'Aucun paiement en cours pour cette commande : initiez d\'abord la session de paiement';
+
+// Présentation des moyens de paiement (disponibilité et limites : orderRulesService)
+const PAYMENT_METHODS = {
+  cib: { name: 'Carte CIB', description: 'Carte interbancaire algérienne', icon: 'credit-card' },
+  edahabia: { name: 'Carte EDAHABIA', description: 'Carte postale Algérie Poste', icon: 'wallet' },
+  especes: { name: 'Paiement à la livraison', description: 'Espèces au livreur', icon: 'banknote' }
+};
+
+// Un paiement ne démarre que sur une commande active qui n'est ni payée ni déjà en cours de paiement
+const payableWhere = {
+  statut: { [Op.ne]: ORDER_STATUS.CANCELLED },
+  statutPaiement: { [Op.in]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] }
+};
+
+/**
+ * Session de paiement unique d'un checkout multi-prestataires
+ */
+const initiateCheckoutPayment = async (req, res) => {
+  const { checkoutId, cardType, returnUrl } = req.body;
+
+  const checkout = await Checkout.findOne({
+    where: { id: checkoutId, clientId: req.user.id }
+  });
+
+  if (!checkout) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  if (checkout.statutPaiement === PAYMENT_STATUS.SUCCESS) {
+    res.status(400);
+    throw new Error('Cette commande a déjà été payée');
+  }
+
+  if (checkout.modePaiement === PAYMENT_MODES.CASH) {
+    res.status(400);
+    throw new Error('Cette commande est prévue pour un paiement en espèces');
+  }
+
+  const commandes = await Commande.findAll({ where: { checkoutId: checkout.id } });
+
+  if (commandes.some(c => c.statut === ORDER_STATUS.CANCELLED)) {
+    res.status(400);
+    throw new Error(RESERVATION_EXPIRED);
+  }
+
+  const paiementCheck = await checkPaymentMode({
+    client: req.user,
+    prestataireIds: commandes.map(c => c.prestataireId),
+    total: parseFloat(checkout.total),
+    modePaiement: checkout.modePaiement
+  });
+  if (!paiementCheck.valid) {
+    res.status(400);
+    throw new Error(paiementCheck.error);
+  }
+
+  const result = await getPaymentProvider(checkout.modePaiement).initiate({
+    reference: checkout.numero,
+    amount: parseFloat(checkout.total),
+    description: `Commande EATERZ #${checkout.numero}`,
+    cardType: cardType || checkout.modePaiement,
+    returnUrl,
+    customer: { email: req.user.email, telephone: req.user.telephone }
+  });
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      error: result.error,
+      code: result.code
+    });
+  }
+
+  await checkout.update({
+    statutPaiement: PAYMENT_STATUS.PENDING,
+    transactionId: result.transactionId
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sessionId: result.transactionId,
+      checkoutId: checkout.id,
+      orderNumber: result.orderNumber,
+      paymentUrl: result.paymentUrl,
+      expiresAt: result.expiresAt,
+      amount: result.amount,
+      cardType: result.cardType
+    }
+  });
+};
 
 /**
  * @desc    Initier un paiement SATIM (CIB/EDAHABIA)
@@ -10,7 +114,12 @@ const satimService = require('../services/satimService');
  * @access  Private
  */
 const initiatePayment = asyncHandler(async (req, res) => {
-  const { commandeId, cardType, returnUrl } = req.body;
+  const { commandeId, checkoutId, cardType, returnUrl } = req.body;
+
+  // Checkout multi-prestataires : une seule session de paiement pour toutes les sous-commandes
+  if (checkoutId) {
+    return initiateCheckoutPayment(req, res);
+  }
 
   // Récupérer la commande
   const commande = await Commande.findOne({
@@ -33,29 +142,50 @@ const initiatePayment = asyncHandler(async (req, res) => {
     throw new Error('Cette commande est prévue pour un paiement en espèces');
   }
 
-  // Initialiser la session de paiement SATIM
-  const result = await satimService.initializePayment({
-    orderId: commande.numero,
-    amount: parseFloat(commande.total),
+  if (commande.statut === ORDER_STATUS.CANCELLED) {
+    res.status(400);
+    throw new Error(RESERVATION_EXPIRED);
+  }
+
+  if (commande.checkoutId) {
+    res.status(400);
+    throw new Error('Cette commande fait partie d\'un checkout groupé : réglez le checkout en une fois');
+  }
+
+  // Le paiement en ligne a pu être désactivé depuis la création de la commande
+  const paiementCheck = await checkPaymentMode({
+    client: req.user,
+    prestataireIds: [commande.prestataireId],
+    total: parseFloat(commande.total),
+    montantMode: commande.getMontantAPayer(),
+    modePaiement: commande.modePaiement
+  });
+  if (!paiementCheck.valid) {
+    res.status(400);
+    throw new Error(paiementCheck.error);
+  }
+
+  // Enregistrer la transaction auprès du fournisseur de paiement
+  const result = await getPaymentProvider(commande.modePaiement).initiate({
+    reference: commande.numero,
+    amount: commande.getMontantAPayer(),
     description: `Commande EATERZ #${commande.numero}`,
-    customerEmail: req.user.email,
-    customerPhone: req.user.telephone,
     cardType: cardType || commande.modePaiement,
     returnUrl,
-    language: 'FR'
+    customer: { email: req.user.email, telephone: req.user.telephone }
   });
 
   if (result.success) {
     // Mettre à jour le statut en "en attente"
     await commande.update({
       statutPaiement: PAYMENT_STATUS.PENDING,
-      transactionId: result.sessionId
+      transactionId: result.transactionId
     });
 
     res.json({
       success: true,
       data: {
-        sessionId: result.sessionId,
+        sessionId: result.transactionId,
         orderNumber: result.orderNumber,
         paymentUrl: result.paymentUrl,
         expiresAt: result.expiresAt,
@@ -73,21 +203,163 @@ const initiatePayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Traiter un paiement direct (sans redirection)
+ * Paiement unique d'un checkout multi-prestataires, au retour de la page de paiement :
+ * une seule transaction carte, reportée sur chaque sous-commande
+ */
+const processCheckoutPayment = async (req, res, checkout) => {
+  const { cardType } = req.body;
+
+  if (checkout.statutPaiement === PAYMENT_STATUS.SUCCESS) {
+    res.status(400);
+    throw new Error('Cette commande a déjà été payée');
+  }
+
+  if (!checkout.transactionId) {
+    res.status(400);
+    throw new Error(PAYMENT_NOT_INITIATED);
+  }
+
+  const commandes = await Commande.findAll({ where: { checkoutId: checkout.id } });
+
+  if (commandes.some(c => c.statut === ORDER_STATUS.CANCELLED)) {
+    res.status(400);
+    throw new Error(RESERVATION_EXPIRED);
+  }
+
+  const paiementCheck = await checkPaymentMode({
+    client: req.user,
+    prestataireIds: commandes.map(c => c.prestataireId),
+    total: parseFloat(checkout.total),
+    modePaiement: checkout.modePaiement
+  });
+  if (!paiementCheck.valid) {
+    res.status(400);
+    throw new Error(paiementCheck.error);
+  }
+
+  // Toutes les sous-commandes passent en cours de paiement, ou aucune
+  const transaction = await sequelize.transaction();
+  let claimed;
+  try {
+    [claimed] = await Commande.update(
+      { statutPaiement: PAYMENT_STATUS.PROCESSING },
+      { where: { ...payableWhere, checkoutId: checkout.id }, transaction }
+    );
+    await checkout.update({ statutPaiement: PAYMENT_STATUS.PROCESSING }, { transaction });
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  if (claimed !== commandes.length) {
+    await transaction.rollback();
+    res.status(409);
+    throw new Error('Un paiement est déjà en cours pour cette commande ou elle n\'est plus disponible');
+  }
+  await transaction.commit();
+
+  // Vérifier la transaction de la session : le montant attendu est celui du checkout
+  const result = await getPaymentProvider(checkout.modePaiement).confirm({
+    transactionId: checkout.transactionId,
+    amount: parseFloat(checkout.total),
+    cardType: cardType || checkout.modePaiement
+  });
+
+  const paiementDetails = result.success
+    ? {
+      cardLast4: result.cardLast4,
+      cardType: result.cardType,
+      authorizationCode: result.authorizationCode,
+      responseCode: result.responseCode,
+      timestamp: result.timestamp
+    }
+    : {
+      error: result.error,
+      code: result.code,
+      transactionId: result.transactionId,
+      timestamp: new Date().toISOString()
+    };
+  const statutPaiement = result.success ? PAYMENT_STATUS.SUCCESS : PAYMENT_STATUS.FAILED;
+
+  await checkout.update({
+    statutPaiement,
+    transactionId: result.success ? result.transactionId : checkout.transactionId,
+    paiementDetails
+  });
+
+  for (const commande of commandes) {
+    const updateData = {
+      statutPaiement,
+      transactionId: result.success ? result.transactionId : commande.transactionId,
+      paiementDetails: {
+        ...paiementDetails,
+        checkoutId: checkout.id,
+        checkoutNumero: checkout.numero,
+        montantPart: parseFloat(commande.total)
+      }
+    };
+    // Échec : le stock reste réservé jusqu'à sa libération par stockReservationJob
+    if (result.success) {
+      await commitPayment(commande, updateData);
+    } else {
+      await commande.update(updateData);
+    }
+  }
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      transactionId: result.transactionId
+    });
+  }
+
+  emitToUser(req.user.id, 'paiement:success', {
+    checkoutId: checkout.id,
+    commandeIds: commandes.map(c => c.id),
+    transactionId: result.transactionId,
+    amount: result.amount
+  });
+
+  for (const commande of commandes) {
+    emitToUser(commande.prestataireId, 'commande:payee', {
+      commandeId: commande.id,
+      numero: commande.numero
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Paiement effectué avec succès',
+    data: {
+      checkoutId: checkout.id,
+      transactionId: result.transactionId,
+      authorizationCode: result.authorizationCode,
+      cardLast4: result.cardLast4,
+      cardType: result.cardType,
+      amount: result.amount,
+      responseCode: result.responseCode
+    }
+  });
+};
+
+/**
+ * @desc    Confirmer un paiement par carte au retour de la page de paiement
+ *          (session ouverte par POST /api/paiements/initiate)
  * @route   POST /api/paiements/process
  * @access  Private
  */
 const processPayment = asyncHandler(async (req, res) => {
-  const {
-    orderId,
-    amount,
-    cardType,
-    cardNumber,
-    cardholderName,
-    expiryMonth,
-    expiryYear,
-    cvv
-  } = req.body;
+  const { orderId, cardType } = req.body;
+
+  // Checkout multi-prestataires : un seul paiement pour toutes les sous-commandes
+  const checkout = await Checkout.findOne({
+    where: { numero: orderId, clientId: req.user.id }
+  });
+  if (checkout) {
+    return processCheckoutPayment(req, res, checkout);
+  }
 
   // Récupérer la commande
   const commande = await Commande.findOne({
@@ -116,24 +388,53 @@ const processPayment = asyncHandler(async (req, res) => {
     throw new Error('Cette commande a déjà été payée');
   }
 
-  // Mettre à jour le statut en "en cours de traitement"
-  await targetCommande.update({ statutPaiement: PAYMENT_STATUS.PROCESSING });
+  if (targetCommande.checkoutId) {
+    res.status(400);
+    throw new Error('Cette commande fait partie d\'un checkout groupé : réglez le checkout en une fois');
+  }
+
+  if (targetCommande.statut === ORDER_STATUS.CANCELLED) {
+    res.status(400);
+    throw new Error(RESERVATION_EXPIRED);
+  }
+
+  if (!targetCommande.transactionId) {
+    res.status(400);
+    throw new Error(PAYMENT_NOT_INITIATED);
+  }
+
+  const paiementCheck = await checkPaymentMode({
+    client: req.user,
+    prestataireIds: [targetCommande.prestataireId],
+    total: parseFloat(targetCommande.total),
+    montantMode: targetCommande.getMontantAPayer(),
+    modePaiement: targetCommande.modePaiement
+  });
+  if (!paiementCheck.valid) {
+    res.status(400);
+    throw new Error(paiementCheck.error);
+  }
+
+  // Passer en "en cours de traitement" : la réservation du stock ne peut plus être libérée
+  const [claimed] = await Commande.update(
+    { statutPaiement: PAYMENT_STATUS.PROCESSING },
+    { where: { ...payableWhere, id: targetCommande.id } }
+  );
+  if (claimed === 0) {
+    res.status(409);
+    throw new Error('Un paiement est déjà en cours pour cette commande ou elle n\'est plus disponible');
+  }
 
-  // Traiter le paiement via SATIM
-  const result = await satimService.processDirectPayment({
-    sessionId: targetCommande.transactionId || targetCommande.numero,
-    cardNumber,
-    expiryMonth,
-    expiryYear,
-    cvv,
-    cardholderName,
-    amount: parseFloat(amount || targetCommande.total),
-    cardType
+  // Vérifier auprès du fournisseur que la transaction est payée, du montant de la commande
+  const result = await getPaymentProvider(targetCommande.modePaiement).confirm({
+    transactionId: targetCommande.transactionId,
+    amount: targetCommande.getMontantAPayer(),
+    cardType: cardType || targetCommande.modePaiement
   });
 
   if (result.success) {
-    // Paiement réussi
-    await targetCommande.update({
+    // Paiement réussi : la réservation du stock devient définitive
+    await commitPayment(targetCommande, {
       statutPaiement: PAYMENT_STATUS.SUCCESS,
       transactionId: result.transactionId,
       paiementDetails: {
@@ -216,13 +517,50 @@ const confirmCashPayment = asyncHandler(async (req, res) => {
     throw new Error('Commande non trouvée');
   }
 
-  // Mettre à jour pour paiement en espèces
-  await commande.update({
-    modePaiement: 'especes',
-    statutPaiement: PAYMENT_STATUS.PENDING // En attente de réception par le livreur
+  if (commande.statut === ORDER_STATUS.CANCELLED) {
+    res.status(400);
+    throw new Error('Cette commande a été annulée');
+  }
+
+  // Une commande payée, remboursée ou réglée d'avance n'a plus rien à encaisser à la livraison
+  if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(commande.statutPaiement)) {
+    res.status(400);
+    throw new Error('Cette commande a déjà été payée');
+  }
+  if (commande.getMontantAPayer() <= 0) {
+    res.status(400);
+    throw new Error('Cette commande est entièrement réglée par le portefeuille ou les cartes cadeaux');
+  }
+
+  // Paiement à la livraison autorisé pour ce montant (réglages admin et boutique, plafond des nouveaux comptes)
+  const paiementCheck = await checkPaymentMode({
+    client: req.user,
+    prestataireIds: [commande.prestataireId],
+    total: parseFloat(commande.total),
+    montantMode: commande.getMontantAPayer(),
+    modePaiement: PAYMENT_MODES.CASH
   });
+  if (!paiementCheck.valid) {
+    res.status(400);
+    throw new Error(paiementCheck.error);
+  }
+
+  // Mettre à jour pour paiement en espèces (en attente de réception par le livreur),
+  // sauf si un paiement en ligne a démarré entre-temps. Le stock reste acquis comme
+  // pour une commande créée en espèces : la réservation n'expire plus
+  const [updated] = await Commande.update(
+    { modePaiement: PAYMENT_MODES.CASH, statutPaiement: PAYMENT_STATUS.PENDING, stockReserveJusquA: null },
+    { where: { id: commande.id, ...payableWhere } }
+  );
+  if (updated === 0) {
+    res.status(409);
+    throw new Error('Un paiement est déjà en cours pour cette commande');
+  }
 
-  const cashInfo = satimService.generateCashPaymentInfo(commande.numero, parseFloat(commande.total));
+  const cashInfo = await getPaymentProvider(PAYMENT_MODES.CASH).initiate({
+    reference: commande.numero,
+    amount: commande.getMontantAPayer()
+  });
 
   res.json({
     success: true,
@@ -256,8 +594,8 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
     throw new Error('Transaction non trouvée');
   }
 
-  // Vérifier le statut auprès de SATIM
-  const status = await satimService.checkPaymentStatus(transactionId);
+  // Vérifier le statut auprès du fournisseur de paiement
+  const status = await getPaymentProvider(commande.modePaiement).status({ transactionId });
 
   res.json({
     success: true,
@@ -312,12 +650,148 @@ const getPaymentHistory = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Demander un remboursement
+ * Remboursement admin crédité sur le portefeuille du client
+ * (commande déjà réservée au remboursement par requestRefund)
+ */
+const refundOrderToWallet = async (req, res, commande, restant) => {
+  const { montant, motif } = req.body;
+
+  // Remboursement complet : la part réglée d'avance retourne d'abord aux cartes cadeaux et au portefeuille
+  const prepaye = montant
+    ? { cartesCadeaux: 0, portefeuille: 0 }
+    : await restorePrepaidShares(commande, { montantMax: restant, motif: 'Remboursement' });
+  const montantPortefeuille = montant
+    ? parseFloat(montant)
+    : Math.round((restant - prepaye.cartesCadeaux - prepaye.portefeuille) * 100) / 100;
+  const montantRemboursement = Math.round((montantPortefeuille + prepaye.cartesCadeaux + prepaye.portefeuille) * 100) / 100;
+
+  let mouvement = null;
+  if (montantPortefeuille > 0) {
+    const credit = await refundToWallet({
+      commande,
+      montant: montantPortefeuille,
+      motif: motif || 'Remboursement client',
+      adminId: req.user.id
+    });
+    if (!credit.success) {
+      res.status(400);
+      throw new Error(credit.error);
+    }
+    mouvement = credit.mouvement;
+  }
+
+  await completeRefund(commande, {
+    paiementDetails: {
+      ...commande.paiementDetails,
+      refund: {
+        destination: REFUND_DESTINATIONS.WALLET,
+        transactionPortefeuilleId: mouvement ? mouvement.id : null,
+        amount: montantRemboursement,
+        cartesCadeaux: prepaye.cartesCadeaux,
+        partPortefeuille: prepaye.portefeuille,
+        reason: motif || 'Remboursement client',
+        timestamp: new Date().toISOString()
+      }
+    }
+  });
+
+  return {
+    message: 'Remboursement crédité sur le portefeuille du client',
+    montantRemboursement,
+    mouvement,
+    data: {
+      destination: REFUND_DESTINATIONS.WALLET,
+      amount: montantRemboursement,
+      portefeuille: montantPortefeuille,
+      cartesCadeaux: prepaye.cartesCadeaux,
+      partPortefeuille: prepaye.portefeuille,
+      soldePortefeuille: mouvement ? parseFloat(mouvement.soldeApres) : null
+    }
+  };
+};
+
+/**
+ * Remboursement admin sur la carte du paiement initial
+ * (commande déjà réservée au remboursement par requestRefund)
+ * @returns {Promise<Object|null>} null si le fournisseur a refusé le remboursement
+ */
+const refundOrderToCard = async (req, res, commande, { restant, montantCarte }) => {
+  const { montant, motif } = req.body;
+
+  // Traiter le remboursement auprès du fournisseur de paiement
+  let result = null;
+  if (montantCarte > 0) {
+    result = await getPaymentProvider(commande.modePaiement).refund({
+      transactionId: commande.transactionId,
+      amount: montantCarte,
+      reason: motif || 'Remboursement client'
+    });
+
+    if (!result.success) {
+      await releaseRefund(commande);
+      res.status(400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+      return null;
+    }
+
+    // Enregistré aussitôt : le remboursement carte ne doit pas être perdu si la suite échoue
+    await commande.update({
+      paiementDetails: withOriginalRefund(commande.paiementDetails, montantCarte, {
+        refundId: result.refundId,
+        amount: result.amount,
+        reason: result.reason,
+        status: result.status,
+        timestamp: result.timestamp,
+        estimatedDelay: result.estimatedDelay
+      })
+    });
+  }
+
+  // Remboursement complet : le reste (cartes cadeaux, portefeuille) retourne à la part réglée d'avance
+  const prepaye = montant
+    ? { cartesCadeaux: 0, portefeuille: 0 }
+    : await restorePrepaidShares(commande, {
+      montantMax: Math.round((restant - montantCarte) * 100) / 100,
+      motif: 'Remboursement'
+    });
+  const montantRemboursement = Math.round((montantCarte + prepaye.cartesCadeaux + prepaye.portefeuille) * 100) / 100;
+
+  await completeRefund(commande);
+
+  // Notification au client
+  emitToUser(commande.clientId, 'paiement:refund', {
+    commandeId: commande.id,
+    refundId: result?.refundId,
+    amount: montantRemboursement,
+    estimatedDelay: result?.estimatedDelay
+  });
+
+  return {
+    message: 'Remboursement initié avec succès',
+    montantRemboursement,
+    mouvement: null,
+    data: {
+      refundId: result?.refundId,
+      amount: montantRemboursement,
+      carte: montantCarte,
+      status: result?.status,
+      estimatedDelay: result?.estimatedDelay,
+      cartesCadeaux: prepaye.cartesCadeaux,
+      partPortefeuille: prepaye.portefeuille
+    }
+  };
+};
+
+/**
+ * @desc    Demander un remboursement (vers la carte ou le portefeuille du client)
  * @route   POST /api/paiements/refund
  * @access  Private/Admin
  */
 const requestRefund = asyncHandler(async (req, res) => {
-  const { commandeId, montant, motif } = req.body;
+  const { commandeId, montant, motif, destination = REFUND_DESTINATIONS.ORIGINAL } = req.body;
 
   const commande = await Commande.findByPk(commandeId);
 
@@ -331,61 +805,76 @@ const requestRefund = asyncHandler(async (req, res) => {
     throw new Error('Cette commande ne peut pas être remboursée');
   }
 
-  if (!commande.transactionId || commande.modePaiement === 'especes') {
+  // Le cumul des remboursements (litiges, annulation, carte, portefeuille) ne dépasse pas ce qui a été payé
+  const { restant } = await getRefundSummary(commande);
+  if (restant <= 0) {
+    res.status(400);
+    throw new Error('Cette commande a déjà été entièrement remboursée');
+  }
+  if (montant && parseFloat(montant) > restant) {
+    res.status(400);
+    throw new Error(`Le montant dépasse le reste remboursable de la commande (${restant} DA)`);
+  }
+
+  const versCarte = destination !== REFUND_DESTINATIONS.WALLET;
+  if (versCarte && (!commande.transactionId || commande.modePaiement === 'especes')) {
     res.status(400);
     throw new Error('Pas de transaction à rembourser (paiement en espèces)');
   }
 
-  const montantRemboursement = montant || parseFloat(commande.total);
+  // Seule la part réglée par carte, et pas encore rendue, peut y retourner
+  const partCarte = Math.round(Math.min(
+    commande.getMontantAPayer() - parseFloat(commande.paiementDetails?.montantRembourseMoyenInitial || 0),
+    restant
+  ) * 100) / 100;
+  const montantCarte = montant ? parseFloat(montant) : Math.max(partCarte, 0);
+  if (versCarte && montantCarte > partCarte) {
+    res.status(400);
+    throw new Error('Le montant dépasse la part payée par carte : remboursez le reste sur le portefeuille');
+  }
 
-  // Traiter le remboursement via SATIM
-  const result = await satimService.initiateRefund(
-    commande.transactionId,
-    montantRemboursement,
-    motif || 'Remboursement client'
-  );
+  // Réserver le remboursement : deux demandes simultanées ne remboursent pas deux fois
+  if (!await claimRefund(commande)) {
+    res.status(409);
+    throw new Error('Un remboursement est déjà en cours pour cette commande');
+  }
 
-  if (result.success) {
-    await commande.update({
-      statutPaiement: PAYMENT_STATUS.REFUNDED,
-      paiementDetails: {
-        ...commande.paiementDetails,
-        refund: {
-          refundId: result.refundId,
-          amount: result.amount,
-          reason: result.reason,
-          status: result.status,
-          timestamp: result.timestamp,
-          estimatedDelay: result.estimatedDelay
-        }
-      }
-    });
+  let remboursement;
+  try {
+    // Crédit immédiat du portefeuille, quel que soit le moyen de paiement initial
+    remboursement = versCarte
+      ? await refundOrderToCard(req, res, commande, { restant, montantCarte })
+      : await refundOrderToWallet(req, res, commande, restant);
+  } catch (error) {
+    await releaseRefund(commande);
+    throw error;
+  }
+  if (!remboursement) return;
 
-    // Notification au client
-    emitToUser(commande.clientId, 'paiement:refund', {
-      commandeId: commande.id,
-      refundId: result.refundId,
-      amount: result.amount,
-      estimatedDelay: result.estimatedDelay
-    });
+  await issueRefundCreditNote({
+    commandeId: commande.id,
+    montant: remboursement.montantRemboursement,
+    motif: motif || 'Remboursement client'
+  });
+  await recordRefund({
+    commandeId: commande.id,
+    montant: remboursement.montantRemboursement,
+    motif: motif || 'Remboursement client'
+  });
 
-    res.json({
-      success: true,
-      message: 'Remboursement initié avec succès',
-      data: {
-        refundId: result.refundId,
-        amount: result.amount,
-        status: result.status,
-        estimatedDelay: result.estimatedDelay
-      }
-    });
-  } else {
-    res.status(400).json({
-      success: false,
-      error: result.error,
-      code: result.code
+  if (remboursement.mouvement) {
+    emitToUser(commande.clientId, 'portefeuille:credit', {
+      commandeId: commande.id,
+      montant: parseFloat(remboursement.mouvement.montant),
+      solde: parseFloat(remboursement.mouvement.soldeApres)
     });
   }
+
+  res.json({
+    success: true,
+    message: remboursement.message,
+    data: remboursement.data
+  });
 });
 
 /**
@@ -399,7 +888,7 @@ const satimWebhook = asyncHandler(async (req, res) => {
   console.log('Webhook SATIM reçu:', { orderId, amount, status, actionCode });
 
   // Traiter le webhook
-  const result = await satimService.handleWebhook({
+  const result = await getOnlineProvider().parseWebhook({
     orderId,
     amount,
     status,
@@ -427,7 +916,7 @@ const satimWebhook = asyncHandler(async (req, res) => {
       ? PAYMENT_STATUS.SUCCESS
       : PAYMENT_STATUS.FAILED;
 
-    await commande.update({
+    const updateData = {
       statutPaiement: newStatus,
       paiementDetails: {
         ...commande.paiementDetails,
@@ -435,7 +924,13 @@ const satimWebhook = asyncHandler(async (req, res) => {
         webhookTimestamp: result.timestamp,
         actionCode: result.actionCode
       }
-    });
+    };
+    let committed = false;
+    if (newStatus === PAYMENT_STATUS.SUCCESS) {
+      ({ committed } = await commitPayment(commande, updateData));
+    } else {
+      await commande.update(updateData);
+    }
 
     // Notification au client
     emitToUser(commande.clientId, `paiement:${result.status.toLowerCase()}`, {
@@ -444,8 +939,8 @@ const satimWebhook = asyncHandler(async (req, res) => {
       amount: result.amount
     });
 
-    // Notification au prestataire si succès
-    if (newStatus === PAYMENT_STATUS.SUCCESS && commande.prestataireId) {
+    // Notification au prestataire si succès (commande toujours active)
+    if (committed && commande.prestataireId) {
       emitToUser(commande.prestataireId, 'commande:payee', {
         commandeId: commande.id,
         numero: commande.numero
@@ -479,48 +974,29 @@ const paymentWebhook = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Obtenir les méthodes de paiement disponibles
- * @route   GET /api/paiements/methods
- * @access  Public
+ * @desc    Obtenir les méthodes de paiement autorisées pour le panier
+ * @route   GET /api/paiements/methods?prestataireIds=1,2&montant=2500
+ * @access  Public (plafond espèces des nouveaux comptes si connecté)
  */
 const getPaymentMethods = asyncHandler(async (req, res) => {
+  const prestataireIds = req.query.prestataireIds
+    ? String(req.query.prestataireIds).split(',').map(id => parseInt(id, 10)).filter(Number.isInteger)
+    : [];
+  const montant = req.query.montant !== undefined ? parseFloat(req.query.montant) : undefined;
+
+  const prestataires = prestataireIds.length > 0
+    ? await User.findAll({ where: { id: prestataireIds }, attributes: ['id', 'reglesCommande'] })
+    : [];
+  const options = await getPaymentOptions({ client: req.user, prestataires, total: montant });
+
   res.json({
     success: true,
-    data: [
-      {
-        id: 'cib',
-        name: 'Carte CIB',
-        description: 'Carte interbancaire algérienne',
-        icon: 'credit-card',
-        enabled: true,
-        limits: {
-          min: satimService.SATIM_CONFIG.LIMITS.MIN_AMOUNT,
-          max: satimService.SATIM_CONFIG.LIMITS.MAX_AMOUNT
-        }
-      },
-      {
-        id: 'edahabia',
-        name: 'Carte EDAHABIA',
-        description: 'Carte postale Algérie Poste',
-        icon: 'wallet',
-        enabled: true,
-        limits: {
-          min: satimService.SATIM_CONFIG.LIMITS.MIN_AMOUNT,
-          max: satimService.SATIM_CONFIG.LIMITS.MAX_AMOUNT
-        }
-      },
-      {
-        id: 'especes',
-        name: 'Paiement à la livraison',
-        description: 'Espèces au livreur',
-        icon: 'banknote',
-        enabled: true,
-        limits: {
-          min: 100,
-          max: 50000
-        }
-      }
-    ]
+    data: options
+      .filter(option => option.disponible)
+      .map(option => ({ id: option.mode, ...PAYMENT_METHODS[option.mode], enabled: true, limits: option.limites })),
+    indisponibles: options
+      .filter(option => !option.disponible)
+      .map(option => ({ id: option.mode, raison: option.raison }))
   });
 });
 
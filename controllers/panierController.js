@@ -0,0 +1,354 @@
+const { Panier, PanierItem, Plat, User } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { resolveItemOptions } = require('../services/platOptionsService');
+const { createCommande } = require('./commandeController');
+const { createCheckout } = require('./checkoutController');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Récupérer (ou créer) le panier du client
+ */
+const getOrCreatePanier = async (clientId) => {
+  const [panier] = await Panier.findOrCreate({
+    where: { clientId },
+    defaults: { clientId }
+  });
+  return panier;
+};
+
+/**
+ * Ne conserver que le nom et le choix des options (les suppléments viennent du catalogue)
+ */
+const normalizeSelections = (options) => (Array.isArray(options) ? options : [])
+  .map(opt => ({ nom: opt.nom, choix: opt.choix }));
+
+/**
+ * Revalider chaque ligne du panier contre le catalogue actuel
+ * (disponibilité, stock, options et prix)
+ */
+const buildPanierView = async (panier) => {
+  const items = await PanierItem.findAll({
+    where: { panierId: panier.id },
+    include: [{
+      model: Plat,
+      as: 'plat',
+      include: [{ model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] }]
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const lignes = [];
+  let sousTotal = 0;
+
+  for (const item of items) {
+    const plat = item.plat;
+    const alertes = [];
+    let prixUnitaire = null;
+    let options = item.options || [];
+
+    if (!plat || plat.isDeleted || !plat.isAvailable) {
+      alertes.push('indisponible');
+    } else {
+      // Le stock est comparé à la quantité cumulée du même plat dans le panier
+      const quantiteTotale = items
+        .filter(i => i.platId === item.platId)
+        .reduce((sum, i) => sum + i.quantite, 0);
+      if (plat.stock !== -1 && plat.stock < quantiteTotale) {
+        alertes.push('stock_insuffisant');
+      }
+
+      const optionsResult = resolveItemOptions(plat, normalizeSelections(item.options));
+      if (!optionsResult.valid) {
+        alertes.push('options_invalides');
+      } else {
+        options = optionsResult.options;
+        prixUnitaire = round(plat.getPrixActuel() + optionsResult.supplementsTotal);
+        if (prixUnitaire !== parseFloat(item.prixVu)) {
+          alertes.push('prix_modifie');
+        }
+      }
+    }
+
+    const ligneSousTotal = prixUnitaire !== null ? round(prixUnitaire * item.quantite) : 0;
+    if (alertes.length === 0 || (alertes.length === 1 && alertes[0] === 'prix_modifie')) {
+      sousTotal += ligneSousTotal;
+    }
+
+    lignes.push({
+      id: item.id,
+      platId: item.platId,
+      nom: plat ? plat.getNom() : null,
+      image: plat ? plat.image : null,
+      prestataire: plat ? plat.prestataire : null,
+      quantite: item.quantite,
+      options,
+      instructions: item.instructions,
+      prixVu: parseFloat(item.prixVu),
+      prixUnitaire,
+      sousTotal: ligneSousTotal,
+      stock: plat ? plat.stock : 0,
+      alertes
+    });
+  }
+
+  return {
+    id: panier.id,
+    items: lignes,
+    prestataireIds: [...new Set(lignes.filter(l => l.prestataire).map(l => l.prestataire.id))],
+    nombreArticles: lignes.reduce((sum, l) => sum + l.quantite, 0),
+    sousTotal: round(sousTotal),
+    aDesAlertes: lignes.some(l => l.alertes.length > 0),
+    derniereActivite: panier.derniereActivite
+  };
+};
+
+/**
+ * Enregistrer le prix actuel comme prix vu par le client
+ */
+const acknowledgePrices = async (view) => {
+  for (const ligne of view.items) {
+    if (ligne.alertes.includes('prix_modifie')) {
+      await PanierItem.update({ prixVu: ligne.prixUnitaire }, { where: { id: ligne.id } });
+    }
+  }
+};
+
+/**
+ * Marquer une activité client sur le panier (réarme la relance panier abandonné)
+ */
+const touchPanier = (panier) => panier.update({ derniereActivite: new Date(), relanceEnvoyeeAt: null });
+
+/**
+ * @desc    Obtenir mon panier revalidé
+ * @route   GET /api/panier
+ * @access  Private/Client
+ */
+const getPanier = asyncHandler(async (req, res) => {
+  const panier = await getOrCreatePanier(req.user.id);
+  const view = await buildPanierView(panier);
+
+  // Les changements de prix sont signalés une fois, puis considérés comme vus
+  await acknowledgePrices(view);
+
+  res.json({
+    success: true,
+    data: view
+  });
+});
+
+/**
+ * @desc    Ajouter un plat au panier
+ * @route   POST /api/panier/items
+ * @access  Private/Client
+ */
+const ajouterAuPanier = asyncHandler(async (req, res) => {
+  const { platId, quantite = 1, options, instructions } = req.body;
+
+  const plat = await Plat.findOne({ where: { id: platId, isDeleted: false } });
+  if (!plat) {
+    res.status(404);
+    throw new Error('Plat non trouvé');
+  }
+
+  if (!plat.isAvailable) {
+    res.status(400);
+    throw new Error(`Le plat "${plat.getNom()}" n'est pas disponible`);
+  }
+
+  const selections = normalizeSelections(options);
+  const optionsResult = resolveItemOptions(plat, selections);
+  if (!optionsResult.valid) {
+    res.status(400);
+    throw new Error(optionsResult.error);
+  }
+
+  const panier = await getOrCreatePanier(req.user.id);
+  const items = await PanierItem.findAll({ where: { panierId: panier.id } });
+
+  const quantiteDejaPresente = items
+    .filter(i => i.platId === plat.id)
+    .reduce((sum, i) => sum + i.quantite, 0);
+  if (plat.stock !== -1 && plat.stock < quantiteDejaPresente + quantite) {
+    res.status(400);
+    throw new Error(`Stock insuffisant pour "${plat.getNom()}"`);
+  }
+
+  const prixVu = round(plat.getPrixActuel() + optionsResult.supplementsTotal);
+
+  // Fusionner avec une ligne identique (même plat, mêmes options, mêmes instructions)
+  const existant = items.find(i =>
+    i.platId === plat.id &&
+    JSON.stringify(normalizeSelections(i.options)) === JSON.stringify(selections) &&
+    (i.instructions || null) === (instructions || null)
+  );
+
+  if (existant) {
+    await existant.update({ quantite: existant.quantite + quantite, prixVu });
+  } else {
+    await PanierItem.create({
+      panierId: panier.id,
+      platId: plat.id,
+      quantite,
+      options: selections,
+      instructions,
+      prixVu
+    });
+  }
+
+  await touchPanier(panier);
+
+  res.status(201).json({
+    success: true,
+    message: 'Plat ajouté au panier',
+    data: await buildPanierView(panier)
+  });
+});
+
+/**
+ * @desc    Modifier une ligne du panier
+ * @route   PUT /api/panier/items/:itemId
+ * @access  Private/Client
+ */
+const modifierItemPanier = asyncHandler(async (req, res) => {
+  const { quantite, options, instructions } = req.body;
+  const panier = await getOrCreatePanier(req.user.id);
+
+  const item = await PanierItem.findOne({
+    where: { id: req.params.itemId, panierId: panier.id },
+    include: [{ model: Plat, as: 'plat' }]
+  });
+
+  if (!item) {
+    res.status(404);
+    throw new Error('Article non trouvé dans le panier');
+  }
+
+  if (!item.plat || item.plat.isDeleted || !item.plat.isAvailable) {
+    res.status(400);
+    throw new Error('Ce plat n\'est plus disponible');
+  }
+
+  const updateData = {};
+  if (quantite !== undefined) updateData.quantite = quantite;
+  if (instructions !== undefined) updateData.instructions = instructions;
+  if (options !== undefined) updateData.options = normalizeSelections(options);
+
+  const optionsResult = resolveItemOptions(item.plat, updateData.options || normalizeSelections(item.options));
+  if (!optionsResult.valid) {
+    res.status(400);
+    throw new Error(optionsResult.error);
+  }
+
+  if (updateData.quantite !== undefined && item.plat.stock !== -1) {
+    const autresLignes = await PanierItem.sum('quantite', {
+      where: { panierId: panier.id, platId: item.platId }
+    }) - item.quantite;
+    if (item.plat.stock < autresLignes + updateData.quantite) {
+      res.status(400);
+      throw new Error(`Stock insuffisant pour "${item.plat.getNom()}"`);
+    }
+  }
+
+  updateData.prixVu = round(item.plat.getPrixActuel() + optionsResult.supplementsTotal);
+  await item.update(updateData);
+  await touchPanier(panier);
+
+  res.json({
+    success: true,
+    message: 'Panier mis à jour',
+    data: await buildPanierView(panier)
+  });
+});
+
+/**
+ * @desc    Retirer une ligne du panier
+ * @route   DELETE /api/panier/items/:itemId
+ * @access  Private/Client
+ */
+const retirerDuPanier = asyncHandler(async (req, res) => {
+  const panier = await getOrCreatePanier(req.user.id);
+
+  const deleted = await PanierItem.destroy({
+    where: { id: req.params.itemId, panierId: panier.id }
+  });
+
+  if (!deleted) {
+    res.status(404);
+    throw new Error('Article non trouvé dans le panier');
+  }
+
+  await touchPanier(panier);
+
+  res.json({
+    success: true,
+    message: 'Article retiré du panier',
+    data: await buildPanierView(panier)
+  });
+});
+
+/**
+ * @desc    Vider le panier
+ * @route   DELETE /api/panier
+ * @access  Private/Client
+ */
+const viderPanier = asyncHandler(async (req, res) => {
+  const panier = await getOrCreatePanier(req.user.id);
+  await PanierItem.destroy({ where: { panierId: panier.id } });
+  await touchPanier(panier);
+
+  res.json({
+    success: true,
+    message: 'Panier vidé'
+  });
+});
+
+/**
+ * @desc    Passer commande depuis le panier
+ * @route   POST /api/panier/commander
+ * @access  Private/Client
+ */
+const commanderPanier = asyncHandler(async (req, res, next) => {
+  const panier = await getOrCreatePanier(req.user.id);
+  const view = await buildPanierView(panier);
+
+  if (view.items.length === 0) {
+    res.status(400);
+    throw new Error('Le panier est vide');
+  }
+
+  // Le client doit revoir son panier si un prix a changé depuis sa dernière consultation
+  if (view.items.some(l => l.alertes.includes('prix_modifie'))) {
+    await acknowledgePrices(view);
+    res.status(409);
+    throw new Error('Certains prix de votre panier ont changé. Vérifiez votre panier avant de commander.');
+  }
+
+  // Même chemin que POST /api/commandes (ou /api/checkouts si plusieurs prestataires) ;
+  // le panier est vidé dans la transaction de création
+  req.body = {
+    ...req.body,
+    prestataireId: view.prestataireIds[0],
+    items: view.items.map(l => ({
+      platId: l.platId,
+      quantite: l.quantite,
+      options: normalizeSelections(l.options),
+      instructions: l.instructions
+    }))
+  };
+  req.panier = panier;
+
+  if (view.prestataireIds.length > 1) {
+    return createCheckout(req, res, next);
+  }
+  return createCommande(req, res, next);
+});
+
+module.exports = {
+  getPanier,
+  ajouterAuPanier,
+  modifierItemPanier,
+  retirerDuPanier,
+  viderPanier,
+  commanderPanier
+};
@@ -2,6 +2,8 @@ const { Plat, Categorie, User, Avis, Favori, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { paginate, paginationResponse } = require('../utils/helpers');
 const { deleteFile, getFileUrl } = require('../middleware/uploadMiddleware');
+const { parseOptionGroups } = require('../services/platOptionsService');
+const { withWarnings, getPlatWarnings } = require('../services/dietaryProfileService');
 const { Op } = require('sequelize');
 
 /**
@@ -141,7 +143,7 @@ const getPlats = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    ...paginationResponse(plats, count, pageNum, limitNum)
+    ...paginationResponse(withWarnings(plats, req.user?.profilAlimentaire), count, pageNum, limitNum)
   });
 });
 
@@ -273,7 +275,11 @@ const getPlatById = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { ...plat.toJSON(), isFavorite }
+    data: {
+      ...plat.toJSON(),
+      isFavorite,
+      ...(req.user?.profilAlimentaire && { avertissements: getPlatWarnings(plat, req.user.profilAlimentaire) })
+    }
   });
 });
 
@@ -331,6 +337,13 @@ const createPlat = asyncHandler(async (req, res) => {
     throw new Error('Catégorie non trouvée');
   }
 
+  // Valider la définition des options (les formulaires multipart envoient du JSON texte)
+  const optionsCheck = parseOptionGroups(options);
+  if (!optionsCheck.valid) {
+    res.status(400);
+    throw new Error(optionsCheck.error);
+  }
+
   const plat = await Plat.create({
     prestataireId: req.user.id,
     categorieId,
@@ -349,7 +362,7 @@ const createPlat = asyncHandler(async (req, res) => {
     tempPreparation: tempPreparation || 30,
     stock: stock !== undefined ? stock : -1,
     tags: tags || [],
-    options: options || []
+    options: optionsCheck.groups
   });
 
   // Mettre à jour le compteur de la catégorie
@@ -379,6 +392,15 @@ const updatePlat = asyncHandler(async (req, res) => {
 
   const updateData = { ...req.body };
 
+  if (updateData.options !== undefined) {
+    const optionsCheck = parseOptionGroups(updateData.options);
+    if (!optionsCheck.valid) {
+      res.status(400);
+      throw new Error(optionsCheck.error);
+    }
+    updateData.options = optionsCheck.groups;
+  }
+
   // Gérer l'upload d'image
   if (req.file) {
     // Supprimer l'ancienne image
@@ -0,0 +1,69 @@
+const { User, TransactionPortefeuille, Commande } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { paginate, paginationResponse } = require('../utils/helpers');
+
+/**
+ * Solde et journal paginé du portefeuille d'un client
+ */
+const getPortefeuille = async (clientId, { page, limit, type }) => {
+  const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+  const where = { clientId };
+  if (type) where.type = type;
+
+  const [client, { count, rows: transactions }] = await Promise.all([
+    User.findByPk(clientId, { attributes: ['id', 'prenom', 'nom', 'email', 'soldePortefeuille'] }),
+    TransactionPortefeuille.findAndCountAll({
+      where,
+      include: [{ model: Commande, as: 'commande', attributes: ['id', 'numero'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limitNum,
+      offset
+    })
+  ]);
+
+  return { client, ...paginationResponse(transactions, count, pageNum, limitNum) };
+};
+
+/**
+ * @desc    Mon portefeuille : solde et mouvements
+ * @route   GET /api/portefeuille
+ * @access  Private/Client
+ */
+const getMonPortefeuille = asyncHandler(async (req, res) => {
+  const { client, data, pagination } = await getPortefeuille(req.user.id, req.query);
+
+  res.json({
+    success: true,
+    solde: parseFloat(client.soldePortefeuille),
+    data,
+    pagination
+  });
+});
+
+/**
+ * @desc    Portefeuille d'un client (Admin)
+ * @route   GET /api/portefeuille/clients/:id
+ * @access  Private/Admin
+ */
+const getPortefeuilleClient = asyncHandler(async (req, res) => {
+  const { client, data, pagination } = await getPortefeuille(req.params.id, req.query);
+
+  if (!client) {
+    res.status(404);
+    throw new Error('Client non trouvé');
+  }
+
+  res.json({
+    success: true,
+    client,
+    solde: parseFloat(client.soldePortefeuille),
+    data,
+    pagination
+  });
+});
+
+module.exports = {
+  getMonPortefeuille,
+  getPortefeuilleClient
+};
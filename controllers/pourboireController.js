@@ -0,0 +1,212 @@
+const { Commande, Livraison, sequelize } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { emitToUser } = require('../config/socket');
+const { getOnlineProvider } = require('../services/paymentProviderService');
+const { getSettings } = require('../services/settingsService');
+const { computeTip, checkTipWindow, creditTip } = require('../services/tipService');
+const { recordTip } = require('../services/ledgerService');
+const { PAYMENT_STATUS } = require('../utils/constants');
+
+const TIP_ALREADY_LEFT = 'Un pourboire a déjà été laissé pour cette commande';
+
+/**
+ * @desc    Laisser un pourboire au livreur après la livraison : ouvre la session de paiement (Client)
+ * @route   POST /api/commandes/:id/pourboire
+ * @access  Private/Client
+ */
+const laisserPourboire = asyncHandler(async (req, res) => {
+  const { montant, pourcentage, cardType, returnUrl } = req.body;
+
+  const commande = await Commande.findOne({
+    where: { id: req.params.id, clientId: req.user.id },
+    include: [{ model: Livraison, as: 'livraison' }]
+  });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  if (!commande.livraison || !commande.livraison.livreurId) {
+    res.status(400);
+    throw new Error('Aucun livreur à remercier pour cette commande');
+  }
+
+  const settings = await getSettings('delivery');
+  const fenetre = checkTipWindow(commande, settings);
+  if (!fenetre.valid) {
+    res.status(400);
+    throw new Error(fenetre.error);
+  }
+
+  const tip = computeTip({ montant, pourcentage, base: parseFloat(commande.sousTotal), settings });
+  if (!tip.valid) {
+    res.status(400);
+    throw new Error(tip.error);
+  }
+  if (tip.pourboire <= 0) {
+    res.status(400);
+    throw new Error('Montant de pourboire invalide');
+  }
+
+  if (parseFloat(commande.pourboireApresLivraison) > 0) {
+    res.status(409);
+    throw new Error(TIP_ALREADY_LEFT);
+  }
+
+  // Le client règle le pourboire sur la page de paiement, puis revient le confirmer
+  const result = await getOnlineProvider().initiate({
+    reference: `${commande.numero}-P`,
+    amount: tip.pourboire,
+    description: `Pourboire commande EATERZ #${commande.numero}`,
+    cardType,
+    returnUrl,
+    customer: { email: req.user.email, telephone: req.user.telephone }
+  });
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      error: result.error,
+      code: result.code
+    });
+  }
+
+  await commande.update({
+    paiementDetails: {
+      ...(commande.paiementDetails || {}),
+      pourboireApresLivraison: {
+        montant: tip.pourboire,
+        transactionId: result.transactionId,
+        cardType,
+        statutPaiement: PAYMENT_STATUS.PENDING,
+        initiatedAt: new Date().toISOString()
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      commandeId: commande.id,
+      pourboire: tip.pourboire,
+      sessionId: result.transactionId,
+      paymentUrl: result.paymentUrl,
+      expiresAt: result.expiresAt
+    }
+  });
+});
+
+/**
+ * @desc    Confirmer le pourboire au retour de la page de paiement (Client)
+ * @route   POST /api/commandes/:id/pourboire/confirmer
+ * @access  Private/Client
+ */
+const confirmerPourboire = asyncHandler(async (req, res) => {
+  const commande = await Commande.findOne({
+    where: { id: req.params.id, clientId: req.user.id },
+    include: [{ model: Livraison, as: 'livraison' }]
+  });
+
+  if (!commande) {
+    res.status(404);
+    throw new Error('Commande non trouvée');
+  }
+
+  const session = commande.paiementDetails?.pourboireApresLivraison;
+  if (!session || !session.transactionId) {
+    res.status(400);
+    throw new Error('Aucun pourboire en cours de paiement pour cette commande');
+  }
+
+  if (parseFloat(commande.pourboireApresLivraison) > 0) {
+    res.status(409);
+    throw new Error(TIP_ALREADY_LEFT);
+  }
+
+  // Vérifier auprès du fournisseur que la transaction est payée, du montant du pourboire
+  const result = await getOnlineProvider().confirm({
+    transactionId: session.transactionId,
+    amount: session.montant,
+    cardType: session.cardType
+  });
+
+  if (!result.success) {
+    await commande.update({
+      paiementDetails: {
+        ...commande.paiementDetails,
+        pourboireApresLivraison: {
+          ...session,
+          statutPaiement: PAYMENT_STATUS.FAILED,
+          error: result.error,
+          code: result.code
+        }
+      }
+    });
+
+    return res.status(400).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      transactionId: result.transactionId
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Un seul pourboire après livraison par commande, même si la confirmation est rejouée
+    const [claimed] = await Commande.update(
+      { pourboireApresLivraison: session.montant },
+      { where: { id: commande.id, pourboireApresLivraison: 0 }, transaction }
+    );
+    if (claimed === 0) {
+      res.status(409);
+      throw new Error(TIP_ALREADY_LEFT);
+    }
+
+    await commande.update({
+      paiementDetails: {
+        ...commande.paiementDetails,
+        pourboireApresLivraison: {
+          montant: session.montant,
+          transactionId: result.transactionId,
+          statutPaiement: PAYMENT_STATUS.SUCCESS,
+          cardLast4: result.cardLast4,
+          cardType: result.cardType,
+          authorizationCode: result.authorizationCode,
+          timestamp: result.timestamp
+        }
+      }
+    }, { transaction });
+
+    await creditTip({ commandeId: commande.id, montant: session.montant, transaction });
+    await recordTip({ commande, livreurId: commande.livraison.livreurId, montant: session.montant, transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  emitToUser(commande.livraison.livreurId, 'livraison:pourboire', {
+    commandeId: commande.id,
+    numero: commande.numero,
+    montant: session.montant
+  });
+
+  res.json({
+    success: true,
+    message: 'Merci ! Votre pourboire a été envoyé au livreur',
+    data: {
+      commandeId: commande.id,
+      pourboire: session.montant,
+      transactionId: result.transactionId
+    }
+  });
+});
+
+module.exports = {
+  laisserPourboire,
+  confirmerPourboire
+};
@@ -2,6 +2,7 @@ const { Commande, Livraison, User, CommandeItem, Plat, sequelize } = require('..
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { DELIVERY_STATUS, ORDER_STATUS } = require('../utils/constants');
 const { Op } = require('sequelize');
+const { transitionCommande } = require('../services/orderStateMachine');
 
 /**
  * Controller Prestataire - Gestion des livraisons
@@ -96,8 +97,16 @@ const marquerCommandePrete = asyncHandler(async (req, res) => {
     }
 
     // Mettre à jour le statut
-    commande.statut = ORDER_STATUS.READY;
-    await commande.save();
+    const result = await transitionCommande(commande, ORDER_STATUS.READY, {
+        acteurId: prestataireId,
+        acteurType: 'prestataire'
+    });
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            message: result.error
+        });
+    }
 
     // Créer une entrée Livraison en attente si elle n'existe pas
     let livraison = await Livraison.findOne({ where: { commandeId: id } });
@@ -113,7 +122,8 @@ const marquerCommandePrete = asyncHandler(async (req, res) => {
             villeRecuperation: prestataire.ville || 'Alger',
             adresseLivraison: commande.adresseLivraison || '',
             villeLivraison: commande.villeLivraison || 'Alger',
-            fraisLivraison: commande.fraisLivraison || 0
+            fraisLivraison: commande.fraisLivraison || 0,
+            pourboire: commande.pourboire || 0
         });
     }
 
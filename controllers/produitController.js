@@ -2,6 +2,7 @@ const { Plat, Categorie, User, Avis, Favori, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { paginate, paginationResponse } = require('../utils/helpers');
 const { deleteFile, getFileUrl } = require('../middleware/uploadMiddleware');
+const { withWarnings, getPlatWarnings } = require('../services/dietaryProfileService');
 const { Op } = require('sequelize');
 
 /**
@@ -150,7 +151,7 @@ const getProduits = asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        ...paginationResponse(produits, count, pageNum, limitNum)
+        ...paginationResponse(withWarnings(produits, req.user?.profilAlimentaire), count, pageNum, limitNum)
     });
 });
 
@@ -307,7 +308,11 @@ const getProduitById = asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        data: { ...produit.toJSON(), isFavorite }
+        data: {
+            ...produit.toJSON(),
+            isFavorite,
+            ...(req.user?.profilAlimentaire && { avertissements: getPlatWarnings(produit, req.user.profilAlimentaire) })
+        }
     });
 });
 
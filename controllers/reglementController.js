@@ -0,0 +1,157 @@
+const { ReleveReglement, User, Notification } = require('../models');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { paginate, paginationResponse } = require('../utils/helpers');
+const { ROLES, NOTIFICATION_TYPES } = require('../utils/constants');
+const { logAdminAction, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const { markStatementPaid } = require('../services/settlementService');
+const { emitToUser } = require('../config/socket');
+
+// Le détail par commande n'est renvoyé que par la consultation d'un relevé
+const LISTE_ATTRIBUTES = { exclude: ['lignes', 'historique'] };
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTES PRESTATAIRE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @desc    Mes relevés de règlement
+ * @route   GET /api/reglements/mes-releves
+ * @access  Private/Prestataire
+ */
+const getMesReleves = asyncHandler(async (req, res) => {
+  const { page, limit, statut } = req.query;
+  const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+  const where = { prestataireId: req.user.id };
+  if (statut) where.statut = statut;
+
+  const { count, rows: releves } = await ReleveReglement.findAndCountAll({
+    where,
+    attributes: LISTE_ATTRIBUTES,
+    order: [['periodeDebut', 'DESC']],
+    limit: limitNum,
+    offset
+  });
+
+  res.json({
+    success: true,
+    ...paginationResponse(releves, count, pageNum, limitNum)
+  });
+});
+
+/**
+ * @desc    Détail d'un relevé
+ * @route   GET /api/reglements/:id
+ * @access  Private (prestataire du relevé, admin)
+ */
+const getReleveById = asyncHandler(async (req, res) => {
+  const releve = await ReleveReglement.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement', 'email'] },
+      { model: User, as: 'admin', attributes: ['id', 'prenom', 'nom'] }
+    ]
+  });
+
+  if (!releve || (req.user.role !== ROLES.ADMIN && releve.prestataireId !== req.user.id)) {
+    res.status(404);
+    throw new Error('Relevé non trouvé');
+  }
+
+  res.json({
+    success: true,
+    data: releve
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTES ADMIN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @desc    Tous les relevés (Admin)
+ * @route   GET /api/reglements
+ * @access  Private/Admin
+ */
+const getAllReleves = asyncHandler(async (req, res) => {
+  const { page, limit, statut, prestataireId } = req.query;
+  const { limit: limitNum, offset, page: pageNum } = paginate(page, limit);
+
+  const where = {};
+  if (statut) where.statut = statut;
+  if (prestataireId) where.prestataireId = prestataireId;
+
+  const { count, rows: releves } = await ReleveReglement.findAndCountAll({
+    where,
+    attributes: LISTE_ATTRIBUTES,
+    include: [{ model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] }],
+    order: [['periodeDebut', 'DESC'], ['id', 'ASC']],
+    limit: limitNum,
+    offset
+  });
+
+  res.json({
+    success: true,
+    ...paginationResponse(releves, count, pageNum, limitNum)
+  });
+});
+
+/**
+ * @desc    Marquer un relevé comme payé (Admin)
+ * @route   PUT /api/reglements/:id/payer
+ * @access  Private/Admin
+ */
+const payerReleve = asyncHandler(async (req, res) => {
+  const { referencePaiement, commentaire } = req.body;
+
+  const result = await markStatementPaid({
+    releveId: req.params.id,
+    adminId: req.user.id,
+    referencePaiement,
+    commentaire
+  });
+
+  if (!result.success) {
+    res.status(result.error === 'Relevé non trouvé' ? 404 : 400);
+    throw new Error(result.error);
+  }
+
+  const { releve } = result;
+
+  logAdminAction({
+    adminId: req.user.id,
+    adminEmail: req.user.email,
+    action: AUDIT_ACTIONS.SETTLEMENT_PAID,
+    targetType: 'releve_reglement',
+    targetId: releve.id,
+    details: {
+      numero: releve.numero,
+      prestataireId: releve.prestataireId,
+      montant: parseFloat(releve.montantAVerser),
+      referencePaiement: releve.referencePaiement
+    },
+    ip: req.ip
+  });
+
+  await Notification.create({
+    userId: releve.prestataireId,
+    type: NOTIFICATION_TYPES.PAYMENT,
+    titre: { fr: 'Règlement effectué' },
+    message: { fr: `Le règlement du relevé ${releve.numero} (${parseFloat(releve.montantAVerser).toLocaleString('fr-FR')} DA) a été effectué.` },
+    lien: `/prestataire/reglements/${releve.id}`,
+    data: { releveId: releve.id }
+  });
+  emitToUser(releve.prestataireId, 'reglement:paye', { releveId: releve.id, numero: releve.numero });
+
+  res.json({
+    success: true,
+    message: 'Relevé marqué comme payé',
+    data: releve
+  });
+});
+
+module.exports = {
+  getMesReleves,
+  getReleveById,
+  getAllReleves,
+  payerReleve
+};
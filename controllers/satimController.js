@@ -1,37 +1,21 @@
 /**
- * Contrôleur pour l'intégration SATIM (Paiement par carte bancaire Algérienne)
- * Note: En production, remplacer les URLs sandbox par les URLs de production
+ * Contrôleur du paiement par redirection (page de paiement SATIM)
+ * Les appels à la passerelle passent par le fournisseur de paiement en ligne
+ * (paymentProviderService) : SATIM, simulateur local ou fournisseur de test.
  */
 const asyncHandler = require('express-async-handler');
-const crypto = require('crypto');
-const axios = require('axios');
 const { Commande, User, Notification } = require('../models');
 const { getIO } = require('../config/socket');
 const logger = require('../config/logger');
-const { ORDER_STATUS, PAYMENT_STATUS } = require('../utils/constants');
-
-// Configuration SATIM
-const SATIM_CONFIG = {
-    merchantId: process.env.SATIM_MERCHANT_ID,
-    terminalId: process.env.SATIM_TERMINAL_ID,
-    secretKey: process.env.SATIM_SECRET_KEY,
-    baseUrl: process.env.SATIM_BASE_URL || 'https://test.satim.dz/payment/rest',
-    returnUrl: process.env.SATIM_RETURN_URL || `${process.env.FRONTEND_URL}/payment/callback`,
-    failUrl: process.env.SATIM_FAIL_URL || `${process.env.FRONTEND_URL}/payment/failed`,
-};
+const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES, REFUND_DESTINATIONS } = require('../utils/constants');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { commitPayment } = require('../services/stockReservationService');
+const { checkPaymentMode } = require('../services/orderRulesService');
+const { getOnlineProvider } = require('../services/paymentProviderService');
+const { SATIM_CONFIG } = require('../services/satimService');
+const { requestRefund: refundOrder } = require('./paiementController');
 
-/**
- * Générer la signature HMAC pour SATIM
- */
-const generateSignature = (data) => {
-    const sortedKeys = Object.keys(data).sort();
-    const signatureString = sortedKeys.map((key) => `${key}=${data[key]}`).join('&');
-    return crypto
-        .createHmac('sha256', SATIM_CONFIG.secretKey)
-        .update(signatureString)
-        .digest('hex')
-        .toUpperCase();
-};
+const { success: RETURN_URL, failure: FAIL_URL } = SATIM_CONFIG.CALLBACK_URLS;
 
 /**
  * @desc    Initier un paiement SATIM
@@ -58,68 +42,74 @@ const initiatePayment = asyncHandler(async (req, res) => {
         throw new Error('Commande non trouvée');
     }
 
-    if (commande.statutPaiement === PAYMENT_STATUS.PAID) {
+    if (commande.statutPaiement === PAYMENT_STATUS.SUCCESS) {
         res.status(400);
         throw new Error('Cette commande a déjà été payée');
     }
 
-    // Convertir le montant en centimes (SATIM utilise les centimes)
-    const amountInCents = Math.round(parseFloat(commande.total) * 100);
-
-    // Générer un orderNumber unique pour SATIM
-    const satimOrderNumber = `EATZ-${commande.numero}-${Date.now()}`;
-
-    // Préparer les données de paiement
-    const paymentData = {
-        userName: SATIM_CONFIG.merchantId,
-        password: SATIM_CONFIG.secretKey,
-        orderNumber: satimOrderNumber,
-        amount: amountInCents,
-        currency: '012', // Code DZD
-        returnUrl: `${SATIM_CONFIG.returnUrl}?orderId=${orderId}`,
-        failUrl: `${SATIM_CONFIG.failUrl}?orderId=${orderId}`,
-        description: `Commande EATERZ #${commande.numero}`,
-        language: 'FR',
-        email: commande.client?.email,
-        phone: commande.client?.telephone,
-    };
+    if (commande.statut === ORDER_STATUS.CANCELLED) {
+        res.status(400);
+        throw new Error('Cette commande a été annulée (paiement non finalisé à temps), veuillez commander à nouveau');
+    }
 
-    try {
-        // Appel à l'API SATIM pour créer la transaction
-        const response = await axios.post(
-            `${SATIM_CONFIG.baseUrl}/register.do`,
-            null,
-            { params: paymentData }
-        );
-
-        if (response.data.errorCode) {
-            logger.error('[SATIM] Erreur initiation:', response.data);
-            res.status(400);
-            throw new Error(response.data.errorMessage || 'Erreur SATIM');
-        }
+    if (commande.modePaiement === PAYMENT_MODES.CASH) {
+        res.status(400);
+        throw new Error('Cette commande est prévue pour un paiement en espèces');
+    }
 
-        // Sauvegarder la référence de transaction
-        await commande.update({
-            transactionId: response.data.orderId,
-            paiementDetails: {
-                satimOrderNumber,
-                satimOrderId: response.data.orderId,
-                initiatedAt: new Date().toISOString(),
-            },
-        });
+    // Les commandes d'un checkout multi-prestataires se règlent ensemble
+    if (commande.checkoutId) {
+        res.status(400);
+        throw new Error('Cette commande fait partie d\'un checkout groupé : réglez le checkout en une fois (POST /api/paiements/initiate avec checkoutId)');
+    }
 
-        res.json({
-            success: true,
-            data: {
-                paymentUrl: response.data.formUrl,
-                transactionId: response.data.orderId,
-            },
-        });
-    } catch (error) {
-        logger.error('[SATIM] Erreur API:', error.message);
-        res.status(500);
-        throw new Error('Erreur lors de l\'initialisation du paiement');
+    // Le paiement en ligne a pu être désactivé depuis la création de la commande
+    const paiementCheck = await checkPaymentMode({
+        client: req.user,
+        prestataireIds: [commande.prestataireId],
+        total: parseFloat(commande.total),
+        montantMode: commande.getMontantAPayer(),
+        modePaiement: commande.modePaiement,
+    });
+    if (!paiementCheck.valid) {
+        res.status(400);
+        throw new Error(paiementCheck.error);
     }
+
+    // Créer la transaction ; SATIM ajoute son orderId aux URLs de retour
+    const result = await getOnlineProvider().initiate({
+        reference: commande.numero,
+        amount: commande.getMontantAPayer(),
+        description: `Commande EATERZ #${commande.numero}`,
+        cardType: commande.modePaiement,
+        returnUrl: `${RETURN_URL}?commandeId=${commande.id}`,
+        failUrl: `${FAIL_URL}?commandeId=${commande.id}`,
+        customer: { email: commande.client?.email, telephone: commande.client?.telephone },
+    });
+
+    if (!result.success) {
+        logger.error('[SATIM] Erreur initiation:', { error: result.error, code: result.code });
+        res.status(result.code === 'SERVICE_UNAVAILABLE' ? 503 : 400);
+        throw new Error(result.error || 'Erreur lors de l\'initialisation du paiement');
+    }
+
+    // Sauvegarder la référence de transaction
+    await commande.update({
+        transactionId: result.transactionId,
+        paiementDetails: {
+            satimOrderNumber: result.orderNumber,
+            satimOrderId: result.transactionId,
+            initiatedAt: new Date().toISOString(),
+        },
+    });
+
+    res.json({
+        success: true,
+        data: {
+            paymentUrl: result.paymentUrl,
+            transactionId: result.transactionId,
+        },
+    });
 });
 
 /**
@@ -138,21 +128,6 @@ const paymentCallback = asyncHandler(async (req, res) => {
     logger.info('[SATIM] Callback reçu:', { satimOrderId, orderNumber });
 
     try {
-        // Vérifier le statut de la transaction via l'API SATIM
-        const statusResponse = await axios.post(
-            `${SATIM_CONFIG.baseUrl}/getOrderStatus.do`,
-            null,
-            {
-                params: {
-                    userName: SATIM_CONFIG.merchantId,
-                    password: SATIM_CONFIG.secretKey,
-                    orderId: satimOrderId,
-                },
-            }
-        );
-
-        const { orderStatus, errorCode, errorMessage } = statusResponse.data;
-
         // Trouver la commande par transactionId
         const commande = await Commande.findOne({
             where: { transactionId: satimOrderId },
@@ -164,24 +139,51 @@ const paymentCallback = asyncHandler(async (req, res) => {
 
         if (!commande) {
             logger.warn('[SATIM] Commande non trouvée pour transaction:', satimOrderId);
-            return res.redirect(`${SATIM_CONFIG.failUrl}?error=order_not_found`);
+            return res.redirect(`${FAIL_URL}?error=order_not_found`);
         }
 
+        // Retour déjà traité (rechargement de la page, webhook reçu avant) ou commande
+        // remboursée depuis : la transaction n'est jamais confirmée une seconde fois
+        if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(commande.statutPaiement)) {
+            const etat = commande.statutPaiement === PAYMENT_STATUS.SUCCESS ? '?payment=success' : '';
+            return res.redirect(`${process.env.FRONTEND_URL}/client/orders/${commande.id}${etat}`);
+        }
+
+        // Vérifier auprès du fournisseur que la transaction est payée, du montant de la commande
+        const result = await getOnlineProvider().confirm({
+            transactionId: satimOrderId,
+            amount: commande.getMontantAPayer(),
+            cardType: commande.modePaiement,
+        });
+
         const io = getIO();
 
-        if (orderStatus === 2) {
-            // Paiement réussi
-            await commande.update({
-                statutPaiement: PAYMENT_STATUS.PAID,
-                statut: ORDER_STATUS.CONFIRMED,
-                dateConfirmation: new Date(),
+        if (result.success) {
+            // Paiement réussi : la réservation du stock devient définitive
+            const { committed } = await commitPayment(commande, {
+                statutPaiement: PAYMENT_STATUS.SUCCESS,
                 paiementDetails: {
                     ...commande.paiementDetails,
                     confirmedAt: new Date().toISOString(),
                     satimStatus: 'SUCCESS',
+                    cardLast4: result.cardLast4,
+                    authorizationCode: result.authorizationCode,
                 },
             });
 
+            // Réservation libérée avant la fin du paiement : commande annulée, paiement remboursé
+            if (!committed) {
+                return res.redirect(`${FAIL_URL}?orderId=${commande.id}&error=reservation_expired`);
+            }
+
+            if (commande.statut === ORDER_STATUS.PENDING) {
+                await transitionCommande(commande, ORDER_STATUS.CONFIRMED, {
+                    acteurType: 'system',
+                    motif: 'Paiement SATIM confirmé',
+                    metadata: { transactionId: satimOrderId },
+                });
+            }
+
             // Notifier le client
             await Notification.create({
                 userId: commande.clientId,
@@ -220,17 +222,17 @@ const paymentCallback = asyncHandler(async (req, res) => {
                     ...commande.paiementDetails,
                     failedAt: new Date().toISOString(),
                     satimStatus: 'FAILED',
-                    errorCode,
-                    errorMessage,
+                    errorCode: result.code,
+                    errorMessage: result.error,
                 },
             });
 
-            logger.warn('[SATIM] Paiement échoué:', { orderNumber: commande.numero, errorCode });
-            return res.redirect(`${SATIM_CONFIG.failUrl}?orderId=${commande.id}&error=${errorCode}`);
+            logger.warn('[SATIM] Paiement échoué:', { orderNumber: commande.numero, errorCode: result.code });
+            return res.redirect(`${FAIL_URL}?orderId=${commande.id}&error=${encodeURIComponent(result.code)}`);
         }
     } catch (error) {
         logger.error('[SATIM] Erreur callback:', error.message);
-        return res.redirect(`${SATIM_CONFIG.failUrl}?error=server_error`);
+        return res.redirect(`${FAIL_URL}?error=server_error`);
     }
 });
 
@@ -270,67 +272,22 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
  * @desc    Demander un remboursement SATIM
  * @route   POST /api/satim/refund
  * @access  Admin
+ *
+ * Même remboursement que POST /api/paiements/refund vers la carte : plafonné à
+ * la part payée par carte et au reste remboursable, la part réglée d'avance
+ * étant restituée au portefeuille et aux cartes cadeaux.
  */
-const requestRefund = asyncHandler(async (req, res) => {
+const requestRefund = (req, res, next) => {
     const { orderId, amount, reason } = req.body;
 
-    const commande = await Commande.findByPk(orderId);
-
-    if (!commande || !commande.transactionId) {
-        res.status(404);
-        throw new Error('Commande ou transaction non trouvée');
-    }
-
-    if (commande.statutPaiement !== PAYMENT_STATUS.PAID) {
-        res.status(400);
-        throw new Error('Cette commande n\'est pas payée');
-    }
-
-    const refundAmount = amount || commande.total;
-    const refundAmountCents = Math.round(parseFloat(refundAmount) * 100);
-
-    try {
-        const refundResponse = await axios.post(
-            `${SATIM_CONFIG.baseUrl}/refund.do`,
-            null,
-            {
-                params: {
-                    userName: SATIM_CONFIG.merchantId,
-                    password: SATIM_CONFIG.secretKey,
-                    orderId: commande.transactionId,
-                    amount: refundAmountCents,
-                },
-            }
-        );
-
-        if (refundResponse.data.errorCode === '0') {
-            await commande.update({
-                statutPaiement: PAYMENT_STATUS.REFUNDED,
-                paiementDetails: {
-                    ...commande.paiementDetails,
-                    refundedAt: new Date().toISOString(),
-                    refundAmount,
-                    refundReason: reason,
-                },
-            });
-
-            logger.info('[SATIM] Remboursement effectué:', commande.numero);
-
-            res.json({
-                success: true,
-                message: 'Remboursement effectué',
-                data: { refundAmount },
-            });
-        } else {
-            res.status(400);
-            throw new Error(refundResponse.data.errorMessage || 'Erreur de remboursement');
-        }
-    } catch (error) {
-        logger.error('[SATIM] Erreur remboursement:', error.message);
-        res.status(500);
-        throw new Error('Erreur lors du remboursement');
-    }
-});
+    req.body = {
+        commandeId: orderId,
+        montant: amount,
+        motif: reason,
+        destination: REFUND_DESTINATIONS.ORIGINAL,
+    };
+    return refundOrder(req, res, next);
+};
 
 module.exports = {
     initiatePayment,
@@ -28,7 +28,10 @@ const DEFAULT_SETTINGS = {
     cashOnDeliveryEnabled: true,
     onlinePaymentEnabled: true,
     minimumOrderAmount: 200,
-    maximumOrderAmount: 50000
+    maximumOrderAmount: 50000,
+    newAccountCashLimit: 3000, // Plafond espèces des nouveaux comptes (0 : aucun plafond)
+    newAccountDeliveredOrders: 3, // Commandes livrées avant levée du plafond
+    stockReservationMinutes: 15 // Stock réservé pendant un paiement en ligne, libéré ensuite
   },
   
   security: {
@@ -66,16 +69,36 @@ const DEFAULT_SETTINGS = {
     baseDeliveryFee: 200,
     freeDeliveryThreshold: 2000,
     maxDeliveryDistance: 15,
+    includedDeliveryDistance: 3,
+    deliveryFeePerKm: 20,
     deliveryTimeEstimate: 30,
+    closedOrderPolicy: 'schedule', // 'schedule' = programmer à la réouverture, 'block' = refuser
+    tipsEnabled: true,
+    maxTipPercentage: 30,
+    maxTipAmount: 2000,
+    tipWindowHours: 48, // Délai après livraison pour laisser un pourboire
+    confirmationReminderMinutes: 5, // Relance du prestataire (et alerte admin) sur une commande non confirmée
+    confirmationTimeoutMinutes: 15, // Annulation automatique d'une commande non confirmée
+    scheduledAcceptanceLeadMinutes: 60, // Demande d'acceptation d'une commande programmée avant le début de préparation
+    scheduledNoResponsePolicy: 'cancel', // Sans réponse au début de préparation : 'cancel' = annuler, 'escalate' = alerter les admins
+    codCashCap: 20000, // Espèces détenues au-delà desquelles un livreur ne reçoit plus de commande en espèces (0 = sans plafond)
     deliveryZones: [],
     deliveryPartners: [],
     realTimeTracking: true
   },
   
+  invoice: {
+    defaultVatRate: 19, // Taux de TVA des catégories sans taux propre
+    deliveryVatRate: 19, // Taux de TVA des frais de livraison
+    invoicePrefix: 'FAC',
+    creditNotePrefix: 'AV'
+  },
+
   commission: {
     platformCommission: 15,
     deliveryCommission: 10,
     premiumPartnerCommission: 12,
+    settlementWeekStartDay: 0, // Premier jour des relevés hebdomadaires (0 = dimanche)
     referralBonus: 500,
     loyaltyProgramEnabled: true
   },
@@ -622,4 +645,8 @@ exports.getSystemHealth = async (req, res) => {
       message: 'Erreur de récupération de l\'état système'
     });
   }
-};
\ No newline at end of file
+};
+
+// Lecture des paramètres par les autres modules (voir services/settingsService.js)
+exports.loadSettings = loadSettings;
+exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
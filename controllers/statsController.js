@@ -1,6 +1,6 @@
-const { User, Plat, Commande, CommandeItem, Avis, Categorie, Notification, Favori, sequelize } = require('../models');
+const { User, Plat, Commande, CommandeItem, CommandeHistorique, Avis, Categorie, Notification, Favori, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { ORDER_STATUS } = require('../utils/constants');
+const { ORDER_STATUS, ORDER_REJECTION_REASONS } = require('../utils/constants');
 const { Op } = require('sequelize');
 
 // ═══════════════════════════════════════════════════════════════
@@ -234,6 +234,20 @@ const getPrestataireDashboard = asyncHandler(async (req, res) => {
     }
   });
 
+  // Commandes annulées faute de confirmation ce mois-ci
+  const commandesManquees = await CommandeHistorique.count({
+    where: {
+      motifCode: ORDER_REJECTION_REASONS.NO_RESPONSE,
+      createdAt: { [Op.gte]: startOfMonth }
+    },
+    include: [{
+      model: Commande,
+      as: 'commande',
+      where: { prestataireId },
+      attributes: []
+    }]
+  });
+
   // Top 5 plats vendus
   const topPlats = await CommandeItem.findAll({
     attributes: [
@@ -270,6 +284,7 @@ const getPrestataireDashboard = asyncHandler(async (req, res) => {
         nombreAvis: parseInt(noteStats[0].total) || 0,
         nombrePlats,
         commandesEnAttente,
+        commandesManquees,
         variationCA
       },
       topPlats,
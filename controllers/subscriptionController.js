@@ -4,6 +4,7 @@
 const asyncHandler = require('express-async-handler');
 const { Subscription, User, Plat } = require('../models');
 const { Op } = require('sequelize');
+const { resolveItemOptions } = require('../services/platOptionsService');
 
 /**
  * @desc    Créer un nouvel abonnement
@@ -44,6 +45,22 @@ const createSubscription = asyncHandler(async (req, res) => {
         throw new Error('Adresse de livraison requise');
     }
 
+    // Vérifier les options choisies contre le catalogue (les prix seront recalculés à chaque commande)
+    const itemsAVerifier = type === 'panier' ? panierItems : [{ platId, options: [] }];
+    for (const item of itemsAVerifier) {
+        const plat = await Plat.findOne({ where: { id: item.platId, isDeleted: false } });
+        if (!plat) {
+            res.status(404);
+            throw new Error(`Plat #${item.platId} non trouvé`);
+        }
+
+        const optionsResult = resolveItemOptions(plat, item.options);
+        if (!optionsResult.valid) {
+            res.status(400);
+            throw new Error(optionsResult.error);
+        }
+    }
+
     // Calculer prochaine commande
     const prochaineCommande = calculateNextOrderDate(frequence, joursSemaine, heureLivraison);
 
@@ -51,7 +68,13 @@ const createSubscription = asyncHandler(async (req, res) => {
         clientId,
         type,
         platId: type === 'plat' ? platId : null,
-        panierItems: type === 'panier' ? panierItems : null,
+        panierItems: type === 'panier'
+            ? panierItems.map(item => ({
+                platId: item.platId,
+                quantite: item.quantite || 1,
+                options: (item.options || []).map(opt => ({ nom: opt.nom, choix: opt.choix })),
+            }))
+            : null,
         prestataireId,
         frequence,
         joursSemaine,
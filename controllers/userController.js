@@ -5,6 +5,13 @@ const { paginate, paginationResponse } = require('../utils/helpers');
 const { ROLES } = require('../utils/constants');
 const { Op } = require('sequelize');
 const { logAdminAction, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const { getSettings } = require('../services/settingsService');
+const { getTimezone, getLocalParts, isOpenAt, getNextOpening, validateHoraires } = require('../services/openingHoursService');
+const { getCapacite, validateCapacite, getKitchenQueues, computeEstimate } = require('../services/kitchenCapacityService');
+const { getConfigCreneaux, validateCreneaux, getAvailableSlots } = require('../services/deliverySlotService');
+const { validateLegalInfo } = require('../services/invoiceService');
+const { validateProfilAlimentaire } = require('../services/dietaryProfileService');
+const { validateReglesCommande } = require('../services/orderRulesService');
 
 /**
  * @desc    Obtenir le profil de l'utilisateur connecté
@@ -30,14 +37,20 @@ const getProfile = asyncHandler(async (req, res) => {
 const updateProfile = asyncHandler(async (req, res) => {
   const allowedFields = [
     'nom', 'prenom', 'telephone', 'adresse', 'ville', 'codePostal',
-    'langue', 'theme', 'notificationsEmail', 'notificationsPush'
+    'langue', 'theme', 'notificationsEmail', 'notificationsPush', 'informationsLegales'
   ];
 
+  // Profil alimentaire pour les clients
+  if (req.user.role === ROLES.CLIENT) {
+    allowedFields.push('profilAlimentaire');
+  }
+
   // Champs supplémentaires pour les prestataires
   if (req.user.role === ROLES.PRESTATAIRE) {
     allowedFields.push(
       'nomEtablissement', 'descriptionEtablissement',
-      'horairesOuverture', 'zonesLivraison', 'prestataireType'
+      'horairesOuverture', 'zonesLivraison', 'prestataireType', 'capaciteCuisine', 'creneauxLivraison',
+      'reglesCommande'
     );
   }
 
@@ -48,6 +61,54 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   });
 
+  if (updates.horairesOuverture !== undefined) {
+    const horairesCheck = validateHoraires(updates.horairesOuverture);
+    if (!horairesCheck.valid) {
+      res.status(400);
+      throw new Error(horairesCheck.error);
+    }
+  }
+
+  if (updates.capaciteCuisine !== undefined) {
+    const capaciteCheck = validateCapacite(updates.capaciteCuisine);
+    if (!capaciteCheck.valid) {
+      res.status(400);
+      throw new Error(capaciteCheck.error);
+    }
+  }
+
+  if (updates.creneauxLivraison !== undefined) {
+    const creneauxCheck = validateCreneaux(updates.creneauxLivraison);
+    if (!creneauxCheck.valid) {
+      res.status(400);
+      throw new Error(creneauxCheck.error);
+    }
+  }
+
+  if (updates.informationsLegales !== undefined) {
+    const legalCheck = validateLegalInfo(updates.informationsLegales);
+    if (!legalCheck.valid) {
+      res.status(400);
+      throw new Error(legalCheck.error);
+    }
+  }
+
+  if (updates.reglesCommande !== undefined) {
+    const reglesCheck = validateReglesCommande(updates.reglesCommande);
+    if (!reglesCheck.valid) {
+      res.status(400);
+      throw new Error(reglesCheck.error);
+    }
+  }
+
+  if (updates.profilAlimentaire !== undefined) {
+    const profilCheck = validateProfilAlimentaire(updates.profilAlimentaire);
+    if (!profilCheck.valid) {
+      res.status(400);
+      throw new Error(profilCheck.error);
+    }
+  }
+
   await req.user.update(updates);
 
   res.json({
@@ -57,6 +118,34 @@ const updateProfile = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Activer ou désactiver le mode affluence (Prestataire)
+ * @route   PUT /api/users/profile/affluence
+ * @access  Private/Prestataire
+ */
+const updateModeAffluence = asyncHandler(async (req, res) => {
+  const { modeAffluence, minutesAffluence } = req.body;
+
+  const capaciteCuisine = { ...(req.user.capaciteCuisine || {}), modeAffluence };
+  if (minutesAffluence !== undefined) {
+    capaciteCuisine.minutesAffluence = minutesAffluence;
+  }
+
+  const capaciteCheck = validateCapacite(capaciteCuisine);
+  if (!capaciteCheck.valid) {
+    res.status(400);
+    throw new Error(capaciteCheck.error);
+  }
+
+  await req.user.update({ capaciteCuisine });
+
+  res.json({
+    success: true,
+    message: modeAffluence ? 'Mode affluence activé' : 'Mode affluence désactivé',
+    data: getCapacite(req.user)
+  });
+});
+
 /**
  * @desc    Changer le mot de passe
  * @route   PUT /api/users/profile/password
@@ -172,10 +261,15 @@ const getPublicPrestataires = asyncHandler(async (req, res) => {
     attributes: [
       'id', 'nomEtablissement', 'descriptionEtablissement', 'avatar',
       'adresse', 'ville', 'horairesOuverture', 'prestataireType',
-      'positionActuelle', 'createdAt'
+      'positionActuelle', 'capaciteCuisine', 'createdAt'
     ]
   });
 
+  const { baseDeliveryFee } = await getSettings('delivery');
+  const timezone = await getTimezone();
+  const now = new Date();
+  const filesCuisine = await getKitchenQueues(prestataires.map(p => p.id), { now });
+
   // Mapper les données pour le frontend
   const formattedPrestataires = prestataires.map(p => {
     // Générer des coordonnées aléatoires si manquantes (pour la démo)
@@ -191,6 +285,12 @@ const getPublicPrestataires = asyncHandler(async (req, res) => {
       lng += (Math.random() - 0.5) * 0.1;
     }
 
+    const isOpen = isOpenAt(p.horairesOuverture, now, timezone);
+
+    // Préparation estimée selon la file de la cuisine
+    const capacite = getCapacite(p);
+    const preparation = computeEstimate(capacite, filesCuisine.get(p.id), capacite.tempsPreparationBase);
+
     return {
       id: p.id,
       name: p.nomEtablissement || 'Prestataire',
@@ -199,9 +299,12 @@ const getPublicPrestataires = asyncHandler(async (req, res) => {
       rating: (4 + Math.random()).toFixed(1), // Mock rating pour l'instant
       reviewCount: Math.floor(Math.random() * 200), // Mock count
       category: p.prestataireType === 'restaurant' ? 'Cuisine' : 'Produits',
-      deliveryTime: '30-45',
-      deliveryFee: 150,
-      isOpen: true, // À implémenter avec horairesOuverture
+      deliveryTime: `${preparation.estimationMinutes + 15}-${preparation.estimationMinutes + 30}`,
+      prepTime: preparation.estimationMinutes,
+      isBusy: preparation.surcharge,
+      deliveryFee: baseDeliveryFee,
+      isOpen,
+      nextOpeningAt: isOpen ? null : getNextOpening(p.horairesOuverture, now, timezone),
       isNew: new Date() - new Date(p.createdAt) < 30 * 24 * 60 * 60 * 1000,
       isFeatured: Math.random() > 0.8,
       address: `${p.adresse || ''}, ${p.ville || ''}`,
@@ -217,6 +320,38 @@ const getPublicPrestataires = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Créneaux de livraison disponibles d'un prestataire pour une date
+ * @route   GET /api/users/prestataires/:id/creneaux?date=AAAA-MM-JJ
+ * @access  Public
+ */
+const getCreneauxDisponibles = asyncHandler(async (req, res) => {
+  const prestataire = await User.findOne({
+    where: { id: req.params.id, role: ROLES.PRESTATAIRE, isActive: true },
+    attributes: ['id', 'nomEtablissement', 'horairesOuverture', 'creneauxLivraison']
+  });
+
+  if (!prestataire) {
+    res.status(404);
+    throw new Error('Prestataire non trouvé');
+  }
+
+  const config = getConfigCreneaux(prestataire);
+  const date = req.query.date || getLocalParts(new Date(), await getTimezone()).dateKey;
+  const creneaux = await getAvailableSlots({ prestataire, date });
+
+  res.json({
+    success: true,
+    data: {
+      date,
+      actif: config.actif,
+      dureeMinutes: config.dureeMinutes,
+      maxCommandes: config.maxCommandes,
+      creneaux
+    }
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════
 // ROUTES ADMIN
 // ═══════════════════════════════════════════════════════════════
@@ -322,7 +457,9 @@ const updateUser = asyncHandler(async (req, res) => {
   const allowedFields = [
     'nom', 'prenom', 'telephone', 'adresse', 'ville', 'codePostal',
     'role', 'isVerified', 'isActive', 'nomEtablissement',
-    'descriptionEtablissement', 'horairesOuverture', 'zonesLivraison', 'prestataireType'
+    'descriptionEtablissement', 'horairesOuverture', 'zonesLivraison', 'prestataireType',
+    'capaciteCuisine', 'creneauxLivraison', 'informationsLegales', 'reglesCommande',
+    'partenairePremium'
   ];
 
   const updates = {};
@@ -332,6 +469,46 @@ const updateUser = asyncHandler(async (req, res) => {
     }
   });
 
+  if (updates.horairesOuverture !== undefined) {
+    const horairesCheck = validateHoraires(updates.horairesOuverture);
+    if (!horairesCheck.valid) {
+      res.status(400);
+      throw new Error(horairesCheck.error);
+    }
+  }
+
+  if (updates.capaciteCuisine !== undefined) {
+    const capaciteCheck = validateCapacite(updates.capaciteCuisine);
+    if (!capaciteCheck.valid) {
+      res.status(400);
+      throw new Error(capaciteCheck.error);
+    }
+  }
+
+  if (updates.creneauxLivraison !== undefined) {
+    const creneauxCheck = validateCreneaux(updates.creneauxLivraison);
+    if (!creneauxCheck.valid) {
+      res.status(400);
+      throw new Error(creneauxCheck.error);
+    }
+  }
+
+  if (updates.informationsLegales !== undefined) {
+    const legalCheck = validateLegalInfo(updates.informationsLegales);
+    if (!legalCheck.valid) {
+      res.status(400);
+      throw new Error(legalCheck.error);
+    }
+  }
+
+  if (updates.reglesCommande !== undefined) {
+    const reglesCheck = validateReglesCommande(updates.reglesCommande);
+    if (!reglesCheck.valid) {
+      res.status(400);
+      throw new Error(reglesCheck.error);
+    }
+  }
+
   await user.update(updates);
 
   res.json({
@@ -461,8 +638,10 @@ const adminResetPassword = asyncHandler(async (req, res) => {
 
 module.exports = {
   getPublicPrestataires,
+  getCreneauxDisponibles,
   getProfile,
   updateProfile,
+  updateModeAffluence,
   changePassword,
   uploadAvatar,
   deleteAccount,
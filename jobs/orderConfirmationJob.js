@@ -0,0 +1,182 @@
+/**
+ * Job CRON de suivi des commandes non confirmées
+ * Relance le prestataire (et alerte les admins) après un premier délai,
+ * puis annule automatiquement la commande passé le délai maximum
+ */
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { Commande, User, Notification } = require('../models');
+const { emitToPrestataire, emitToAdmins } = require('../config/socket');
+const logger = require('../config/logger');
+const { ORDER_STATUS, PAYMENT_STATUS, ORDER_REJECTION_REASONS, NOTIFICATION_TYPES } = require('../utils/constants');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { sendPushToUser } = require('../services/pushService');
+const { getSettings } = require('../services/settingsService');
+
+/**
+ * Commandes en attente passées avant une date limite
+ * (les commandes programmées sont activées par scheduledOrdersJob)
+ */
+const findPendingBefore = (limite, where = {}) => Commande.findAll({
+    where: {
+        statut: ORDER_STATUS.PENDING,
+        isScheduled: false,
+        createdAt: { [Op.lte]: limite },
+        ...where,
+    },
+    include: [
+        { model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] },
+    ],
+});
+
+/**
+ * Relancer les prestataires qui n'ont pas encore confirmé et alerter les admins
+ */
+const sendConfirmationReminders = async (now = new Date()) => {
+    try {
+        const settings = await getSettings('delivery');
+        const { adminAlerts } = await getSettings('notifications');
+        const limite = new Date(now.getTime() - settings.confirmationReminderMinutes * 60000);
+
+        const commandes = await findPendingBefore(limite, { rappelConfirmationEnvoye: false });
+        if (commandes.length === 0) return;
+
+        logger.info(`[OrderConfirmation] Relance de ${commandes.length} commandes non confirmées`);
+        const admins = adminAlerts
+            ? await User.findAll({ where: { role: 'admin', isActive: true }, attributes: ['id'] })
+            : [];
+
+        for (const commande of commandes) {
+            try {
+                // Une seule relance par commande, même si deux instances du job tournent
+                const [updated] = await Commande.update(
+                    { rappelConfirmationEnvoye: true },
+                    { where: { id: commande.id, rappelConfirmationEnvoye: false } }
+                );
+                if (updated === 0) continue;
+
+                const attente = Math.round((now - new Date(commande.createdAt)) / 60000);
+                const restant = settings.confirmationTimeoutMinutes - attente;
+
+                await Notification.create({
+                    userId: commande.prestataireId,
+                    type: NOTIFICATION_TYPES.ORDER_NEW,
+                    titre: { fr: 'Commande en attente de confirmation' },
+                    message: { fr: `La commande #${commande.numero} attend votre confirmation depuis ${attente} min. Sans réponse, elle sera annulée dans ${Math.max(restant, 0)} min.` },
+                    lien: `/prestataire/commandes/${commande.id}`,
+                    data: { commandeId: commande.id },
+                });
+
+                emitToPrestataire(commande.prestataireId, 'commande:rappel', {
+                    commandeId: commande.id,
+                    numero: commande.numero,
+                    attenteMinutes: attente,
+                    annulationDans: Math.max(restant, 0),
+                });
+
+                await sendPushToUser(commande.prestataireId, {
+                    title: '⏰ Commande en attente',
+                    body: `La commande #${commande.numero} attend votre confirmation`,
+                    icon: '/icons/icon-192x192.png',
+                    data: { url: `/prestataire/commandes/${commande.id}` },
+                });
+
+                // Escalade vers les admins
+                emitToAdmins('commande:non-confirmee', {
+                    commandeId: commande.id,
+                    numero: commande.numero,
+                    prestataireId: commande.prestataireId,
+                    prestataire: commande.prestataire?.nomEtablissement,
+                    attenteMinutes: attente,
+                });
+                for (const admin of admins) {
+                    await Notification.create({
+                        userId: admin.id,
+                        type: NOTIFICATION_TYPES.SYSTEM,
+                        titre: { fr: 'Commande non confirmée' },
+                        message: { fr: `La commande #${commande.numero} chez ${commande.prestataire?.nomEtablissement || 'un prestataire'} n'est pas confirmée depuis ${attente} min.` },
+                        lien: `/admin/commandes/${commande.id}`,
+                        data: { commandeId: commande.id, prestataireId: commande.prestataireId },
+                    });
+                }
+            } catch (err) {
+                logger.error(`[OrderConfirmation] Erreur relance commande #${commande.numero}:`, err);
+            }
+        }
+    } catch (error) {
+        logger.error('[OrderConfirmation] Erreur envoi relances:', error);
+    }
+};
+
+/**
+ * Annuler les commandes restées sans réponse au-delà du délai maximum
+ * (restauration du stock et remboursement via la machine à états)
+ */
+const cancelUnconfirmedOrders = async (now = new Date()) => {
+    try {
+        const settings = await getSettings('delivery');
+        const limite = new Date(now.getTime() - settings.confirmationTimeoutMinutes * 60000);
+
+        const commandes = await findPendingBefore(limite);
+        if (commandes.length === 0) return;
+
+        logger.info(`[OrderConfirmation] Annulation de ${commandes.length} commandes non confirmées`);
+
+        for (const commande of commandes) {
+            try {
+                const result = await transitionCommande(commande, ORDER_STATUS.CANCELLED, {
+                    acteurType: 'system',
+                    motif: 'Le restaurant n\'a pas confirmé la commande à temps',
+                    motifCode: ORDER_REJECTION_REASONS.NO_RESPONSE,
+                    metadata: { delaiMinutes: settings.confirmationTimeoutMinutes },
+                });
+                if (!result.success) {
+                    logger.warn(`[OrderConfirmation] Commande #${commande.numero}: ${result.error}`);
+                    continue;
+                }
+
+                await Notification.create({
+                    userId: commande.clientId,
+                    type: NOTIFICATION_TYPES.ORDER_STATUS,
+                    titre: { fr: 'Commande annulée' },
+                    message: { fr: `Le restaurant n'a pas confirmé la commande #${commande.numero} à temps. Elle a été annulée${commande.statutPaiement === PAYMENT_STATUS.REFUNDED ? ' et vous serez remboursé' : ''}.` },
+                    lien: `/client/orders/${commande.id}`,
+                    data: { commandeId: commande.id },
+                });
+
+                await sendPushToUser(commande.clientId, {
+                    title: '❌ Commande annulée',
+                    body: `Le restaurant n'a pas confirmé la commande #${commande.numero} à temps`,
+                    icon: '/icons/icon-192x192.png',
+                    data: { url: `/client/orders/${commande.id}` },
+                });
+
+                logger.info(`[OrderConfirmation] Commande #${commande.numero} annulée faute de confirmation`);
+            } catch (err) {
+                logger.error(`[OrderConfirmation] Erreur annulation commande #${commande.numero}:`, err);
+            }
+        }
+    } catch (error) {
+        logger.error('[OrderConfirmation] Erreur annulation des commandes:', error);
+    }
+};
+
+/**
+ * Initialiser le job CRON
+ */
+const initOrderConfirmationJob = () => {
+    // Toutes les minutes - les délais se comptent en minutes
+    cron.schedule('* * * * *', async () => {
+        logger.debug('[OrderConfirmation] Exécution du job de suivi');
+        await cancelUnconfirmedOrders();
+        await sendConfirmationReminders();
+    });
+
+    logger.info('[OrderConfirmation] Job CRON initialisé - Intervalle: 1 minute');
+};
+
+module.exports = {
+    initOrderConfirmationJob,
+    sendConfirmationReminders,
+    cancelUnconfirmedOrders,
+};
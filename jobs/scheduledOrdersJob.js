@@ -1,80 +1,222 @@
 /**
  * Job CRON pour le traitement des commandes programmées
- * Vérifie toutes les 5 minutes et active les commandes dont l'heure est arrivée
+ *
+ * Une commande programmée attend l'acceptation du prestataire :
+ * - la demande d'acceptation part delivery.scheduledAcceptanceLeadMinutes avant
+ *   le début de préparation (le prestataire peut accepter ou refuser avant) ;
+ * - une commande acceptée passe en préparation à son début de préparation prévu
+ *   (heure de livraison moins préparation et livraison estimées) ;
+ * - sans réponse au début de préparation (et au moins
+ *   delivery.confirmationTimeoutMinutes après la demande), la politique
+ *   delivery.scheduledNoResponsePolicy s'applique : annulation, ou alerte des
+ *   admins puis annulation si la commande est toujours en attente à l'heure de livraison.
  */
 const cron = require('node-cron');
 const { Op } = require('sequelize');
 const { Commande, User, Notification } = require('../models');
-const { getIO } = require('../config/socket');
+const { emitToPrestataire, emitToAdmins } = require('../config/socket');
 const logger = require('../config/logger');
-const { ORDER_STATUS } = require('../utils/constants');
+const { ORDER_STATUS, PAYMENT_STATUS, ORDER_REJECTION_REASONS, NOTIFICATION_TYPES } = require('../utils/constants');
+const { transitionCommande } = require('../services/orderStateMachine');
+const { sendPushToUser } = require('../services/pushService');
+const { getSettings } = require('../services/settingsService');
+const { getTimezone, formatLocal } = require('../services/openingHoursService');
 
 /**
- * Traiter les commandes programmées dont l'heure est arrivée
- * Les passer de 'scheduled' à 'en_attente' pour traitement normal
+ * Commandes programmées dont le début de préparation est atteint avant une date limite
+ * (commandes antérieures sans début prévu : heure de livraison)
  */
-const processScheduledOrders = async () => {
+const findScheduledBefore = (limite, where = {}) => Commande.findAll({
+    where: {
+        isScheduled: true,
+        [Op.or]: [
+            { debutPreparationPrevu: { [Op.lte]: limite } },
+            { debutPreparationPrevu: null, dateLivraisonSouhaitee: { [Op.lte]: limite } },
+        ],
+        ...where,
+    },
+    include: [
+        { model: User, as: 'client', attributes: ['id', 'nom', 'prenom'] },
+        { model: User, as: 'prestataire', attributes: ['id', 'nomEtablissement'] },
+    ],
+});
+
+const getDebutPreparation = (order) => new Date(order.debutPreparationPrevu || order.dateLivraisonSouhaitee);
+
+/**
+ * Demander au prestataire d'accepter les commandes programmées qui approchent
+ */
+const requestScheduledAcceptance = async (now = new Date()) => {
     try {
-        const now = new Date();
-
-        // Trouver les commandes programmées dont l'heure est arrivée
-        const ordersToProcess = await Commande.findAll({
-            where: {
-                isScheduled: true,
-                dateLivraisonSouhaitee: {
-                    [Op.lte]: now,
-                },
-                statut: ORDER_STATUS.PENDING,
-            },
-            include: [
-                { model: User, as: 'client', attributes: ['id', 'nom', 'prenom', 'email'] },
-                { model: User, as: 'prestataire', attributes: ['id', 'nom', 'prenom', 'email'] },
-            ],
-        });
+        const { scheduledAcceptanceLeadMinutes } = await getSettings('delivery');
+        const limite = new Date(now.getTime() + scheduledAcceptanceLeadMinutes * 60000);
 
-        if (ordersToProcess.length === 0) {
-            return;
-        }
+        const orders = await findScheduledBefore(limite, {
+            statut: ORDER_STATUS.PENDING,
+            acceptationDemandeeLe: null,
+        });
+        if (orders.length === 0) return;
 
-        logger.info(`[ScheduledOrders] Traitement de ${ordersToProcess.length} commandes programmées`);
-        const io = getIO();
+        logger.info(`[ScheduledOrders] Demande d'acceptation pour ${orders.length} commandes programmées`);
+        const timezone = await getTimezone();
 
-        for (const order of ordersToProcess) {
+        for (const order of orders) {
             try {
-                // Mettre à jour la commande
-                await order.update({
-                    statut: ORDER_STATUS.CONFIRMED,
-                    dateConfirmation: now,
-                });
+                // Une seule demande par commande, même si deux instances du job tournent
+                const [updated] = await Commande.update(
+                    { acceptationDemandeeLe: now },
+                    { where: { id: order.id, acceptationDemandeeLe: null } }
+                );
+                if (updated === 0) continue;
+
+                const debut = formatLocal(getDebutPreparation(order), timezone);
+                const livraison = formatLocal(new Date(order.dateLivraisonSouhaitee), timezone);
 
-                // Créer notification pour le prestataire
-                const notification = await Notification.create({
+                await Notification.create({
                     userId: order.prestataireId,
-                    type: 'commande',
-                    titre: 'Nouvelle commande programmée',
-                    message: `La commande #${order.numero} programmée par ${order.client?.prenom} ${order.client?.nom} est maintenant active !`,
+                    type: NOTIFICATION_TYPES.ORDER_NEW,
+                    titre: { fr: 'Commande programmée à accepter' },
+                    message: { fr: `La commande #${order.numero} de ${order.client?.prenom || 'un client'} est prévue pour ${livraison}. Acceptez-la ou refusez-la avant ${debut}, début de la préparation.` },
+                    lien: `/prestataire/commandes/${order.id}`,
                     data: { commandeId: order.id },
                 });
 
-                // Émettre via Socket.io
-                if (io) {
-                    io.to(`user_${order.prestataireId}`).emit('notification', {
-                        id: notification.id,
-                        type: 'commande',
-                        title: notification.titre,
-                        message: notification.message,
-                        data: notification.data,
+                emitToPrestataire(order.prestataireId, 'commande:acceptation-requise', {
+                    commandeId: order.id,
+                    numero: order.numero,
+                    dateLivraisonSouhaitee: order.dateLivraisonSouhaitee,
+                    debutPreparationPrevu: getDebutPreparation(order),
+                });
+
+                await sendPushToUser(order.prestataireId, {
+                    title: '📅 Commande programmée à accepter',
+                    body: `La commande #${order.numero} est prévue pour ${livraison}`,
+                    icon: '/icons/icon-192x192.png',
+                    data: { url: `/prestataire/commandes/${order.id}` },
+                });
+            } catch (err) {
+                logger.error(`[ScheduledOrders] Erreur demande d'acceptation commande #${order.numero}:`, err);
+            }
+        }
+    } catch (error) {
+        logger.error('[ScheduledOrders] Erreur demandes d\'acceptation:', error);
+    }
+};
+
+/**
+ * Annuler une commande programmée restée sans réponse
+ */
+const cancelUnanswered = async (order, motif) => {
+    const result = await transitionCommande(order, ORDER_STATUS.CANCELLED, {
+        acteurType: 'system',
+        motif,
+        motifCode: ORDER_REJECTION_REASONS.NO_RESPONSE,
+        metadata: { debutPreparationPrevu: getDebutPreparation(order) },
+    });
+    if (!result.success) {
+        logger.warn(`[ScheduledOrders] Commande #${order.numero}: ${result.error}`);
+        return;
+    }
+
+    await Notification.create({
+        userId: order.clientId,
+        type: NOTIFICATION_TYPES.ORDER_STATUS,
+        titre: { fr: 'Commande programmée annulée' },
+        message: { fr: `Le restaurant n'a pas accepté la commande #${order.numero} à temps. Elle a été annulée${order.statutPaiement === PAYMENT_STATUS.REFUNDED ? ' et vous serez remboursé' : ''}.` },
+        lien: `/client/orders/${order.id}`,
+        data: { commandeId: order.id },
+    });
+
+    logger.info(`[ScheduledOrders] Commande #${order.numero} annulée faute d'acceptation`);
+};
+
+/**
+ * Commandes programmées arrivées au début de préparation :
+ * lancement si acceptées, politique de non-réponse sinon
+ */
+const processScheduledOrders = async (now = new Date()) => {
+    try {
+        const settings = await getSettings('delivery');
+        const orders = await findScheduledBefore(now, {
+            statut: { [Op.in]: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED] },
+        });
+        if (orders.length === 0) return;
+
+        logger.info(`[ScheduledOrders] Traitement de ${orders.length} commandes programmées`);
+        const admins = settings.scheduledNoResponsePolicy === 'escalate'
+            ? await User.findAll({ where: { role: 'admin', isActive: true }, attributes: ['id'] })
+            : [];
+
+        for (const order of orders) {
+            try {
+                if (order.statut === ORDER_STATUS.CONFIRMED) {
+                    const result = await transitionCommande(order, ORDER_STATUS.PREPARING, {
+                        acteurType: 'system',
+                        motif: 'Début de préparation de la commande programmée',
                     });
+                    if (!result.success) {
+                        logger.warn(`[ScheduledOrders] Commande #${order.numero}: ${result.error}`);
+                        continue;
+                    }
 
-                    io.to(`user_${order.prestataireId}`).emit('commande:nouvelle', {
+                    await Notification.create({
+                        userId: order.prestataireId,
+                        type: NOTIFICATION_TYPES.ORDER_STATUS,
+                        titre: { fr: 'Préparation à lancer' },
+                        message: { fr: `La commande programmée #${order.numero} doit être préparée maintenant pour être livrée à l'heure.` },
+                        lien: `/prestataire/commandes/${order.id}`,
+                        data: { commandeId: order.id },
+                    });
+                    emitToPrestataire(order.prestataireId, 'commande:preparation', {
                         commandeId: order.id,
                         numero: order.numero,
                     });
+
+                    logger.info(`[ScheduledOrders] Commande #${order.numero} en préparation`);
+                    continue;
                 }
 
-                logger.info(`[ScheduledOrders] Commande #${order.numero} activée`);
+                // Sans réponse du prestataire, qui a toujours le délai de confirmation pour répondre
+                const livraisonDepassee = new Date(order.dateLivraisonSouhaitee) <= now;
+                const repondreAvant = order.acceptationDemandeeLe
+                    ? new Date(new Date(order.acceptationDemandeeLe).getTime() + settings.confirmationTimeoutMinutes * 60000)
+                    : null;
+                if (!livraisonDepassee && (!repondreAvant || repondreAvant > now)) continue;
+
+                if (settings.scheduledNoResponsePolicy !== 'escalate' || livraisonDepassee) {
+                    await cancelUnanswered(order, 'Le restaurant n\'a pas accepté la commande programmée à temps');
+                    continue;
+                }
+
+                // Escalade : une seule alerte par commande
+                const [updated] = await Commande.update(
+                    { rappelConfirmationEnvoye: true },
+                    { where: { id: order.id, rappelConfirmationEnvoye: false } }
+                );
+                if (updated === 0) continue;
+
+                emitToAdmins('commande:non-confirmee', {
+                    commandeId: order.id,
+                    numero: order.numero,
+                    prestataireId: order.prestataireId,
+                    prestataire: order.prestataire?.nomEtablissement,
+                    programmee: true,
+                    dateLivraisonSouhaitee: order.dateLivraisonSouhaitee,
+                });
+                for (const admin of admins) {
+                    await Notification.create({
+                        userId: admin.id,
+                        type: NOTIFICATION_TYPES.SYSTEM,
+                        titre: { fr: 'Commande programmée non acceptée' },
+                        message: { fr: `La commande programmée #${order.numero} chez ${order.prestataire?.nomEtablissement || 'un prestataire'} devrait être en préparation mais n'a pas été acceptée.` },
+                        lien: `/admin/commandes/${order.id}`,
+                        data: { commandeId: order.id, prestataireId: order.prestataireId },
+                    });
+                }
+
+                logger.info(`[ScheduledOrders] Commande #${order.numero} non acceptée, admins alertés`);
             } catch (err) {
-                logger.error(`[ScheduledOrders] Erreur activation commande #${order.numero}:`, err);
+                logger.error(`[ScheduledOrders] Erreur traitement commande #${order.numero}:`, err);
             }
         }
     } catch (error) {
@@ -83,56 +225,46 @@ const processScheduledOrders = async () => {
 };
 
 /**
- * Envoyer des rappels pour les commandes programmées à venir (30 min avant)
+ * Relancer le prestataire 30 min avant le début de préparation
+ * d'une commande programmée qu'il n'a pas encore acceptée
  */
-const sendScheduledReminders = async () => {
+const sendScheduledReminders = async (now = new Date()) => {
     try {
-        const now = new Date();
         const reminderTime = new Date(now.getTime() + 30 * 60 * 1000); // Dans 30 minutes
 
-        const ordersToRemind = await Commande.findAll({
-            where: {
-                isScheduled: true,
-                scheduledNotificationSent: false,
-                dateLivraisonSouhaitee: {
-                    [Op.gt]: now,
-                    [Op.lte]: reminderTime,
-                },
-                statut: ORDER_STATUS.PENDING,
-            },
-            include: [
-                { model: User, as: 'client', attributes: ['id', 'prenom'] },
-                { model: User, as: 'prestataire', attributes: ['id', 'nom'] },
-            ],
+        const ordersToRemind = await findScheduledBefore(reminderTime, {
+            statut: ORDER_STATUS.PENDING,
+            scheduledNotificationSent: false,
+            acceptationDemandeeLe: { [Op.ne]: null },
         });
-
         if (ordersToRemind.length === 0) return;
 
         logger.info(`[ScheduledOrders] Envoi de ${ordersToRemind.length} rappels`);
-        const io = getIO();
 
         for (const order of ordersToRemind) {
             try {
-                // Notification au prestataire
-                const notification = await Notification.create({
+                const [updated] = await Commande.update(
+                    { scheduledNotificationSent: true },
+                    { where: { id: order.id, scheduledNotificationSent: false } }
+                );
+                if (updated === 0) continue;
+
+                const minutes = Math.max(0, Math.round((getDebutPreparation(order) - now) / 60000));
+                await Notification.create({
                     userId: order.prestataireId,
-                    type: 'rappel',
-                    titre: 'Commande programmée dans 30 min',
-                    message: `La commande #${order.numero} de ${order.client?.prenom} sera active dans 30 minutes. Préparez-vous !`,
+                    type: NOTIFICATION_TYPES.ORDER_NEW,
+                    titre: { fr: 'Commande programmée toujours en attente' },
+                    message: { fr: `La commande #${order.numero} de ${order.client?.prenom || 'un client'} doit être préparée dans ${minutes} min. Acceptez-la ou refusez-la.` },
+                    lien: `/prestataire/commandes/${order.id}`,
                     data: { commandeId: order.id },
                 });
 
-                await order.update({ scheduledNotificationSent: true });
-
-                if (io) {
-                    io.to(`user_${order.prestataireId}`).emit('notification', {
-                        id: notification.id,
-                        type: 'rappel',
-                        title: notification.titre,
-                        message: notification.message,
-                        data: notification.data,
-                    });
-                }
+                emitToPrestataire(order.prestataireId, 'commande:rappel', {
+                    commandeId: order.id,
+                    numero: order.numero,
+                    programmee: true,
+                    preparationDans: minutes,
+                });
 
                 logger.info(`[ScheduledOrders] Rappel envoyé pour commande #${order.numero}`);
             } catch (err) {
@@ -148,9 +280,10 @@ const sendScheduledReminders = async () => {
  * Initialiser les jobs CRON
  */
 const initScheduledOrdersJob = () => {
-    // Toutes les 5 minutes - Traiter les commandes programmées
+    // Toutes les 5 minutes - Demandes d'acceptation, préparation et rappels
     cron.schedule('*/5 * * * *', async () => {
         logger.debug('[ScheduledOrders] Exécution du job de traitement');
+        await requestScheduledAcceptance();
         await processScheduledOrders();
         await sendScheduledReminders();
     });
@@ -160,6 +293,7 @@ const initScheduledOrdersJob = () => {
 
 module.exports = {
     initScheduledOrdersJob,
+    requestScheduledAcceptance,
     processScheduledOrders,
     sendScheduledReminders,
 };
@@ -0,0 +1,67 @@
+/**
+ * Job CRON des relevés de règlement hebdomadaires
+ * Émet le relevé de la dernière semaine écoulée pour chaque prestataire
+ * et le prévient ; l'émission est idempotente, une exécution manquée est
+ * rattrapée le lendemain
+ */
+const cron = require('node-cron');
+const { Notification } = require('../models');
+const logger = require('../config/logger');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+const { generateWeeklyStatements } = require('../services/settlementService');
+const { sendPushToUser } = require('../services/pushService');
+
+/**
+ * Émettre les relevés et notifier les prestataires
+ */
+const runSettlements = async (now = new Date()) => {
+    try {
+        const releves = await generateWeeklyStatements(now);
+        if (releves.length === 0) return;
+
+        logger.info(`[Settlement] ${releves.length} relevé(s) de règlement émis`);
+
+        for (const releve of releves) {
+            try {
+                const montant = parseFloat(releve.montantAVerser).toLocaleString('fr-FR');
+                await Notification.create({
+                    userId: releve.prestataireId,
+                    type: NOTIFICATION_TYPES.PAYMENT,
+                    titre: { fr: 'Relevé de règlement disponible' },
+                    message: { fr: `Votre relevé ${releve.numero} est disponible : ${montant} DA pour ${releve.nombreCommandes} commande(s).` },
+                    lien: `/prestataire/reglements/${releve.id}`,
+                    data: { releveId: releve.id },
+                });
+
+                await sendPushToUser(releve.prestataireId, {
+                    title: '🧾 Relevé de règlement',
+                    body: `Relevé ${releve.numero} : ${montant} DA`,
+                    icon: '/icons/icon-192x192.png',
+                    data: { url: `/prestataire/reglements/${releve.id}` },
+                });
+            } catch (err) {
+                logger.error(`[Settlement] Erreur notification relevé ${releve.numero}:`, err);
+            }
+        }
+    } catch (error) {
+        logger.error('[Settlement] Erreur émission des relevés:', error);
+    }
+};
+
+/**
+ * Initialiser le job CRON
+ */
+const initSettlementJob = () => {
+    // Tous les jours à 3h - seule la première exécution de la semaine émet les relevés
+    cron.schedule('0 3 * * *', async () => {
+        logger.debug('[Settlement] Exécution du job des relevés');
+        await runSettlements();
+    });
+
+    logger.info('[Settlement] Job CRON initialisé - Tous les jours à 3h');
+};
+
+module.exports = {
+    initSettlementJob,
+    runSettlements,
+};
@@ -0,0 +1,94 @@
+/**
+ * Job CRON de libération du stock réservé
+ * Annule les commandes payables en ligne dont le paiement a échoué ou n'a pas
+ * été finalisé avant la fin de la réservation : la machine à états rend le
+ * stock et le créneau
+ */
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { Commande, Notification } = require('../models');
+const logger = require('../config/logger');
+const { ORDER_STATUS, PAYMENT_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+const { transitionCommande } = require('../services/orderStateMachine');
+
+// Un paiement en cours de traitement n'est jamais libéré
+const RELEASABLE_PAYMENT_STATUS = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED];
+
+/**
+ * Libérer les réservations expirées ou dont le paiement a échoué
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+    try {
+        const commandes = await Commande.findAll({
+            where: {
+                statut: { [Op.in]: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED] },
+                stockReserveJusquA: { [Op.ne]: null },
+                [Op.or]: [
+                    { statutPaiement: PAYMENT_STATUS.FAILED },
+                    { statutPaiement: PAYMENT_STATUS.PENDING, stockReserveJusquA: { [Op.lte]: now } },
+                ],
+            },
+        });
+        if (commandes.length === 0) return;
+
+        logger.info(`[StockReservation] Libération du stock de ${commandes.length} commandes non payées`);
+
+        for (const commande of commandes) {
+            try {
+                const echec = commande.statutPaiement === PAYMENT_STATUS.FAILED;
+                const motif = echec
+                    ? 'Le paiement en ligne a échoué'
+                    : 'Le paiement en ligne n\'a pas été finalisé à temps';
+
+                // Le paiement peut avoir abouti entre la lecture et l'annulation
+                const result = await transitionCommande(commande, ORDER_STATUS.CANCELLED, {
+                    acteurType: 'system',
+                    motif,
+                    metadata: { reservationExpiree: !echec, stockReserveJusquA: commande.stockReserveJusquA },
+                    updates: { stockReserveJusquA: null },
+                    where: {
+                        statutPaiement: { [Op.in]: RELEASABLE_PAYMENT_STATUS },
+                        stockReserveJusquA: { [Op.ne]: null },
+                    },
+                });
+                if (!result.success) {
+                    logger.warn(`[StockReservation] Commande #${commande.numero}: ${result.error}`);
+                    continue;
+                }
+
+                await Notification.create({
+                    userId: commande.clientId,
+                    type: NOTIFICATION_TYPES.ORDER_STATUS,
+                    titre: { fr: 'Commande annulée' },
+                    message: { fr: `${motif} pour la commande #${commande.numero}. Elle a été annulée, vous pouvez repasser commande.` },
+                    lien: `/client/orders/${commande.id}`,
+                    data: { commandeId: commande.id },
+                });
+
+                logger.info(`[StockReservation] Commande #${commande.numero} annulée, stock libéré`);
+            } catch (err) {
+                logger.error(`[StockReservation] Erreur libération commande #${commande.numero}:`, err);
+            }
+        }
+    } catch (error) {
+        logger.error('[StockReservation] Erreur libération des réservations:', error);
+    }
+};
+
+/**
+ * Initialiser le job CRON
+ */
+const initStockReservationJob = () => {
+    // Toutes les minutes - la réservation se compte en minutes
+    cron.schedule('* * * * *', async () => {
+        logger.debug('[StockReservation] Exécution du job de libération');
+        await releaseExpiredReservations();
+    });
+
+    logger.info('[StockReservation] Job CRON initialisé - Intervalle: 1 minute');
+};
+
+module.exports = {
+    initStockReservationJob,
+    releaseExpiredReservations,
+};
@@ -0,0 +1,185 @@
+/**
+ * Idempotency Middleware
+ *
+ * Makes order and payment creation safe to retry: a client sends an
+ * `Idempotency-Key` header, the first response is stored and replayed for
+ * any retry with the same key. Keys live in Redis, with a database fallback
+ * (IdempotencyKey model) when Redis is unavailable.
+ *
+ * - Same key, same body, request finished  -> original response replayed
+ * - Same key, request still running         -> 409
+ * - Same key, different body                -> 422
+ * - 5xx responses are not stored so the client can retry with the same key
+ */
+
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { safeGet, safeSet, safeSetNX, safeDel } = require('../config/redis');
+const { IdempotencyKey } = require('../models');
+const logger = require('../config/logger');
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60; // 24 hours
+const MAX_KEY_LENGTH = 128;
+
+/**
+ * JSON serialization with sorted object keys, so the hash does not depend on key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (body) => crypto
+  .createHash('sha256')
+  .update(stableStringify(body || {}))
+  .digest('hex');
+
+/**
+ * Reserve a key in the database (fallback store)
+ */
+const acquireInDatabase = async (cle, userId, requestHash, retry = true) => {
+  try {
+    await IdempotencyKey.create({
+      cle,
+      userId,
+      requestHash,
+      statut: 'en_cours',
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL * 1000)
+    });
+    return { acquired: true, backend: 'db' };
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) throw error;
+
+    const existing = await IdempotencyKey.findOne({ where: { cle } });
+    if (existing && existing.expiresAt < new Date() && retry) {
+      await existing.destroy();
+      return acquireInDatabase(cle, userId, requestHash, false);
+    }
+    return { acquired: false, record: existing ? existing.toJSON() : null };
+  }
+};
+
+/**
+ * Reserve a key: Redis first, database if Redis is unavailable
+ * @returns {Promise<{ acquired: boolean, backend?: string, record?: Object }>}
+ */
+const acquireKey = async (cle, userId, requestHash) => {
+  const pending = { requestHash, statut: 'en_cours' };
+  const locked = await safeSetNX(cle, JSON.stringify(pending), IDEMPOTENCY_TTL);
+
+  if (locked === true) return { acquired: true, backend: 'redis' };
+  if (locked === false) {
+    const cached = await safeGet(cle);
+    return { acquired: false, record: cached ? JSON.parse(cached) : null };
+  }
+
+  return acquireInDatabase(cle, userId, requestHash);
+};
+
+/**
+ * Store the final response for a reserved key
+ */
+const completeKey = async (cle, backend, record) => {
+  if (backend === 'redis') {
+    await safeSet(cle, JSON.stringify({ ...record, statut: 'termine' }), IDEMPOTENCY_TTL);
+  } else {
+    await IdempotencyKey.update({ ...record, statut: 'termine' }, { where: { cle } });
+  }
+};
+
+/**
+ * Release a reserved key (failed request, the client may retry)
+ */
+const releaseKey = async (cle, backend) => {
+  if (backend === 'redis') {
+    await safeDel(cle);
+  } else {
+    await IdempotencyKey.destroy({ where: { cle } });
+  }
+};
+
+/**
+ * Idempotency middleware factory (to use after authenticate)
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const headerKey = req.get('Idempotency-Key');
+    if (!headerKey) {
+      return next();
+    }
+
+    if (headerKey.length > MAX_KEY_LENGTH) {
+      res.status(400);
+      return next(new Error(`En-tête Idempotency-Key invalide (${MAX_KEY_LENGTH} caractères maximum)`));
+    }
+
+    const cle = `idempotency:${req.user.id}:${req.method}:${req.baseUrl}${req.path}:${headerKey}`;
+    const requestHash = hashRequest(req.body);
+
+    try {
+      const { acquired, backend, record } = await acquireKey(cle, req.user.id, requestHash);
+
+      if (!acquired) {
+        if (record && record.requestHash !== requestHash) {
+          res.status(422);
+          throw new Error('Cette clé d\'idempotence a déjà été utilisée pour une requête différente');
+        }
+        if (!record || record.statut !== 'termine') {
+          res.status(409);
+          throw new Error('Une requête avec cette clé d\'idempotence est déjà en cours de traitement');
+        }
+
+        logger.info('Idempotent replay', { key: headerKey, userId: req.user.id, path: req.originalUrl });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      let settled = false;
+      const originalJson = res.json.bind(res);
+
+      // Store the response before sending it, so an immediate retry is replayed
+      res.json = async (body) => {
+        if (!settled) {
+          settled = true;
+          try {
+            if (res.statusCode >= 500) {
+              await releaseKey(cle, backend);
+            } else {
+              await completeKey(cle, backend, { requestHash, responseStatus: res.statusCode, responseBody: body });
+            }
+          } catch (error) {
+            logger.error('Idempotency store error', { key: headerKey, error: error.message });
+          }
+        }
+        return originalJson(body);
+      };
+
+      // Connection closed without a JSON response: free the key
+      res.on('close', () => {
+        if (!settled) {
+          settled = true;
+          releaseKey(cle, backend).catch(error =>
+            logger.error('Idempotency release error', { key: headerKey, error: error.message }));
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotency,
+  hashRequest,
+  IDEMPOTENCY_TTL
+};
@@ -51,6 +51,12 @@ const Categorie = sequelize.define('Categorie', {
     defaultValue: 'plat',
     comment: 'plat = catégorie de repas, produit = catégorie épicerie fine'
   },
+  // Taux de TVA appliqué sur les factures (null = taux par défaut de la plateforme)
+  tauxTVA: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    defaultValue: null
+  },
   // Métadonnées
   nombrePlats: {
     type: DataTypes.INTEGER,
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { PAYMENT_STATUS, PAYMENT_MODES } = require('../utils/constants');
+
+/**
+ * Checkout multi-prestataires : regroupe les sous-commandes (une par prestataire)
+ * passées et payées en une seule fois par le client
+ */
+const Checkout = sequelize.define('Checkout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  numero: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  clientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  promotionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'promotions',
+      key: 'id'
+    }
+  },
+  // Montants cumulés des sous-commandes
+  sousTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  reduction: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  fraisLivraison: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Paiement commun à toutes les sous-commandes
+  modePaiement: {
+    type: DataTypes.ENUM(Object.values(PAYMENT_MODES)),
+    defaultValue: PAYMENT_MODES.CASH
+  },
+  statutPaiement: {
+    type: DataTypes.ENUM(Object.values(PAYMENT_STATUS)),
+    defaultValue: PAYMENT_STATUS.PENDING
+  },
+  transactionId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  paiementDetails: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  codePromoUtilise: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'checkouts',
+  timestamps: true,
+  indexes: [
+    { fields: ['clientId'] },
+    { fields: ['numero'], unique: true }
+  ]
+});
+
+module.exports = Checkout;
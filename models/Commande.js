@@ -1,7 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES } = require('../utils/constants');
-const { generateOrderNumber } = require('../utils/helpers');
+const { generateOrderNumber, getMontantAPayer } = require('../utils/helpers');
 
 const Commande = sequelize.define('Commande', {
   id: {
@@ -38,6 +38,15 @@ const Commande = sequelize.define('Commande', {
       key: 'id'
     }
   },
+  // Checkout parent si la commande fait partie d'un achat multi-prestataires
+  checkoutId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'checkouts',
+      key: 'id'
+    }
+  },
   statut: {
     type: DataTypes.ENUM(Object.values(ORDER_STATUS)),
     defaultValue: ORDER_STATUS.PENDING
@@ -56,11 +65,33 @@ const Commande = sequelize.define('Commande', {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0
   },
+  // Pourboire livreur choisi au checkout (inclus dans le total)
+  pourboire: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  // Pourboire ajouté après livraison (débité séparément)
+  pourboireApresLivraison: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
   total: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0
   },
+  // Part du total réglée par le portefeuille client (débitée à la création)
+  montantPortefeuille: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Part du total réglée par cartes cadeaux (voir MouvementCarteCadeau)
+  montantCartesCadeaux: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
   // Livraison
   adresseLivraison: {
     type: DataTypes.TEXT,
@@ -70,6 +101,11 @@ const Commande = sequelize.define('Commande', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  positionLivraison: {
+    type: DataTypes.JSON,
+    allowNull: true
+    // Format: { lat: 36.7538, lng: 3.0588 } (sert au calcul des frais à la distance)
+  },
   telephoneLivraison: {
     type: DataTypes.STRING(20),
     allowNull: true
@@ -104,6 +140,54 @@ const Commande = sequelize.define('Commande', {
     defaultValue: false,
     comment: 'Notification envoyée au prestataire avant la date prévue'
   },
+  debutPreparationPrevu: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Commande programmée : heure de livraison moins préparation et livraison estimées'
+  },
+  acceptationDemandeeLe: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Commande programmée : demande d\'acceptation envoyée au prestataire'
+  },
+  // Créneau de livraison réservé (commandes programmées)
+  creneauId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'creneaux_livraison',
+      key: 'id'
+    }
+  },
+  // Fin de la réservation du stock d'une commande en attente de paiement en ligne
+  // (null : paiement confirmé, paiement à la livraison ou parts réglées individuellement)
+  stockReserveJusquA: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Conflits avec le profil alimentaire du client, confirmés par lui à la commande
+  avertissementsAlimentaires: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "conflits": [{ "platId": 1, "nom": "...", "avertissements": [...] }], "confirmeLe": "..." }
+  },
+  rappelConfirmationEnvoye: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Relance envoyée au prestataire pour une commande non confirmée'
+  },
+  // Capacité cuisine
+  tempsPreparationEstime: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Temps de préparation propre à la commande, en minutes'
+  },
+  datePreteEstimee: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Heure estimée où la commande sera prête, file d\'attente comprise'
+  },
   // Paiement
   modePaiement: {
     type: DataTypes.ENUM(Object.values(PAYMENT_MODES)),
@@ -173,6 +257,7 @@ const Commande = sequelize.define('Commande', {
   indexes: [
     { fields: ['clientId'] },
     { fields: ['prestataireId'] },
+    { fields: ['checkoutId'] },
     { fields: ['statut'] },
     { fields: ['numero'], unique: true },
     { fields: ['createdAt'] }
@@ -184,6 +269,11 @@ Commande.prototype.canBeCancelled = function () {
   return [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(this.statut);
 };
 
+// Montant restant à régler par carte ou en espèces
+Commande.prototype.getMontantAPayer = function () {
+  return getMontantAPayer(this);
+};
+
 Commande.prototype.canBeModified = function () {
   return this.statut === ORDER_STATUS.PENDING;
 };
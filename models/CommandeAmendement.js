@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modification d'une commande proposée par le prestataire
+ * (article retiré, quantité réduite ou plat remplacé), soumise à l'accord du client
+ */
+const CommandeAmendement = sequelize.define('CommandeAmendement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  prestataireId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  statut: {
+    type: DataTypes.ENUM('en_attente', 'acceptee', 'refusee', 'annulee'),
+    defaultValue: 'en_attente'
+  },
+  // Changements demandés
+  // Format: [{ commandeItemId: 1, action: "retirer" },
+  //          { commandeItemId: 2, action: "reduire", quantite: 1 },
+  //          { commandeItemId: 3, action: "remplacer", platId: 9, quantite: 1, options: [] }]
+  changements: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Lignes de la commande après modification (prix figés à la proposition)
+  lignes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  ancienTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  nouveauSousTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  nouvelleReduction: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  nouveauTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Montant rendu au client (négatif si la commande coûte plus cher)
+  difference: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Résultat du remboursement en ligne de la différence
+  remboursement: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  dateReponse: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'commande_amendements',
+  timestamps: true,
+  indexes: [
+    { fields: ['commandeId'] },
+    { fields: ['statut'] }
+  ]
+});
+
+module.exports = CommandeAmendement;
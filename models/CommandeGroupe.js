@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Commande groupée : panier partagé par lien, chez un seul prestataire.
+ * Chaque participant ajoute ses plats avant l'heure limite, l'hôte passe
+ * une seule Commande puis chacun règle sa part (CommandeGroupePart).
+ */
+const CommandeGroupe = sequelize.define('CommandeGroupe', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Code du lien de partage
+  code: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true
+  },
+  hoteId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  prestataireId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Commande passée par l'hôte
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  nom: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  statut: {
+    type: DataTypes.ENUM('ouverte', 'commandee', 'annulee'),
+    defaultValue: 'ouverte'
+  },
+  // Heure limite d'ajout des plats par les participants
+  dateLimite: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'commandes_groupe',
+  timestamps: true,
+  indexes: [
+    { fields: ['code'], unique: true },
+    { fields: ['hoteId'] },
+    { fields: ['commandeId'] }
+  ]
+});
+
+module.exports = CommandeGroupe;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Plat ajouté par un participant à une commande groupée
+ */
+const CommandeGroupeItem = sequelize.define('CommandeGroupeItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  groupeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes_groupe',
+      key: 'id'
+    }
+  },
+  participantId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  platId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'plats',
+      key: 'id'
+    }
+  },
+  quantite: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La quantité doit être au moins 1'
+      }
+    }
+  },
+  // Options sélectionnées (sans les suppléments, toujours recalculés depuis le catalogue)
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+    // Format: [{ nom: "Taille", choix: "Large" }]
+  },
+  instructions: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'commande_groupe_items',
+  timestamps: true,
+  indexes: [
+    { fields: ['groupeId'] },
+    { fields: ['participantId'] }
+  ]
+});
+
+module.exports = CommandeGroupeItem;
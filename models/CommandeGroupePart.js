@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { PAYMENT_STATUS } = require('../utils/constants');
+
+/**
+ * Part d'un participant dans une commande groupée : ses plats, sa part de
+ * réduction et de frais de livraison, réglée par carte ou carte cadeau
+ */
+const CommandeGroupePart = sequelize.define('CommandeGroupePart', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  groupeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes_groupe',
+      key: 'id'
+    }
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  participantId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sousTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  reduction: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  fraisLivraison: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  montant: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  modePaiement: {
+    type: DataTypes.ENUM('cib', 'edahabia', 'carte_cadeau'),
+    allowNull: true
+  },
+  statutPaiement: {
+    type: DataTypes.ENUM(Object.values(PAYMENT_STATUS)),
+    defaultValue: PAYMENT_STATUS.PENDING
+  },
+  transactionId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  giftCardId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'gift_cards',
+      key: 'id'
+    }
+  },
+  paiementDetails: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  datePaiement: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'commande_groupe_parts',
+  timestamps: true,
+  indexes: [
+    { fields: ['groupeId'] },
+    { fields: ['commandeId'] },
+    { fields: ['groupeId', 'participantId'], unique: true }
+  ]
+});
+
+module.exports = CommandeGroupePart;
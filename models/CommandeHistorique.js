@@ -37,7 +37,7 @@ const CommandeHistorique = sequelize.define('CommandeHistorique', {
         }
     },
     acteurType: {
-        type: DataTypes.ENUM('client', 'prestataire', 'admin', 'system'),
+        type: DataTypes.ENUM('client', 'prestataire', 'livreur', 'admin', 'system'),
         allowNull: false
     },
     motif: {
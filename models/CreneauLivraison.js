@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Créneau de livraison réservé chez un prestataire.
+ * Une ligne par créneau ayant reçu au moins une commande ; le compteur
+ * de réservations est incrémenté de façon conditionnelle pour ne jamais
+ * dépasser la capacité publiée (voir services/deliverySlotService.js).
+ */
+const CreneauLivraison = sequelize.define('CreneauLivraison', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  prestataireId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  debut: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fin: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  reservations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'creneaux_livraison',
+  timestamps: true,
+  indexes: [
+    { fields: ['prestataireId', 'debut'], unique: true }
+  ]
+});
+
+module.exports = CreneauLivraison;
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEDGER_ACCOUNTS, LEDGER_EVENTS, LEDGER_NATURES } = require('../utils/constants');
+
+/**
+ * Ligne du grand livre des commissions (comptabilité en partie double).
+ * Les lignes d'une même opération partagent le même identifiant `operation`
+ * et sont équilibrées (total des débits = total des crédits). Une écriture
+ * n'est jamais modifiée : une correction passe par une nouvelle opération
+ * (voir services/ledgerService.js).
+ */
+const EcritureComptable = sequelize.define('EcritureComptable', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  operation: {
+    type: DataTypes.STRING(36),
+    allowNull: false
+  },
+  evenement: {
+    type: DataTypes.ENUM(Object.values(LEDGER_EVENTS)),
+    allowNull: false
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  litigeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'litiges',
+      key: 'id'
+    }
+  },
+  compte: {
+    type: DataTypes.ENUM(Object.values(LEDGER_ACCOUNTS)),
+    allowNull: false
+  },
+  // Prestataire ou livreur titulaire du compte (null pour l'encaissement et la plateforme)
+  titulaireId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  nature: {
+    type: DataTypes.ENUM(Object.values(LEDGER_NATURES)),
+    allowNull: false
+  },
+  debit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  credit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  libelle: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'ecritures_comptables',
+  timestamps: true,
+  updatedAt: false, // Écritures immuables
+  indexes: [
+    { fields: ['operation'] },
+    { fields: ['commandeId', 'evenement'] },
+    { fields: ['compte', 'titulaireId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = EcritureComptable;
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Facture (ou avoir) émise pour une commande.
+ * Le document est figé à l'émission : vendeur, acheteur, lignes et totaux
+ * sont stockés tels quels pour que le PDF soit régénérable à l'identique
+ * (voir services/invoiceService.js).
+ */
+const Facture = sequelize.define('Facture', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.ENUM('facture', 'avoir'),
+    allowNull: false,
+    defaultValue: 'facture'
+  },
+  // Numérotation continue par type et par exercice : FAC-2026-000001, AV-2026-000001
+  numero: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  exercice: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  commandeNumero: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  // Facture corrigée par un avoir
+  factureOrigineId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'factures',
+      key: 'id'
+    }
+  },
+  dateEmission: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // { nom, adresse, ville, telephone, email, raisonSociale, nif, rc, nis, articleImposition }
+  vendeur: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  acheteur: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // [{ designation, quantite, prixUnitaireTTC, tauxTVA, montantHT, montantTVA, montantTTC }]
+  lignes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  totalHT: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  totalTVA: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  totalTTC: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Récapitulatif par taux : [{ tauxTVA, montantHT, montantTVA, montantTTC }]
+  detailTVA: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  motif: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'factures',
+  timestamps: true,
+  indexes: [
+    { fields: ['type', 'exercice', 'sequence'], unique: true },
+    { fields: ['commandeId'] }
+  ]
+});
+
+module.exports = Facture;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Clés d'idempotence (repli en base quand Redis est indisponible)
+ * Voir middleware/idempotencyMiddleware.js
+ */
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Clé complète : utilisateur + route + valeur de l'en-tête Idempotency-Key
+  cle: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Empreinte SHA-256 du corps de la requête d'origine
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  statut: {
+    type: DataTypes.ENUM('en_cours', 'termine'),
+    defaultValue: 'en_cours'
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { GIFT_CARD_MOVEMENT_TYPES } = require('../utils/constants');
+
+/**
+ * Utilisation d'une carte cadeau au paiement d'une commande (montant
+ * négatif) ou restitution à l'annulation ou au remboursement (positif).
+ * La somme des mouvements d'une commande sur une carte est ce qu'elle y a
+ * encore engagé.
+ */
+const MouvementCarteCadeau = sequelize.define('MouvementCarteCadeau', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  giftCardId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'gift_cards',
+      key: 'id'
+    }
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  clientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(Object.values(GIFT_CARD_MOVEMENT_TYPES)),
+    allowNull: false
+  },
+  montant: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Solde de la carte après le mouvement
+  soldeApres: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  libelle: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'mouvements_cartes_cadeaux',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['commandeId'] },
+    { fields: ['giftCardId', 'createdAt'] }
+  ]
+});
+
+module.exports = MouvementCarteCadeau;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { CASH_MOVEMENT_TYPES } = require('../utils/constants');
+
+/**
+ * Mouvement de la caisse d'un livreur : espèces encaissées à la livraison
+ * d'une commande (montant positif) ou remises à la plateforme (négatif).
+ * User.soldeEspeces est la somme des mouvements du livreur.
+ */
+const MouvementEspeces = sequelize.define('MouvementEspeces', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  livreurId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(Object.values(CASH_MOVEMENT_TYPES)),
+    allowNull: false
+  },
+  montant: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  soldeApres: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Commande encaissée (type encaissement)
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  // Session de remise (type remise)
+  remiseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'remises_especes',
+      key: 'id'
+    }
+  },
+  libelle: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'mouvements_especes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['livreurId', 'createdAt'] }
+  ]
+});
+
+module.exports = MouvementEspeces;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Panier = sequelize.define('Panier', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  clientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Dernière modification du contenu par le client (ajout, retrait, quantité)
+  derniereActivite: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Relance panier abandonné
+  relanceEnvoyeeAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'paniers',
+  timestamps: true,
+  indexes: [
+    { fields: ['derniereActivite'] }
+  ]
+});
+
+module.exports = Panier;
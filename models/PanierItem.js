@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PanierItem = sequelize.define('PanierItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  panierId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'paniers',
+      key: 'id'
+    }
+  },
+  platId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'plats',
+      key: 'id'
+    }
+  },
+  quantite: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La quantité doit être au moins 1'
+      }
+    }
+  },
+  // Options sélectionnées (sans les suppléments, toujours recalculés depuis le catalogue)
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+    // Format: [{ nom: "Taille", choix: "Large" }]
+  },
+  instructions: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Prix unitaire (suppléments inclus) vu par le client lors du dernier ajout/modification
+  prixVu: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'panier_items',
+  timestamps: true,
+  indexes: [
+    { fields: ['panierId'] },
+    { fields: ['platId'] }
+  ]
+});
+
+module.exports = PanierItem;
@@ -160,7 +160,8 @@ const Plat = sequelize.define('Plat', {
     type: DataTypes.JSON,
     allowNull: true,
     defaultValue: []
-    // Format: [{ nom: "Taille", choix: [{ label: "Normal", supplement: 0 }, { label: "Large", supplement: 200 }] }]
+    // Format: [{ nom: "Taille", obligatoire: true, min: 1, max: 1, choix: [{ label: "Normal", supplement: 0 }, { label: "Large", supplement: 200 }] }]
+    // obligatoire/min/max et choix[].disponible sont optionnels (voir services/platOptionsService.js)
   }
 }, {
   tableName: 'plats',
@@ -0,0 +1,156 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SETTLEMENT_STATUS } = require('../utils/constants');
+
+/**
+ * Relevé de règlement hebdomadaire d'un prestataire.
+ * Les montants et le détail par commande sont figés à l'émission à partir
+ * du grand livre des commissions (voir services/settlementService.js) ;
+ * seul le statut de paiement évolue ensuite, avec son historique.
+ */
+const ReleveReglement = sequelize.define('ReleveReglement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // REL-AAAAMMJJ-<prestataireId> (date de début de la période)
+  numero: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  prestataireId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Période [periodeDebut, periodeFin[
+  periodeDebut: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  periodeFin: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  nombreCommandes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  ventesBrutes: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Promotions financées par le prestataire (négatif)
+  promotions: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Promotions financées par la plateforme : pour information, sans effet sur le montant dû
+  promotionsPlateforme: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Commissions de la plateforme (négatif)
+  commissions: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Remboursements et litiges comptabilisés sur la période (négatif)
+  remboursements: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Frais de livraison et pourboires des commandes livrées par le prestataire
+  fraisLivraison: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  netDu: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Espèces encaissées directement par le prestataire (déduites du virement)
+  especesPrestataire: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Espèces encaissées par les livreurs de la plateforme : reversées à la plateforme
+  especesLivreurs: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Négatif : le prestataire doit la somme à la plateforme
+  montantAVerser: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // [{ commandeId, numero, date, modePaiement, encaissePar, brut, promo, commission, remboursement, fraisLivraison, net }]
+  lignes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  statut: {
+    type: DataTypes.ENUM(Object.values(SETTLEMENT_STATUS)),
+    allowNull: false,
+    defaultValue: SETTLEMENT_STATUS.PENDING
+  },
+  datePaiement: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  payePar: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  referencePaiement: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Piste d'audit : [{ action, adminId, date, details }]
+  historique: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'releves_reglement',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['prestataireId', 'periodeDebut'] },
+    { fields: ['statut'] },
+    { fields: ['periodeDebut'] }
+  ]
+});
+
+/**
+ * Ajouter une entrée à l'historique
+ */
+ReleveReglement.prototype.addHistorique = function (action, adminId, details = {}) {
+  this.historique = [
+    ...(this.historique || []),
+    { action, adminId, date: new Date().toISOString(), details }
+  ];
+};
+
+module.exports = ReleveReglement;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Session de remise d'espèces d'un livreur, enregistrée par un admin.
+ * L'écart (remis - attendu) reste sur le solde du livreur : un manque est
+ * toujours dû, un excédent lui sera rendu ou déduit de la remise suivante.
+ */
+const RemiseEspeces = sequelize.define('RemiseEspeces', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  livreurId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Solde du livreur au moment de la remise
+  montantAttendu: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  montantRemis: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Négatif : manque ; positif : excédent
+  ecart: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  soldeApres: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  commentaire: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'remises_especes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['livreurId', 'createdAt'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = RemiseEspeces;
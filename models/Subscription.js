@@ -41,7 +41,7 @@ const Subscription = sequelize.define('Subscription', {
     panierItems: {
         type: DataTypes.JSON,
         allowNull: true,
-        comment: 'Items du panier si type=panier [{platId, quantite}]',
+        comment: 'Items du panier si type=panier [{platId, quantite, options}]',
     },
     // Fréquence
     frequence: {
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+
+/**
+ * Mouvement du portefeuille d'un client : remboursement ou annulation
+ * crédités (montant positif), paiement d'une commande (négatif).
+ * User.soldePortefeuille est la somme des mouvements du client.
+ */
+const TransactionPortefeuille = sequelize.define('TransactionPortefeuille', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  clientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(Object.values(WALLET_TRANSACTION_TYPES)),
+    allowNull: false
+  },
+  montant: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  soldeApres: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  commandeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'commandes',
+      key: 'id'
+    }
+  },
+  // Litige dont la résolution a crédité le portefeuille
+  litigeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'litiges',
+      key: 'id'
+    }
+  },
+  // Admin à l'origine du remboursement
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  libelle: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'transactions_portefeuille',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['clientId', 'createdAt'] },
+    { fields: ['commandeId'] }
+  ]
+});
+
+module.exports = TransactionPortefeuille;
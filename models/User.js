@@ -82,6 +82,7 @@ const User = sequelize.define('User', {
     allowNull: true,
     defaultValue: null
     // Format: { "lundi": { "ouvert": true, "debut": "08:00", "fin": "22:00" }, ... }
+    // + plages multiples, fermeturesExceptionnelles et joursSpeciaux (voir services/openingHoursService.js)
   },
   zonesLivraison: {
     type: DataTypes.JSON,
@@ -89,11 +90,54 @@ const User = sequelize.define('User', {
     defaultValue: []
     // Format: ["Alger Centre", "Bab El Oued", ...]
   },
+  capaciteCuisine: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "commandesSimultanees": 4, "tempsPreparationBase": 20, "politiqueSurcharge": "prolonger",
+    //           "modeAffluence": false, "minutesAffluence": 15 } (voir services/kitchenCapacityService.js)
+  },
+  creneauxLivraison: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "actif": true, "dureeMinutes": 15, "maxCommandes": 5, "delaiMinimumMinutes": 30 }
+    // (voir services/deliverySlotService.js)
+  },
+  // Minimum, maximum et moyens de paiement propres à la boutique
+  reglesCommande: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "montantMinimum": 1500, "montantMaximum": 20000, "especes": false, "enLigne": true }
+    // (voir services/orderRulesService.js)
+  },
+  // Allergies et régimes déclarés par le client
+  profilAlimentaire: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "allergies": ["gluten", "arachides"], "regimes": ["halal", "vegan"] }
+    // (voir services/dietaryProfileService.js)
+  },
+  // Identifiants légaux repris sur les factures (prestataires, clients entreprises)
+  informationsLegales: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null
+    // Format: { "raisonSociale": "SARL ...", "nif": "...", "rc": "...", "nis": "...", "articleImposition": "..." }
+    // (voir services/invoiceService.js)
+  },
   prestataireType: {
     type: DataTypes.ENUM(Object.values(PRESTATAIRE_TYPES)),
     defaultValue: PRESTATAIRE_TYPES.RESTAURANT, // On garde restaurant par défaut pour la compatibilité
     allowNull: true // Seuleument pour les prestataires
   },
+  // Partenaire premium : commission réduite (paramètre commission.premiumPartnerCommission)
+  partenairePremium: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   // Champs spécifiques livreur
   vehiculeImmatriculation: {
     type: DataTypes.STRING(20),
@@ -128,6 +172,18 @@ const User = sequelize.define('User', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  // Espèces encaissées à la livraison et pas encore remises (voir services/cashCollectionService.js)
+  soldeEspeces: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Crédit utilisable au paiement des commandes (voir services/walletService.js)
+  soldePortefeuille: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
   // Vérification et statut
   isVerified: {
     type: DataTypes.BOOLEAN,
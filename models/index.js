@@ -24,6 +24,22 @@ const Badge = require('./Badge')(sequelize, DataTypes);
 const UserBadge = require('./UserBadge')(sequelize, DataTypes);
 const Subscription = require('./Subscription');
 const GiftCard = require('./GiftCard');
+const Panier = require('./Panier');
+const PanierItem = require('./PanierItem');
+const Checkout = require('./Checkout');
+const IdempotencyKey = require('./IdempotencyKey');
+const CommandeAmendement = require('./CommandeAmendement');
+const CommandeGroupe = require('./CommandeGroupe');
+const CommandeGroupeItem = require('./CommandeGroupeItem');
+const CommandeGroupePart = require('./CommandeGroupePart');
+const CreneauLivraison = require('./CreneauLivraison');
+const Facture = require('./Facture');
+const EcritureComptable = require('./EcritureComptable');
+const ReleveReglement = require('./ReleveReglement');
+const RemiseEspeces = require('./RemiseEspeces');
+const MouvementEspeces = require('./MouvementEspeces');
+const TransactionPortefeuille = require('./TransactionPortefeuille');
+const MouvementCarteCadeau = require('./MouvementCarteCadeau');
 
 // ═══════════════════════════════════════════════════════════════
 // ASSOCIATIONS
@@ -458,6 +474,280 @@ GiftCard.belongsTo(User, {
   as: 'beneficiaire'
 });
 
+// User - Panier
+User.hasOne(Panier, {
+  foreignKey: 'clientId',
+  as: 'panier'
+});
+Panier.belongsTo(User, {
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+// Panier - PanierItem
+Panier.hasMany(PanierItem, {
+  foreignKey: 'panierId',
+  as: 'items',
+  onDelete: 'CASCADE'
+});
+PanierItem.belongsTo(Panier, {
+  foreignKey: 'panierId',
+  as: 'panier'
+});
+
+// Plat - PanierItem
+PanierItem.belongsTo(Plat, {
+  foreignKey: 'platId',
+  as: 'plat'
+});
+
+// User - Checkout
+User.hasMany(Checkout, {
+  foreignKey: 'clientId',
+  as: 'checkouts'
+});
+Checkout.belongsTo(User, {
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+// Checkout - Commande (sous-commandes par prestataire)
+Checkout.hasMany(Commande, {
+  foreignKey: 'checkoutId',
+  as: 'commandes'
+});
+Commande.belongsTo(Checkout, {
+  foreignKey: 'checkoutId',
+  as: 'checkout'
+});
+
+// Commande - CommandeAmendement
+Commande.hasMany(CommandeAmendement, {
+  foreignKey: 'commandeId',
+  as: 'amendements'
+});
+CommandeAmendement.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+
+// User - CommandeGroupe
+User.hasMany(CommandeGroupe, {
+  foreignKey: 'hoteId',
+  as: 'commandesGroupeHote'
+});
+CommandeGroupe.belongsTo(User, {
+  foreignKey: 'hoteId',
+  as: 'hote'
+});
+CommandeGroupe.belongsTo(User, {
+  foreignKey: 'prestataireId',
+  as: 'prestataire'
+});
+
+// CommandeGroupe - Commande
+CommandeGroupe.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+Commande.hasOne(CommandeGroupe, {
+  foreignKey: 'commandeId',
+  as: 'groupe'
+});
+
+// CommandeGroupe - CommandeGroupeItem
+CommandeGroupe.hasMany(CommandeGroupeItem, {
+  foreignKey: 'groupeId',
+  as: 'items',
+  onDelete: 'CASCADE'
+});
+CommandeGroupeItem.belongsTo(CommandeGroupe, {
+  foreignKey: 'groupeId',
+  as: 'groupe'
+});
+CommandeGroupeItem.belongsTo(User, {
+  foreignKey: 'participantId',
+  as: 'participant'
+});
+CommandeGroupeItem.belongsTo(Plat, {
+  foreignKey: 'platId',
+  as: 'plat'
+});
+
+// CommandeGroupe - CommandeGroupePart
+CommandeGroupe.hasMany(CommandeGroupePart, {
+  foreignKey: 'groupeId',
+  as: 'parts'
+});
+CommandeGroupePart.belongsTo(CommandeGroupe, {
+  foreignKey: 'groupeId',
+  as: 'groupe'
+});
+CommandeGroupePart.belongsTo(User, {
+  foreignKey: 'participantId',
+  as: 'participant'
+});
+Commande.hasMany(CommandeGroupePart, {
+  foreignKey: 'commandeId',
+  as: 'partsGroupe'
+});
+
+// User - CreneauLivraison
+User.hasMany(CreneauLivraison, {
+  foreignKey: 'prestataireId',
+  as: 'creneauxReserves'
+});
+CreneauLivraison.belongsTo(User, {
+  foreignKey: 'prestataireId',
+  as: 'prestataire'
+});
+
+// CreneauLivraison - Commande
+CreneauLivraison.hasMany(Commande, {
+  foreignKey: 'creneauId',
+  as: 'commandes'
+});
+Commande.belongsTo(CreneauLivraison, {
+  foreignKey: 'creneauId',
+  as: 'creneau'
+});
+
+// Commande - Facture
+Commande.hasMany(Facture, {
+  foreignKey: 'commandeId',
+  as: 'factures'
+});
+Facture.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+
+// Facture - Avoir
+Facture.belongsTo(Facture, {
+  foreignKey: 'factureOrigineId',
+  as: 'factureOrigine'
+});
+Facture.hasMany(Facture, {
+  foreignKey: 'factureOrigineId',
+  as: 'avoirs'
+});
+
+// Commande - EcritureComptable
+Commande.hasMany(EcritureComptable, {
+  foreignKey: 'commandeId',
+  as: 'ecritures'
+});
+EcritureComptable.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+
+// User - EcritureComptable (prestataire ou livreur titulaire du compte)
+EcritureComptable.belongsTo(User, {
+  foreignKey: 'titulaireId',
+  as: 'titulaire'
+});
+
+// Litige - EcritureComptable
+EcritureComptable.belongsTo(Litige, {
+  foreignKey: 'litigeId',
+  as: 'litige'
+});
+
+// User - ReleveReglement
+User.hasMany(ReleveReglement, {
+  foreignKey: 'prestataireId',
+  as: 'relevesReglement'
+});
+ReleveReglement.belongsTo(User, {
+  foreignKey: 'prestataireId',
+  as: 'prestataire'
+});
+ReleveReglement.belongsTo(User, {
+  foreignKey: 'payePar',
+  as: 'admin'
+});
+
+// User - Caisse livreur (paiement à la livraison)
+User.hasMany(MouvementEspeces, {
+  foreignKey: 'livreurId',
+  as: 'mouvementsEspeces'
+});
+MouvementEspeces.belongsTo(User, {
+  foreignKey: 'livreurId',
+  as: 'livreur'
+});
+MouvementEspeces.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+MouvementEspeces.belongsTo(RemiseEspeces, {
+  foreignKey: 'remiseId',
+  as: 'remise'
+});
+User.hasMany(RemiseEspeces, {
+  foreignKey: 'livreurId',
+  as: 'remisesEspeces'
+});
+RemiseEspeces.belongsTo(User, {
+  foreignKey: 'livreurId',
+  as: 'livreur'
+});
+RemiseEspeces.belongsTo(User, {
+  foreignKey: 'adminId',
+  as: 'admin'
+});
+
+// User - Portefeuille client
+User.hasMany(TransactionPortefeuille, {
+  foreignKey: 'clientId',
+  as: 'transactionsPortefeuille'
+});
+TransactionPortefeuille.belongsTo(User, {
+  foreignKey: 'clientId',
+  as: 'client'
+});
+TransactionPortefeuille.belongsTo(User, {
+  foreignKey: 'adminId',
+  as: 'admin'
+});
+TransactionPortefeuille.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+TransactionPortefeuille.belongsTo(Litige, {
+  foreignKey: 'litigeId',
+  as: 'litige'
+});
+
+// Cartes cadeaux utilisées au paiement des commandes
+GiftCard.hasMany(MouvementCarteCadeau, {
+  foreignKey: 'giftCardId',
+  as: 'mouvements'
+});
+MouvementCarteCadeau.belongsTo(GiftCard, {
+  foreignKey: 'giftCardId',
+  as: 'giftCard'
+});
+Commande.hasMany(MouvementCarteCadeau, {
+  foreignKey: 'commandeId',
+  as: 'mouvementsCartesCadeaux'
+});
+MouvementCarteCadeau.belongsTo(Commande, {
+  foreignKey: 'commandeId',
+  as: 'commande'
+});
+MouvementCarteCadeau.belongsTo(User, {
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+// User - IdempotencyKey
+IdempotencyKey.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 // ═══════════════════════════════════════════════════════════════
 // EXPORT
 // ═══════════════════════════════════════════════════════════════
@@ -485,6 +775,22 @@ module.exports = {
   Badge,
   UserBadge,
   Subscription,
-  GiftCard
+  GiftCard,
+  Panier,
+  PanierItem,
+  Checkout,
+  IdempotencyKey,
+  CommandeAmendement,
+  CommandeGroupe,
+  CommandeGroupeItem,
+  CommandeGroupePart,
+  CreneauLivraison,
+  Facture,
+  EcritureComptable,
+  ReleveReglement,
+  RemiseEspeces,
+  MouvementEspeces,
+  TransactionPortefeuille,
+  MouvementCarteCadeau
 };
 
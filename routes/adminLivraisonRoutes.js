@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate, paginationRules } = require('../middleware/validationMiddleware');
 const { authenticate } = require('../middleware/authMiddleware');
 const { isAdmin } = require('../middleware/roleMiddleware');
@@ -16,7 +16,11 @@ const {
     reassignerCommande,
     getStatsLivraisons,
     getLivreursDisponibles,
-    autoAssignerCommande
+    autoAssignerCommande,
+    getEspecesLivreurs,
+    getEspecesLivreur,
+    enregistrerRemise,
+    getEcartsEspeces
 } = require('../controllers/adminLivraisonController');
 
 // Validation création livreur
@@ -48,4 +52,18 @@ router.post('/livraisons/assigner', authenticate, isAdmin, assignerValidation, v
 router.post('/livraisons/reassigner', authenticate, isAdmin, validate, reassignerCommande);
 router.post('/livraisons/auto-assigner', authenticate, isAdmin, body('commandeId').isInt(), validate, autoAssignerCommande);
 
+// Routes Admin - Espèces des livreurs
+router.get('/especes', authenticate, isAdmin, getEspecesLivreurs);
+router.get('/especes/ecarts', authenticate, isAdmin, [
+    query('du').optional().isISO8601().withMessage('Date de début invalide'),
+    query('au').optional().isISO8601().withMessage('Date de fin invalide'),
+    query('livreurId').optional().isInt().withMessage('Livreur invalide')
+], validate, getEcartsEspeces);
+router.get('/livreurs/:id/especes', authenticate, isAdmin, param('id').isInt(), paginationRules, validate, getEspecesLivreur);
+router.post('/livreurs/:id/remises', authenticate, isAdmin, [
+    param('id').isInt(),
+    body('montantRemis').isFloat({ min: 0 }).withMessage('Montant remis invalide'),
+    body('commentaire').optional().isString().isLength({ max: 500 })
+], validate, enregistrerRemise);
+
 module.exports = router;
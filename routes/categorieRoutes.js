@@ -15,13 +15,20 @@ const {
 } = require('../controllers/categorieController');
 
 // Validation
+const tauxTVAValidation = body('tauxTVA')
+  .optional({ nullable: true })
+  .isFloat({ min: 0, max: 100 })
+  .withMessage('Le taux de TVA doit être compris entre 0 et 100')
+  .toFloat();
+
 const categorieValidation = [
   body('nom')
     .notEmpty()
     .withMessage('Le nom est requis'),
   body('nom.fr')
     .notEmpty()
-    .withMessage('Le nom français est requis')
+    .withMessage('Le nom français est requis'),
+  tauxTVAValidation
 ];
 
 // Routes publiques
@@ -31,7 +38,7 @@ router.get('/:idOrSlug', getCategorie);
 // Routes Admin
 router.post('/', authenticate, isAdmin, categorieValidation, validate, createCategorie);
 router.put('/reorder', authenticate, isAdmin, reorderCategories);
-router.put('/:id', authenticate, isAdmin, param('id').isInt(), validate, updateCategorie);
+router.put('/:id', authenticate, isAdmin, param('id').isInt(), tauxTVAValidation, validate, updateCategorie);
 router.delete('/:id', authenticate, isAdmin, param('id').isInt(), validate, deleteCategorie);
 
 module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validate, paginationRules } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isClient } = require('../middleware/roleMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+
+const {
+  getDevisCheckout,
+  createCheckout,
+  getMesCheckouts,
+  getCheckoutById
+} = require('../controllers/checkoutController');
+
+// Validation
+const itemsValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Panier vide'),
+  body('items.*.platId').isInt({ min: 1 }).withMessage('Plat invalide').toInt(),
+  body('items.*.quantite').isInt({ min: 1 }).withMessage('Quantité invalide').toInt(),
+  body('positionLivraison.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude invalide'),
+  body('positionLivraison.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude invalide'),
+  body('dateLivraisonSouhaitee').optional({ nullable: true }).isISO8601().withMessage('Date de livraison invalide'),
+  body('pourboire').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Pourboire invalide'),
+  body('pourboirePourcentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Pourcentage de pourboire invalide')
+];
+
+const checkoutValidation = [
+  ...itemsValidation,
+  body('adresseLivraison').notEmpty().withMessage('Adresse de livraison requise'),
+  body('modePaiement').isIn(['cib', 'edahabia', 'especes']).withMessage('Mode de paiement invalide'),
+  body('confirmationAllergies').optional().isBoolean().withMessage('Confirmation invalide').toBoolean()
+];
+
+// Routes Client
+router.post('/devis', authenticate, isClient, itemsValidation, validate, getDevisCheckout);
+router.post('/', authenticate, isClient, idempotency(), checkoutValidation, validate, createCheckout);
+router.get('/', authenticate, isClient, paginationRules, validate, getMesCheckouts);
+router.get('/:id', authenticate, isClient, param('id').isInt(), validate, getCheckoutById);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isClient } = require('../middleware/roleMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+
+const {
+  createGroupe,
+  getGroupe,
+  ajouterItemGroupe,
+  modifierItemGroupe,
+  retirerItemGroupe,
+  annulerGroupe,
+  commanderGroupe,
+  payerPart,
+  confirmerPart
+} = require('../controllers/commandeGroupeController');
+
+// Validation
+const codeValidation = param('code').isAlphanumeric().isLength({ max: 16 }).withMessage('Code invalide');
+
+const groupeValidation = [
+  body('prestataireId').isInt({ min: 1 }).withMessage('Prestataire requis'),
+  body('dateLimite').isISO8601().withMessage('Heure limite invalide'),
+  body('nom').optional().isString().isLength({ max: 100 }).withMessage('Nom trop long')
+];
+
+const itemValidation = [
+  body('platId').isInt({ min: 1 }).withMessage('Plat invalide'),
+  body('quantite').optional().isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  body('options').optional().isArray().withMessage('Options invalides')
+];
+
+const updateItemValidation = [
+  param('itemId').isInt(),
+  body('quantite').optional().isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  body('options').optional().isArray().withMessage('Options invalides')
+];
+
+const commanderValidation = [
+  body('adresseLivraison').notEmpty().withMessage('Adresse de livraison requise'),
+  body('positionLivraison.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude invalide'),
+  body('positionLivraison.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude invalide'),
+  body('dateLivraisonSouhaitee').optional({ nullable: true }).isISO8601().withMessage('Date de livraison invalide')
+];
+
+const payerValidation = [
+  body('modePaiement').isIn(['cib', 'edahabia', 'carte_cadeau']).withMessage('Mode de paiement invalide'),
+  body('codeCarteCadeau')
+    .if(body('modePaiement').equals('carte_cadeau'))
+    .notEmpty()
+    .withMessage('Code de la carte cadeau requis')
+];
+
+// Routes Client
+router.post('/', authenticate, isClient, groupeValidation, validate, createGroupe);
+router.get('/:code', authenticate, codeValidation, validate, getGroupe);
+router.delete('/:code', authenticate, isClient, codeValidation, validate, annulerGroupe);
+router.post('/:code/items', authenticate, isClient, codeValidation, itemValidation, validate, ajouterItemGroupe);
+router.put('/:code/items/:itemId', authenticate, isClient, codeValidation, updateItemValidation, validate, modifierItemGroupe);
+router.delete('/:code/items/:itemId', authenticate, isClient, codeValidation, param('itemId').isInt(), validate, retirerItemGroupe);
+router.post('/:code/commander', authenticate, isClient, idempotency(), codeValidation, commanderValidation, validate, commanderGroupe);
+router.post('/:code/payer', authenticate, isClient, idempotency(), codeValidation, payerValidation, validate, payerPart);
+router.post('/:code/payer/confirmer', authenticate, isClient, idempotency(), codeValidation, validate, confirmerPart);
+
+module.exports = router;
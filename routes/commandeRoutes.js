@@ -4,9 +4,11 @@ const { body, param } = require('express-validator');
 const { validate, paginationRules } = require('../middleware/validationMiddleware');
 const { authenticate } = require('../middleware/authMiddleware');
 const { isClient, isPrestataire, isAdmin } = require('../middleware/roleMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 const {
   createCommande,
+  getDevis,
   getMesCommandes,
   getCommandeById,
   getCommandesPrestataire,
@@ -15,18 +17,47 @@ const {
   getAllCommandes,
   forceRemboursement,
   cancelCommandeClient,
+  acceptCommande,
   refuseCommande,
   getCommandeHistorique
 } = require('../controllers/commandeController');
+const {
+  proposerAmendement,
+  getAmendements,
+  repondreAmendement
+} = require('../controllers/amendementController');
+const { laisserPourboire, confirmerPourboire } = require('../controllers/pourboireController');
 
 // Validation
+const livraisonValidation = [
+  body('positionLivraison.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude invalide'),
+  body('positionLivraison.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude invalide'),
+  body('dateLivraisonSouhaitee').optional({ nullable: true }).isISO8601().withMessage('Date de livraison invalide'),
+  body('pourboire').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Pourboire invalide'),
+  body('pourboirePourcentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Pourcentage de pourboire invalide')
+];
+
 const commandeValidation = [
-  body('prestataireId').isInt({ min: 1 }).withMessage('Prestataire requis'),
+  body('prestataireId').isInt({ min: 1 }).withMessage('Prestataire requis').toInt(),
   body('items').isArray({ min: 1 }).withMessage('Panier vide'),
-  body('items.*.platId').isInt({ min: 1 }).withMessage('Plat invalide'),
-  body('items.*.quantite').isInt({ min: 1 }).withMessage('Quantité invalide'),
+  body('items.*.platId').isInt({ min: 1 }).withMessage('Plat invalide').toInt(),
+  body('items.*.quantite').isInt({ min: 1 }).withMessage('Quantité invalide').toInt(),
   body('adresseLivraison').notEmpty().withMessage('Adresse de livraison requise'),
-  body('modePaiement').isIn(['cib', 'edahabia', 'especes']).withMessage('Mode de paiement invalide')
+  body('modePaiement').isIn(['cib', 'edahabia', 'especes', 'portefeuille', 'carte_cadeau']).withMessage('Mode de paiement invalide'),
+  body('utiliserPortefeuille').optional().isBoolean().withMessage('Choix du portefeuille invalide').toBoolean(),
+  body('montantPortefeuille').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Montant du portefeuille invalide'),
+  body('codesCartesCadeaux').optional().isArray({ min: 1, max: 5 }).withMessage('Cartes cadeaux invalides (5 au maximum)'),
+  body('codesCartesCadeaux.*').isString().trim().notEmpty().withMessage('Code de carte cadeau invalide'),
+  body('confirmationAllergies').optional().isBoolean().withMessage('Confirmation invalide').toBoolean(),
+  ...livraisonValidation
+];
+
+const devisValidation = [
+  body('prestataireId').isInt({ min: 1 }).withMessage('Prestataire requis').toInt(),
+  body('items').isArray({ min: 1 }).withMessage('Panier vide'),
+  body('items.*.platId').isInt({ min: 1 }).withMessage('Plat invalide').toInt(),
+  body('items.*.quantite').isInt({ min: 1 }).withMessage('Quantité invalide').toInt(),
+  ...livraisonValidation
 ];
 
 const statutValidation = [
@@ -35,23 +66,77 @@ const statutValidation = [
     .withMessage('Statut invalide')
 ];
 
+const remboursementValidation = [
+  param('id').isInt(),
+  body('montant').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Montant invalide'),
+  body('destination').optional().isIn(['moyen_initial', 'portefeuille']).withMessage('Destination du remboursement invalide')
+];
+
+const pourboireValidation = [
+  body('montant').optional().isFloat({ min: 0 }).withMessage('Pourboire invalide'),
+  body('pourcentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Pourcentage de pourboire invalide'),
+  body('cardType').isIn(['cib', 'edahabia']).withMessage('Type de carte invalide')
+];
+
+const amendementValidation = [
+  body('changements').isArray({ min: 1 }).withMessage('Aucune modification proposée'),
+  body('changements.*.commandeItemId').isInt({ min: 1 }).withMessage('Article invalide'),
+  body('changements.*.action').isIn(['retirer', 'reduire', 'remplacer']).withMessage('Action de modification invalide'),
+  body('changements.*.quantite').optional().isInt({ min: 1 }).withMessage('Quantité invalide'),
+  body('changements.*.platId').optional().isInt({ min: 1 }).withMessage('Plat invalide'),
+  body('message').optional().isString().isLength({ max: 500 }).withMessage('Message trop long')
+];
+
 // Routes Client
-router.post('/', authenticate, isClient, commandeValidation, validate, createCommande);
+router.post('/', authenticate, isClient, idempotency(), commandeValidation, validate, createCommande);
+router.post('/devis', authenticate, isClient, devisValidation, validate, getDevis);
 router.get('/mes-commandes', authenticate, isClient, paginationRules, validate, getMesCommandes);
 router.post('/:id/recommander', authenticate, isClient, param('id').isInt(), validate, recommander);
 router.post('/:id/annuler', authenticate, isClient, param('id').isInt(), validate, cancelCommandeClient);
+router.post(
+  '/:id/pourboire',
+  authenticate,
+  isClient,
+  idempotency(),
+  param('id').isInt(),
+  pourboireValidation,
+  validate,
+  laisserPourboire
+);
+router.post(
+  '/:id/pourboire/confirmer',
+  authenticate,
+  isClient,
+  idempotency(),
+  param('id').isInt(),
+  validate,
+  confirmerPourboire
+);
+router.post(
+  '/:id/amendements/:amendementId/repondre',
+  authenticate,
+  isClient,
+  param('id').isInt(),
+  param('amendementId').isInt(),
+  body('accepter').isBoolean().withMessage('Réponse requise').toBoolean(),
+  validate,
+  repondreAmendement
+);
 
 // Routes Prestataire
 router.get('/prestataire', authenticate, isPrestataire, paginationRules, validate, getCommandesPrestataire);
 router.put('/:id/statut', authenticate, isPrestataire, param('id').isInt(), statutValidation, validate, updateStatutCommande);
+router.post('/:id/accepter', authenticate, isPrestataire, param('id').isInt(), validate, acceptCommande);
 router.post('/:id/refuser', authenticate, isPrestataire, param('id').isInt(), validate, refuseCommande);
+router.post('/:id/amendements', authenticate, isPrestataire, param('id').isInt(), amendementValidation, validate, proposerAmendement);
 
 // Routes Admin
 router.get('/admin', authenticate, isAdmin, paginationRules, validate, getAllCommandes);
-router.put('/admin/:id/rembourser', authenticate, isAdmin, param('id').isInt(), validate, forceRemboursement);
+router.put('/admin/:id/rembourser', authenticate, isAdmin, remboursementValidation, validate, forceRemboursement);
 
 // Route commune (avec vérification d'accès dans le contrôleur)
 router.get('/:id', authenticate, param('id').isInt(), validate, getCommandeById);
 router.get('/:id/historique', authenticate, param('id').isInt(), validate, getCommandeHistorique);
+router.get('/:id/amendements', authenticate, param('id').isInt(), validate, getAmendements);
 
 module.exports = router;
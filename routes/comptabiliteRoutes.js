@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validate, paginationRules } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isAdmin } = require('../middleware/roleMiddleware');
+const { LEDGER_ACCOUNTS, LEDGER_EVENTS } = require('../utils/constants');
+
+const {
+  getSoldes,
+  getEcritures,
+  getEcrituresCommande
+} = require('../controllers/comptabiliteController');
+
+const filtresValidation = [
+  query('compte').optional().isIn(Object.values(LEDGER_ACCOUNTS)).withMessage('Compte invalide'),
+  query('titulaireId').optional().isInt().withMessage('Titulaire invalide')
+];
+
+// Réservé aux administrateurs
+router.use(authenticate, isAdmin);
+
+router.get('/soldes', [
+  ...filtresValidation,
+  query('du').optional().isISO8601().withMessage('Date de début invalide'),
+  query('au').optional().isISO8601().withMessage('Date de fin invalide')
+], validate, getSoldes);
+
+router.get('/ecritures', [
+  ...paginationRules,
+  ...filtresValidation,
+  query('commandeId').optional().isInt().withMessage('Commande invalide'),
+  query('evenement').optional().isIn(Object.values(LEDGER_EVENTS)).withMessage('Événement invalide')
+], validate, getEcritures);
+
+router.get('/commandes/:id', param('id').isInt(), validate, getEcrituresCommande);
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
-const { isClient, isPrestataire, isAdmin } = require('../middleware/roleMiddleware');
+const { authorize, isClient, isPrestataire, isAdmin } = require('../middleware/roleMiddleware');
+const { ROLES } = require('../utils/constants');
 
 const {
     exportClientCommandes,
     exportPrestataireCommandes,
     exportPrestataireRapportVentes,
+    exportReleveReglement,
     exportAdminCommandes,
     exportAdminUtilisateurs,
     exportAdminAvis,
@@ -115,6 +117,34 @@ router.get('/prestataire/commandes', authenticate, isPrestataire, exportPrestata
  */
 router.get('/prestataire/rapport-ventes', authenticate, isPrestataire, exportPrestataireRapportVentes);
 
+/**
+ * @swagger
+ * /api/export/releves/{id}:
+ *   get:
+ *     tags: [Export]
+ *     summary: Exporter un relevé de règlement (prestataire du relevé ou admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *         description: Format d'export (pdf par défaut)
+ *     responses:
+ *       200:
+ *         description: Fichier PDF ou CSV
+ *       404:
+ *         description: Relevé non trouvé
+ */
+router.get('/releves/:id', authenticate, authorize(ROLES.PRESTATAIRE, ROLES.ADMIN), exportReleveReglement);
+
 // ═══════════════════════════════════════════════════════════════
 // Routes Admin
 // ═══════════════════════════════════════════════════════════════
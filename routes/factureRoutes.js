@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+
+const {
+  getFacturesCommande,
+  downloadFacture
+} = require('../controllers/factureController');
+
+// Toutes les routes nécessitent une authentification (accès vérifié par commande)
+router.use(authenticate);
+
+router.get('/commande/:commandeId', param('commandeId').isInt(), validate, getFacturesCommande);
+router.get('/:id/pdf', param('id').isInt(), validate, downloadFacture);
+
+module.exports = router;
@@ -26,6 +26,10 @@ const pushRoutes = require('./pushRoutes');
 const referralRoutes = require('./referralRoutes');
 const badgeRoutes = require('./badgeRoutes');
 const subscriptionRoutes = require('./subscriptionRoutes');
+const panierRoutes = require('./panierRoutes');
+const checkoutRoutes = require('./checkoutRoutes');
+const commandeGroupeRoutes = require('./commandeGroupeRoutes');
+const factureRoutes = require('./factureRoutes');
 
 // Montage des routes
 router.use('/auth', authRoutes);
@@ -52,6 +56,10 @@ router.use('/push', pushRoutes);
 router.use('/referral', referralRoutes);
 router.use('/badges', badgeRoutes);
 router.use('/subscriptions', subscriptionRoutes);
+router.use('/panier', panierRoutes);
+router.use('/checkouts', checkoutRoutes);
+router.use('/commandes-groupe', commandeGroupeRoutes);
+router.use('/factures', factureRoutes);
 
 // Gift Cards
 const giftCardRoutes = require('./giftCardRoutes');
@@ -69,6 +77,18 @@ router.use('/tracking', trackingRoutes);
 const satimRoutes = require('./satimRoutes');
 router.use('/satim', satimRoutes);
 
+// Comptabilité (grand livre des commissions)
+const comptabiliteRoutes = require('./comptabiliteRoutes');
+router.use('/comptabilite', comptabiliteRoutes);
+
+// Relevés de règlement des prestataires
+const reglementRoutes = require('./reglementRoutes');
+router.use('/reglements', reglementRoutes);
+
+// Portefeuille client (remboursements et crédit)
+const portefeuilleRoutes = require('./portefeuilleRoutes');
+router.use('/portefeuille', portefeuilleRoutes);
+
 // Route d'information API
 router.get('/', (req, res) => {
   res.json({
@@ -80,6 +100,10 @@ router.get('/', (req, res) => {
       categories: '/api/categories',
       plats: '/api/plats',
       commandes: '/api/commandes',
+      panier: '/api/panier',
+      checkouts: '/api/checkouts',
+      commandesGroupe: '/api/commandes-groupe',
+      factures: '/api/factures',
       promotions: '/api/promotions',
       avis: '/api/avis',
       favoris: '/api/favoris',
@@ -88,6 +112,9 @@ router.get('/', (req, res) => {
       paiements: '/api/paiements',
       stats: '/api/stats',
       export: '/api/export',
+      comptabilite: '/api/comptabilite',
+      reglements: '/api/reglements',
+      portefeuille: '/api/portefeuille',
       admin: {
         settings: '/api/admin/settings',
         livreurs: '/api/admin/livreurs',
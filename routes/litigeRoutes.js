@@ -34,6 +34,7 @@ router.put('/:id/prendre-en-charge', authenticate, isAdmin, param('id').isInt(),
 router.post('/:id/message', authenticate, isAdmin, param('id').isInt(), body('message').notEmpty(), validate, addMessage);
 router.put('/:id/resoudre', authenticate, isAdmin, param('id').isInt(), 
   body('resolution').isIn(['remboursement_total', 'remboursement_partiel', 'avoir', 'faveur_prestataire', 'sans_suite']),
+  body('montantRembourse').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Montant remboursé invalide'),
   validate, resoudreLitige
 );
 
@@ -13,7 +13,8 @@ const {
     updatePosition,
     toggleDisponibilite,
     getHistorique,
-    getGains
+    getGains,
+    getEspeces
 } = require('../controllers/livreurController');
 
 // Validation
@@ -43,5 +44,6 @@ router.put('/position', authenticate, isLivreur, positionValidation, validate, u
 router.put('/disponibilite', authenticate, isLivreur, disponibiliteValidation, validate, toggleDisponibilite);
 router.get('/historique', authenticate, isLivreur, paginationRules, validate, getHistorique);
 router.get('/gains', authenticate, isLivreur, getGains);
+router.get('/especes', authenticate, isLivreur, paginationRules, validate, getEspeces);
 
 module.exports = router;
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { authenticate } = require('../middleware/authMiddleware');
+const { authenticate, optionalAuth } = require('../middleware/authMiddleware');
 const { isAdmin } = require('../middleware/roleMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 const {
   initiatePayment,
@@ -21,31 +22,17 @@ const {
 // VALIDATION SCHEMAS
 // ========================================
 
-// Validation pour initier un paiement
+// Validation pour initier un paiement (commande ou checkout multi-prestataires)
 const initiateValidation = [
-  body('commandeId').isInt({ min: 1 }).withMessage('ID de commande invalide'),
+  body('commandeId').if(body('checkoutId').not().exists()).isInt({ min: 1 }).withMessage('ID de commande invalide'),
+  body('checkoutId').optional().isInt({ min: 1 }).withMessage('ID de checkout invalide'),
   body('cardType').isIn(['cib', 'edahabia']).withMessage('Type de carte invalide (cib ou edahabia)')
 ];
 
-// Validation pour traiter un paiement direct
+// Validation pour confirmer un paiement au retour de la page de paiement
 const processValidation = [
   body('orderId').notEmpty().withMessage('ID de commande requis'),
-  body('cardType').isIn(['cib', 'edahabia']).withMessage('Type de carte invalide'),
-  body('cardNumber').notEmpty().withMessage('Numéro de carte requis')
-    .custom((value, { req }) => {
-      const cleanNumber = value.replace(/\s/g, '');
-      if (req.body.cardType === 'cib' && cleanNumber.length !== 19) {
-        throw new Error('Numéro CIB invalide (19 chiffres)');
-      }
-      if (req.body.cardType === 'edahabia' && cleanNumber.length !== 16) {
-        throw new Error('Numéro EDAHABIA invalide (16 chiffres)');
-      }
-      return true;
-    }),
-  body('expiryMonth').isInt({ min: 1, max: 12 }).withMessage('Mois d\'expiration invalide'),
-  body('expiryYear').isInt({ min: 24, max: 40 }).withMessage('Année d\'expiration invalide'),
-  body('cvv').matches(/^\d{3,4}$/).withMessage('CVV invalide (3-4 chiffres)'),
-  body('cardholderName').isLength({ min: 3 }).withMessage('Nom du titulaire requis (min 3 caractères)')
+  body('cardType').optional().isIn(['cib', 'edahabia']).withMessage('Type de carte invalide')
 ];
 
 // Validation pour paiement en espèces
@@ -53,11 +40,18 @@ const cashValidation = [
   body('orderId').notEmpty().withMessage('ID de commande requis')
 ];
 
+// Validation du panier pour les méthodes de paiement
+const methodsValidation = [
+  query('prestataireIds').optional().matches(/^\d+(,\d+)*$/).withMessage('Liste de prestataires invalide'),
+  query('montant').optional().isFloat({ min: 0 }).withMessage('Montant invalide')
+];
+
 // Validation pour remboursement
 const refundValidation = [
   body('commandeId').isInt({ min: 1 }).withMessage('ID de commande invalide'),
   body('montant').optional().isFloat({ min: 0.01 }).withMessage('Montant invalide'),
-  body('motif').optional().isString().isLength({ max: 500 }).withMessage('Motif trop long')
+  body('motif').optional().isString().isLength({ max: 500 }).withMessage('Motif trop long'),
+  body('destination').optional().isIn(['moyen_initial', 'portefeuille']).withMessage('Destination du remboursement invalide')
 ];
 
 // ========================================
@@ -68,13 +62,24 @@ const refundValidation = [
  * @swagger
  * /api/paiements/methods:
  *   get:
- *     summary: Obtenir les méthodes de paiement disponibles
+ *     summary: Obtenir les méthodes de paiement autorisées pour le panier
  *     tags: [Paiements]
+ *     parameters:
+ *       - in: query
+ *         name: prestataireIds
+ *         schema:
+ *           type: string
+ *         description: Prestataires du panier, séparés par des virgules
+ *       - in: query
+ *         name: montant
+ *         schema:
+ *           type: number
+ *         description: Total du panier
  *     responses:
  *       200:
- *         description: Liste des méthodes de paiement
+ *         description: Méthodes autorisées et méthodes indisponibles avec leur raison
  */
-router.get('/methods', getPaymentMethods);
+router.get('/methods', optionalAuth, methodsValidation, validate, getPaymentMethods);
 
 // ========================================
 // ROUTES CLIENT (Authentifiées)
@@ -97,6 +102,9 @@ router.get('/methods', getPaymentMethods);
  *             properties:
  *               commandeId:
  *                 type: integer
+ *               checkoutId:
+ *                 type: integer
+ *                 description: Checkout multi-prestataires (à la place de commandeId)
  *               cardType:
  *                 type: string
  *                 enum: [cib, edahabia]
@@ -107,12 +115,18 @@ router.post('/initiate', authenticate, initiateValidation, validate, initiatePay
  * @swagger
  * /api/paiements/process:
  *   post:
- *     summary: Traiter un paiement direct par carte
+ *     summary: Confirmer un paiement par carte au retour de la page de paiement
  *     tags: [Paiements]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Clé unique par tentative ; un renvoi rejoue la réponse d'origine
  */
-router.post('/process', authenticate, processValidation, validate, processPayment);
+router.post('/process', authenticate, idempotency(), processValidation, validate, processPayment);
 
 /**
  * @swagger
@@ -148,7 +162,7 @@ router.get('/status/:transactionId', authenticate, getPaymentStatus);
 router.get('/historique', authenticate, getPaymentHistory);
 
 // Rétrocompatibilité avec l'ancien endpoint
-router.post('/create-intent', authenticate, processValidation, validate, processPayment);
+router.post('/create-intent', authenticate, idempotency(), processValidation, validate, processPayment);
 
 // ========================================
 // ROUTES ADMIN
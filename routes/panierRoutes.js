@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isClient } = require('../middleware/roleMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+
+const {
+  getPanier,
+  ajouterAuPanier,
+  modifierItemPanier,
+  retirerDuPanier,
+  viderPanier,
+  commanderPanier
+} = require('../controllers/panierController');
+
+// Validation
+const itemValidation = [
+  body('platId').isInt({ min: 1 }).withMessage('Plat invalide'),
+  body('quantite').optional().isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  body('options').optional().isArray().withMessage('Options invalides')
+];
+
+const updateItemValidation = [
+  param('itemId').isInt(),
+  body('quantite').optional().isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  body('options').optional().isArray().withMessage('Options invalides')
+];
+
+const commanderValidation = [
+  body('adresseLivraison').notEmpty().withMessage('Adresse de livraison requise'),
+  body('modePaiement').isIn(['cib', 'edahabia', 'especes', 'portefeuille', 'carte_cadeau']).withMessage('Mode de paiement invalide'),
+  body('utiliserPortefeuille').optional().isBoolean().withMessage('Choix du portefeuille invalide').toBoolean(),
+  body('montantPortefeuille').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Montant du portefeuille invalide'),
+  body('codesCartesCadeaux').optional().isArray({ min: 1, max: 5 }).withMessage('Cartes cadeaux invalides (5 au maximum)'),
+  body('codesCartesCadeaux.*').isString().trim().notEmpty().withMessage('Code de carte cadeau invalide')
+];
+
+// Routes Client
+router.get('/', authenticate, isClient, getPanier);
+router.delete('/', authenticate, isClient, viderPanier);
+router.post('/items', authenticate, isClient, itemValidation, validate, ajouterAuPanier);
+router.put('/items/:itemId', authenticate, isClient, updateItemValidation, validate, modifierItemPanier);
+router.delete('/items/:itemId', authenticate, isClient, param('itemId').isInt(), validate, retirerDuPanier);
+router.post('/commander', authenticate, isClient, idempotency(), commanderValidation, validate, commanderPanier);
+
+module.exports = router;
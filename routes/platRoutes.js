@@ -44,7 +44,7 @@ const prixValidation = [
 ];
 
 // Routes publiques
-router.get('/', paginationRules, validate, getPlats);
+router.get('/', optionalAuth, paginationRules, validate, getPlats);
 router.get('/featured', getFeaturedPlats);
 router.get('/search', searchPlats);
 router.get('/:id', optionalAuth, param('id').isInt(), validate, getPlatById);
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validate, paginationRules } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isClient, isAdmin } = require('../middleware/roleMiddleware');
+const { WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+
+const {
+  getMonPortefeuille,
+  getPortefeuilleClient
+} = require('../controllers/portefeuilleController');
+
+const typeRule = query('type').optional().isIn(Object.values(WALLET_TRANSACTION_TYPES)).withMessage('Type de mouvement invalide');
+
+// Routes Client
+router.get('/', authenticate, isClient, paginationRules, typeRule, validate, getMonPortefeuille);
+
+// Routes Admin
+router.get('/clients/:id', authenticate, isAdmin, param('id').isInt(), paginationRules, typeRule, validate, getPortefeuilleClient);
+
+module.exports = router;
@@ -60,7 +60,7 @@ const stockValidation = [
 // ═══════════════════════════════════════════════════════════════
 
 // Liste des produits avec filtres
-router.get('/', paginationRules, validate, getProduits);
+router.get('/', optionalAuth, paginationRules, validate, getProduits);
 
 // Produits mis en avant
 router.get('/featured', getFeaturedProduits);
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validate, paginationRules } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize, isPrestataire, isAdmin } = require('../middleware/roleMiddleware');
+const { ROLES, SETTLEMENT_STATUS } = require('../utils/constants');
+
+const {
+  getMesReleves,
+  getReleveById,
+  getAllReleves,
+  payerReleve
+} = require('../controllers/reglementController');
+
+const statutRule = query('statut').optional().isIn(Object.values(SETTLEMENT_STATUS)).withMessage('Statut invalide');
+
+// Routes Prestataire
+router.get('/mes-releves', authenticate, isPrestataire, paginationRules, statutRule, validate, getMesReleves);
+
+// Routes Admin
+router.get('/', authenticate, isAdmin, paginationRules, [
+  statutRule,
+  query('prestataireId').optional().isInt().withMessage('Prestataire invalide')
+], validate, getAllReleves);
+router.put('/:id/payer', authenticate, isAdmin, [
+  param('id').isInt(),
+  body('referencePaiement').optional().isString().isLength({ max: 100 }).withMessage('Référence de paiement trop longue'),
+  body('commentaire').optional().isString().isLength({ max: 500 })
+], validate, payerReleve);
+
+// Prestataire du relevé ou admin
+router.get('/:id', authenticate, authorize(ROLES.PRESTATAIRE, ROLES.ADMIN), param('id').isInt(), validate, getReleveById);
+
+module.exports = router;
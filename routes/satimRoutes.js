@@ -7,6 +7,7 @@ const {
     requestRefund,
 } = require('../controllers/satimController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 // Route webhook publique (callback SATIM)
 router.get('/callback', paymentCallback);
@@ -15,7 +16,7 @@ router.post('/callback', paymentCallback);
 // Routes protégées
 router.use(protect);
 
-router.post('/initiate', initiatePayment);
+router.post('/initiate', idempotency(), initiatePayment);
 router.get('/status/:orderId', getPaymentStatus);
 
 // Routes admin
@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate, paginationRules } = require('../middleware/validationMiddleware');
 const { authenticate } = require('../middleware/authMiddleware');
-const { isAdmin } = require('../middleware/roleMiddleware');
+const { isAdmin, isPrestataire } = require('../middleware/roleMiddleware');
 const { uploadAvatar } = require('../middleware/uploadMiddleware');
 
 const {
   getProfile,
   updateProfile,
+  updateModeAffluence,
   changePassword,
   uploadAvatar: uploadAvatarController,
   deleteAccount,
@@ -18,7 +19,8 @@ const {
   updateUserStatus,
   deleteUser,
   adminResetPassword,
-  getPublicPrestataires
+  getPublicPrestataires,
+  getCreneauxDisponibles
 } = require('../controllers/userController');
 
 // Validation
@@ -33,6 +35,18 @@ const changePasswordValidation = [
     .withMessage('Le mot de passe doit contenir une majuscule, une minuscule et un chiffre')
 ];
 
+const affluenceValidation = [
+  body('modeAffluence')
+    .isBoolean()
+    .withMessage('Le mode affluence doit être un booléen')
+    .toBoolean(),
+  body('minutesAffluence')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Le délai d\'affluence doit être compris entre 0 et 240 minutes')
+    .toInt()
+];
+
 const idValidation = [
   param('id')
     .isInt({ min: 1 })
@@ -41,10 +55,18 @@ const idValidation = [
 
 // Routes Publiques
 router.get('/prestataires/public', getPublicPrestataires);
+router.get(
+  '/prestataires/:id/creneaux',
+  idValidation,
+  query('date').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date invalide (AAAA-MM-JJ)'),
+  validate,
+  getCreneauxDisponibles
+);
 
 // Routes utilisateur connecté
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfile);
+router.put('/profile/affluence', authenticate, isPrestataire, affluenceValidation, validate, updateModeAffluence);
 router.put('/profile/password', authenticate, changePasswordValidation, validate, changePassword);
 router.put('/profile/avatar', authenticate, uploadAvatar, uploadAvatarController);
 router.delete('/profile', authenticate, deleteAccount);
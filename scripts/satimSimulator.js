@@ -0,0 +1,217 @@
+/**
+ * Simulateur local de la passerelle SATIM
+ *
+ * Reproduit l'API REST SATIM (register.do, getOrderStatus.do, refund.do) et
+ * la page de paiement, pour tester hors ligne le parcours complet
+ * redirection → saisie de la carte → retour → vérification du statut.
+ * Les résultats sont déterministes et suivent les cartes de test de
+ * services/testPaymentProvider.js.
+ *
+ * Utilisation :
+ *   npm run satim:simulator
+ *   puis côté API : PAYMENT_PROVIDER=satim SATIM_BASE_URL=http://localhost:4010/payment/rest
+ *
+ * Variables :
+ *   SATIM_SIMULATOR_PORT         port d'écoute (4010 par défaut)
+ *   SATIM_SIMULATOR_WEBHOOK_URL  URL du webhook signé à appeler après chaque paiement
+ *                                (ex. http://localhost:5000/api/paiements/webhook/satim)
+ */
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { TEST_CARDS, evaluateTestCard } = require('../services/testPaymentProvider');
+const { generateSignature } = require('../services/satimService');
+
+// OrderStatus SATIM
+const ORDER_STATUS = {
+    REGISTERED: 0,
+    DEPOSITED: 2,
+    REVERSED: 3,
+    REFUNDED: 4,
+    DECLINED: 6
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[c]);
+
+const appendParams = (url, params) => `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(params)}`;
+
+const maskPan = (pan) => `${pan.slice(0, 6)}${'*'.repeat(pan.length - 10)}${pan.slice(-4)}`;
+
+/**
+ * Créer l'application du simulateur (transactions en mémoire)
+ * @param {Object} [options]
+ * @param {string} [options.webhookUrl] - webhook signé appelé après chaque paiement
+ */
+const createSatimSimulator = ({ webhookUrl } = {}) => {
+    const app = express();
+    const orders = new Map();
+
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    // Paramètres SATIM : query string ou formulaire
+    const params = (req) => ({ ...req.body, ...req.query });
+
+    const rest = express.Router();
+
+    rest.all('/register.do', (req, res) => {
+        const { userName, password, orderNumber, amount, returnUrl, failUrl, description } = params(req);
+
+        if (!userName || !password) {
+            return res.json({ errorCode: '5', errorMessage: 'Accès refusé' });
+        }
+        if (!orderNumber || !returnUrl) {
+            return res.json({ errorCode: '4', errorMessage: 'Paramètre obligatoire manquant' });
+        }
+        if (!/^\d+$/.test(String(amount)) || parseInt(amount, 10) <= 0) {
+            return res.json({ errorCode: '4', errorMessage: 'Montant invalide' });
+        }
+        if ([...orders.values()].some(o => o.orderNumber === orderNumber)) {
+            return res.json({ errorCode: '1', errorMessage: 'Numéro de commande déjà utilisé' });
+        }
+
+        const orderId = crypto.randomUUID();
+        orders.set(orderId, {
+            orderNumber,
+            amount: parseInt(amount, 10),
+            refunded: 0,
+            returnUrl,
+            failUrl: failUrl || returnUrl,
+            description,
+            status: ORDER_STATUS.REGISTERED,
+            actionCode: null
+        });
+
+        res.json({
+            orderId,
+            formUrl: `${req.protocol}://${req.get('host')}/payment/merchants/form?mdOrder=${orderId}`
+        });
+    });
+
+    rest.all('/getOrderStatus.do', (req, res) => {
+        const order = orders.get(params(req).orderId);
+        if (!order) {
+            return res.json({ ErrorCode: '6', ErrorMessage: 'Commande inconnue' });
+        }
+
+        res.json({
+            ErrorCode: '0',
+            OrderStatus: order.status,
+            OrderNumber: order.orderNumber,
+            Amount: order.amount,
+            currency: '012',
+            actionCode: order.actionCode,
+            Pan: order.pan,
+            approvalCode: order.approvalCode
+        });
+    });
+
+    rest.all('/refund.do', (req, res) => {
+        const { orderId, amount } = params(req);
+        const order = orders.get(orderId);
+        const montant = parseInt(amount, 10);
+
+        if (!order) {
+            return res.json({ errorCode: '6', errorMessage: 'Commande inconnue' });
+        }
+        if (order.status !== ORDER_STATUS.DEPOSITED) {
+            return res.json({ errorCode: '7', errorMessage: 'Remboursement impossible : commande non payée' });
+        }
+        if (!montant || montant <= 0 || order.refunded + montant > order.amount) {
+            return res.json({ errorCode: '7', errorMessage: 'Montant de remboursement invalide' });
+        }
+
+        order.refunded += montant;
+        if (order.refunded === order.amount) {
+            order.status = ORDER_STATUS.REFUNDED;
+        }
+
+        res.json({ errorCode: '0', refundOrderId: crypto.randomUUID() });
+    });
+
+    app.use('/payment/rest', rest);
+
+    // Page de paiement
+    app.get('/payment/merchants/form', (req, res) => {
+        const order = orders.get(req.query.mdOrder);
+        if (!order || order.status !== ORDER_STATUS.REGISTERED) {
+            return res.status(404).send('Session de paiement inconnue ou terminée');
+        }
+
+        const cartes = Object.entries(TEST_CARDS)
+            .map(([numero, code]) => `<li><code>${numero}</code> → ${code}</li>`)
+            .join('');
+
+        res.send(`<!DOCTYPE html>
+<html lang="fr">
+<head><meta charset="utf-8"><title>Simulateur SATIM</title></head>
+<body>
+  <h1>Simulateur SATIM</h1>
+  <p>${escapeHtml(order.description)} — ${(order.amount / 100).toFixed(2)} DA</p>
+  <form method="post" action="/payment/merchants/submit">
+    <input type="hidden" name="mdOrder" value="${escapeHtml(req.query.mdOrder)}">
+    <p><label>Numéro de carte <input name="cardNumber" required></label></p>
+    <p><label>Expiration (MM/AA) <input name="expiryMonth" size="2" value="12"> / <input name="expiryYear" size="2" value="30"></label></p>
+    <p><label>CVV2 <input name="cvv" size="4" value="123"></label></p>
+    <p><button type="submit">Payer</button> <button type="submit" name="cancel" value="1">Annuler</button></p>
+  </form>
+  <h2>Cartes de test</h2>
+  <ul>${cartes}</ul>
+  <p>Toute autre carte au bon format est acceptée, sauf si elle finit par 0000.</p>
+</body>
+</html>`);
+    });
+
+    app.post('/payment/merchants/submit', async (req, res) => {
+        const { mdOrder, cardNumber, expiryMonth, expiryYear, cancel } = req.body;
+        const order = orders.get(mdOrder);
+        if (!order || order.status !== ORDER_STATUS.REGISTERED) {
+            return res.status(404).send('Session de paiement inconnue ou terminée');
+        }
+
+        const pan = String(cardNumber || '').replace(/\s/g, '');
+        const result = cancel
+            ? { success: false, actionCode: '17' }
+            : evaluateTestCard({
+                cardNumber: pan,
+                expiryMonth,
+                expiryYear,
+                cardType: pan.length === 16 ? 'edahabia' : 'cib'
+            });
+
+        order.actionCode = result.actionCode;
+        order.status = result.success ? ORDER_STATUS.DEPOSITED : ORDER_STATUS.DECLINED;
+        if (pan.length >= 12) order.pan = maskPan(pan);
+        if (result.success) order.approvalCode = crypto.randomBytes(3).toString('hex').toUpperCase();
+
+        if (webhookUrl) {
+            const notification = {
+                orderId: mdOrder,
+                amount: order.amount,
+                status: result.success ? 'COMPLETED' : 'FAILED',
+                actionCode: result.actionCode
+            };
+            try {
+                await axios.post(webhookUrl, { ...notification, signature: generateSignature(notification) }, { timeout: 5000 });
+            } catch (error) {
+                console.error('[SATIM Simulator] Webhook en échec:', error.message);
+            }
+        }
+
+        res.redirect(appendParams(result.success ? order.returnUrl : order.failUrl, { orderId: mdOrder }));
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = parseInt(process.env.SATIM_SIMULATOR_PORT, 10) || 4010;
+    createSatimSimulator({ webhookUrl: process.env.SATIM_SIMULATOR_WEBHOOK_URL })
+        .listen(port, () => {
+            console.log(`✅ Simulateur SATIM : http://localhost:${port}/payment/rest`);
+        });
+}
+
+module.exports = { createSatimSimulator };
@@ -56,7 +56,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-csrf-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-csrf-token', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting global
@@ -186,6 +187,14 @@ const startServer = async () => {
     // Initialiser les jobs CRON
     const { initScheduledOrdersJob } = require('./jobs/scheduledOrdersJob');
     initScheduledOrdersJob();
+    const { initOrderConfirmationJob } = require('./jobs/orderConfirmationJob');
+    initOrderConfirmationJob();
+    const { initStockReservationJob } = require('./jobs/stockReservationJob');
+    initStockReservationJob();
+    const { initSettlementJob } = require('./jobs/settlementJob');
+    initSettlementJob();
+    const { initAbandonedCartJob } = require('./services/smartRemindersService');
+    initAbandonedCartJob();
 
     // Démarrer le serveur
     server.listen(PORT, () => {
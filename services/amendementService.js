@@ -0,0 +1,329 @@
+/**
+ * Service des modifications de commande proposées par le prestataire
+ *
+ * Le prestataire propose de retirer un article, d'en réduire la quantité ou de
+ * le remplacer par un autre plat ; le client accepte ou refuse. À l'acceptation,
+ * les lignes, le stock et les totaux sont mis à jour et la différence est
+ * rendue au client : sur la carte si la commande a été payée en ligne, puis
+ * au portefeuille et aux cartes cadeaux qui l'ont réglée.
+ */
+const { CommandeItem, Plat, sequelize } = require('../models');
+const { PAYMENT_STATUS, PAYMENT_MODES } = require('../utils/constants');
+const { resolveItemOptions } = require('./platOptionsService');
+const { getPaymentProvider } = require('./paymentProviderService');
+const { restoreWalletPayment } = require('./walletService');
+const { restoreGiftCards } = require('./giftCardService');
+const logger = require('../config/logger');
+
+const ACTIONS = ['retirer', 'reduire', 'remplacer'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Commande réglée en ligne (la différence doit être remboursée sur la carte)
+ */
+const isPaidOnline = (commande) =>
+  commande.statutPaiement === PAYMENT_STATUS.SUCCESS &&
+  commande.modePaiement !== PAYMENT_MODES.CASH &&
+  Boolean(commande.transactionId);
+
+/**
+ * Ligne de commande au format de la proposition
+ */
+const toLigne = (item, quantite = item.quantite) => {
+  const prixUnitaire = parseFloat(item.prixUnitaire);
+  const supplementsTotal = parseFloat(item.supplementsTotal) || 0;
+  return {
+    commandeItemId: item.id,
+    platId: item.platId,
+    nom: item.platSnapshot?.nom || null,
+    quantite,
+    prixUnitaire,
+    supplementsTotal,
+    options: item.options || [],
+    instructions: item.instructions,
+    sousTotal: round((prixUnitaire + supplementsTotal) * quantite)
+  };
+};
+
+/**
+ * Calculer la commande modifiée à partir des changements du prestataire
+ * @param {Object} params
+ * @param {Commande} params.commande
+ * @param {CommandeItem[]} params.items - lignes actuelles de la commande
+ * @param {Array} params.changements
+ * @returns {Promise<{ valid: boolean, error?: string, lignes?: Array, nouveauSousTotal?: number,
+ *   nouvelleReduction?: number, nouveauTotal?: number, difference?: number }>}
+ */
+const buildAmendement = async ({ commande, items, changements, transaction }) => {
+  if (!Array.isArray(changements) || changements.length === 0) {
+    return { valid: false, error: 'Aucune modification proposée' };
+  }
+
+  const parItem = new Map();
+  for (const changement of changements) {
+    const item = items.find(i => i.id === Number(changement?.commandeItemId));
+    if (!item) {
+      return { valid: false, error: 'Article introuvable dans cette commande' };
+    }
+    if (!ACTIONS.includes(changement.action)) {
+      return { valid: false, error: `Action de modification invalide: ${changement.action}` };
+    }
+    if (parItem.has(item.id)) {
+      return { valid: false, error: 'Un article ne peut être modifié qu\'une fois par proposition' };
+    }
+    parItem.set(item.id, changement);
+  }
+
+  const lignes = [];
+  for (const item of items) {
+    const changement = parItem.get(item.id);
+
+    if (!changement) {
+      lignes.push(toLigne(item));
+      continue;
+    }
+
+    if (changement.action === 'retirer') continue;
+
+    if (changement.action === 'reduire') {
+      const quantite = Number(changement.quantite);
+      if (!Number.isInteger(quantite) || quantite < 1 || quantite >= item.quantite) {
+        return { valid: false, error: `Quantité invalide pour l'article #${item.id} (entre 1 et ${item.quantite - 1})` };
+      }
+      lignes.push(toLigne(item, quantite));
+      continue;
+    }
+
+    // Remplacement par un autre plat du même prestataire
+    const plat = await Plat.findOne({
+      where: { id: changement.platId, prestataireId: commande.prestataireId, isDeleted: false },
+      transaction
+    });
+    if (!plat || !plat.isAvailable) {
+      return { valid: false, error: 'Le plat de remplacement n\'est pas disponible' };
+    }
+
+    const quantite = changement.quantite === undefined ? item.quantite : Number(changement.quantite);
+    if (!Number.isInteger(quantite) || quantite < 1) {
+      return { valid: false, error: 'Quantité de remplacement invalide' };
+    }
+    if (plat.stock !== -1 && plat.stock < quantite) {
+      return { valid: false, error: `Stock insuffisant pour "${plat.getNom()}"` };
+    }
+
+    const optionsResult = resolveItemOptions(plat, changement.options);
+    if (!optionsResult.valid) {
+      return { valid: false, error: optionsResult.error };
+    }
+
+    const prixUnitaire = plat.getPrixActuel();
+    lignes.push({
+      commandeItemId: null,
+      remplaceItemId: item.id,
+      platId: plat.id,
+      nom: plat.getNom(),
+      quantite,
+      prixUnitaire,
+      supplementsTotal: optionsResult.supplementsTotal,
+      options: optionsResult.options,
+      instructions: item.instructions,
+      sousTotal: round((prixUnitaire + optionsResult.supplementsTotal) * quantite)
+    });
+  }
+
+  if (lignes.length === 0) {
+    return { valid: false, error: 'Tous les articles seraient retirés : refusez plutôt la commande' };
+  }
+
+  const ancienSousTotal = parseFloat(commande.sousTotal);
+  const ancienneReduction = parseFloat(commande.reduction) || 0;
+  const ancienTotal = parseFloat(commande.total);
+
+  const nouveauSousTotal = round(lignes.reduce((sum, l) => sum + l.sousTotal, 0));
+
+  // La réduction promo suit le sous-total
+  const nouvelleReduction = ancienSousTotal > 0
+    ? round(Math.min(nouveauSousTotal, ancienneReduction * nouveauSousTotal / ancienSousTotal))
+    : 0;
+
+  const nouveauTotal = round(ancienTotal - (ancienSousTotal - nouveauSousTotal) + (ancienneReduction - nouvelleReduction));
+
+  if (nouveauTotal > ancienTotal && isPaidOnline(commande)) {
+    return { valid: false, error: 'Une commande déjà payée ne peut pas être modifiée à la hausse' };
+  }
+
+  return {
+    valid: true,
+    lignes,
+    nouveauSousTotal,
+    nouvelleReduction,
+    nouveauTotal,
+    difference: round(ancienTotal - nouveauTotal)
+  };
+};
+
+/**
+ * Appliquer une modification acceptée : lignes, stock et totaux
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const applyAmendement = async ({ amendement, commande, transaction }) => {
+  const items = await CommandeItem.findAll({ where: { commandeId: commande.id }, transaction });
+
+  for (const changement of amendement.changements) {
+    const item = items.find(i => i.id === Number(changement.commandeItemId));
+    if (!item) {
+      return { success: false, error: 'La commande a changé depuis la proposition' };
+    }
+
+    const platOrigine = await Plat.findByPk(item.platId, { transaction });
+    const quantiteRendue = changement.action === 'reduire'
+      ? item.quantite - Number(changement.quantite)
+      : item.quantite;
+
+    if (platOrigine && platOrigine.stock !== -1) {
+      await platOrigine.increment('stock', { by: quantiteRendue, transaction });
+    }
+
+    if (changement.action === 'reduire') {
+      await item.update({ quantite: Number(changement.quantite) }, { transaction });
+      continue;
+    }
+
+    await item.destroy({ transaction });
+
+    if (changement.action === 'remplacer') {
+      const ligne = amendement.lignes.find(l => l.remplaceItemId === item.id);
+      const plat = await Plat.findByPk(ligne.platId, { transaction });
+
+      if (!plat || plat.isDeleted || !plat.isAvailable) {
+        return { success: false, error: 'Le plat de remplacement n\'est plus disponible' };
+      }
+      if (plat.stock !== -1) {
+        if (plat.stock < ligne.quantite) {
+          return { success: false, error: `Stock insuffisant pour "${plat.getNom()}"` };
+        }
+        await plat.decrement('stock', { by: ligne.quantite, transaction });
+      }
+
+      await CommandeItem.create({
+        commandeId: commande.id,
+        platId: plat.id,
+        quantite: ligne.quantite,
+        prixUnitaire: ligne.prixUnitaire,
+        sousTotal: ligne.sousTotal,
+        options: ligne.options,
+        supplementsTotal: ligne.supplementsTotal,
+        instructions: ligne.instructions,
+        platSnapshot: {
+          nom: plat.nom,
+          description: plat.description,
+          image: plat.image
+        }
+      }, { transaction });
+    }
+  }
+
+  await commande.update({
+    sousTotal: amendement.nouveauSousTotal,
+    reduction: amendement.nouvelleReduction,
+    total: amendement.nouveauTotal
+  }, { transaction });
+
+  return { success: true };
+};
+
+/**
+ * Rembourser la différence d'une modification acceptée (le total de la commande est déjà réduit)
+ *
+ * Dans l'ordre inverse du paiement : d'abord la part réglée par carte ou en
+ * espèces (remboursée sur la carte si elle est payée, sinon simplement
+ * réduite), puis le portefeuille et les cartes cadeaux engagés sur la commande.
+ * @returns {Promise<Object|null>} résultat du remboursement (null si rien à rembourser)
+ */
+const refundDifference = async ({ amendement, commande }) => {
+  const difference = parseFloat(amendement.difference);
+  if (!(difference > 0)) return null;
+
+  // Part réglée par carte ou en espèces avant la modification
+  const partExterne = Math.max(0, round(commande.getMontantAPayer() + difference));
+  const carte = isPaidOnline(commande)
+    ? Math.max(0, round(Math.min(
+      difference,
+      partExterne - parseFloat(commande.paiementDetails?.montantRembourseMoyenInitial || 0)
+    )))
+    : 0;
+  const partPrepayee = round(difference - Math.min(difference, partExterne));
+  if (carte === 0 && partPrepayee === 0) return null;
+
+  let result = null;
+  if (carte > 0) {
+    result = await getPaymentProvider(commande.modePaiement).refund({
+      transactionId: commande.transactionId,
+      amount: carte,
+      reason: `Modification de la commande #${commande.numero}`
+    });
+    if (!result.success) {
+      logger.error(`[Amendement] Remboursement échoué pour la commande #${commande.numero}: ${result.error}`);
+    }
+  }
+
+  let portefeuille = 0;
+  let cartesCadeaux = 0;
+  if (partPrepayee > 0) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const mouvement = await restoreWalletPayment(commande, transaction, { montant: partPrepayee, motif: 'Modification' });
+      portefeuille = mouvement ? parseFloat(mouvement.montant) : 0;
+      cartesCadeaux = await restoreGiftCards(commande, {
+        transaction,
+        motif: 'Modification',
+        montant: round(partPrepayee - portefeuille)
+      });
+
+      // La part réglée d'avance suit le nouveau total (reste à payer, restitution à l'annulation)
+      await commande.update({
+        montantPortefeuille: round(parseFloat(commande.montantPortefeuille || 0) - portefeuille),
+        montantCartesCadeaux: round(parseFloat(commande.montantCartesCadeaux || 0) - cartesCadeaux)
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  const montants = { amount: round(carte + portefeuille + cartesCadeaux), carte, portefeuille, cartesCadeaux };
+  const remboursement = !result || result.success
+    ? {
+      success: true,
+      ...montants,
+      refundId: result?.refundId,
+      status: result?.status,
+      timestamp: result?.timestamp || new Date().toISOString(),
+      estimatedDelay: result?.estimatedDelay
+    }
+    : { success: false, ...montants, error: result.error, code: result.code };
+
+  await commande.update({
+    paiementDetails: {
+      ...commande.paiementDetails,
+      remboursementsPartiels: [
+        ...(commande.paiementDetails?.remboursementsPartiels || []),
+        { amendementId: amendement.id, ...remboursement }
+      ]
+    }
+  });
+  await amendement.update({ remboursement });
+
+  return remboursement;
+};
+
+module.exports = {
+  buildAmendement,
+  applyAmendement,
+  refundDifference,
+  isPaidOnline
+};
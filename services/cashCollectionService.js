@@ -0,0 +1,193 @@
+/**
+ * Caisse des livreurs (paiement à la livraison)
+ *
+ * À la livraison d'une commande payée en espèces par un livreur, le montant
+ * encaissé (total hors part réglée d'avance) s'ajoute à son solde
+ * (User.soldeEspeces) dans la transaction de la livraison. Un admin enregistre
+ * ensuite les remises : le montant remis est déduit du solde et l'écart avec
+ * le montant attendu est conservé pour le rapport des écarts. Au-delà du
+ * plafond codCashCap (paramètres "delivery"), l'auto-assignation ne confie
+ * plus de commande en espèces au livreur.
+ */
+const { Op, fn, col } = require('sequelize');
+const { Livraison, User, MouvementEspeces, RemiseEspeces, sequelize } = require('../models');
+const { ROLES, PAYMENT_MODES, CASH_MOVEMENT_TYPES } = require('../utils/constants');
+const { getMontantAPayer } = require('../utils/helpers');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Le livreur peut-il prendre une commande en espèces de ce montant sans dépasser le plafond ?
+ * @param {number|string} soldeEspeces
+ * @param {number|string} montant
+ * @param {number} plafond - 0 : sans plafond
+ */
+const isUnderCashCap = (soldeEspeces, montant, plafond) =>
+  !plafond || round2(parseFloat(soldeEspeces || 0) + parseFloat(montant || 0)) <= plafond;
+
+/**
+ * Enregistrer les espèces encaissées par le livreur à la livraison (dans la transaction de l'appelant)
+ * @param {Commande} commande
+ * @param {Transaction} transaction
+ * @returns {Promise<MouvementEspeces|null>} null si la commande n'est pas en espèces ou livrée sans livreur
+ */
+const collectCashOnDelivery = async (commande, transaction) => {
+  if (commande.modePaiement !== PAYMENT_MODES.CASH) return null;
+
+  const livraison = await Livraison.findOne({
+    where: { commandeId: commande.id },
+    attributes: ['id', 'livreurId'],
+    transaction
+  });
+  if (!livraison?.livreurId) return null;
+
+  const livreur = await User.findByPk(livraison.livreurId, {
+    attributes: ['id', 'soldeEspeces'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  // La part réglée d'avance (portefeuille, cartes cadeaux) n'est pas encaissée par le livreur
+  const montant = getMontantAPayer(commande);
+  const soldeApres = round2(parseFloat(livreur.soldeEspeces || 0) + montant);
+
+  await livreur.update({ soldeEspeces: soldeApres }, { transaction });
+  return MouvementEspeces.create({
+    livreurId: livreur.id,
+    type: CASH_MOVEMENT_TYPES.COLLECTED,
+    montant,
+    soldeApres,
+    commandeId: commande.id,
+    libelle: `Commande #${commande.numero}`
+  }, { transaction });
+};
+
+/**
+ * Enregistrer une remise d'espèces
+ * @param {Object} params
+ * @param {number} params.livreurId
+ * @param {number} params.adminId
+ * @param {number} params.montantRemis
+ * @param {string} [params.commentaire]
+ * @returns {Promise<{ success: boolean, remise?: RemiseEspeces, error?: string }>}
+ */
+const recordRemittance = async ({ livreurId, adminId, montantRemis, commentaire }) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const livreur = await User.findOne({
+      where: { id: livreurId, role: ROLES.LIVREUR },
+      attributes: ['id', 'soldeEspeces'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!livreur) {
+      await transaction.rollback();
+      return { success: false, error: 'Livreur non trouvé' };
+    }
+
+    const montantAttendu = round2(parseFloat(livreur.soldeEspeces || 0));
+    const montant = round2(montantRemis);
+    const soldeApres = round2(montantAttendu - montant);
+
+    const remise = await RemiseEspeces.create({
+      livreurId,
+      adminId,
+      montantAttendu,
+      montantRemis: montant,
+      ecart: round2(montant - montantAttendu),
+      soldeApres,
+      commentaire: commentaire || null
+    }, { transaction });
+
+    await MouvementEspeces.create({
+      livreurId,
+      type: CASH_MOVEMENT_TYPES.REMITTED,
+      montant: -montant,
+      soldeApres,
+      remiseId: remise.id,
+      libelle: `Remise #${remise.id}`
+    }, { transaction });
+    await livreur.update({ soldeEspeces: soldeApres }, { transaction });
+
+    await transaction.commit();
+    return { success: true, remise };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Rapport des écarts de remise
+ * @param {Object} [filtres] - { du, au, livreurId }
+ * @returns {Promise<{ remises: Array<RemiseEspeces>, parLivreur: Array, totalManquant: number, totalExcedent: number }>}
+ */
+const getDiscrepancyReport = async ({ du, au, livreurId } = {}) => {
+  const where = { ecart: { [Op.ne]: 0 } };
+  if (livreurId) where.livreurId = livreurId;
+  if (du || au) {
+    where.createdAt = {};
+    if (du) where.createdAt[Op.gte] = du;
+    if (au) where.createdAt[Op.lte] = au;
+  }
+
+  const remises = await RemiseEspeces.findAll({
+    where,
+    include: [
+      { model: User, as: 'livreur', attributes: ['id', 'prenom', 'nom', 'soldeEspeces'] },
+      { model: User, as: 'admin', attributes: ['id', 'prenom', 'nom'] }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+
+  const livreurs = new Map();
+  let totalManquant = 0;
+  let totalExcedent = 0;
+  for (const remise of remises) {
+    const ecart = parseFloat(remise.ecart);
+    if (!livreurs.has(remise.livreurId)) {
+      livreurs.set(remise.livreurId, {
+        livreur: remise.livreur,
+        nombreEcarts: 0,
+        manquant: 0,
+        excedent: 0
+      });
+    }
+    const ligne = livreurs.get(remise.livreurId);
+    ligne.nombreEcarts++;
+    if (ecart < 0) {
+      ligne.manquant = round2(ligne.manquant - ecart);
+      totalManquant = round2(totalManquant - ecart);
+    } else {
+      ligne.excedent = round2(ligne.excedent + ecart);
+      totalExcedent = round2(totalExcedent + ecart);
+    }
+  }
+
+  return {
+    remises,
+    parLivreur: [...livreurs.values()].sort((a, b) => b.manquant - a.manquant),
+    totalManquant,
+    totalExcedent
+  };
+};
+
+/**
+ * Espèces détenues par l'ensemble des livreurs
+ */
+const getTotalCashHeld = async () => {
+  const total = await User.findOne({
+    where: { role: ROLES.LIVREUR },
+    attributes: [[fn('SUM', col('soldeEspeces')), 'total']],
+    raw: true
+  });
+  return round2(parseFloat(total?.total) || 0);
+};
+
+module.exports = {
+  isUnderCashCap,
+  collectCashOnDelivery,
+  recordRemittance,
+  getDiscrepancyReport,
+  getTotalCashHeld
+};
@@ -0,0 +1,61 @@
+/**
+ * Fournisseur de paiement en espèces (paiement à la livraison)
+ *
+ * Implémentation de l'interface de paymentProviderService : aucune
+ * transaction n'existe chez un tiers, le livreur encaisse le montant à la
+ * livraison. Il n'y a donc ni remboursement ni notification à traiter.
+ */
+
+const NOT_APPLICABLE = {
+  success: false,
+  error: 'Pas de transaction à rembourser (paiement en espèces)',
+  code: 'NOT_APPLICABLE'
+};
+
+/**
+ * Informations de paiement à la livraison
+ */
+const initiate = async ({ reference, amount }) => ({
+  success: true,
+  paymentMethod: 'CASH',
+  orderId: reference,
+  amount,
+  instructions: [
+    'Préparez le montant exact si possible',
+    'Le livreur vous remettra un reçu',
+    'Vous pouvez suivre votre commande en temps réel'
+  ],
+  message: 'Paiement en espèces à la livraison'
+});
+
+// Le paiement n'est encaissé qu'à la livraison
+const confirm = async ({ amount }) => ({
+  success: true,
+  status: 'PENDING',
+  amount,
+  message: 'Paiement encaissé par le livreur à la livraison'
+});
+
+const status = async ({ transactionId }) => ({
+  success: true,
+  transactionId,
+  status: 'PENDING',
+  timestamp: new Date().toISOString()
+});
+
+const refund = async () => NOT_APPLICABLE;
+
+const parseWebhook = async () => ({
+  success: false,
+  error: 'Aucune notification pour le paiement en espèces',
+  code: 'NOT_APPLICABLE'
+});
+
+module.exports = {
+  name: 'cash',
+  initiate,
+  confirm,
+  status,
+  refund,
+  parseWebhook
+};
@@ -0,0 +1,624 @@
+/**
+ * Service de calcul du panier (checkout)
+ *
+ * Source unique des règles de tarification d'une commande : disponibilité,
+ * stock, options, code promo, frais de livraison et total.
+ * Utilisé par createCommande (création réelle), par le devis (aucune écriture)
+ * et par le checkout multi-prestataires (une sous-commande par prestataire).
+ */
+const { Op } = require('sequelize');
+const { Commande, CommandeItem, Plat, Promotion, PromotionUsage, User } = require('../models');
+const { ORDER_STATUS, PAYMENT_STATUS, PREPAID_PAYMENT_MODES } = require('../utils/constants');
+const { generateOrderNumber } = require('../utils/helpers');
+const { resolveItemOptions } = require('./platOptionsService');
+const { calculateDeliveryFee } = require('./deliveryFeeService');
+const { resolveOrderTiming } = require('./openingHoursService');
+const { getCapacite, getPrepTime, getScheduledPrepStart, resolveKitchenCapacity } = require('./kitchenCapacityService');
+const { computeTip } = require('./tipService');
+const { resolveDeliverySlot, reserveSlot } = require('./deliverySlotService');
+const { getSettings } = require('./settingsService');
+const { recordHistory } = require('./orderStateMachine');
+const { getReservationExpiry } = require('./stockReservationService');
+const { checkMinimumAmount } = require('./orderRulesService');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Frais par arrêt supplémentaire d'un checkout multi-prestataires
+ */
+const getMultiVendorStopFee = () => {
+  const fee = parseFloat(process.env.MULTI_VENDOR_STOP_FEE);
+  return Number.isFinite(fee) ? fee : 100;
+};
+
+/**
+ * Répartir un montant proportionnellement à des poids, au centime près
+ * (la somme des parts est toujours exactement égale au montant)
+ * @param {number} amount
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+const splitProportionally = (amount, weights) => {
+  const cents = Math.round(amount * 100);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (weights.length === 0) return [];
+
+  // Sans poids exploitable, répartition égale
+  const effectiveWeights = totalWeight > 0 ? weights : weights.map(() => 1);
+  const effectiveTotal = totalWeight > 0 ? totalWeight : weights.length;
+
+  const raw = effectiveWeights.map(w => (cents * w) / effectiveTotal);
+  const shares = raw.map(Math.floor);
+  let remainder = cents - shares.reduce((sum, s) => sum + s, 0);
+
+  // Méthode du plus fort reste
+  const order = raw
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+    shares[order[i].index] += 1;
+  }
+
+  return shares.map(s => s / 100);
+};
+
+/**
+ * Rechercher et vérifier un code promo pour un client
+ * @param {Object} params
+ * @param {Object} params.sousTotaux - { [prestataireId]: sousTotal } des prestataires du panier
+ * @returns {Promise<{ promotion: Promotion|null, eligibles?: number[], sousTotalEligible?: number,
+ *   error?: string, warning?: string }>}
+ */
+const checkPromoCode = async ({ codePromo, userId, sousTotaux, transaction }) => {
+  const prestataireIds = Object.keys(sousTotaux).map(Number);
+
+  const promotion = await Promotion.findOne({
+    where: {
+      code: codePromo.toUpperCase(),
+      isActive: true,
+      dateDebut: { [Op.lte]: new Date() },
+      dateFin: { [Op.gte]: new Date() },
+      [Op.or]: [
+        { prestataireId: null, isGlobal: true },
+        { prestataireId: prestataireIds }
+      ]
+    },
+    transaction
+  });
+
+  // Un code inconnu ou expiré est ignoré (la commande reste possible)
+  if (!promotion) {
+    return { promotion: null, warning: `Code promo "${codePromo.toUpperCase()}" invalide ou expiré` };
+  }
+
+  // Vérifier les limites d'utilisation
+  if (promotion.limiteUtilisationTotale !== -1 &&
+    promotion.utilisationsActuelles >= promotion.limiteUtilisationTotale) {
+    return { promotion: null, error: 'Ce code promo a atteint sa limite d\'utilisation' };
+  }
+
+  // Vérifier l'utilisation par utilisateur
+  const userUsages = await PromotionUsage.count({
+    where: { promotionId: promotion.id, userId },
+    transaction
+  });
+
+  if (userUsages >= promotion.limiteParUtilisateur) {
+    return { promotion: null, error: 'Vous avez déjà utilisé ce code promo' };
+  }
+
+  // Une promotion de prestataire ne s'applique qu'à ses propres plats
+  const eligibles = promotion.prestataireId ? [promotion.prestataireId] : prestataireIds;
+  const sousTotalEligible = round(eligibles.reduce((sum, id) => sum + (sousTotaux[id] || 0), 0));
+
+  // Vérifier le montant minimum
+  if (sousTotalEligible < promotion.montantMinimum) {
+    return { promotion: null, error: `Montant minimum requis: ${promotion.montantMinimum} DZD` };
+  }
+
+  return { promotion, eligibles, sousTotalEligible };
+};
+
+/**
+ * Calculer le détail d'une commande sans rien écrire en base
+ * @param {Object} params
+ * @param {number} params.userId - Client qui commande
+ * @param {number} params.prestataireId - Prestataire attendu
+ * @param {Array} params.items - [{ platId, quantite, options?, instructions? }]
+ * @param {string} [params.codePromo]
+ * @param {Object} [params.livraison] - { adresseLivraison, villeLivraison, positionLivraison, dateLivraisonSouhaitee }
+ * @param {Object} [params.pourboire] - { montant } ou { pourcentage } du sous-total
+ * @param {Transaction} [params.transaction] - transaction de création : le créneau de livraison y est réservé
+ * @returns {Promise<Object>} { valid, erreurs, avertissements, lignes, plats, sousTotal, reduction,
+ *   fraisLivraison, pourboire, livraison, programmation, preparation, total, promotion, fraisLivraisonGratuits }
+ */
+const priceOrder = async ({ userId, prestataireId, items, codePromo, livraison = {}, pourboire = {}, transaction }) => {
+  const erreurs = [];
+  const avertissements = [];
+  const lignes = [];
+  let sousTotal = 0;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      valid: false,
+      erreurs: ['Le panier est vide'],
+      avertissements,
+      lignes,
+      plats: [],
+      sousTotal: 0,
+      reduction: 0,
+      fraisLivraison: 0,
+      pourboire: 0,
+      livraison: null,
+      programmation: null,
+      preparation: null,
+      total: 0,
+      promotion: null,
+      fraisLivraisonGratuits: false
+    };
+  }
+
+  // Un même plat peut apparaître plusieurs fois avec des options différentes
+  const platIds = [...new Set(items.map(item => item.platId))];
+  const plats = await Plat.findAll({
+    where: { id: platIds, isDeleted: false },
+    transaction
+  });
+
+  if (plats.length !== platIds.length) {
+    erreurs.push('Certains plats ne sont pas disponibles');
+  }
+
+  // Vérifier que tous les plats sont du même prestataire
+  const prestataireIds = [...new Set(plats.map(p => p.prestataireId))];
+  if (prestataireIds.length > 1) {
+    erreurs.push('Tous les plats doivent provenir du même prestataire');
+  } else if (prestataireIds.length === 1 && prestataireIds[0] !== prestataireId) {
+    erreurs.push('Prestataire invalide');
+  }
+
+  // Vérifier la disponibilité et le stock
+  for (const plat of plats) {
+    const quantiteTotale = items
+      .filter(i => i.platId === plat.id)
+      .reduce((sum, i) => sum + i.quantite, 0);
+    if (!plat.isAvailable) {
+      erreurs.push(`Le plat "${plat.getNom()}" n'est pas disponible`);
+    } else if (plat.stock !== -1 && plat.stock < quantiteTotale) {
+      erreurs.push(`Stock insuffisant pour "${plat.getNom()}"`);
+    }
+  }
+
+  // Calculer le sous-total ligne par ligne
+  for (const itemData of items) {
+    const plat = plats.find(p => p.id === itemData.platId);
+    if (!plat) continue;
+
+    const prixBase = plat.getPrixActuel();
+
+    // Valider les options et calculer les suppléments depuis le catalogue
+    const optionsResult = resolveItemOptions(plat, itemData.options);
+    if (!optionsResult.valid) {
+      erreurs.push(optionsResult.error);
+      continue;
+    }
+    const { options, supplementsTotal } = optionsResult;
+
+    const itemSousTotal = round((prixBase + supplementsTotal) * itemData.quantite);
+    sousTotal += itemSousTotal;
+
+    lignes.push({
+      platId: plat.id,
+      nom: plat.getNom(),
+      quantite: itemData.quantite,
+      prixUnitaire: prixBase,
+      options,
+      supplementsTotal,
+      sousTotal: itemSousTotal,
+      instructions: itemData.instructions
+    });
+  }
+  sousTotal = round(sousTotal);
+
+  // Appliquer le code promo si fourni
+  let reduction = 0;
+  let promotion = null;
+  let fraisLivraisonGratuits = false;
+
+  if (codePromo) {
+    const promo = await checkPromoCode({ codePromo, userId, sousTotaux: { [prestataireId]: sousTotal }, transaction });
+    if (promo.error) erreurs.push(promo.error);
+    if (promo.warning) avertissements.push(promo.warning);
+
+    if (promo.promotion) {
+      promotion = promo.promotion;
+      if (promotion.type === 'livraison_gratuite') {
+        fraisLivraisonGratuits = true;
+      } else {
+        reduction = round(promotion.calculerReduction(sousTotal));
+      }
+    }
+  }
+
+  // Frais de livraison (zone, distance, seuil de gratuité)
+  const prestataire = await User.findByPk(prestataireId, {
+    attributes: [
+      'id', 'nomEtablissement', 'zonesLivraison', 'positionActuelle',
+      'horairesOuverture', 'capaciteCuisine', 'creneauxLivraison', 'reglesCommande'
+    ],
+    transaction
+  });
+
+  // Minimum de commande de la plateforme ou de la boutique
+  const minimum = checkMinimumAmount(prestataire, sousTotal, await getSettings('payment'));
+  if (!minimum.valid) {
+    erreurs.push(minimum.error);
+  }
+  const fraisCalcul = await calculateDeliveryFee({ prestataire, ...livraison, sousTotal });
+
+  if (!fraisCalcul.disponible) {
+    erreurs.push(fraisCalcul.error);
+  } else if (!livraison.adresseLivraison && !livraison.villeLivraison) {
+    avertissements.push('Frais de livraison estimés : précisez l\'adresse pour un montant exact');
+  }
+
+  const fraisLivraison = fraisLivraisonGratuits || !fraisCalcul.disponible ? 0 : fraisCalcul.frais;
+
+  // Horaires d'ouverture : commande refusée ou programmée à la réouverture
+  const programmation = await resolveOrderTiming({
+    prestataire,
+    dateLivraisonSouhaitee: livraison.dateLivraisonSouhaitee
+  });
+  if (!programmation.valid) {
+    erreurs.push(programmation.error);
+  } else if (programmation.avertissement) {
+    avertissements.push(programmation.avertissement);
+  }
+
+  // Capacité cuisine : estimation selon la file, puis prolongée, décalée ou refusée en surcharge
+  let preparation = {
+    tempsPreparation: getPrepTime(plats, getCapacite(prestataire)),
+    estimationMinutes: null,
+    surcharge: false
+  };
+  if (programmation.valid && !programmation.isScheduled && prestataire) {
+    const capacite = await resolveKitchenCapacity({ prestataire, plats, transaction });
+    if (!capacite.valid) {
+      erreurs.push(capacite.error);
+      preparation = { ...preparation, surcharge: true, motifCode: capacite.motifCode };
+    } else {
+      preparation = {
+        tempsPreparation: capacite.tempsPreparation,
+        estimationMinutes: capacite.estimationMinutes,
+        surcharge: capacite.surcharge
+      };
+      if (capacite.avertissement) avertissements.push(capacite.avertissement);
+      if (capacite.dateDecalee) {
+        programmation.isScheduled = true;
+        programmation.dateLivraisonSouhaitee = capacite.dateDecalee;
+      }
+    }
+  }
+
+  // Pourboire livreur
+  const tip = computeTip({ ...pourboire, base: sousTotal, settings: await getSettings('delivery') });
+  if (!tip.valid) {
+    erreurs.push(tip.error);
+  }
+  const montantPourboire = tip.valid ? tip.pourboire : 0;
+
+  // Créneau de livraison des commandes programmées, réservé dans la transaction de création
+  let creneau = null;
+  if (programmation.valid && programmation.isScheduled && prestataire) {
+    const dateChoisie = livraison.dateLivraisonSouhaitee ? new Date(livraison.dateLivraisonSouhaitee) : null;
+    const slot = await resolveDeliverySlot({
+      prestataire,
+      date: programmation.dateLivraisonSouhaitee,
+      exact: Boolean(dateChoisie) && dateChoisie.getTime() === programmation.dateLivraisonSouhaitee.getTime(),
+      transaction
+    });
+
+    if (!slot.valid) {
+      erreurs.push(slot.error);
+    } else if (slot.creneau) {
+      creneau = slot.creneau;
+      if (programmation.dateLivraisonSouhaitee < creneau.debut) {
+        programmation.dateLivraisonSouhaitee = creneau.debut;
+      }
+      if (transaction && erreurs.length === 0) {
+        const reservation = await reserveSlot({ prestataire, creneau, transaction });
+        if (reservation.success) {
+          creneau = { id: reservation.creneauId, ...creneau };
+        } else {
+          erreurs.push(reservation.error);
+        }
+      }
+    }
+  }
+
+  // Total
+  const total = round(sousTotal - reduction + fraisLivraison + montantPourboire);
+
+  return {
+    valid: erreurs.length === 0,
+    erreurs,
+    avertissements,
+    lignes,
+    plats,
+    sousTotal,
+    reduction,
+    fraisLivraison,
+    pourboire: montantPourboire,
+    livraison: {
+      mode: fraisCalcul.mode || null,
+      zone: fraisCalcul.zone || null,
+      distanceKm: fraisCalcul.distanceKm ?? null,
+      livraisonGratuite: fraisLivraisonGratuits || Boolean(fraisCalcul.livraisonGratuite)
+    },
+    programmation: programmation.valid
+      ? { isScheduled: programmation.isScheduled, dateLivraisonSouhaitee: programmation.dateLivraisonSouhaitee, creneau }
+      : null,
+    preparation,
+    total,
+    promotion,
+    fraisLivraisonGratuits
+  };
+};
+
+/**
+ * Calculer un panier multi-prestataires : une sous-commande par prestataire
+ *
+ * - Frais de livraison : le client paie la course la plus chère plus un forfait
+ *   par arrêt supplémentaire (plafonné à la somme des courses séparées),
+ *   réparti entre sous-commandes au prorata de leurs frais individuels.
+ * - Code promo : vérifié une seule fois sur les prestataires éligibles,
+ *   réduction répartie au prorata des sous-totaux éligibles.
+ * - Pourboire : calculé sur le sous-total du panier, réparti au prorata des sous-totaux.
+ * @returns {Promise<Object>} { valid, erreurs, avertissements, groupes, sousTotal, reduction,
+ *   fraisLivraison, pourboire, total, promotion }
+ */
+const priceMultiOrder = async ({ userId, items, codePromo, livraison = {}, pourboire = {}, transaction }) => {
+  const erreurs = [];
+  const avertissements = [];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      valid: false, erreurs: ['Le panier est vide'], avertissements, groupes: [],
+      sousTotal: 0, reduction: 0, fraisLivraison: 0, pourboire: 0, total: 0, promotion: null
+    };
+  }
+
+  // Regrouper les articles par prestataire
+  const platIds = [...new Set(items.map(item => item.platId))];
+  const plats = await Plat.findAll({
+    where: { id: platIds, isDeleted: false },
+    attributes: ['id', 'prestataireId'],
+    transaction
+  });
+
+  if (plats.length !== platIds.length) {
+    erreurs.push('Certains plats ne sont pas disponibles');
+  }
+
+  const itemsParPrestataire = new Map();
+  for (const item of items) {
+    const plat = plats.find(p => p.id === item.platId);
+    if (!plat) continue;
+    const groupe = itemsParPrestataire.get(plat.prestataireId) || [];
+    groupe.push(item);
+    itemsParPrestataire.set(plat.prestataireId, groupe);
+  }
+
+  const groupes = [];
+  for (const [prestataireId, groupeItems] of itemsParPrestataire) {
+    const devis = await priceOrder({ userId, prestataireId, items: groupeItems, livraison, transaction });
+    erreurs.push(...devis.erreurs);
+    avertissements.push(...devis.avertissements);
+    groupes.push({ prestataireId, items: groupeItems, ...devis, fraisLivraisonSepare: devis.fraisLivraison });
+  }
+
+  // Frais de livraison groupés puis répartis
+  const fraisSepares = groupes.map(g => g.fraisLivraisonSepare);
+  const sommeFrais = fraisSepares.reduce((sum, f) => sum + f, 0);
+  const fraisGroupes = groupes.length > 1
+    ? Math.min(sommeFrais, Math.max(...fraisSepares) + getMultiVendorStopFee() * (groupes.length - 1))
+    : sommeFrais;
+  splitProportionally(fraisGroupes, fraisSepares).forEach((part, i) => {
+    groupes[i].fraisLivraison = part;
+  });
+
+  // Code promo commun au checkout
+  let promotion = null;
+  if (codePromo && groupes.length > 0) {
+    const sousTotaux = Object.fromEntries(groupes.map(g => [g.prestataireId, g.sousTotal]));
+    const promo = await checkPromoCode({ codePromo, userId, sousTotaux, transaction });
+    if (promo.error) erreurs.push(promo.error);
+    if (promo.warning) avertissements.push(promo.warning);
+
+    if (promo.promotion) {
+      promotion = promo.promotion;
+      const eligibles = groupes.filter(g => promo.eligibles.includes(g.prestataireId));
+      eligibles.forEach(g => {
+        g.promotion = promotion;
+      });
+
+      if (promotion.type === 'livraison_gratuite') {
+        eligibles.forEach(g => {
+          g.fraisLivraison = 0;
+          g.fraisLivraisonGratuits = true;
+        });
+      } else {
+        const reductionTotale = round(promotion.calculerReduction(promo.sousTotalEligible));
+        splitProportionally(reductionTotale, eligibles.map(g => g.sousTotal)).forEach((part, i) => {
+          eligibles[i].reduction = part;
+        });
+      }
+    }
+  }
+
+  // Pourboire livreur sur l'ensemble du panier
+  const tip = computeTip({
+    ...pourboire,
+    base: round(groupes.reduce((acc, g) => acc + g.sousTotal, 0)),
+    settings: await getSettings('delivery')
+  });
+  if (!tip.valid) erreurs.push(tip.error);
+  splitProportionally(tip.valid ? tip.pourboire : 0, groupes.map(g => g.sousTotal)).forEach((part, i) => {
+    groupes[i].pourboire = part;
+  });
+
+  for (const groupe of groupes) {
+    groupe.total = round(groupe.sousTotal - groupe.reduction + groupe.fraisLivraison + groupe.pourboire);
+  }
+
+  const sum = (field) => round(groupes.reduce((acc, g) => acc + g[field], 0));
+
+  return {
+    valid: erreurs.length === 0,
+    erreurs: [...new Set(erreurs)],
+    avertissements: [...new Set(avertissements)],
+    groupes,
+    sousTotal: sum('sousTotal'),
+    reduction: sum('reduction'),
+    fraisLivraison: sum('fraisLivraison'),
+    pourboire: sum('pourboire'),
+    total: sum('total'),
+    promotion
+  };
+};
+
+/**
+ * Déduire le type de commande des plats commandés
+ */
+const getTypeCommande = (plats) => {
+  const types = new Set(plats.map(p => p.type));
+  if (types.size > 1) return 'mixte';
+  return types.has('produit') ? 'produits' : 'plats';
+};
+
+/**
+ * Créer la commande, ses lignes et décrémenter le stock à partir d'un devis valide
+ * (réservé jusqu'au paiement pour les modes en ligne, voir stockReservationService)
+ * @param {Object} params
+ * @param {User} params.client
+ * @param {Object} params.devis - Résultat de priceOrder (ou groupe de priceMultiOrder)
+ * @param {Object} params.details - Livraison, paiement (dont les parts réglées par le portefeuille et les cartes cadeaux), instructions, confirmation du profil alimentaire
+ * @param {number} [params.checkoutId] - Checkout parent (multi-prestataires)
+ * @param {Transaction} params.transaction
+ * @returns {Promise<Commande>}
+ */
+const persistCommande = async ({ client, prestataireId, devis, details, checkoutId, transaction }) => {
+  const {
+    plats, lignes, sousTotal, reduction, fraisLivraison, pourboire, total, promotion, programmation, preparation
+  } = devis;
+
+  // Commande programmée : la cuisine démarre pour livrer à l'heure demandée
+  const debutPreparationPrevu = programmation?.isScheduled && programmation.dateLivraisonSouhaitee
+    ? getScheduledPrepStart(
+      programmation.dateLivraisonSouhaitee,
+      preparation?.tempsPreparation,
+      (await getSettings('delivery')).deliveryTimeEstimate
+    )
+    : null;
+
+  const commande = await Commande.create({
+    numero: generateOrderNumber(),
+    clientId: client.id,
+    prestataireId,
+    checkoutId: checkoutId || null,
+    promotionId: promotion ? promotion.id : null,
+    statut: ORDER_STATUS.PENDING,
+    sousTotal,
+    reduction,
+    fraisLivraison,
+    pourboire: pourboire || 0,
+    total,
+    montantPortefeuille: details.montantPortefeuille || 0,
+    montantCartesCadeaux: details.montantCartesCadeaux || 0,
+    adresseLivraison: details.adresseLivraison,
+    villeLivraison: details.villeLivraison,
+    positionLivraison: details.positionLivraison || null,
+    telephoneLivraison: details.telephoneLivraison || client.telephone,
+    instructions: details.instructions,
+    dateLivraisonSouhaitee: programmation ? programmation.dateLivraisonSouhaitee : details.dateLivraisonSouhaitee,
+    isScheduled: programmation ? programmation.isScheduled : false,
+    creneauId: programmation?.creneau?.id || null,
+    debutPreparationPrevu,
+    avertissementsAlimentaires: details.avertissementsAlimentaires || null,
+    tempsPreparationEstime: preparation ? preparation.tempsPreparation : null,
+    datePreteEstimee: preparation?.estimationMinutes
+      ? new Date(Date.now() + preparation.estimationMinutes * 60000)
+      : null,
+    typeCommande: getTypeCommande(plats),
+    modePaiement: details.modePaiement,
+    // Entièrement réglée par le portefeuille ou des cartes cadeaux : payée dès la création
+    statutPaiement: PREPAID_PAYMENT_MODES.includes(details.modePaiement) ? PAYMENT_STATUS.SUCCESS : PAYMENT_STATUS.PENDING,
+    stockReserveJusquA: await getReservationExpiry(details.modePaiement),
+    codePromoUtilise: promotion ? promotion.code : null
+  }, { transaction });
+
+  await recordHistory(commande, {
+    nouveauStatut: ORDER_STATUS.PENDING,
+    acteurId: client.id,
+    acteurType: 'client',
+    metadata: checkoutId ? { checkoutId } : null,
+    transaction
+  });
+
+  // Créer les items de la commande
+  for (const ligne of lignes) {
+    const plat = plats.find(p => p.id === ligne.platId);
+    await CommandeItem.create({
+      commandeId: commande.id,
+      platId: ligne.platId,
+      quantite: ligne.quantite,
+      prixUnitaire: ligne.prixUnitaire,
+      sousTotal: ligne.sousTotal,
+      options: ligne.options,
+      supplementsTotal: ligne.supplementsTotal,
+      instructions: ligne.instructions,
+      platSnapshot: {
+        nom: plat.nom,
+        description: plat.description,
+        image: plat.image
+      }
+    }, { transaction });
+  }
+
+  // Mettre à jour le stock des plats
+  for (const ligne of lignes) {
+    const plat = plats.find(p => p.id === ligne.platId);
+    if (plat.stock !== -1) {
+      await plat.decrement('stock', { by: ligne.quantite, transaction });
+    }
+    await plat.increment('nombreCommandes', { transaction });
+  }
+
+  return commande;
+};
+
+/**
+ * Enregistrer l'utilisation d'un code promo (une seule fois par checkout)
+ */
+const recordPromotionUsage = async ({ promotionId, userId, commandeId, montantReduction, transaction }) => {
+  await PromotionUsage.create({
+    promotionId,
+    userId,
+    commandeId,
+    montantReduction
+  }, { transaction });
+
+  await Promotion.increment('utilisationsActuelles', {
+    where: { id: promotionId },
+    transaction
+  });
+};
+
+module.exports = {
+  splitProportionally,
+  checkPromoCode,
+  priceOrder,
+  priceMultiOrder,
+  persistCommande,
+  recordPromotionUsage
+};
@@ -0,0 +1,133 @@
+/**
+ * Service de calcul des frais de livraison
+ *
+ * Paramètres utilisés (catégorie "delivery" des settings) :
+ * - baseDeliveryFee : frais de base (aucune zone ni distance connue)
+ * - freeDeliveryThreshold : sous-total à partir duquel la livraison est offerte (0 = désactivé)
+ * - maxDeliveryDistance : distance maximale prestataire -> adresse (km)
+ * - includedDeliveryDistance / deliveryFeePerKm : tarification à la distance
+ * - deliveryZones : tarifs forfaitaires par zone
+ *   Format: [{ nom: "Alger Centre", frais: 150, communes: ["Sidi M'Hamed", "Alger"] }]
+ *
+ * User.zonesLivraison (prestataire) restreint les zones desservies :
+ * une adresse hors de ces zones est refusée.
+ */
+const { getSettings } = require('./settingsService');
+const { calculateDistance } = require('../utils/helpers');
+
+/**
+ * Normaliser un libellé de zone/ville pour la comparaison (casse, accents, tirets)
+ */
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[-_']/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Vérifier si une adresse de livraison correspond à un libellé de zone
+ */
+const matchesZone = (zoneName, { adresseLivraison, villeLivraison }) => {
+  const zone = normalize(zoneName);
+  if (!zone) return false;
+  return normalize(villeLivraison) === zone || ` ${normalize(adresseLivraison)} `.includes(` ${zone} `);
+};
+
+/**
+ * Trouver la zone tarifaire de la plateforme correspondant à l'adresse
+ */
+const findDeliveryZone = (zones, adresse) => (Array.isArray(zones) ? zones : []).find(zone =>
+  zone && zone.actif !== false &&
+  [zone.nom, ...(Array.isArray(zone.communes) ? zone.communes : [])].some(nom => matchesZone(nom, adresse))
+);
+
+/**
+ * Extraire des coordonnées valides { lat, lng }
+ */
+const getCoordinates = (position) => {
+  const lat = parseFloat(position?.lat);
+  const lng = parseFloat(position?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Calculer les frais de livraison d'une commande
+ * @param {Object} params
+ * @param {User} params.prestataire - avec zonesLivraison et positionActuelle
+ * @param {string} [params.adresseLivraison]
+ * @param {string} [params.villeLivraison]
+ * @param {{ lat: number, lng: number }} [params.positionLivraison]
+ * @param {number} params.sousTotal
+ * @returns {Promise<{ disponible: boolean, error?: string, frais?: number, mode?: string,
+ *   zone?: string, distanceKm?: number, livraisonGratuite?: boolean }>}
+ */
+const calculateDeliveryFee = async ({ prestataire, adresseLivraison, villeLivraison, positionLivraison, sousTotal }) => {
+  const settings = await getSettings('delivery');
+  const adresse = { adresseLivraison, villeLivraison };
+
+  const baseFee = parseFloat(settings.baseDeliveryFee);
+  const fraisBase = Number.isFinite(baseFee) ? baseFee : (parseFloat(process.env.DEFAULT_DELIVERY_FEE) || 200);
+
+  // Zones desservies par le prestataire
+  const zonesPrestataire = Array.isArray(prestataire?.zonesLivraison) ? prestataire.zonesLivraison : [];
+  if (zonesPrestataire.length > 0 && (adresseLivraison || villeLivraison) &&
+    !zonesPrestataire.some(zone => matchesZone(zone, adresse))) {
+    return {
+      disponible: false,
+      error: `${prestataire.nomEtablissement || 'Ce prestataire'} ne livre pas à cette adresse`
+    };
+  }
+
+  // Distance prestataire -> client, si les deux positions sont connues
+  const origine = getCoordinates(prestataire?.positionActuelle);
+  const destination = getCoordinates(positionLivraison);
+  const distanceKm = origine && destination
+    ? Math.round(calculateDistance(origine.lat, origine.lng, destination.lat, destination.lng) * 10) / 10
+    : null;
+
+  const maxDistance = parseFloat(settings.maxDeliveryDistance);
+  if (distanceKm !== null && Number.isFinite(maxDistance) && maxDistance > 0 && distanceKm > maxDistance) {
+    return {
+      disponible: false,
+      error: `Adresse hors de la zone de livraison (${distanceKm} km, maximum ${maxDistance} km)`,
+      distanceKm
+    };
+  }
+
+  let frais = fraisBase;
+  let mode = 'base';
+  let zoneNom = null;
+
+  const zone = findDeliveryZone(settings.deliveryZones, adresse);
+  if (zone && Number.isFinite(parseFloat(zone.frais))) {
+    frais = parseFloat(zone.frais);
+    mode = 'zone';
+    zoneNom = zone.nom;
+  } else if (distanceKm !== null) {
+    const inclus = parseFloat(settings.includedDeliveryDistance) || 0;
+    const parKm = parseFloat(settings.deliveryFeePerKm) || 0;
+    frais = Math.round(fraisBase + Math.max(0, distanceKm - inclus) * parKm);
+    mode = 'distance';
+  }
+
+  // Livraison offerte au-delà du seuil
+  const seuil = parseFloat(settings.freeDeliveryThreshold);
+  const livraisonGratuite = Number.isFinite(seuil) && seuil > 0 && sousTotal >= seuil;
+
+  return {
+    disponible: true,
+    frais: livraisonGratuite ? 0 : frais,
+    mode,
+    zone: zoneNom,
+    distanceKm,
+    livraisonGratuite
+  };
+};
+
+module.exports = {
+  calculateDeliveryFee,
+  findDeliveryZone,
+  matchesZone
+};
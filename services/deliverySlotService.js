@@ -0,0 +1,202 @@
+/**
+ * Service des créneaux de livraison
+ *
+ * Le prestataire publie des créneaux réservables (ex: fenêtres de 15 minutes,
+ * 5 commandes maximum) découpés dans ses horaires d'ouverture. Une commande
+ * programmée occupe un créneau : la réservation incrémente un compteur de
+ * façon conditionnelle (CreneauLivraison.reservations < maxCommandes), ce qui
+ * étale les rushs sans jamais dépasser la capacité, même en cas de commandes
+ * simultanées. L'annulation libère la place.
+ *
+ * Format de User.creneauxLivraison :
+ * { "actif": true, "dureeMinutes": 15, "maxCommandes": 5, "delaiMinimumMinutes": 30 }
+ */
+const { Op } = require('sequelize');
+const { CreneauLivraison, sequelize } = require('../models');
+const {
+  getTimezone, getLocalParts, localToDate, addDays, getDayPlages, formatLocal
+} = require('./openingHoursService');
+
+const DUREES = [10, 15, 20, 30, 45, 60];
+const HORIZON_JOURS = 7;
+
+const DEFAULT_CRENEAUX = {
+  actif: false,
+  dureeMinutes: 15,
+  maxCommandes: 5,
+  delaiMinimumMinutes: 30 // Délai minimum entre la commande et le début du créneau
+};
+
+/**
+ * Configuration des créneaux d'un prestataire (valeurs par défaut complétées)
+ */
+const getConfigCreneaux = (prestataire) => ({
+  ...DEFAULT_CRENEAUX,
+  ...(prestataire?.creneauxLivraison || {})
+});
+
+/**
+ * Valider la configuration des créneaux envoyée par le prestataire
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateCreneaux = (config) => {
+  if (config === null) return { valid: true };
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, error: 'Configuration des créneaux invalide' };
+  }
+
+  const { actif, dureeMinutes, maxCommandes, delaiMinimumMinutes } = config;
+
+  if (actif !== undefined && typeof actif !== 'boolean') {
+    return { valid: false, error: 'L\'activation des créneaux doit être un booléen' };
+  }
+  if (dureeMinutes !== undefined && !DUREES.includes(dureeMinutes)) {
+    return { valid: false, error: `Durée de créneau invalide (${DUREES.join(', ')} minutes)` };
+  }
+  if (maxCommandes !== undefined && (!Number.isInteger(maxCommandes) || maxCommandes < 1 || maxCommandes > 100)) {
+    return { valid: false, error: 'Le nombre de commandes par créneau doit être compris entre 1 et 100' };
+  }
+  if (delaiMinimumMinutes !== undefined &&
+    (!Number.isInteger(delaiMinimumMinutes) || delaiMinimumMinutes < 0 || delaiMinimumMinutes > 1440)) {
+    return { valid: false, error: 'Le délai minimum doit être compris entre 0 et 1440 minutes' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Créneaux d'une date locale (AAAA-MM-JJ), découpés dans les plages d'ouverture
+ * @returns {Array<{ debut: Date, fin: Date }>}
+ */
+const buildDaySlots = (horaires, dateKey, config, timezone) => {
+  const slots = [];
+  for (const plage of getDayPlages(horaires, dateKey)) {
+    for (let minutes = plage.debut; minutes + config.dureeMinutes <= plage.fin; minutes += config.dureeMinutes) {
+      slots.push({
+        debut: localToDate(dateKey, minutes, timezone),
+        fin: localToDate(dateKey, minutes + config.dureeMinutes, timezone)
+      });
+    }
+  }
+  return slots;
+};
+
+/**
+ * Créneaux réservables d'un prestataire pour une date, avec les places restantes
+ * @param {Object} params
+ * @param {User} params.prestataire - avec horairesOuverture et creneauxLivraison
+ * @param {string} params.date - AAAA-MM-JJ (fuseau de la plateforme)
+ * @returns {Promise<Array<{ debut, fin, reservations, placesRestantes, disponible }>>}
+ */
+const getAvailableSlots = async ({ prestataire, date, now = new Date(), transaction }) => {
+  const config = getConfigCreneaux(prestataire);
+  if (!config.actif) return [];
+
+  const timezone = await getTimezone();
+  const minimum = new Date(now.getTime() + config.delaiMinimumMinutes * 60000);
+  const slots = buildDaySlots(prestataire.horairesOuverture, date, config, timezone)
+    .filter(slot => slot.debut >= minimum);
+  if (slots.length === 0) return [];
+
+  const reserves = await CreneauLivraison.findAll({
+    where: { prestataireId: prestataire.id, debut: { [Op.in]: slots.map(s => s.debut) } },
+    transaction
+  });
+  const reservationsParDebut = new Map(reserves.map(r => [new Date(r.debut).getTime(), r.reservations]));
+
+  return slots.map(slot => {
+    const reservations = reservationsParDebut.get(slot.debut.getTime()) || 0;
+    return {
+      ...slot,
+      reservations,
+      placesRestantes: Math.max(config.maxCommandes - reservations, 0),
+      disponible: reservations < config.maxCommandes
+    };
+  });
+};
+
+/**
+ * Trouver le créneau d'une commande programmée
+ *
+ * - Heure choisie par le client (exact) : le créneau qui la contient doit avoir de la place.
+ * - Programmation automatique (réouverture, cuisine saturée) : premier créneau libre après l'heure prévue.
+ *
+ * @returns {Promise<{ valid: boolean, error?: string, creneau?: { debut, fin }|null }>}
+ */
+const resolveDeliverySlot = async ({ prestataire, date, exact, now = new Date(), transaction }) => {
+  const config = getConfigCreneaux(prestataire);
+  if (!config.actif) return { valid: true, creneau: null };
+
+  const timezone = await getTimezone();
+  const { dateKey } = getLocalParts(date, timezone);
+
+  if (exact) {
+    const slots = await getAvailableSlots({ prestataire, date: dateKey, now, transaction });
+    const creneau = slots.find(s => s.debut <= date && date < s.fin);
+    if (!creneau) {
+      return { valid: false, error: 'Aucun créneau de livraison disponible à cette heure' };
+    }
+    if (!creneau.disponible) {
+      const prochain = slots.find(s => s.debut > creneau.debut && s.disponible);
+      return {
+        valid: false,
+        error: prochain
+          ? `Ce créneau de livraison est complet (prochain créneau libre : ${formatLocal(prochain.debut, timezone)})`
+          : 'Ce créneau de livraison est complet'
+      };
+    }
+    return { valid: true, creneau: { debut: creneau.debut, fin: creneau.fin } };
+  }
+
+  for (let i = 0; i <= HORIZON_JOURS; i++) {
+    const slots = await getAvailableSlots({ prestataire, date: addDays(dateKey, i), now, transaction });
+    const creneau = slots.find(s => s.fin > date && s.disponible);
+    if (creneau) return { valid: true, creneau: { debut: creneau.debut, fin: creneau.fin } };
+  }
+
+  return { valid: false, error: 'Aucun créneau de livraison disponible dans les prochains jours' };
+};
+
+/**
+ * Réserver une place dans un créneau (à appeler dans la transaction de création)
+ * @returns {Promise<{ success: boolean, error?: string, creneauId?: number }>}
+ */
+const reserveSlot = async ({ prestataire, creneau, transaction }) => {
+  const { maxCommandes } = getConfigCreneaux(prestataire);
+
+  const [ligne] = await CreneauLivraison.findOrCreate({
+    where: { prestataireId: prestataire.id, debut: creneau.debut },
+    defaults: { fin: creneau.fin },
+    transaction
+  });
+
+  // Incrément conditionnel : deux commandes simultanées ne peuvent pas dépasser la capacité
+  const [updated] = await CreneauLivraison.update(
+    { reservations: sequelize.literal('reservations + 1') },
+    { where: { id: ligne.id, reservations: { [Op.lt]: maxCommandes } }, transaction }
+  );
+  if (updated === 0) {
+    return { success: false, error: 'Ce créneau de livraison vient d\'être complété, choisissez-en un autre' };
+  }
+
+  return { success: true, creneauId: ligne.id };
+};
+
+/**
+ * Libérer la place d'une commande annulée
+ */
+const releaseSlot = (creneauId, transaction) => CreneauLivraison.update(
+  { reservations: sequelize.literal('reservations - 1') },
+  { where: { id: creneauId, reservations: { [Op.gt]: 0 } }, transaction }
+);
+
+module.exports = {
+  DEFAULT_CRENEAUX,
+  getConfigCreneaux,
+  validateCreneaux,
+  buildDaySlots,
+  getAvailableSlots,
+  resolveDeliverySlot,
+  reserveSlot,
+  releaseSlot
+};
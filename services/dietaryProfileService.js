@@ -0,0 +1,137 @@
+/**
+ * Service du profil alimentaire
+ *
+ * Le client déclare ses allergies (liste ALLERGENS) et ses régimes (liste
+ * DIETS). Chaque plat est comparé au profil : un allergène déclaré dans
+ * Plat.allergenes est un conflit certain, un régime non indiqué dans
+ * Plat.tags est signalé comme non garanti. Le catalogue affiche ces
+ * avertissements et une commande en conflit doit être confirmée
+ * explicitement par le client ; la confirmation est conservée sur la commande.
+ *
+ * Format de User.profilAlimentaire :
+ * { "allergies": ["gluten", "arachides"], "regimes": ["halal", "vegan"] }
+ */
+const { ALLERGENS, DIETS } = require('../utils/constants');
+
+// Régimes vérifiés par les tags du plat ou par l'absence d'un allergène
+const REGLES_REGIMES = {
+  vegetarien: { tags: ['vegetarien', 'vegan'] },
+  vegan: { tags: ['vegan'] },
+  halal: { tags: ['halal'] },
+  keto: { tags: ['keto'] },
+  'sans-gluten': { allergene: 'gluten' },
+  'sans-lactose': { allergene: 'lait' }
+};
+
+const formatCode = (code) => code.replace(/[_-]/g, ' ');
+
+/**
+ * Valider le profil alimentaire envoyé par le client
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateProfilAlimentaire = (profil) => {
+  if (profil === null) return { valid: true };
+  if (typeof profil !== 'object' || Array.isArray(profil)) {
+    return { valid: false, error: 'Profil alimentaire invalide' };
+  }
+
+  const { allergies, regimes, ...autres } = profil;
+
+  if (Object.keys(autres).length > 0) {
+    return { valid: false, error: 'Le profil alimentaire ne contient que des allergies et des régimes' };
+  }
+  if (allergies !== undefined &&
+    (!Array.isArray(allergies) || allergies.some(a => !ALLERGENS.includes(a)))) {
+    return { valid: false, error: `Allergies invalides (${ALLERGENS.join(', ')})` };
+  }
+  if (regimes !== undefined &&
+    (!Array.isArray(regimes) || regimes.some(r => !DIETS.includes(r)))) {
+    return { valid: false, error: `Régimes invalides (${DIETS.join(', ')})` };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Avertissements d'un plat pour un profil
+ * @returns {Array<{ type: 'allergie'|'regime', code: string, message: string }>}
+ */
+const getPlatWarnings = (plat, profil) => {
+  const avertissements = [];
+  if (!profil) return avertissements;
+
+  const allergenes = plat.allergenes || [];
+  const tags = plat.tags || [];
+
+  for (const allergie of profil.allergies || []) {
+    if (allergenes.includes(allergie)) {
+      avertissements.push({ type: 'allergie', code: allergie, message: `Contient : ${formatCode(allergie)}` });
+    }
+  }
+
+  for (const regime of profil.regimes || []) {
+    const regle = REGLES_REGIMES[regime];
+    if (!regle) continue;
+
+    const conforme = regle.allergene
+      ? !allergenes.includes(regle.allergene)
+      : regle.tags.some(tag => tags.includes(tag));
+    if (!conforme) {
+      avertissements.push({
+        type: 'regime',
+        code: regime,
+        message: regle.allergene
+          ? `Ne convient pas au régime ${formatCode(regime)}`
+          : `Non indiqué ${formatCode(regime)}`
+      });
+    }
+  }
+
+  return avertissements;
+};
+
+/**
+ * Ajouter les avertissements du profil aux plats d'une réponse catalogue
+ * @returns {Array<Object>} plats sérialisés, avec `avertissements` si le profil est renseigné
+ */
+const withWarnings = (plats, profil) => plats.map(plat => {
+  const data = plat.toJSON ? plat.toJSON() : plat;
+  return profil ? { ...data, avertissements: getPlatWarnings(data, profil) } : data;
+});
+
+/**
+ * Plats d'un panier en conflit avec le profil
+ * @param {Array<Plat>} plats - plats du devis
+ * @returns {Array<{ platId, nom, avertissements }>}
+ */
+const checkCartConflicts = (plats, profil) => plats
+  .map(plat => ({
+    platId: plat.id,
+    nom: plat.getNom ? plat.getNom() : (plat.nom?.fr || plat.nom),
+    avertissements: getPlatWarnings(plat, profil)
+  }))
+  .filter(conflit => conflit.avertissements.length > 0);
+
+/**
+ * Message demandant la confirmation du client
+ */
+const getConflictMessage = (conflits) =>
+  `Votre profil alimentaire signale : ${conflits
+    .map(c => `${c.nom} (${c.avertissements.map(a => a.message).join(', ')})`)
+    .join(' ; ')}. Confirmez la commande en connaissance de cause pour continuer`;
+
+/**
+ * Confirmation à enregistrer sur la commande (null sans conflit)
+ */
+const buildAcknowledgement = (conflits) => (conflits.length > 0
+  ? { conflits, confirmeLe: new Date() }
+  : null);
+
+module.exports = {
+  validateProfilAlimentaire,
+  getPlatWarnings,
+  withWarnings,
+  checkCartConflicts,
+  getConflictMessage,
+  buildAcknowledgement
+};
@@ -0,0 +1,159 @@
+/**
+ * Cartes cadeaux utilisées au paiement des commandes
+ *
+ * À la création d'une commande, le client peut donner un ou plusieurs codes
+ * de cartes qu'il a réclamées : elles sont utilisées dans l'ordre, jusqu'au
+ * total, avant le portefeuille et le moyen de paiement choisi. Les cartes
+ * sont verrouillées puis débitées dans la transaction de la création, et
+ * chaque déduction est tracée par un MouvementCarteCadeau rattaché à la
+ * commande. À l'annulation ou au remboursement complet, les montants encore
+ * engagés sont rendus aux cartes.
+ */
+const { Commande, GiftCard, MouvementCarteCadeau, sequelize } = require('../models');
+const { GIFT_CARD_MOVEMENT_TYPES } = require('../utils/constants');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const normalizeCode = (code) => String(code).toUpperCase().trim();
+
+const isExpired = (giftCard, now = new Date()) =>
+  giftCard.statut === 'expired' || (giftCard.dateExpiration && new Date(giftCard.dateExpiration) < now);
+
+/**
+ * Répartir un montant sur les cartes cadeaux du client, dans l'ordre des codes
+ * (verrouille les cartes jusqu'à la fin de la transaction)
+ * @param {Object} params
+ * @param {Array<string>} params.codes
+ * @param {number} params.clientId
+ * @param {number} params.total - Montant à couvrir
+ * @param {Transaction} params.transaction
+ * @returns {Promise<{ success: boolean, utilisations?: Array<{ giftCard: GiftCard, montant: number }>, total?: number, error?: string }>}
+ */
+const allocateGiftCards = async ({ codes, clientId, total, transaction }) => {
+  const utilisations = [];
+  let reste = round2(parseFloat(total));
+
+  for (const code of [...new Set(codes.map(normalizeCode))]) {
+    const giftCard = await GiftCard.findOne({
+      where: { code },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!giftCard || giftCard.beneficiaireId !== clientId) {
+      return { success: false, error: `Carte cadeau introuvable ou non réclamée : ${code}` };
+    }
+    if (giftCard.statut === 'used' || isExpired(giftCard)) {
+      return { success: false, error: `La carte cadeau ${code} ne peut plus être utilisée` };
+    }
+
+    const montant = round2(Math.min(parseFloat(giftCard.montantRestant), reste));
+    if (montant > 0) {
+      utilisations.push({ giftCard, montant });
+      reste = round2(reste - montant);
+    }
+  }
+
+  return { success: true, utilisations, total: round2(parseFloat(total) - reste) };
+};
+
+/**
+ * Débiter les cartes réparties par allocateGiftCards (dans la transaction de la création)
+ * @param {Object} params
+ * @param {Commande} params.commande
+ * @param {Array<{ giftCard: GiftCard, montant: number }>} params.utilisations
+ * @param {Transaction} transaction
+ * @returns {Promise<Array<MouvementCarteCadeau>>}
+ */
+const redeemGiftCards = async ({ commande, utilisations }, transaction) => {
+  const mouvements = [];
+
+  for (const { giftCard, montant } of utilisations) {
+    const soldeApres = round2(parseFloat(giftCard.montantRestant) - montant);
+    await giftCard.update({
+      montantRestant: soldeApres,
+      ...(soldeApres === 0 ? { statut: 'used', dateUtilisation: new Date() } : {})
+    }, { transaction });
+
+    mouvements.push(await MouvementCarteCadeau.create({
+      giftCardId: giftCard.id,
+      commandeId: commande.id,
+      clientId: commande.clientId,
+      type: GIFT_CARD_MOVEMENT_TYPES.REDEEMED,
+      montant: -montant,
+      soldeApres,
+      libelle: `Commande #${commande.numero}`
+    }, { transaction }));
+  }
+
+  return mouvements;
+};
+
+/**
+ * Rendre aux cartes cadeaux les montants encore engagés sur une commande
+ * @param {Commande} commande
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction] - Transaction de l'appelant (annulation) ; sinon une transaction dédiée
+ * @param {string} [options.motif]
+ * @param {number} [options.giftCardId] - Ne rendre qu'à cette carte (part d'une commande groupée)
+ * @param {number} [options.montant] - Plafond à rendre, cartes dans l'ordre (par défaut : tout l'engagé)
+ * @returns {Promise<number>} montant total restitué (0 si rien à rendre)
+ */
+const restoreGiftCards = async (commande, { transaction, motif, giftCardId: seuleCarte, montant: plafond } = {}) => {
+  if (!seuleCarte && !(parseFloat(commande.montantCartesCadeaux || 0) > 0)) return 0;
+
+  const t = transaction || await sequelize.transaction();
+
+  try {
+    // Deux restitutions simultanées ne peuvent pas rendre deux fois le même montant
+    await Commande.findByPk(commande.id, { attributes: ['id'], transaction: t, lock: t.LOCK.UPDATE });
+    const mouvements = await MouvementCarteCadeau.findAll({
+      where: { commandeId: commande.id, ...(seuleCarte ? { giftCardId: seuleCarte } : {}) },
+      transaction: t
+    });
+
+    // Montant engagé par carte, et client qui l'a utilisée (l'hôte ou un participant)
+    const engages = new Map();
+    const clients = new Map();
+    for (const mouvement of mouvements) {
+      engages.set(mouvement.giftCardId, round2((engages.get(mouvement.giftCardId) || 0) - parseFloat(mouvement.montant)));
+      clients.set(mouvement.giftCardId, mouvement.clientId);
+    }
+
+    let total = 0;
+    for (const [giftCardId, engage] of engages) {
+      const montant = plafond === undefined ? engage : round2(Math.min(engage, parseFloat(plafond) - total));
+      if (montant <= 0) continue;
+
+      const giftCard = await GiftCard.findByPk(giftCardId, { transaction: t, lock: t.LOCK.UPDATE });
+      const soldeApres = round2(parseFloat(giftCard.montantRestant) + montant);
+      await giftCard.update({
+        montantRestant: soldeApres,
+        ...(giftCard.statut === 'used' ? { statut: isExpired(giftCard) ? 'expired' : 'claimed', dateUtilisation: null } : {})
+      }, { transaction: t });
+
+      await MouvementCarteCadeau.create({
+        giftCardId,
+        commandeId: commande.id,
+        clientId: clients.get(giftCardId),
+        type: GIFT_CARD_MOVEMENT_TYPES.RESTORED,
+        montant,
+        soldeApres,
+        libelle: `${motif || 'Restitution'} : commande #${commande.numero}`.slice(0, 255)
+      }, { transaction: t });
+      total = round2(total + montant);
+    }
+
+    if (!transaction) await t.commit();
+    return total;
+  } catch (error) {
+    if (!transaction) await t.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  allocateGiftCards,
+  redeemGiftCards,
+  restoreGiftCards
+};
@@ -0,0 +1,153 @@
+/**
+ * Service des commandes groupées
+ *
+ * Un hôte ouvre un panier partagé chez un prestataire ; les participants y
+ * ajoutent leurs plats jusqu'à l'heure limite, puis l'hôte passe une seule
+ * Commande. Chaque participant règle ensuite sa part (ses plats, sa part de
+ * réduction au prorata, les frais de livraison partagés à parts égales),
+ * par carte ou carte cadeau. La commande est payée quand toutes les parts le sont.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Commande, CommandeGroupePart, GiftCard, MouvementCarteCadeau } = require('../models');
+const { ORDER_STATUS, PAYMENT_STATUS, GIFT_CARD_MOVEMENT_TYPES } = require('../utils/constants');
+const { splitProportionally } = require('./checkoutService');
+const { emitToUser, emitToPrestataire, emitToCommande } = require('../config/socket');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Générer le code du lien de partage
+ */
+const generateGroupCode = () => crypto.randomBytes(6).toString('hex').toUpperCase();
+
+/**
+ * Le groupe accepte-t-il encore des plats ?
+ */
+const isGroupeOuvert = (groupe, now = new Date()) =>
+  groupe.statut === 'ouverte' && new Date(groupe.dateLimite) > now;
+
+/**
+ * Répartir un devis entre les participants
+ * @param {Object} devis - résultat valide de priceOrder, lignes dans l'ordre des items
+ * @param {Array} items - CommandeGroupeItem (participantId) envoyés à priceOrder
+ * @returns {Array<{ participantId, sousTotal, reduction, fraisLivraison, montant }>}
+ */
+const computeParts = (devis, items) => {
+  const sousTotaux = new Map();
+  devis.lignes.forEach((ligne, index) => {
+    const participantId = items[index].participantId;
+    sousTotaux.set(participantId, round((sousTotaux.get(participantId) || 0) + ligne.sousTotal));
+  });
+
+  const participantIds = [...sousTotaux.keys()];
+  const reductions = splitProportionally(devis.reduction, participantIds.map(id => sousTotaux.get(id)));
+  const frais = splitProportionally(devis.fraisLivraison, participantIds.map(() => 1));
+
+  return participantIds.map((participantId, i) => ({
+    participantId,
+    sousTotal: sousTotaux.get(participantId),
+    reduction: reductions[i],
+    fraisLivraison: frais[i],
+    montant: round(sousTotaux.get(participantId) - reductions[i] + frais[i])
+  }));
+};
+
+/**
+ * Débiter une carte cadeau du participant pour régler sa part
+ * (verrouille la carte ; le débit est tracé sur la commande par un MouvementCarteCadeau)
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {CommandeGroupePart} params.part
+ * @param {string} [params.libelle]
+ * @param {Transaction} params.transaction
+ * @returns {Promise<{ success: boolean, error?: string, giftCard?: GiftCard }>}
+ */
+const debitGiftCard = async ({ code, part, libelle, transaction }) => {
+  const giftCard = await GiftCard.findOne({
+    where: { code },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!giftCard || giftCard.beneficiaireId !== part.participantId) {
+    return { success: false, error: 'Carte cadeau introuvable ou non réclamée' };
+  }
+  if (giftCard.statut === 'used' || giftCard.statut === 'expired' ||
+    (giftCard.dateExpiration && new Date(giftCard.dateExpiration) < new Date())) {
+    return { success: false, error: 'Cette carte ne peut plus être utilisée' };
+  }
+
+  const montant = round(parseFloat(part.montant));
+  if (parseFloat(giftCard.montantRestant) < montant) {
+    return { success: false, error: `Solde insuffisant. Disponible: ${giftCard.montantRestant} DA` };
+  }
+
+  const soldeApres = round(parseFloat(giftCard.montantRestant) - montant);
+  await giftCard.update({
+    montantRestant: soldeApres,
+    ...(soldeApres === 0 ? { statut: 'used', dateUtilisation: new Date() } : {})
+  }, { transaction });
+
+  await MouvementCarteCadeau.create({
+    giftCardId: giftCard.id,
+    commandeId: part.commandeId,
+    clientId: part.participantId,
+    type: GIFT_CARD_MOVEMENT_TYPES.REDEEMED,
+    montant: -montant,
+    soldeApres,
+    libelle: libelle || null
+  }, { transaction });
+
+  return { success: true, giftCard };
+};
+
+/**
+ * Marquer la commande payée quand toutes les parts sont réglées
+ * @returns {Promise<boolean>} true si la commande vient d'être soldée
+ */
+const settleCommandeIfComplete = async (commandeId) => {
+  const parts = await CommandeGroupePart.findAll({ where: { commandeId } });
+  if (parts.length === 0 || parts.some(p => p.statutPaiement !== PAYMENT_STATUS.SUCCESS)) {
+    return false;
+  }
+
+  const [updated] = await Commande.update(
+    { statutPaiement: PAYMENT_STATUS.SUCCESS },
+    {
+      where: {
+        id: commandeId,
+        statut: { [Op.ne]: ORDER_STATUS.CANCELLED },
+        statutPaiement: { [Op.ne]: PAYMENT_STATUS.SUCCESS }
+      }
+    }
+  );
+  if (updated === 0) return false;
+
+  const commande = await Commande.findByPk(commandeId);
+
+  emitToPrestataire(commande.prestataireId, 'commande:payee', {
+    commandeId: commande.id,
+    numero: commande.numero
+  });
+  emitToCommande(commande.id, 'commande:payee', {
+    commandeId: commande.id,
+    numero: commande.numero
+  });
+  for (const part of parts) {
+    emitToUser(part.participantId, 'groupe:payee', {
+      commandeId: commande.id,
+      numero: commande.numero
+    });
+  }
+
+  return true;
+};
+
+module.exports = {
+  generateGroupCode,
+  isGroupeOuvert,
+  computeParts,
+  debitGiftCard,
+  settleCommandeIfComplete
+};
@@ -0,0 +1,535 @@
+/**
+ * Service de facturation
+ *
+ * Une facture est émise par le prestataire à la livraison de la commande, un
+ * avoir à chaque remboursement d'une commande facturée. La numérotation est
+ * continue par type et par exercice (FAC-2026-000001, AV-2026-000001) : le
+ * numéro suivant est calculé dans la transaction d'émission et l'index unique
+ * (type, exercice, sequence) rejette les collisions, qui sont rejouées.
+ *
+ * Les prix de la plateforme sont TTC : le HT et la TVA de chaque ligne sont
+ * déduits du taux de la catégorie du plat (Categorie.tauxTVA) ou du taux par
+ * défaut (paramètres "invoice"). Tout le document est figé à l'émission, le
+ * PDF est donc régénérable à l'identique depuis la Facture seule.
+ *
+ * Format de User.informationsLegales :
+ * { "raisonSociale": "SARL ...", "nif": "...", "rc": "...", "nis": "...", "articleImposition": "..." }
+ */
+const { UniqueConstraintError } = require('sequelize');
+const { Commande, CommandeItem, Plat, Categorie, User, Facture, sequelize } = require('../models');
+const { ORDER_STATUS } = require('../utils/constants');
+const { getSettings } = require('./settingsService');
+const { getTimezone, getLocalParts } = require('./openingHoursService');
+const logger = require('../config/logger');
+
+const TYPES = {
+  FACTURE: 'facture',
+  AVOIR: 'avoir'
+};
+
+const MAX_TENTATIVES = 5;
+
+const CHAMPS_LEGAUX = {
+  raisonSociale: { regex: /^.{2,150}$/, error: 'La raison sociale doit contenir entre 2 et 150 caractères' },
+  nif: { regex: /^\d{15,20}$/, error: 'Le NIF doit contenir entre 15 et 20 chiffres' },
+  rc: { regex: /^[0-9A-Za-z/\- ]{5,30}$/, error: 'Numéro de registre du commerce invalide' },
+  nis: { regex: /^\d{15,20}$/, error: 'Le NIS doit contenir entre 15 et 20 chiffres' },
+  articleImposition: { regex: /^\d{8,15}$/, error: 'L\'article d\'imposition doit contenir entre 8 et 15 chiffres' }
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Valider les identifiants légaux envoyés par un utilisateur
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateLegalInfo = (info) => {
+  if (info === null) return { valid: true };
+  if (typeof info !== 'object' || Array.isArray(info)) {
+    return { valid: false, error: 'Informations légales invalides' };
+  }
+
+  for (const [champ, valeur] of Object.entries(info)) {
+    const regle = CHAMPS_LEGAUX[champ];
+    if (!regle) {
+      return { valid: false, error: `Information légale inconnue : ${champ}` };
+    }
+    if (valeur !== null && (typeof valeur !== 'string' || !regle.regex.test(valeur.trim()))) {
+      return { valid: false, error: regle.error };
+    }
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Décomposer un montant TTC en HT + TVA
+ */
+const splitTTC = (montantTTC, tauxTVA) => {
+  const montantHT = round2(montantTTC / (1 + tauxTVA / 100));
+  return { montantHT, montantTVA: round2(montantTTC - montantHT), montantTTC: round2(montantTTC) };
+};
+
+/**
+ * Répartir un montant au prorata de poids (l'arrondi restant va à la dernière part)
+ */
+const allocate = (montant, poids) => {
+  const totalPoids = poids.reduce((sum, p) => sum + p, 0);
+  let reste = round2(montant);
+  return poids.map((p, i) => {
+    if (i === poids.length - 1) return reste;
+    const part = totalPoids > 0 ? round2(montant * p / totalPoids) : 0;
+    reste = round2(reste - part);
+    return part;
+  });
+};
+
+/**
+ * Construire les lignes d'une facture
+ * @param {Object} params
+ * @param {Array<{ designation, quantite, montantTTC, tauxTVA }>} params.articles
+ * @param {number} [params.reduction] - remise TTC, répartie au prorata des taux des articles
+ * @param {number} [params.fraisLivraison]
+ * @param {number} [params.pourboire] - reversé au livreur, hors champ de la TVA
+ * @param {number} params.tauxLivraison
+ * @returns {Array<Object>}
+ */
+const buildInvoiceLines = ({ articles, reduction = 0, fraisLivraison = 0, pourboire = 0, tauxLivraison }) => {
+  const lignes = articles.map(article => ({
+    designation: article.designation,
+    quantite: article.quantite,
+    prixUnitaireTTC: round2(article.montantTTC / article.quantite),
+    tauxTVA: article.tauxTVA,
+    ...splitTTC(article.montantTTC, article.tauxTVA)
+  }));
+
+  if (reduction > 0) {
+    const parTaux = new Map();
+    articles.forEach(a => parTaux.set(a.tauxTVA, (parTaux.get(a.tauxTVA) || 0) + a.montantTTC));
+    const taux = [...parTaux.keys()];
+    const parts = allocate(reduction, [...parTaux.values()]);
+
+    taux.forEach((tauxTVA, i) => {
+      lignes.push({
+        designation: taux.length > 1 ? `Remise (TVA ${tauxTVA} %)` : 'Remise',
+        quantite: 1,
+        prixUnitaireTTC: -parts[i],
+        tauxTVA,
+        ...splitTTC(-parts[i], tauxTVA)
+      });
+    });
+  }
+
+  if (fraisLivraison > 0) {
+    lignes.push({
+      designation: 'Frais de livraison',
+      quantite: 1,
+      prixUnitaireTTC: round2(fraisLivraison),
+      tauxTVA: tauxLivraison,
+      ...splitTTC(fraisLivraison, tauxLivraison)
+    });
+  }
+
+  if (pourboire > 0) {
+    lignes.push({
+      designation: 'Pourboire livreur (hors champ TVA)',
+      quantite: 1,
+      prixUnitaireTTC: round2(pourboire),
+      tauxTVA: 0,
+      ...splitTTC(pourboire, 0)
+    });
+  }
+
+  return lignes;
+};
+
+/**
+ * Totaux et récapitulatif de TVA par taux
+ * @returns {{ totalHT, totalTVA, totalTTC, detailTVA: Array<{ tauxTVA, montantHT, montantTVA, montantTTC }> }}
+ */
+const computeTotals = (lignes) => {
+  const parTaux = new Map();
+  for (const ligne of lignes) {
+    const detail = parTaux.get(ligne.tauxTVA) || { tauxTVA: ligne.tauxTVA, montantHT: 0, montantTVA: 0, montantTTC: 0 };
+    detail.montantHT = round2(detail.montantHT + ligne.montantHT);
+    detail.montantTVA = round2(detail.montantTVA + ligne.montantTVA);
+    detail.montantTTC = round2(detail.montantTTC + ligne.montantTTC);
+    parTaux.set(ligne.tauxTVA, detail);
+  }
+
+  const detailTVA = [...parTaux.values()].sort((a, b) => a.tauxTVA - b.tauxTVA);
+  return {
+    totalHT: round2(detailTVA.reduce((sum, d) => sum + d.montantHT, 0)),
+    totalTVA: round2(detailTVA.reduce((sum, d) => sum + d.montantTVA, 0)),
+    totalTTC: round2(detailTVA.reduce((sum, d) => sum + d.montantTTC, 0)),
+    detailTVA
+  };
+};
+
+const pickLegalInfo = (user) => {
+  const info = user?.informationsLegales || {};
+  return Object.fromEntries(Object.keys(CHAMPS_LEGAUX).filter(k => info[k]).map(k => [k, info[k]]));
+};
+
+const snapshotVendeur = (prestataire) => ({
+  nom: prestataire.nomEtablissement || `${prestataire.prenom} ${prestataire.nom}`,
+  adresse: prestataire.adresse || null,
+  ville: prestataire.ville || null,
+  telephone: prestataire.telephone || null,
+  email: prestataire.email,
+  ...pickLegalInfo(prestataire)
+});
+
+const snapshotAcheteur = (client, commande) => ({
+  nom: `${client.prenom} ${client.nom}`,
+  adresse: commande.adresseLivraison || client.adresse || null,
+  ville: commande.villeLivraison || client.ville || null,
+  telephone: commande.telephoneLivraison || client.telephone || null,
+  email: client.email,
+  ...pickLegalInfo(client)
+});
+
+/**
+ * Prochain numéro d'un type de document pour l'exercice (dans la transaction d'émission)
+ */
+const nextNumero = async (type, date, transaction) => {
+  const [settings, timezone] = await Promise.all([getSettings('invoice'), getTimezone()]);
+  const exercice = parseInt(getLocalParts(date, timezone).dateKey.slice(0, 4), 10);
+
+  const derniere = await Facture.findOne({
+    where: { type, exercice },
+    attributes: ['sequence'],
+    order: [['sequence', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  const sequence = (derniere?.sequence || 0) + 1;
+  const prefixe = type === TYPES.AVOIR ? settings.creditNotePrefix : settings.invoicePrefix;
+
+  return { exercice, sequence, numero: `${prefixe}-${exercice}-${String(sequence).padStart(6, '0')}` };
+};
+
+/**
+ * Rejouer une émission en cas de collision de numéro (émissions simultanées)
+ */
+const withNumbering = async (emit) => {
+  for (let tentative = 1; ; tentative++) {
+    try {
+      return await emit();
+    } catch (error) {
+      const collision = error instanceof UniqueConstraintError || error.parent?.code === 'ER_LOCK_DEADLOCK';
+      if (!collision || tentative >= MAX_TENTATIVES) throw error;
+    }
+  }
+};
+
+/**
+ * Émettre la facture d'une commande livrée (idempotent : renvoie la facture existante)
+ * @param {number} commandeId
+ * @returns {Promise<Facture|null>} null si la commande n'est pas livrée
+ */
+const issueInvoice = (commandeId) => withNumbering(async () => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Verrou sur la commande : une seule facture même si la livraison et un téléchargement se croisent
+    const commande = await Commande.findByPk(commandeId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!commande || commande.statut !== ORDER_STATUS.DELIVERED) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const existante = await Facture.findOne({ where: { commandeId, type: TYPES.FACTURE }, transaction });
+    if (existante) {
+      await transaction.commit();
+      return existante;
+    }
+
+    const [items, client, prestataire, settings] = await Promise.all([
+      CommandeItem.findAll({
+        where: { commandeId },
+        include: [{
+          model: Plat,
+          as: 'plat',
+          attributes: ['id', 'nom'],
+          include: [{ model: Categorie, as: 'categorie', attributes: ['id', 'tauxTVA'] }]
+        }],
+        order: [['id', 'ASC']],
+        transaction
+      }),
+      User.findByPk(commande.clientId, { transaction }),
+      User.findByPk(commande.prestataireId, { transaction }),
+      getSettings('invoice')
+    ]);
+
+    const articles = items.map(item => {
+      const nom = item.platSnapshot?.nom || item.plat?.nom;
+      const tauxCategorie = item.plat?.categorie?.tauxTVA;
+      return {
+        designation: nom?.fr || nom || 'Article',
+        quantite: item.quantite,
+        montantTTC: parseFloat(item.sousTotal),
+        tauxTVA: tauxCategorie !== null && tauxCategorie !== undefined
+          ? parseFloat(tauxCategorie)
+          : settings.defaultVatRate
+      };
+    });
+
+    const lignes = buildInvoiceLines({
+      articles,
+      reduction: parseFloat(commande.reduction || 0),
+      fraisLivraison: parseFloat(commande.fraisLivraison || 0),
+      pourboire: parseFloat(commande.pourboire || 0),
+      tauxLivraison: settings.deliveryVatRate
+    });
+
+    const dateEmission = new Date();
+    const numerotation = await nextNumero(TYPES.FACTURE, dateEmission, transaction);
+
+    const facture = await Facture.create({
+      type: TYPES.FACTURE,
+      ...numerotation,
+      commandeId,
+      commandeNumero: commande.numero,
+      dateEmission,
+      vendeur: snapshotVendeur(prestataire),
+      acheteur: snapshotAcheteur(client, commande),
+      lignes,
+      ...computeTotals(lignes)
+    }, { transaction });
+
+    await transaction.commit();
+    return facture;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+});
+
+/**
+ * Émettre l'avoir d'un remboursement sur une commande facturée
+ * Le montant est plafonné à ce qui reste à créditer sur la facture.
+ * @param {Object} params
+ * @param {number} params.commandeId
+ * @param {number} [params.montant] - TTC remboursé (défaut : solde de la facture)
+ * @param {string} [params.motif]
+ * @returns {Promise<Facture|null>} null si la commande n'est pas facturée ou déjà entièrement créditée
+ */
+const issueCreditNote = ({ commandeId, montant, motif }) => withNumbering(async () => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await Commande.findByPk(commandeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const facture = await Facture.findOne({ where: { commandeId, type: TYPES.FACTURE }, transaction });
+    if (!facture) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const avoirs = await Facture.findAll({ where: { factureOrigineId: facture.id }, transaction });
+    const totalFacture = parseFloat(facture.totalTTC);
+    const dejaCredite = avoirs.reduce((sum, a) => sum - parseFloat(a.totalTTC), 0);
+    const restant = round2(totalFacture - dejaCredite);
+    const montantAvoir = round2(Math.min(montant ?? restant, restant));
+    if (montantAvoir <= 0) {
+      await transaction.rollback();
+      return null;
+    }
+
+    let lignes;
+    if (avoirs.length === 0 && montantAvoir === totalFacture) {
+      // Remboursement total : reprise à l'identique des lignes de la facture
+      lignes = facture.lignes.map(ligne => ({
+        ...ligne,
+        prixUnitaireTTC: -ligne.prixUnitaireTTC,
+        montantHT: -ligne.montantHT,
+        montantTVA: -ligne.montantTVA,
+        montantTTC: -ligne.montantTTC
+      }));
+    } else {
+      const detailTVA = facture.detailTVA.filter(d => d.montantTTC > 0);
+      const parts = allocate(montantAvoir, detailTVA.map(d => d.montantTTC));
+      lignes = detailTVA.map((detail, i) => ({
+        designation: detailTVA.length > 1
+          ? `Remboursement partiel (TVA ${detail.tauxTVA} %)`
+          : 'Remboursement partiel',
+        quantite: 1,
+        prixUnitaireTTC: -parts[i],
+        tauxTVA: detail.tauxTVA,
+        ...splitTTC(-parts[i], detail.tauxTVA)
+      }));
+    }
+
+    const dateEmission = new Date();
+    const numerotation = await nextNumero(TYPES.AVOIR, dateEmission, transaction);
+
+    const avoir = await Facture.create({
+      type: TYPES.AVOIR,
+      ...numerotation,
+      commandeId,
+      commandeNumero: facture.commandeNumero,
+      factureOrigineId: facture.id,
+      dateEmission,
+      vendeur: facture.vendeur,
+      acheteur: facture.acheteur,
+      lignes,
+      ...computeTotals(lignes),
+      motif: motif ? String(motif).slice(0, 255) : null
+    }, { transaction });
+
+    await transaction.commit();
+    return avoir;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+});
+
+/**
+ * Émettre l'avoir d'un remboursement déjà effectué, sans faire échouer l'appelant
+ */
+const issueRefundCreditNote = async ({ commandeId, montant, motif }) => {
+  try {
+    return await issueCreditNote({ commandeId, montant, motif });
+  } catch (error) {
+    logger.error(`[Invoice] Erreur émission de l'avoir pour la commande ${commandeId}:`, error);
+    return null;
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PDF
+// ═══════════════════════════════════════════════════════════════
+
+const formatMontant = (value) =>
+  Number(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+
+const IDENTIFIANTS = [
+  ['raisonSociale', null],
+  ['nif', 'NIF'],
+  ['rc', 'RC'],
+  ['nis', 'NIS'],
+  ['articleImposition', 'AI']
+];
+
+const renderParty = (doc, titre, partie, x, y) => {
+  doc.fillColor('#FF6B35').fontSize(10).font('Helvetica-Bold').text(titre, x, y);
+  doc.fillColor('#333333').fontSize(9).font('Helvetica-Bold').text(partie.nom, x, doc.y + 4, { width: 230 });
+  doc.font('Helvetica');
+
+  IDENTIFIANTS.forEach(([champ, label]) => {
+    if (partie[champ]) doc.text(label ? `${label} : ${partie[champ]}` : partie[champ], x, doc.y, { width: 230 });
+  });
+  [partie.adresse, partie.ville, partie.telephone, partie.email].filter(Boolean)
+    .forEach(ligne => doc.text(ligne, x, doc.y, { width: 230 }));
+
+  return doc.y;
+};
+
+const renderRow = (doc, cells, widths, y, options = {}) => {
+  let x = 50;
+  doc.fontSize(8).font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(options.color || '#333333');
+  cells.forEach((cell, i) => {
+    doc.text(String(cell), x + 3, y + 5, { width: widths[i] - 6, align: i === 0 ? 'left' : 'right', lineBreak: false });
+    x += widths[i];
+  });
+};
+
+/**
+ * Dessiner une facture ou un avoir à partir des seules données stockées
+ * Le document doit être créé avec info.CreationDate = facture.dateEmission
+ * pour que deux générations produisent le même fichier.
+ * @param {PDFDocument} doc
+ * @param {Facture} facture
+ * @param {string} timezone
+ */
+const renderInvoicePDF = (doc, facture, timezone) => {
+  const isAvoir = facture.type === TYPES.AVOIR;
+  const [annee, mois, jour] = getLocalParts(new Date(facture.dateEmission), timezone).dateKey.split('-');
+
+  doc.rect(0, 0, doc.page.width, 90).fill('#FF6B35');
+  doc.fillColor('#FFFFFF').fontSize(24).font('Helvetica-Bold').text(isAvoir ? 'AVOIR' : 'FACTURE', 50, 28);
+  doc.fontSize(10).font('Helvetica')
+    .text(`N° ${facture.numero}`, 300, 28, { width: 245, align: 'right' })
+    .text(`Date : ${jour}/${mois}/${annee}`, 300, doc.y + 2, { width: 245, align: 'right' })
+    .text(`Commande #${facture.commandeNumero}`, 300, doc.y + 2, { width: 245, align: 'right' });
+
+  let y = 110;
+  if (isAvoir && facture.factureOrigine) {
+    doc.fillColor('#333333').fontSize(9).font('Helvetica')
+      .text(`Avoir sur la facture N° ${facture.factureOrigine.numero}${facture.motif ? ` - ${facture.motif}` : ''}`, 50, y);
+    y = doc.y + 10;
+  }
+
+  const finVendeur = renderParty(doc, 'VENDEUR', facture.vendeur, 50, y);
+  const finAcheteur = renderParty(doc, 'CLIENT', facture.acheteur, 315, y);
+  y = Math.max(finVendeur, finAcheteur) + 20;
+
+  const widths = [175, 40, 60, 45, 60, 55, 60];
+  doc.rect(50, y, 495, 20).fill('#FF6B35');
+  renderRow(doc, ['Désignation', 'Qté', 'PU TTC', 'TVA %', 'Total HT', 'TVA', 'Total TTC'], widths, y, { bold: true, color: '#FFFFFF' });
+  y += 20;
+
+  facture.lignes.forEach((ligne, i) => {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = 50;
+    }
+    if (i % 2 === 0) doc.rect(50, y, 495, 18).fill('#F8F8F8');
+    renderRow(doc, [
+      ligne.designation.length > 40 ? `${ligne.designation.substring(0, 37)}...` : ligne.designation,
+      ligne.quantite,
+      formatMontant(ligne.prixUnitaireTTC),
+      ligne.tauxTVA,
+      formatMontant(ligne.montantHT),
+      formatMontant(ligne.montantTVA),
+      formatMontant(ligne.montantTTC)
+    ], widths, y);
+    y += 18;
+  });
+
+  y += 15;
+  doc.fillColor('#FF6B35').fontSize(10).font('Helvetica-Bold').text('Récapitulatif TVA', 50, y);
+  y = doc.y + 5;
+  const recapWidths = [100, 100, 100, 100];
+  renderRow(doc, ['Taux', 'Base HT', 'TVA', 'TTC'], recapWidths, y, { bold: true });
+  y += 18;
+  facture.detailTVA.forEach(detail => {
+    renderRow(doc, [
+      `${detail.tauxTVA} %`,
+      formatMontant(detail.montantHT),
+      formatMontant(detail.montantTVA),
+      formatMontant(detail.montantTTC)
+    ], recapWidths, y);
+    y += 18;
+  });
+
+  y += 10;
+  [
+    ['Total HT', facture.totalHT],
+    ['Total TVA', facture.totalTVA],
+    [isAvoir ? 'Total TTC à rembourser' : 'Total TTC', facture.totalTTC]
+  ].forEach(([label, montant], i, totaux) => {
+    const last = i === totaux.length - 1;
+    doc.fillColor(last ? '#FF6B35' : '#333333').fontSize(last ? 11 : 9).font(last ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 330, y, { width: 110 })
+      .text(`${formatMontant(montant)} DZD`, 440, y, { width: 105, align: 'right' });
+    y += last ? 20 : 15;
+  });
+
+  doc.fillColor('#999999').fontSize(8).font('Helvetica')
+    .text('Prix exprimés en dinars algériens (DZD). Document émis via EATERZ pour le compte du vendeur.',
+      50, y + 20, { width: 495, align: 'center' });
+};
+
+module.exports = {
+  TYPES,
+  validateLegalInfo,
+  buildInvoiceLines,
+  computeTotals,
+  issueInvoice,
+  issueCreditNote,
+  issueRefundCreditNote,
+  renderInvoicePDF
+};
@@ -0,0 +1,202 @@
+/**
+ * Service de capacité cuisine
+ *
+ * Le prestataire déclare combien de commandes il prépare en parallèle et son
+ * temps de préparation de base. L'estimation d'une commande combine le temps
+ * de ses plats (Plat.tempPreparation) et l'attente d'une place libre dans la
+ * file des commandes en préparation.
+ *
+ * En surcharge (file pleine ou mode affluence), la politique du prestataire
+ * s'applique : prolonger l'estimation, décaler la commande ou la refuser.
+ */
+const { Op } = require('sequelize');
+const { Commande } = require('../models');
+const { ORDER_STATUS, ORDER_REJECTION_REASONS } = require('../utils/constants');
+
+const POLITIQUES = ['prolonger', 'decaler', 'refuser'];
+
+const DEFAULT_CAPACITE = {
+  commandesSimultanees: null, // null = pas de limite
+  tempsPreparationBase: 20,
+  politiqueSurcharge: 'prolonger',
+  modeAffluence: false,
+  minutesAffluence: 15
+};
+
+/**
+ * Configuration de capacité d'un prestataire (valeurs par défaut complétées)
+ */
+const getCapacite = (prestataire) => ({
+  ...DEFAULT_CAPACITE,
+  ...(prestataire?.capaciteCuisine || {})
+});
+
+/**
+ * Valider la configuration de capacité envoyée par le prestataire
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateCapacite = (capacite) => {
+  if (capacite === null) return { valid: true };
+  if (typeof capacite !== 'object' || Array.isArray(capacite)) {
+    return { valid: false, error: 'Configuration de capacité invalide' };
+  }
+
+  const { commandesSimultanees, tempsPreparationBase, politiqueSurcharge, modeAffluence, minutesAffluence } = capacite;
+
+  if (commandesSimultanees !== undefined && commandesSimultanees !== null &&
+    (!Number.isInteger(commandesSimultanees) || commandesSimultanees < 1)) {
+    return { valid: false, error: 'Le nombre de commandes simultanées doit être un entier positif' };
+  }
+  if (tempsPreparationBase !== undefined &&
+    (!Number.isInteger(tempsPreparationBase) || tempsPreparationBase < 1 || tempsPreparationBase > 240)) {
+    return { valid: false, error: 'Le temps de préparation de base doit être compris entre 1 et 240 minutes' };
+  }
+  if (politiqueSurcharge !== undefined && !POLITIQUES.includes(politiqueSurcharge)) {
+    return { valid: false, error: `Politique de surcharge invalide (${POLITIQUES.join(', ')})` };
+  }
+  if (modeAffluence !== undefined && typeof modeAffluence !== 'boolean') {
+    return { valid: false, error: 'Le mode affluence doit être un booléen' };
+  }
+  if (minutesAffluence !== undefined &&
+    (!Number.isInteger(minutesAffluence) || minutesAffluence < 0 || minutesAffluence > 240)) {
+    return { valid: false, error: 'Le délai d\'affluence doit être compris entre 0 et 240 minutes' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Temps de préparation propre à une commande : les plats sont préparés en parallèle,
+ * le plus long fixe la durée, jamais en dessous du temps de base du prestataire
+ */
+const getPrepTime = (plats, capacite) => {
+  const tempsPlats = (plats || []).map(p => p.tempPreparation || 0);
+  return Math.max(capacite.tempsPreparationBase, ...tempsPlats);
+};
+
+/**
+ * Début de préparation d'une commande programmée : heure de livraison
+ * moins le temps de préparation et le temps de livraison estimé
+ * @param {Date} dateLivraison
+ * @param {number} tempsPreparation - minutes
+ * @param {number} tempsLivraison - minutes (delivery.deliveryTimeEstimate)
+ * @returns {Date}
+ */
+const getScheduledPrepStart = (dateLivraison, tempsPreparation, tempsLivraison) =>
+  new Date(new Date(dateLivraison).getTime() - ((tempsPreparation || 0) + (tempsLivraison || 0)) * 60000);
+
+/**
+ * Minutes restantes des commandes en préparation, par prestataire
+ * @param {number[]} prestataireIds
+ * @returns {Promise<Map<number, number[]>>} minutes restantes triées par ordre croissant
+ */
+const getKitchenQueues = async (prestataireIds, { now = new Date(), transaction } = {}) => {
+  const files = new Map(prestataireIds.map(id => [id, []]));
+  if (prestataireIds.length === 0) return files;
+
+  const enCours = await Commande.findAll({
+    where: {
+      prestataireId: { [Op.in]: prestataireIds },
+      statut: ORDER_STATUS.PREPARING
+    },
+    attributes: ['id', 'prestataireId', 'datePreparation', 'tempsPreparationEstime'],
+    transaction
+  });
+
+  for (const commande of enCours) {
+    const duree = commande.tempsPreparationEstime || DEFAULT_CAPACITE.tempsPreparationBase;
+    const debut = commande.datePreparation ? new Date(commande.datePreparation) : now;
+    const restant = Math.max(0, Math.ceil((debut.getTime() + duree * 60000 - now.getTime()) / 60000));
+    files.get(commande.prestataireId).push(restant);
+  }
+
+  for (const file of files.values()) {
+    file.sort((a, b) => a - b);
+  }
+
+  return files;
+};
+
+/**
+ * Estimer la préparation d'une nouvelle commande selon la file en cours
+ * @param {Object} capacite - configuration complète (getCapacite)
+ * @param {number[]} file - minutes restantes des commandes en préparation, triées
+ * @param {number} tempsPreparation - temps propre de la commande
+ * @returns {{ estimationMinutes: number, attenteMinutes: number, enPreparation: number, surcharge: boolean }}
+ */
+const computeEstimate = (capacite, file, tempsPreparation) => {
+  const limite = capacite.commandesSimultanees;
+  const complet = Boolean(limite) && file.length >= limite;
+
+  // Une place se libère quand la (file - limite + 1)e commande la plus avancée est prête
+  let attenteMinutes = complet ? file[file.length - limite] : 0;
+  if (capacite.modeAffluence) {
+    attenteMinutes += capacite.minutesAffluence;
+  }
+
+  return {
+    estimationMinutes: attenteMinutes + tempsPreparation,
+    attenteMinutes,
+    enPreparation: file.length,
+    surcharge: complet || capacite.modeAffluence
+  };
+};
+
+/**
+ * Appliquer la capacité cuisine à une commande immédiate
+ * @param {Object} params
+ * @param {User} params.prestataire - avec capaciteCuisine et nomEtablissement
+ * @param {Plat[]} params.plats - plats commandés
+ * @returns {Promise<{ valid: boolean, error?: string, motifCode?: string, estimationMinutes?: number,
+ *   tempsPreparation?: number, surcharge?: boolean, dateDecalee?: Date, avertissement?: string }>}
+ */
+const resolveKitchenCapacity = async ({ prestataire, plats, now = new Date(), transaction }) => {
+  const capacite = getCapacite(prestataire);
+  const nom = prestataire?.nomEtablissement || 'Ce prestataire';
+  const tempsPreparation = getPrepTime(plats, capacite);
+
+  const files = await getKitchenQueues([prestataire.id], { now, transaction });
+  const estimation = computeEstimate(capacite, files.get(prestataire.id), tempsPreparation);
+
+  const result = {
+    valid: true,
+    tempsPreparation,
+    estimationMinutes: estimation.estimationMinutes,
+    surcharge: estimation.surcharge
+  };
+
+  if (!estimation.surcharge) return result;
+
+  switch (capacite.politiqueSurcharge) {
+    case 'refuser':
+      return {
+        valid: false,
+        motifCode: ORDER_REJECTION_REASONS.TOO_BUSY,
+        error: `${nom} est trop occupé pour le moment, réessayez dans ${estimation.attenteMinutes} min`
+      };
+
+    case 'decaler':
+      return {
+        ...result,
+        dateDecalee: new Date(now.getTime() + estimation.attenteMinutes * 60000),
+        avertissement: `${nom} est très sollicité : la commande sera transmise dans ${estimation.attenteMinutes} min (préparation estimée à ${estimation.estimationMinutes} min)`
+      };
+
+    default:
+      return {
+        ...result,
+        avertissement: `${nom} est très sollicité : préparation estimée à ${estimation.estimationMinutes} min`
+      };
+  }
+};
+
+module.exports = {
+  DEFAULT_CAPACITE,
+  getCapacite,
+  validateCapacite,
+  getPrepTime,
+  getScheduledPrepStart,
+  getKitchenQueues,
+  computeEstimate,
+  resolveKitchenCapacity
+};
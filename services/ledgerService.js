@@ -0,0 +1,372 @@
+/**
+ * Grand livre des commissions (comptabilité en partie double)
+ *
+ * À la livraison d'une commande, le montant encaissé auprès du client est
+ * réparti entre le prestataire, le livreur et la plateforme :
+ *
+ *   encaissement  encaissement     débit   sous-total − réduction + frais de livraison + pourboire
+ *   prestataire   brut             crédit  sous-total des articles
+ *   financeur     promo            débit   réduction (le prestataire pour sa promotion,
+ *                                          la plateforme pour une promotion globale)
+ *   prestataire   commission       débit   platformCommission % (premiumPartnerCommission pour
+ *   plateforme    commission       crédit  un partenaire premium) du sous-total après sa promotion
+ *   livreur       frais_livraison  crédit  frais de livraison moins deliveryCommission %
+ *   plateforme    frais_livraison  crédit  deliveryCommission % des frais de livraison
+ *   livreur       pourboire        crédit  pourboire
+ *
+ * Sans livreur, les frais de livraison et le pourboire reviennent au prestataire.
+ * Un remboursement d'une commande livrée contre-passe la livraison au prorata
+ * du montant remboursé ; un litige résolu par un remboursement est imputé au
+ * prestataire seul. Un pourboire laissé après la livraison revient au livreur.
+ * Chaque opération est équilibrée et n'est jamais modifiée.
+ */
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { Commande, Livraison, Promotion, User, EcritureComptable, sequelize } = require('../models');
+const { ORDER_STATUS, LEDGER_ACCOUNTS, LEDGER_EVENTS, LEDGER_NATURES } = require('../utils/constants');
+const { getSettings } = require('./settingsService');
+const logger = require('../config/logger');
+
+// Sens du solde de chaque compte : l'encaissement est un actif, les autres des dettes ou revenus
+const SOLDE_DEBITEUR = [LEDGER_ACCOUNTS.CASH_IN];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const ligne = (compte, titulaireId, nature, montant, libelle) => ({
+  compte,
+  titulaireId: titulaireId || null,
+  nature,
+  debit: montant < 0 ? round2(-montant) : 0,
+  credit: montant > 0 ? round2(montant) : 0,
+  libelle
+});
+
+// Montant signé d'une ligne : positif au crédit, négatif au débit
+const signe = (l) => round2(parseFloat(l.credit) - parseFloat(l.debit));
+
+/**
+ * Vérifier qu'une opération est équilibrée
+ * @throws {Error} si le total des débits diffère du total des crédits
+ */
+const assertBalanced = (lignes) => {
+  const ecart = round2(lignes.reduce((sum, l) => sum + signe(l), 0));
+  if (ecart !== 0) {
+    throw new Error(`Écriture déséquilibrée (écart de ${ecart} DA)`);
+  }
+};
+
+/**
+ * Taux de commission d'un prestataire
+ * @param {User} prestataire
+ * @param {Object} settings - getSettings('commission')
+ */
+const getCommissionRate = (prestataire, settings) => (
+  prestataire?.partenairePremium ? settings.premiumPartnerCommission : settings.platformCommission
+);
+
+/**
+ * Lignes de la livraison d'une commande
+ * @param {Object} params
+ * @param {Commande} params.commande
+ * @param {Promotion} [params.promotion] - promotion appliquée (prestataireId null : financée par la plateforme)
+ * @param {number} [params.livreurId]
+ * @param {User} [params.prestataire] - pour le taux partenaire premium
+ * @param {Object} params.settings - getSettings('commission')
+ * @returns {Array<{ compte, titulaireId, nature, debit, credit, libelle }>}
+ */
+const buildDeliveryLines = ({ commande, promotion, livreurId, prestataire, settings }) => {
+  const sousTotal = parseFloat(commande.sousTotal || 0);
+  const reduction = parseFloat(commande.reduction || 0);
+  const fraisLivraison = parseFloat(commande.fraisLivraison || 0);
+  const pourboire = parseFloat(commande.pourboire || 0);
+  const prestataireId = commande.prestataireId;
+  const ref = `commande #${commande.numero}`;
+
+  const promoPrestataire = reduction > 0 && promotion?.prestataireId === prestataireId;
+  const commission = round2((sousTotal - (promoPrestataire ? reduction : 0)) * getCommissionRate(prestataire, settings) / 100);
+  const partLivraison = livreurId ? round2(fraisLivraison * settings.deliveryCommission / 100) : 0;
+  const beneficiaireLivraison = livreurId
+    ? [LEDGER_ACCOUNTS.LIVREUR, livreurId]
+    : [LEDGER_ACCOUNTS.PRESTATAIRE, prestataireId];
+
+  const lignes = [
+    ligne(LEDGER_ACCOUNTS.CASH_IN, null, LEDGER_NATURES.CASH_IN,
+      -round2(sousTotal - reduction + fraisLivraison + pourboire), `Encaissement ${ref}`),
+    ligne(LEDGER_ACCOUNTS.PRESTATAIRE, prestataireId, LEDGER_NATURES.GROSS, sousTotal, `Ventes ${ref}`),
+    promoPrestataire
+      ? ligne(LEDGER_ACCOUNTS.PRESTATAIRE, prestataireId, LEDGER_NATURES.PROMO, -reduction, `Promotion financée par le prestataire, ${ref}`)
+      : ligne(LEDGER_ACCOUNTS.PLATFORM, null, LEDGER_NATURES.PROMO, -reduction, `Promotion financée par la plateforme, ${ref}`),
+    ligne(LEDGER_ACCOUNTS.PRESTATAIRE, prestataireId, LEDGER_NATURES.COMMISSION, -commission, `Commission ${ref}`),
+    ligne(LEDGER_ACCOUNTS.PLATFORM, null, LEDGER_NATURES.COMMISSION, commission, `Commission ${ref}`),
+    ligne(...beneficiaireLivraison, LEDGER_NATURES.DELIVERY_FEE, round2(fraisLivraison - partLivraison), `Frais de livraison ${ref}`),
+    ligne(LEDGER_ACCOUNTS.PLATFORM, null, LEDGER_NATURES.DELIVERY_FEE, partLivraison, `Commission livraison ${ref}`),
+    ligne(...beneficiaireLivraison, LEDGER_NATURES.TIP, pourboire, `Pourboire ${ref}`)
+  ].filter(l => l.debit > 0 || l.credit > 0);
+
+  assertBalanced(lignes);
+  return lignes;
+};
+
+/**
+ * Lignes d'un remboursement : contre-passation de la livraison au prorata du montant
+ * (l'arrondi restant va à la dernière ligne)
+ * @param {Array<EcritureComptable>} livraison - lignes de la livraison
+ * @param {number} montant - montant remboursé au client
+ */
+const buildRefundLines = (livraison, montant, libelle) => {
+  const repartition = livraison.filter(l => l.compte !== LEDGER_ACCOUNTS.CASH_IN);
+  const encaisse = repartition.reduce((sum, l) => sum + signe(l), 0);
+
+  let reste = round2(montant);
+  const lignes = repartition.map((l, i) => {
+    const part = i === repartition.length - 1 ? reste : round2(montant * signe(l) / encaisse);
+    reste = round2(reste - part);
+    return ligne(l.compte, l.titulaireId, l.nature, -part, libelle);
+  });
+  lignes.unshift(ligne(LEDGER_ACCOUNTS.CASH_IN, null, LEDGER_NATURES.CASH_IN, montant, libelle));
+
+  const nonNulles = lignes.filter(l => l.debit > 0 || l.credit > 0);
+  assertBalanced(nonNulles);
+  return nonNulles;
+};
+
+/**
+ * Lignes d'un remboursement de litige, à la charge du prestataire
+ */
+const buildDisputeLines = ({ commande, montant, libelle }) => {
+  const lignes = [
+    ligne(LEDGER_ACCOUNTS.CASH_IN, null, LEDGER_NATURES.CASH_IN, montant, libelle),
+    ligne(LEDGER_ACCOUNTS.PRESTATAIRE, commande.prestataireId, LEDGER_NATURES.GROSS, -montant, libelle)
+  ];
+  assertBalanced(lignes);
+  return lignes;
+};
+
+/**
+ * Écrire une opération équilibrée
+ */
+const writeOperation = async ({ evenement, commandeId, litigeId = null, lignes, transaction }) => {
+  const operation = crypto.randomUUID();
+  await EcritureComptable.bulkCreate(
+    lignes.map(l => ({ ...l, operation, evenement, commandeId, litigeId })),
+    { transaction }
+  );
+  return { operation, lignes };
+};
+
+/**
+ * Montant encore remboursable d'une commande livrée (encaissé moins déjà remboursé)
+ * @returns {Promise<{ livraison: Array<EcritureComptable>, restant: number }|null>} null si la livraison n'est pas comptabilisée
+ */
+const getRefundable = async (commandeId, transaction) => {
+  const ecritures = await EcritureComptable.findAll({
+    where: {
+      commandeId,
+      evenement: { [Op.in]: [LEDGER_EVENTS.DELIVERED, LEDGER_EVENTS.REFUNDED, LEDGER_EVENTS.DISPUTED] }
+    },
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  const livraison = ecritures.filter(e => e.evenement === LEDGER_EVENTS.DELIVERED);
+  if (livraison.length === 0) return null;
+
+  const encaissement = ecritures
+    .filter(e => e.compte === LEDGER_ACCOUNTS.CASH_IN)
+    .reduce((sum, e) => sum - signe(e), 0);
+  return { livraison, restant: round2(encaissement) };
+};
+
+/**
+ * Comptabiliser la livraison d'une commande (idempotent)
+ * @param {number} commandeId
+ * @returns {Promise<Object|null>} { operation, lignes }, null si non livrée ou déjà comptabilisée
+ */
+const recordOrderDelivered = async (commandeId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Verrou sur la commande : une seule écriture de livraison même si deux appels se croisent
+    const commande = await Commande.findByPk(commandeId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!commande || commande.statut !== ORDER_STATUS.DELIVERED) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const existante = await EcritureComptable.count({
+      where: { commandeId, evenement: LEDGER_EVENTS.DELIVERED },
+      transaction
+    });
+    if (existante > 0) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const [promotion, livraison, prestataire, settings] = await Promise.all([
+      commande.promotionId ? Promotion.findByPk(commande.promotionId, { attributes: ['id', 'prestataireId'], transaction }) : null,
+      Livraison.findOne({ where: { commandeId }, attributes: ['id', 'livreurId'], transaction }),
+      User.findByPk(commande.prestataireId, { attributes: ['id', 'partenairePremium'], transaction }),
+      getSettings('commission')
+    ]);
+
+    const lignes = buildDeliveryLines({
+      commande,
+      promotion,
+      livreurId: livraison?.livreurId,
+      prestataire,
+      settings
+    });
+    const result = await writeOperation({ evenement: LEDGER_EVENTS.DELIVERED, commandeId, lignes, transaction });
+
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Comptabiliser un remboursement (commande livrée) ou un remboursement de litige
+ * Le montant est plafonné à ce qui reste remboursable.
+ * @returns {Promise<Object|null>} null si la livraison n'est pas comptabilisée ou déjà entièrement remboursée
+ */
+const recordRefundOperation = async ({ commandeId, montant, motif, litigeId }) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const commande = await Commande.findByPk(commandeId, { transaction, lock: transaction.LOCK.UPDATE });
+    const remboursable = commande ? await getRefundable(commandeId, transaction) : null;
+    const montantRembourse = remboursable
+      ? round2(Math.min(montant ?? remboursable.restant, remboursable.restant))
+      : 0;
+    if (montantRembourse <= 0) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const libelle = `${litigeId ? 'Litige' : 'Remboursement'} commande #${commande.numero}${motif ? ` : ${motif}` : ''}`.slice(0, 255);
+    const lignes = litigeId
+      ? buildDisputeLines({ commande, montant: montantRembourse, libelle })
+      : buildRefundLines(remboursable.livraison, montantRembourse, libelle);
+
+    const result = await writeOperation({
+      evenement: litigeId ? LEDGER_EVENTS.DISPUTED : LEDGER_EVENTS.REFUNDED,
+      commandeId,
+      litigeId,
+      lignes,
+      transaction
+    });
+
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Comptabiliser un remboursement déjà effectué, sans faire échouer l'appelant
+ */
+const recordRefund = async ({ commandeId, montant, motif }) => {
+  try {
+    return await recordRefundOperation({ commandeId, montant, motif });
+  } catch (error) {
+    logger.error(`[Ledger] Erreur comptabilisation du remboursement de la commande ${commandeId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Comptabiliser le remboursement accordé par la résolution d'un litige, sans faire échouer l'appelant
+ */
+const recordDisputeRefund = async ({ litige, montant }) => {
+  try {
+    return await recordRefundOperation({
+      commandeId: litige.commandeId,
+      montant,
+      motif: `litige ${litige.numero}`,
+      litigeId: litige.id
+    });
+  } catch (error) {
+    logger.error(`[Ledger] Erreur comptabilisation du litige ${litige.numero}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Comptabiliser un pourboire laissé après la livraison (dans la transaction de l'appelant)
+ */
+const recordTip = ({ commande, livreurId, montant, transaction }) => writeOperation({
+  evenement: LEDGER_EVENTS.TIP,
+  commandeId: commande.id,
+  lignes: [
+    ligne(LEDGER_ACCOUNTS.CASH_IN, null, LEDGER_NATURES.CASH_IN, -montant, `Pourboire après livraison, commande #${commande.numero}`),
+    ligne(LEDGER_ACCOUNTS.LIVREUR, livreurId, LEDGER_NATURES.TIP, montant, `Pourboire après livraison, commande #${commande.numero}`)
+  ],
+  transaction
+});
+
+/**
+ * Soldes par compte (et par titulaire), avec le détail par nature
+ * @param {Object} [filtres] - { compte, titulaireId, du, au }
+ * @returns {Promise<Array<{ compte, titulaireId, debit, credit, solde, natures }>>}
+ */
+const getBalances = async ({ compte, titulaireId, du, au } = {}) => {
+  const where = {};
+  if (compte) where.compte = compte;
+  if (titulaireId) where.titulaireId = titulaireId;
+  if (du || au) {
+    where.createdAt = {};
+    if (du) where.createdAt[Op.gte] = du;
+    if (au) where.createdAt[Op.lte] = au;
+  }
+
+  const rows = await EcritureComptable.findAll({
+    where,
+    attributes: [
+      'compte', 'titulaireId', 'nature',
+      [fn('SUM', col('debit')), 'debit'],
+      [fn('SUM', col('credit')), 'credit']
+    ],
+    group: ['compte', 'titulaireId', 'nature'],
+    raw: true
+  });
+
+  const comptes = new Map();
+  for (const row of rows) {
+    const cle = `${row.compte}:${row.titulaireId ?? ''}`;
+    if (!comptes.has(cle)) {
+      comptes.set(cle, { compte: row.compte, titulaireId: row.titulaireId, debit: 0, credit: 0, natures: {} });
+    }
+    const solde = comptes.get(cle);
+    const debit = parseFloat(row.debit) || 0;
+    const credit = parseFloat(row.credit) || 0;
+    solde.debit = round2(solde.debit + debit);
+    solde.credit = round2(solde.credit + credit);
+    solde.natures[row.nature] = round2((solde.natures[row.nature] || 0) + credit - debit);
+  }
+
+  return [...comptes.values()].map(solde => {
+    const sens = SOLDE_DEBITEUR.includes(solde.compte) ? -1 : 1;
+    return {
+      ...solde,
+      natures: Object.fromEntries(Object.entries(solde.natures).map(([nature, montant]) => [nature, round2(sens * montant) || 0])),
+      solde: round2(sens * (solde.credit - solde.debit)) || 0
+    };
+  });
+};
+
+module.exports = {
+  getCommissionRate,
+  buildDeliveryLines,
+  buildRefundLines,
+  buildDisputeLines,
+  assertBalanced,
+  recordOrderDelivered,
+  recordRefund,
+  recordDisputeRefund,
+  recordTip,
+  getBalances
+};
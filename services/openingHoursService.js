@@ -0,0 +1,310 @@
+/**
+ * Service des horaires d'ouverture des prestataires
+ *
+ * Les horaires sont exprimés dans le fuseau de la plateforme
+ * (paramètre system.timezone, Africa/Algiers par défaut).
+ *
+ * Format de User.horairesOuverture :
+ * {
+ *   "lundi": { "ouvert": true, "debut": "08:00", "fin": "22:00" },
+ *   "vendredi": { "ouvert": true, "plages": [{ "debut": "12:00", "fin": "15:00" }, { "debut": "18:00", "fin": "01:00" }] },
+ *   "dimanche": { "ouvert": false },
+ *   "fermeturesExceptionnelles": [{ "debut": "2026-08-01", "fin": "2026-08-15", "motif": "Congés annuels" }],
+ *   "joursSpeciaux": { "2026-11-01": { "ouvert": false }, "2026-12-31": { "ouvert": true, "debut": "18:00", "fin": "02:00" } }
+ * }
+ *
+ * - Une plage dont la fin est antérieure au début se termine le lendemain.
+ * - Un jour absent d'un planning hebdomadaire est fermé ; sans planning
+ *   hebdomadaire, le prestataire est considéré ouvert en continu.
+ * - Les jours spéciaux (fériés, événements) remplacent le planning du jour ;
+ *   les fermetures exceptionnelles priment sur tout le reste.
+ */
+const { getSettings } = require('./settingsService');
+
+const JOURS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+const MINUTES_PAR_JOUR = 24 * 60;
+const HORIZON_JOURS = 14;
+const DEFAULT_TIMEZONE = 'Africa/Algiers';
+
+const HEURE_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Fuseau horaire de la plateforme
+ */
+const getTimezone = async () => {
+  const { timezone } = await getSettings('system');
+  return timezone || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Date (AAAA-MM-JJ) et minutes écoulées d'un instant dans un fuseau
+ */
+const getLocalParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Décaler une date AAAA-MM-JJ d'un nombre de jours
+ */
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Convertir une heure locale (date + minutes) du fuseau en instant UTC
+ */
+const localToDate = (dateKey, minutes, timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const naive = Date.UTC(year, month - 1, day, 0, minutes);
+
+  const offsetAt = (timestamp) => {
+    const local = getLocalParts(new Date(timestamp), timezone);
+    const [y, m, d] = local.dateKey.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 0, local.minutes) - Math.floor(timestamp / 60000) * 60000;
+  };
+
+  // Deux passes suffisent à absorber un éventuel changement d'heure
+  let timestamp = naive - offsetAt(naive);
+  timestamp = naive - offsetAt(timestamp);
+  return new Date(timestamp);
+};
+
+const toMinutes = (heure) => {
+  const [h, m] = heure.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Plages d'un jour en minutes ({ debut, fin }, fin pouvant dépasser minuit)
+ */
+const parseDayEntry = (entry) => {
+  if (!entry || entry.ouvert === false) return [];
+
+  const plages = Array.isArray(entry.plages)
+    ? entry.plages
+    : (entry.debut && entry.fin ? [{ debut: entry.debut, fin: entry.fin }] : []);
+
+  return plages
+    .filter(p => p && HEURE_REGEX.test(p.debut) && HEURE_REGEX.test(p.fin))
+    .map(p => {
+      const debut = toMinutes(p.debut);
+      let fin = toMinutes(p.fin);
+      if (fin <= debut) fin += MINUTES_PAR_JOUR;
+      return { debut, fin };
+    })
+    .sort((a, b) => a.debut - b.debut);
+};
+
+/**
+ * Vérifier si une date tombe dans une fermeture exceptionnelle
+ */
+const getFermeture = (horaires, dateKey) => (Array.isArray(horaires?.fermeturesExceptionnelles)
+  ? horaires.fermeturesExceptionnelles
+  : []
+).find(f => f && f.debut && dateKey >= f.debut && dateKey <= (f.fin || f.debut));
+
+/**
+ * Plages d'ouverture d'une date donnée
+ */
+const getDayPlages = (horaires, dateKey) => {
+  if (!horaires || typeof horaires !== 'object') {
+    return [{ debut: 0, fin: MINUTES_PAR_JOUR }];
+  }
+
+  if (getFermeture(horaires, dateKey)) return [];
+
+  const special = horaires.joursSpeciaux && horaires.joursSpeciaux[dateKey];
+  if (special) return parseDayEntry(special);
+
+  const hasWeekly = JOURS.some(jour => horaires[jour] !== undefined);
+  if (!hasWeekly) return [{ debut: 0, fin: MINUTES_PAR_JOUR }];
+
+  const jour = JOURS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  return parseDayEntry(horaires[jour]);
+};
+
+/**
+ * Vérifier si un prestataire est ouvert à un instant donné
+ */
+const isOpenAt = (horaires, date, timezone) => {
+  const { dateKey, minutes } = getLocalParts(date, timezone);
+
+  if (getDayPlages(horaires, dateKey).some(p => minutes >= p.debut && minutes < p.fin)) {
+    return true;
+  }
+
+  // Plages de la veille qui se prolongent après minuit
+  return getDayPlages(horaires, addDays(dateKey, -1))
+    .some(p => p.fin > MINUTES_PAR_JOUR && minutes < p.fin - MINUTES_PAR_JOUR);
+};
+
+/**
+ * Prochaine ouverture à partir d'un instant (l'instant lui-même si déjà ouvert)
+ * @returns {Date|null} null si aucune ouverture dans les 14 prochains jours
+ */
+const getNextOpening = (horaires, from, timezone) => {
+  if (isOpenAt(horaires, from, timezone)) return from;
+
+  const { dateKey } = getLocalParts(from, timezone);
+  for (let i = 0; i <= HORIZON_JOURS; i++) {
+    const jour = addDays(dateKey, i);
+    for (const plage of getDayPlages(horaires, jour)) {
+      const debut = localToDate(jour, plage.debut, timezone);
+      if (debut > from) return debut;
+    }
+  }
+  return null;
+};
+
+/**
+ * Formater un instant pour les messages client (ex: "lundi 20 octobre à 11:00")
+ */
+const formatLocal = (date, timezone) => {
+  const jour = new Intl.DateTimeFormat('fr-FR', {
+    timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long'
+  }).format(date);
+  const heure = new Intl.DateTimeFormat('fr-FR', {
+    timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(date);
+  return `${jour} à ${heure}`;
+};
+
+/**
+ * Déterminer quand une commande peut être honorée par le prestataire
+ *
+ * - Date souhaitée dans le futur : elle doit tomber pendant une ouverture.
+ * - Commande immédiate pendant une fermeture : bloquée, ou programmée à la
+ *   prochaine ouverture selon le paramètre delivery.closedOrderPolicy.
+ *
+ * @returns {Promise<{ valid: boolean, error?: string, avertissement?: string,
+ *   isScheduled?: boolean, dateLivraisonSouhaitee?: Date|null }>}
+ */
+const resolveOrderTiming = async ({ prestataire, dateLivraisonSouhaitee, now = new Date() }) => {
+  const timezone = await getTimezone();
+  const horaires = prestataire?.horairesOuverture;
+  const nom = prestataire?.nomEtablissement || 'Ce prestataire';
+
+  const dateSouhaitee = dateLivraisonSouhaitee ? new Date(dateLivraisonSouhaitee) : null;
+  if (dateSouhaitee && Number.isNaN(dateSouhaitee.getTime())) {
+    return { valid: false, error: 'Date de livraison souhaitée invalide' };
+  }
+
+  if (dateSouhaitee && dateSouhaitee > now) {
+    if (isOpenAt(horaires, dateSouhaitee, timezone)) {
+      return { valid: true, isScheduled: true, dateLivraisonSouhaitee: dateSouhaitee };
+    }
+    const prochaine = getNextOpening(horaires, dateSouhaitee, timezone);
+    return {
+      valid: false,
+      error: prochaine
+        ? `${nom} est fermé à l'heure demandée (prochaine ouverture : ${formatLocal(prochaine, timezone)})`
+        : `${nom} est fermé à l'heure demandée`
+    };
+  }
+
+  if (isOpenAt(horaires, now, timezone)) {
+    return { valid: true, isScheduled: false, dateLivraisonSouhaitee: dateSouhaitee };
+  }
+
+  const prochaine = getNextOpening(horaires, now, timezone);
+  if (!prochaine) {
+    return { valid: false, error: `${nom} est actuellement fermé` };
+  }
+
+  const { closedOrderPolicy } = await getSettings('delivery');
+  if (closedOrderPolicy === 'block') {
+    return {
+      valid: false,
+      error: `${nom} est actuellement fermé (réouverture ${formatLocal(prochaine, timezone)})`
+    };
+  }
+
+  return {
+    valid: true,
+    isScheduled: true,
+    dateLivraisonSouhaitee: prochaine,
+    avertissement: `${nom} est actuellement fermé : la commande sera transmise à sa réouverture, ${formatLocal(prochaine, timezone)}`
+  };
+};
+
+/**
+ * Valider des horaires saisis par un prestataire
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateHoraires = (horaires) => {
+  if (horaires === null) return { valid: true };
+  if (typeof horaires !== 'object' || Array.isArray(horaires)) {
+    return { valid: false, error: 'Format des horaires invalide' };
+  }
+
+  const validateEntry = (entry, label) => {
+    if (!entry || typeof entry !== 'object') return `Horaires invalides pour ${label}`;
+    if (entry.ouvert === false) return null;
+    const plages = Array.isArray(entry.plages) ? entry.plages : [{ debut: entry.debut, fin: entry.fin }];
+    if (plages.length === 0) return `Aucune plage horaire pour ${label}`;
+    for (const plage of plages) {
+      if (!plage || !HEURE_REGEX.test(plage.debut) || !HEURE_REGEX.test(plage.fin)) {
+        return `Plage horaire invalide pour ${label} (format HH:MM attendu)`;
+      }
+    }
+    return null;
+  };
+
+  for (const [key, value] of Object.entries(horaires)) {
+    let error = null;
+    if (JOURS.includes(key)) {
+      error = validateEntry(value, key);
+    } else if (key === 'joursSpeciaux') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        error = 'Format des jours spéciaux invalide';
+      } else {
+        for (const [date, entry] of Object.entries(value)) {
+          error = DATE_REGEX.test(date) ? validateEntry(entry, date) : `Date invalide: ${date}`;
+          if (error) break;
+        }
+      }
+    } else if (key === 'fermeturesExceptionnelles') {
+      if (!Array.isArray(value)) {
+        error = 'Format des fermetures exceptionnelles invalide';
+      } else if (value.some(f => !f || !DATE_REGEX.test(f.debut) || (f.fin && (!DATE_REGEX.test(f.fin) || f.fin < f.debut)))) {
+        error = 'Période de fermeture invalide (format AAAA-MM-JJ attendu)';
+      }
+    } else {
+      error = `Clé d'horaires inconnue: ${key}`;
+    }
+
+    if (error) return { valid: false, error };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  getTimezone,
+  getLocalParts,
+  localToDate,
+  addDays,
+  getDayPlages,
+  isOpenAt,
+  getNextOpening,
+  formatLocal,
+  resolveOrderTiming,
+  validateHoraires
+};
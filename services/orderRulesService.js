@@ -0,0 +1,201 @@
+/**
+ * Service des règles de commande et des moyens de paiement
+ *
+ * Les réglages admin (catégorie payment) fixent les montants minimum et
+ * maximum d'une commande et activent le paiement à la livraison et le
+ * paiement en ligne. Un prestataire peut adapter ces règles pour sa boutique
+ * (User.reglesCommande) : son minimum remplace celui de la plateforme, son
+ * maximum et ses moyens de paiement ne peuvent que resserrer les réglages admin.
+ * Les espèces sont plafonnées pour les nouveaux comptes tant qu'ils n'ont pas
+ * assez de commandes livrées.
+ *
+ * Format de User.reglesCommande :
+ * { "montantMinimum": 1500, "montantMaximum": 20000, "especes": false, "enLigne": true }
+ */
+const { Commande, User } = require('../models');
+const { ORDER_STATUS, PAYMENT_MODES } = require('../utils/constants');
+const { SATIM_CONFIG } = require('./satimService');
+const { getSettings } = require('./settingsService');
+
+/**
+ * Valider les règles de commande envoyées par le prestataire
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateReglesCommande = (regles) => {
+  if (regles === null) return { valid: true };
+  if (typeof regles !== 'object' || Array.isArray(regles)) {
+    return { valid: false, error: 'Règles de commande invalides' };
+  }
+
+  const { montantMinimum, montantMaximum, especes, enLigne, ...autres } = regles;
+
+  if (Object.keys(autres).length > 0) {
+    return { valid: false, error: 'Règles de commande inconnues : ' + Object.keys(autres).join(', ') };
+  }
+  for (const [champ, valeur] of [['minimum', montantMinimum], ['maximum', montantMaximum]]) {
+    if (valeur !== undefined && valeur !== null && (typeof valeur !== 'number' || valeur < 0)) {
+      return { valid: false, error: `Le montant ${champ} doit être un nombre positif` };
+    }
+  }
+  if (montantMinimum != null && montantMaximum != null && montantMinimum > montantMaximum) {
+    return { valid: false, error: 'Le montant minimum ne peut pas dépasser le montant maximum' };
+  }
+  if ((especes !== undefined && typeof especes !== 'boolean') ||
+    (enLigne !== undefined && typeof enLigne !== 'boolean')) {
+    return { valid: false, error: 'L\'activation d\'un moyen de paiement doit être un booléen' };
+  }
+  if (especes === false && enLigne === false) {
+    return { valid: false, error: 'Au moins un moyen de paiement doit rester accepté' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Règles effectives d'un prestataire (réglages admin complétés par sa boutique)
+ * @param {User} prestataire
+ * @param {Object} settings - getSettings('payment')
+ */
+const getOrderRules = (prestataire, settings) => {
+  const regles = prestataire?.reglesCommande || {};
+  const montantMaximum = regles.montantMaximum != null
+    ? Math.min(regles.montantMaximum, settings.maximumOrderAmount)
+    : settings.maximumOrderAmount;
+
+  return {
+    montantMinimum: regles.montantMinimum ?? settings.minimumOrderAmount,
+    montantMaximum,
+    especes: settings.cashOnDeliveryEnabled !== false && regles.especes !== false,
+    enLigne: settings.onlinePaymentEnabled !== false && regles.enLigne !== false
+  };
+};
+
+/**
+ * Vérifier le minimum de commande d'un prestataire (sur le montant des articles)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const checkMinimumAmount = (prestataire, sousTotal, settings) => {
+  const { montantMinimum } = getOrderRules(prestataire, settings);
+
+  if (montantMinimum && sousTotal < montantMinimum) {
+    return {
+      valid: false,
+      error: `Le minimum de commande${prestataire?.nomEtablissement ? ` chez ${prestataire.nomEtablissement}` : ''} est de ${montantMinimum} DA`
+    };
+  }
+  return { valid: true };
+};
+
+/**
+ * Plafond espèces du client (null si le compte n'est plus considéré comme nouveau)
+ * @returns {Promise<number|null>}
+ */
+const getCashLimit = async (client, settings) => {
+  if (!client || !settings.newAccountCashLimit) return null;
+
+  const livrees = await Commande.count({
+    where: { clientId: client.id, statut: ORDER_STATUS.DELIVERED }
+  });
+  return livrees < settings.newAccountDeliveredOrders ? settings.newAccountCashLimit : null;
+};
+
+/**
+ * Moyens de paiement d'un panier et, pour chacun, s'il est autorisé
+ * @param {Object} params
+ * @param {User} [params.client] - pour le plafond espèces des nouveaux comptes
+ * @param {Array<User>} params.prestataires - avec reglesCommande
+ * @param {number} [params.total] - total TTC du panier
+ * @returns {Promise<Array<{ mode: string, disponible: boolean, raison: string|null, limites: { min, max } }>>}
+ */
+const getPaymentOptions = async ({ client, prestataires, total }) => {
+  const settings = await getSettings('payment');
+  const regles = prestataires.map(p => getOrderRules(p, settings));
+  const montantMaximum = Math.min(settings.maximumOrderAmount, ...regles.map(r => r.montantMaximum));
+  const plafondEspeces = await getCashLimit(client, settings);
+
+  const options = [
+    {
+      mode: PAYMENT_MODES.CIB,
+      active: regles.every(r => r.enLigne),
+      min: SATIM_CONFIG.LIMITS.MIN_AMOUNT,
+      max: Math.min(montantMaximum, SATIM_CONFIG.LIMITS.MAX_AMOUNT)
+    },
+    {
+      mode: PAYMENT_MODES.EDAHABIA,
+      active: regles.every(r => r.enLigne),
+      min: SATIM_CONFIG.LIMITS.MIN_AMOUNT,
+      max: Math.min(montantMaximum, SATIM_CONFIG.LIMITS.MAX_AMOUNT)
+    },
+    {
+      mode: PAYMENT_MODES.CASH,
+      active: regles.every(r => r.especes),
+      min: 0,
+      max: plafondEspeces !== null ? Math.min(montantMaximum, plafondEspeces) : montantMaximum
+    }
+  ];
+
+  return options.map(({ mode, active, min, max }) => {
+    let raison = null;
+    if (!active) {
+      raison = mode === PAYMENT_MODES.CASH
+        ? 'Le paiement à la livraison n\'est pas disponible pour cette commande'
+        : 'Le paiement en ligne n\'est pas disponible pour cette commande';
+    } else if (total !== undefined && total < min) {
+      raison = `Montant minimum pour ce moyen de paiement : ${min} DA`;
+    } else if (total !== undefined && total > max) {
+      raison = mode === PAYMENT_MODES.CASH && plafondEspeces !== null && max === plafondEspeces
+        ? `Le paiement à la livraison est limité à ${max} DA pour vos premières commandes`
+        : `Montant maximum pour ce moyen de paiement : ${max} DA`;
+    }
+
+    return { mode, disponible: raison === null, raison, limites: { min, max } };
+  });
+};
+
+/**
+ * Vérifier qu'une commande peut être réglée avec ce moyen de paiement
+ * (montant maximum, moyens activés par l'admin et le prestataire, plafond espèces)
+ * @param {Object} params
+ * @param {number} params.total - total TTC de la commande (montant maximum)
+ * @param {number} [params.montantMode] - part réglée par ce moyen, hors cartes cadeaux et
+ *   portefeuille (par défaut : total) ; rien à vérifier sur le moyen si elle est nulle
+ * @returns {Promise<{ valid: boolean, error?: string }>}
+ */
+const checkPaymentMode = async ({ client, prestataireIds, total, modePaiement, montantMode = total }) => {
+  const prestataires = await User.findAll({
+    where: { id: prestataireIds },
+    attributes: ['id', 'nomEtablissement', 'reglesCommande']
+  });
+  const settings = await getSettings('payment');
+  const montantMaximum = Math.min(
+    settings.maximumOrderAmount,
+    ...prestataires.map(p => getOrderRules(p, settings).montantMaximum)
+  );
+
+  if (total > montantMaximum) {
+    return { valid: false, error: `Le montant maximum d'une commande est de ${montantMaximum} DA` };
+  }
+  if (montantMode <= 0) {
+    return { valid: true };
+  }
+
+  const options = await getPaymentOptions({ client, prestataires, total: montantMode });
+  const option = options.find(o => o.mode === modePaiement);
+
+  if (!option) {
+    return { valid: false, error: 'Mode de paiement invalide' };
+  }
+  if (!option.disponible) {
+    return { valid: false, error: option.raison };
+  }
+  return { valid: true };
+};
+
+module.exports = {
+  validateReglesCommande,
+  getOrderRules,
+  checkMinimumAmount,
+  getCashLimit,
+  getPaymentOptions,
+  checkPaymentMode
+};
@@ -0,0 +1,396 @@
+/**
+ * Machine à états du cycle de vie des commandes
+ *
+ * Point de passage unique pour tout changement de Commande.statut :
+ * transitions autorisées, horodatages, restauration du stock, libération du
+ * créneau, restitution du portefeuille et des cartes cadeaux et remboursement
+ * des paiements en ligne à l'annulation, espèces du livreur, facture et
+ * écritures de commission à la livraison, historique
+ * (CommandeHistorique) et événements temps réel.
+ *
+ *   en_attente ──> confirmee ──> en_preparation ──> prete ──> en_livraison ──> livree
+ *        │             │
+ *        └─────────────┴──> annulee
+ */
+const {
+  Commande, CommandeItem, CommandeHistorique, CommandeGroupePart, Plat, User, sequelize
+} = require('../models');
+const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_MODES, PREPAID_PAYMENT_MODES } = require('../utils/constants');
+const { getMontantAPayer } = require('../utils/helpers');
+const { sendOrderStatusEmail } = require('./emailService');
+const { getPaymentProvider } = require('./paymentProviderService');
+const { releaseSlot } = require('./deliverySlotService');
+const { issueInvoice } = require('./invoiceService');
+const { recordOrderDelivered } = require('./ledgerService');
+const { collectCashOnDelivery } = require('./cashCollectionService');
+const { restoreWalletPayment } = require('./walletService');
+const { restoreGiftCards } = require('./giftCardService');
+const { withOriginalRefund } = require('./refundService');
+const { emitToUser, emitToPrestataire, emitToCommande } = require('../config/socket');
+const logger = require('../config/logger');
+
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY],
+  [ORDER_STATUS.READY]: [ORDER_STATUS.DELIVERING],
+  [ORDER_STATUS.DELIVERING]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: []
+};
+
+// Horodatage renseigné à l'entrée dans chaque statut
+const TIMESTAMPS = {
+  [ORDER_STATUS.CONFIRMED]: 'dateConfirmation',
+  [ORDER_STATUS.PREPARING]: 'datePreparation',
+  [ORDER_STATUS.READY]: 'datePrete',
+  [ORDER_STATUS.DELIVERED]: 'dateLivraison',
+  [ORDER_STATUS.CANCELLED]: 'dateAnnulation'
+};
+
+/**
+ * Vérifier si une transition est autorisée
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+/**
+ * Remettre en stock les plats d'une commande annulée
+ */
+const restoreStock = async (commande, transaction) => {
+  const items = await CommandeItem.findAll({ where: { commandeId: commande.id }, transaction });
+  for (const item of items) {
+    const plat = await Plat.findByPk(item.platId, { transaction });
+    if (plat && plat.stock !== -1) {
+      await plat.increment('stock', { by: item.quantite, transaction });
+    }
+  }
+};
+
+/**
+ * Rembourser les parts déjà réglées d'une commande groupée annulée :
+ * chaque part par sa propre transaction carte, ou par restitution de sa carte cadeau
+ * @returns {Promise<Object|null>} résultat des remboursements (null si aucune part payée)
+ */
+const refundGroupParts = async (commande) => {
+  const parts = await CommandeGroupePart.findAll({
+    where: { commandeId: commande.id, statutPaiement: PAYMENT_STATUS.SUCCESS }
+  });
+  if (parts.length === 0) return null;
+
+  const motif = `Annulation de la commande #${commande.numero}`;
+  const remboursements = [];
+  let echecs = 0;
+
+  for (const part of parts) {
+    // Réserver la part : deux annulations simultanées ne la remboursent pas deux fois
+    const [claimed] = await CommandeGroupePart.update(
+      { statutPaiement: PAYMENT_STATUS.PROCESSING },
+      { where: { id: part.id, statutPaiement: PAYMENT_STATUS.SUCCESS } }
+    );
+    if (claimed === 0) continue;
+
+    try {
+      let refund;
+      if (part.giftCardId) {
+        const montant = await restoreGiftCards(commande, { giftCardId: part.giftCardId, motif });
+        refund = { success: true, amount: montant, status: 'PROCESSED', timestamp: new Date().toISOString() };
+      } else {
+        refund = await getPaymentProvider(part.modePaiement).refund({
+          transactionId: part.transactionId,
+          amount: parseFloat(part.montant),
+          reason: motif
+        });
+      }
+
+      if (!refund.success) {
+        logger.error(`[OrderStateMachine] Remboursement échoué pour une part de la commande #${commande.numero}: ${refund.error}`);
+        await part.update({ statutPaiement: PAYMENT_STATUS.SUCCESS });
+        echecs += 1;
+        continue;
+      }
+
+      await part.update({
+        statutPaiement: PAYMENT_STATUS.REFUNDED,
+        paiementDetails: {
+          ...part.paiementDetails,
+          refund: {
+            refundId: refund.refundId || null,
+            amount: refund.amount,
+            status: refund.status,
+            timestamp: refund.timestamp,
+            estimatedDelay: refund.estimatedDelay || null
+          }
+        }
+      });
+      remboursements.push({ participantId: part.participantId, ...refund });
+
+      emitToUser(part.participantId, 'paiement:refund', {
+        commandeId: commande.id,
+        refundId: refund.refundId || null,
+        amount: refund.amount,
+        estimatedDelay: refund.estimatedDelay || null
+      });
+    } catch (error) {
+      await part.update({ statutPaiement: PAYMENT_STATUS.SUCCESS });
+      throw error;
+    }
+  }
+
+  if (echecs === 0 && commande.statutPaiement === PAYMENT_STATUS.SUCCESS) {
+    await Commande.update(
+      { statutPaiement: PAYMENT_STATUS.REFUNDED },
+      { where: { id: commande.id, statutPaiement: PAYMENT_STATUS.SUCCESS } }
+    );
+    commande.set({ statutPaiement: PAYMENT_STATUS.REFUNDED });
+  }
+
+  return { success: echecs === 0, remboursements };
+};
+
+/**
+ * Rembourser une commande annulée déjà payée en ligne
+ * @returns {Promise<Object|null>} résultat du remboursement (null si rien à rembourser)
+ */
+const refundCancelledCommande = async (commande) => {
+  // Commande groupée : pas de transaction commune, chaque participant a réglé sa part
+  if (commande.paiementDetails?.paiementFractionne) {
+    return refundGroupParts(commande);
+  }
+
+  if (commande.statutPaiement !== PAYMENT_STATUS.SUCCESS ||
+    commande.modePaiement === PAYMENT_MODES.CASH ||
+    PREPAID_PAYMENT_MODES.includes(commande.modePaiement) ||
+    !commande.transactionId) {
+    return null;
+  }
+
+  // La part réglée d'avance (portefeuille, cartes cadeaux) est restituée à l'annulation ;
+  // la carte ne reçoit que ce qui ne lui a pas déjà été rendu (remboursement partiel)
+  const montant = Math.round((getMontantAPayer(commande) -
+    parseFloat(commande.paiementDetails?.montantRembourseMoyenInitial || 0)) * 100) / 100;
+  if (montant <= 0) return null;
+  const result = await getPaymentProvider(commande.modePaiement).refund({
+    transactionId: commande.transactionId,
+    amount: montant,
+    reason: `Annulation de la commande #${commande.numero}`
+  });
+
+  if (!result.success) {
+    logger.error(`[OrderStateMachine] Remboursement échoué pour la commande #${commande.numero}: ${result.error}`);
+    return result;
+  }
+
+  const updateData = {
+    statutPaiement: PAYMENT_STATUS.REFUNDED,
+    paiementDetails: withOriginalRefund(commande.paiementDetails, montant, {
+      refundId: result.refundId,
+      amount: result.amount,
+      reason: result.reason,
+      status: result.status,
+      timestamp: result.timestamp,
+      estimatedDelay: result.estimatedDelay
+    })
+  };
+  await Commande.update(updateData, { where: { id: commande.id, statutPaiement: PAYMENT_STATUS.SUCCESS } });
+  commande.set(updateData);
+
+  emitToUser(commande.clientId, 'paiement:refund', {
+    commandeId: commande.id,
+    refundId: result.refundId,
+    amount: result.amount,
+    estimatedDelay: result.estimatedDelay
+  });
+
+  return result;
+};
+
+/**
+ * Enregistrer une entrée d'historique (création ou transition)
+ */
+const recordHistory = (commande, { ancienStatut = null, nouveauStatut, acteurId = null, acteurType, motif, motifCode, metadata, transaction }) =>
+  CommandeHistorique.create({
+    commandeId: commande.id,
+    ancienStatut,
+    nouveauStatut: nouveauStatut || commande.statut,
+    acteurId,
+    acteurType,
+    motif: motif || null,
+    motifCode: motifCode || null,
+    metadata: metadata || null
+  }, { transaction });
+
+/**
+ * Notifier client, prestataire et abonnés de la commande
+ */
+const notifyTransition = async (commande, ancienStatut, { acteurType, motif, motifCode }) => {
+  const statut = commande.statut;
+  const date = new Date();
+
+  try {
+    emitToUser(commande.clientId, 'commande:statut-update', {
+      commandeId: commande.id,
+      numero: commande.numero,
+      ancienStatut,
+      nouveauStatut: statut,
+      date
+    });
+
+    emitToCommande(commande.id, 'commande:statut-update', {
+      commandeId: commande.id,
+      statut,
+      date
+    });
+
+    if (statut === ORDER_STATUS.CANCELLED) {
+      if (acteurType === 'prestataire' && motifCode) {
+        emitToUser(commande.clientId, 'commande:refusee', {
+          commandeId: commande.id,
+          numero: commande.numero,
+          motif
+        });
+      } else if (acteurType !== 'prestataire') {
+        emitToPrestataire(commande.prestataireId, 'commande:annulee', {
+          commandeId: commande.id,
+          numero: commande.numero,
+          motif,
+          annulePar: acteurType
+        });
+      }
+    }
+
+    // Le client est prévenu par email des changements qu'il n'a pas faits lui-même
+    if (acteurType !== 'client') {
+      const client = commande.client || await User.findByPk(commande.clientId);
+      if (client) {
+        await sendOrderStatusEmail(client, commande, statut);
+      }
+    }
+  } catch (error) {
+    logger.error(`[OrderStateMachine] Erreur notification commande #${commande.numero}:`, error);
+  }
+};
+
+/**
+ * Faire passer une commande dans un nouveau statut
+ * @param {Commande} commande
+ * @param {string} nouveauStatut - ORDER_STATUS
+ * @param {Object} options
+ * @param {number} [options.acteurId] - null pour les actions système
+ * @param {string} options.acteurType - client | prestataire | livreur | admin | system
+ * @param {string} [options.motif]
+ * @param {string} [options.motifCode] - motif de refus (ORDER_REJECTION_REASONS)
+ * @param {Object} [options.metadata]
+ * @param {Object} [options.updates] - champs supplémentaires à mettre à jour avec le statut
+ * @param {Object} [options.where] - conditions supplémentaires sur la commande (la transition échoue sinon)
+ * @param {Transaction} [options.transaction] - transaction de l'appelant (notifications après son commit)
+ * @returns {Promise<{ success: boolean, error?: string, commande?: Commande, ancienStatut?: string }>}
+ */
+const transitionCommande = async (commande, nouveauStatut, options = {}) => {
+  const { acteurId = null, acteurType, motif, motifCode, metadata, updates = {}, where = {} } = options;
+  const ancienStatut = commande.statut;
+
+  if (!canTransition(ancienStatut, nouveauStatut)) {
+    return {
+      success: false,
+      error: `Transition de statut invalide: ${ancienStatut} → ${nouveauStatut}`
+    };
+  }
+
+  const updateData = { ...updates, statut: nouveauStatut };
+  if (TIMESTAMPS[nouveauStatut]) {
+    updateData[TIMESTAMPS[nouveauStatut]] = new Date();
+  }
+
+  if (nouveauStatut === ORDER_STATUS.DELIVERED && commande.modePaiement === PAYMENT_MODES.CASH) {
+    updateData.statutPaiement = PAYMENT_STATUS.SUCCESS;
+  }
+  if (nouveauStatut === ORDER_STATUS.CANCELLED) {
+    updateData.motifAnnulation = motif || null;
+    // Réglée d'avance en totalité : remboursée par la restitution du portefeuille et des cartes cadeaux
+    if (PREPAID_PAYMENT_MODES.includes(commande.modePaiement) && commande.statutPaiement === PAYMENT_STATUS.SUCCESS) {
+      updateData.statutPaiement = PAYMENT_STATUS.REFUNDED;
+    }
+  }
+
+  const transaction = options.transaction || await sequelize.transaction();
+
+  try {
+    // Verrouiller la ligne : deux transitions simultanées ne peuvent pas partir du même statut
+    const [updated] = await Commande.update(updateData, {
+      where: { ...where, id: commande.id, statut: ancienStatut },
+      transaction
+    });
+    if (updated === 0) {
+      if (!options.transaction) await transaction.rollback();
+      return { success: false, error: 'La commande a été modifiée entre-temps, veuillez réessayer' };
+    }
+
+    if (nouveauStatut === ORDER_STATUS.CANCELLED) {
+      await restoreStock(commande, transaction);
+      if (commande.creneauId) {
+        await releaseSlot(commande.creneauId, transaction);
+      }
+      await restoreWalletPayment(commande, transaction);
+      await restoreGiftCards(commande, { transaction });
+    }
+    if (nouveauStatut === ORDER_STATUS.DELIVERED) {
+      await collectCashOnDelivery(commande, transaction);
+    }
+
+    await recordHistory(commande, {
+      ancienStatut,
+      nouveauStatut,
+      acteurId,
+      acteurType,
+      motif,
+      motifCode,
+      metadata,
+      transaction
+    });
+
+    if (!options.transaction) await transaction.commit();
+  } catch (error) {
+    if (!options.transaction) await transaction.rollback();
+    throw error;
+  }
+
+  commande.set(updateData);
+
+  const notify = async () => {
+    if (nouveauStatut === ORDER_STATUS.CANCELLED) {
+      try {
+        await refundCancelledCommande(commande);
+      } catch (error) {
+        logger.error(`[OrderStateMachine] Erreur remboursement commande #${commande.numero}:`, error);
+      }
+    }
+    if (nouveauStatut === ORDER_STATUS.DELIVERED) {
+      try {
+        await issueInvoice(commande.id);
+      } catch (error) {
+        logger.error(`[OrderStateMachine] Erreur émission facture commande #${commande.numero}:`, error);
+      }
+      try {
+        await recordOrderDelivered(commande.id);
+      } catch (error) {
+        logger.error(`[OrderStateMachine] Erreur comptabilisation commande #${commande.numero}:`, error);
+      }
+    }
+    await notifyTransition(commande, ancienStatut, { acteurType, motif, motifCode });
+  };
+  if (options.transaction) {
+    options.transaction.afterCommit(notify);
+  } else {
+    await notify();
+  }
+
+  return { success: true, commande, ancienStatut };
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transitionCommande,
+  refundCancelledCommande,
+  recordHistory
+};
@@ -0,0 +1,63 @@
+/**
+ * Couche fournisseurs de paiement
+ *
+ * Tous les contrôleurs et services passent par ce module plutôt que par une
+ * passerelle précise. Chaque fournisseur implémente la même interface et
+ * renvoie des objets résultat ({ success, error, code, ... }) sans lever :
+ *
+ * - initiate({ reference, amount, description, cardType, returnUrl, failUrl, customer })
+ *     → { success, transactionId, paymentUrl, expiresAt, amount }
+ * - confirm({ transactionId, amount, cardType, card? })
+ *     → { success, status, transactionId, authorizationCode, cardLast4, cardType, amount, responseCode }
+ *     Sans `card` : vérification au retour de la page de paiement.
+ *     Avec `card` ({ cardNumber, expiryMonth, expiryYear, cvv, cardholderName }) : débit direct.
+ * - status({ transactionId }) → { success, status: PENDING|PROCESSING|COMPLETED|FAILED|REFUNDED }
+ * - refund({ transactionId, amount, reason }) → { success, refundId, amount, status, estimatedDelay }
+ * - parseWebhook(body) → { success, orderId, status: COMPLETED|FAILED, amount, actionCode }
+ *
+ * Fournisseurs :
+ * - satim : passerelle SATIM (ou simulateur local via SATIM_BASE_URL)
+ * - test : cartes de test déterministes, sans réseau (développement et tests)
+ * - cash : paiement à la livraison
+ *
+ * Le fournisseur en ligne est choisi par PAYMENT_PROVIDER ; par défaut satim en
+ * production ou si SATIM_MODE est défini, test sinon.
+ */
+const { PAYMENT_MODES } = require('../utils/constants');
+const satimService = require('./satimService');
+const testPaymentProvider = require('./testPaymentProvider');
+const cashPaymentProvider = require('./cashPaymentProvider');
+
+const ONLINE_PROVIDERS = {
+  satim: satimService,
+  test: testPaymentProvider
+};
+
+/**
+ * Fournisseur des paiements par carte (CIB/EDAHABIA)
+ */
+const getOnlineProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER ||
+    (process.env.NODE_ENV === 'production' || process.env.SATIM_MODE ? 'satim' : 'test');
+
+  const provider = ONLINE_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Fournisseur de paiement inconnu : ${name}`);
+  }
+  if (provider === testPaymentProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('Le fournisseur de paiement de test ne peut pas être utilisé en production');
+  }
+  return provider;
+};
+
+/**
+ * Fournisseur d'un mode de paiement (especes, cib, edahabia)
+ */
+const getPaymentProvider = (modePaiement) => (
+  modePaiement === PAYMENT_MODES.CASH ? cashPaymentProvider : getOnlineProvider()
+);
+
+module.exports = {
+  getPaymentProvider,
+  getOnlineProvider
+};
@@ -0,0 +1,233 @@
+/**
+ * Service de gestion des options de plats (tailles, suppléments, accompagnements)
+ *
+ * Le catalogue (Plat.options) est la seule source de vérité pour les prix :
+ * les suppléments envoyés par le client sont ignorés et recalculés ici.
+ *
+ * Format d'un groupe d'options dans Plat.options :
+ * {
+ *   nom: "Taille",
+ *   obligatoire: true,      // optionnel, false par défaut
+ *   min: 1,                 // optionnel, 1 si obligatoire sinon 0
+ *   max: 1,                 // optionnel, 1 par défaut
+ *   choix: [
+ *     { label: "Normal", supplement: 0 },
+ *     { label: "Large", supplement: 200, disponible: true }
+ *   ]
+ * }
+ *
+ * Format d'une sélection client (CommandeItem.options en entrée) :
+ * [{ nom: "Taille", choix: "Large" }, { nom: "Sauces", choix: ["Harissa", "Mayo"] }]
+ */
+
+/**
+ * Récupère les groupes d'options d'un plat sous forme de tableau
+ */
+const getOptionGroups = (plat) => {
+  let groups = plat?.options;
+  if (typeof groups === 'string') {
+    try {
+      groups = JSON.parse(groups);
+    } catch (error) {
+      groups = [];
+    }
+  }
+  return Array.isArray(groups) ? groups : [];
+};
+
+/**
+ * Calcule les règles de sélection effectives d'un groupe
+ */
+const getGroupRules = (group) => {
+  const obligatoire = Boolean(group.obligatoire);
+  let min = Number.isInteger(group.min) ? group.min : (obligatoire ? 1 : 0);
+  if (obligatoire && min < 1) min = 1;
+  const max = Number.isInteger(group.max) ? group.max : 1;
+  return { obligatoire, min, max };
+};
+
+/**
+ * Valide la définition des options d'un plat (saisie prestataire)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const validateOptionGroups = (groups) => {
+  if (groups === undefined || groups === null) return { valid: true };
+  if (!Array.isArray(groups)) {
+    return { valid: false, error: 'Les options doivent être une liste de groupes' };
+  }
+
+  const noms = new Set();
+  for (const group of groups) {
+    if (!group || typeof group.nom !== 'string' || !group.nom.trim()) {
+      return { valid: false, error: 'Chaque groupe d\'options doit avoir un nom' };
+    }
+    if (noms.has(group.nom)) {
+      return { valid: false, error: `Groupe d'options en double: "${group.nom}"` };
+    }
+    noms.add(group.nom);
+
+    if (!Array.isArray(group.choix) || group.choix.length === 0) {
+      return { valid: false, error: `Le groupe "${group.nom}" doit proposer au moins un choix` };
+    }
+
+    const labels = new Set();
+    for (const choix of group.choix) {
+      if (!choix || typeof choix.label !== 'string' || !choix.label.trim()) {
+        return { valid: false, error: `Chaque choix du groupe "${group.nom}" doit avoir un libellé` };
+      }
+      if (labels.has(choix.label)) {
+        return { valid: false, error: `Choix en double dans "${group.nom}": "${choix.label}"` };
+      }
+      labels.add(choix.label);
+
+      const supplement = choix.supplement === undefined ? 0 : Number(choix.supplement);
+      if (!Number.isFinite(supplement) || supplement < 0) {
+        return { valid: false, error: `Supplément invalide pour "${choix.label}" (${group.nom})` };
+      }
+    }
+
+    for (const field of ['min', 'max']) {
+      if (group[field] !== undefined && (!Number.isInteger(group[field]) || group[field] < 0)) {
+        return { valid: false, error: `Valeur "${field}" invalide pour le groupe "${group.nom}"` };
+      }
+    }
+
+    const { min, max } = getGroupRules(group);
+    if (max < 1 || min > max) {
+      return { valid: false, error: `Bornes min/max incohérentes pour le groupe "${group.nom}"` };
+    }
+    if (min > group.choix.length) {
+      return { valid: false, error: `Le groupe "${group.nom}" exige plus de choix qu'il n'en propose` };
+    }
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Normalise puis valide les options reçues d'un formulaire
+ * (les envois multipart transmettent le JSON sous forme de texte)
+ * @returns {{ valid: boolean, error?: string, groups?: Array }}
+ */
+const parseOptionGroups = (value) => {
+  let groups = value === undefined || value === null || value === '' ? [] : value;
+  if (typeof groups === 'string') {
+    try {
+      groups = JSON.parse(groups);
+    } catch (error) {
+      return { valid: false, error: 'Format JSON des options invalide' };
+    }
+  }
+
+  const check = validateOptionGroups(groups);
+  if (!check.valid) return check;
+
+  return { valid: true, groups };
+};
+
+/**
+ * Regroupe les sélections du client par nom de groupe
+ * @returns {{ valid: boolean, error?: string, selections?: Map<string, string[]> }}
+ */
+const groupSelections = (selections) => {
+  const grouped = new Map();
+  if (selections === undefined || selections === null) {
+    return { valid: true, selections: grouped };
+  }
+  if (!Array.isArray(selections)) {
+    return { valid: false, error: 'Format des options invalide' };
+  }
+
+  for (const selection of selections) {
+    if (!selection || typeof selection.nom !== 'string') {
+      return { valid: false, error: 'Format des options invalide' };
+    }
+    const labels = Array.isArray(selection.choix) ? selection.choix : [selection.choix];
+    if (labels.some(label => typeof label !== 'string' || !label)) {
+      return { valid: false, error: `Choix manquant pour l'option "${selection.nom}"` };
+    }
+    const existing = grouped.get(selection.nom) || [];
+    grouped.set(selection.nom, [...existing, ...labels]);
+  }
+
+  return { valid: true, selections: grouped };
+};
+
+/**
+ * Valide les options choisies pour un plat et les tarifie depuis le catalogue
+ * @param {Plat} plat - Plat du catalogue
+ * @param {Array} selections - Options envoyées par le client
+ * @returns {{ valid: boolean, error?: string, options?: Array, supplementsTotal?: number }}
+ */
+const resolveItemOptions = (plat, selections) => {
+  const platNom = typeof plat.getNom === 'function' ? plat.getNom() : `#${plat.id}`;
+  const groups = getOptionGroups(plat);
+
+  const grouped = groupSelections(selections);
+  if (!grouped.valid) {
+    return { valid: false, error: `${grouped.error} pour "${platNom}"` };
+  }
+
+  // Rejeter les groupes inconnus du catalogue
+  for (const nom of grouped.selections.keys()) {
+    if (!groups.some(group => group.nom === nom)) {
+      return { valid: false, error: `Option "${nom}" inconnue pour "${platNom}"` };
+    }
+  }
+
+  const options = [];
+  let supplementsTotal = 0;
+
+  for (const group of groups) {
+    const { obligatoire, min, max } = getGroupRules(group);
+    const labels = grouped.selections.get(group.nom) || [];
+
+    if (new Set(labels).size !== labels.length) {
+      return { valid: false, error: `Choix en double pour l'option "${group.nom}" de "${platNom}"` };
+    }
+
+    if (labels.length < min) {
+      return {
+        valid: false,
+        error: obligatoire && min === 1
+          ? `L'option "${group.nom}" est obligatoire pour "${platNom}"`
+          : `Sélectionnez au moins ${min} choix pour l'option "${group.nom}" de "${platNom}"`
+      };
+    }
+
+    if (labels.length > max) {
+      return {
+        valid: false,
+        error: `Maximum ${max} choix pour l'option "${group.nom}" de "${platNom}"`
+      };
+    }
+
+    for (const label of labels) {
+      const choix = (group.choix || []).find(c => c.label === label);
+      if (!choix) {
+        return { valid: false, error: `Choix "${label}" invalide pour l'option "${group.nom}" de "${platNom}"` };
+      }
+      if (choix.disponible === false) {
+        return { valid: false, error: `Le choix "${label}" n'est plus disponible pour "${platNom}"` };
+      }
+
+      const supplement = parseFloat(choix.supplement) || 0;
+      supplementsTotal += supplement;
+      options.push({ nom: group.nom, choix: label, supplement });
+    }
+  }
+
+  return {
+    valid: true,
+    options,
+    supplementsTotal: Math.round(supplementsTotal * 100) / 100
+  };
+};
+
+module.exports = {
+  getOptionGroups,
+  getGroupRules,
+  validateOptionGroups,
+  parseOptionGroups,
+  resolveItemOptions
+};
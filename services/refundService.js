@@ -0,0 +1,170 @@
+/**
+ * Remboursements des commandes
+ *
+ * Une commande peut être remboursée par plusieurs voies : sur la carte (ou
+ * hors plateforme pour les espèces), sur le portefeuille, par restitution des
+ * cartes cadeaux et de la part réglée par le portefeuille ; à l'annulation, à
+ * la résolution d'un litige, à l'acceptation d'une modification ou sur
+ * décision d'un admin. Ce module fait le compte de ce qui a déjà été rendu
+ * au client, pour que le cumul ne dépasse jamais ce qu'il a payé.
+ */
+const {
+  Commande, CommandeGroupePart, MouvementCarteCadeau, TransactionPortefeuille, sequelize
+} = require('../models');
+const { PAYMENT_STATUS, WALLET_TRANSACTION_TYPES, GIFT_CARD_MOVEMENT_TYPES } = require('../utils/constants');
+const { restoreWalletPayment } = require('./walletService');
+const { restoreGiftCards } = require('./giftCardService');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Ce que le client a payé pour une commande et ce qui lui a déjà été rendu
+ *
+ * Payé : le total actuel, plus ce que les modifications acceptées ont rendu
+ * (elles réduisent le total). Rendu : crédits du portefeuille (remboursements
+ * et restitutions), restitutions des cartes cadeaux, remboursements sur le
+ * moyen de paiement initial (paiementDetails.montantRembourseMoyenInitial,
+ * modifications et parts de commande groupée comprises).
+ * @param {Commande} commande
+ * @returns {Promise<{ paye: number, portefeuille: number, cartesCadeaux: number, moyenInitial: number, rembourse: number, restant: number }>}
+ */
+const getRefundSummary = async (commande) => {
+  const details = commande.paiementDetails || {};
+  const modifications = details.remboursementsPartiels || [];
+
+  const [portefeuille, cartesCadeaux, partsRemboursees] = await Promise.all([
+    TransactionPortefeuille.sum('montant', {
+      where: {
+        commandeId: commande.id,
+        type: [WALLET_TRANSACTION_TYPES.REFUND, WALLET_TRANSACTION_TYPES.CANCELLATION]
+      }
+    }),
+    MouvementCarteCadeau.sum('montant', {
+      where: { commandeId: commande.id, type: GIFT_CARD_MOVEMENT_TYPES.RESTORED }
+    }),
+    details.paiementFractionne
+      ? CommandeGroupePart.sum('montant', {
+        where: { commandeId: commande.id, statutPaiement: PAYMENT_STATUS.REFUNDED, giftCardId: null }
+      })
+      : 0
+  ]);
+
+  const moyenInitial = round2(
+    parseFloat(details.montantRembourseMoyenInitial || 0) +
+    parseFloat(partsRemboursees || 0) +
+    modifications.filter(m => m.success).reduce((sum, m) => sum + parseFloat(m.carte ?? m.amount ?? 0), 0)
+  );
+  const paye = round2(parseFloat(commande.total) +
+    modifications.reduce((sum, m) => sum + parseFloat(m.amount || 0), 0));
+  const rembourse = round2(parseFloat(portefeuille || 0) + parseFloat(cartesCadeaux || 0) + moyenInitial);
+
+  return {
+    paye,
+    portefeuille: round2(parseFloat(portefeuille || 0)),
+    cartesCadeaux: round2(parseFloat(cartesCadeaux || 0)),
+    moyenInitial,
+    rembourse,
+    restant: round2(Math.max(0, paye - rembourse))
+  };
+};
+
+/**
+ * paiementDetails après un remboursement sur le moyen de paiement initial
+ * (carte, ou hors plateforme pour les espèces)
+ * @param {Object} paiementDetails
+ * @param {number} montant
+ * @param {Object} refund - détail du remboursement (refundId, status, ...)
+ * @returns {Object}
+ */
+const withOriginalRefund = (paiementDetails, montant, refund) => ({
+  ...paiementDetails,
+  refund,
+  montantRembourseMoyenInitial: round2(parseFloat(paiementDetails?.montantRembourseMoyenInitial || 0) + montant)
+});
+
+/**
+ * Rendre la part réglée d'avance encore engagée (cartes cadeaux, puis portefeuille),
+ * dans la limite d'un montant (remboursement complet)
+ * @param {Commande} commande
+ * @param {Object} params
+ * @param {number} params.montantMax
+ * @param {string} params.motif
+ * @returns {Promise<{ cartesCadeaux: number, portefeuille: number, mouvement: TransactionPortefeuille|null }>}
+ */
+const restorePrepaidShares = async (commande, { montantMax, motif }) => {
+  if (!(montantMax > 0)) return { cartesCadeaux: 0, portefeuille: 0, mouvement: null };
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cartesCadeaux = await restoreGiftCards(commande, { transaction, motif, montant: montantMax });
+    const mouvement = await restoreWalletPayment(commande, transaction, {
+      montant: round2(montantMax - cartesCadeaux),
+      motif
+    });
+
+    await transaction.commit();
+    return {
+      cartesCadeaux,
+      portefeuille: mouvement ? parseFloat(mouvement.montant) : 0,
+      mouvement
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Réserver une commande payée pour un remboursement : deux demandes
+ * simultanées ne remboursent pas deux fois
+ * @param {Commande} commande
+ * @returns {Promise<boolean>} false si la commande n'est plus payée ou déjà en cours de remboursement
+ */
+const claimRefund = async (commande) => {
+  const [claimed] = await Commande.update(
+    { statutPaiement: PAYMENT_STATUS.PROCESSING },
+    { where: { id: commande.id, statutPaiement: PAYMENT_STATUS.SUCCESS } }
+  );
+  if (claimed === 0) return false;
+
+  commande.set({ statutPaiement: PAYMENT_STATUS.PROCESSING });
+  return true;
+};
+
+/**
+ * Libérer une commande réservée par claimRefund sans l'avoir remboursée
+ * (sans effet si le remboursement a déjà été enregistré)
+ */
+const releaseRefund = (commande) => Commande.update(
+  { statutPaiement: PAYMENT_STATUS.SUCCESS },
+  { where: { id: commande.id, statutPaiement: PAYMENT_STATUS.PROCESSING } }
+);
+
+/**
+ * Enregistrer un remboursement effectué sur une commande réservée par claimRefund :
+ * elle ne passe à « remboursée » qu'une fois tout ce qui a été payé rendu, et
+ * reste payée (avec le cumul remboursé) après un remboursement partiel
+ * @param {Commande} commande
+ * @param {Object} updates - paiementDetails et autres champs à enregistrer
+ * @returns {Promise<Object>} le nouveau résumé (getRefundSummary)
+ */
+const completeRefund = async (commande, { paiementDetails = commande.paiementDetails, ...updates } = {}) => {
+  const resume = await getRefundSummary({ id: commande.id, total: commande.total, paiementDetails });
+
+  await commande.update({
+    ...updates,
+    statutPaiement: resume.restant > 0 ? PAYMENT_STATUS.SUCCESS : PAYMENT_STATUS.REFUNDED,
+    paiementDetails: { ...paiementDetails, montantRembourse: resume.rembourse }
+  });
+  return resume;
+};
+
+module.exports = {
+  getRefundSummary,
+  withOriginalRefund,
+  restorePrepaidShares,
+  claimRefund,
+  releaseRefund,
+  completeRefund
+};
@@ -1,53 +1,52 @@
 /**
- * Service d'intégration SATIM - Paiement CIB/EDAHABIA
- * 
- * Ce service gère l'intégration avec la passerelle de paiement SATIM
- * pour les cartes bancaires algériennes (CIB et EDAHABIA).
- * 
+ * Fournisseur de paiement SATIM - Paiement CIB/EDAHABIA
+ *
+ * Implémentation de l'interface de paymentProviderService pour la passerelle
+ * SATIM (API REST register.do / getOrderStatus.do / refund.do). Le client
+ * saisit sa carte sur la page SATIM (formUrl) puis revient sur returnUrl ou
+ * failUrl avec l'orderId SATIM ; confirm() relit alors le statut de la
+ * transaction. La saisie directe de la carte n'est pas proposée par SATIM.
+ *
  * Documentation SATIM : https://satim.dz (contact commercial requis)
- * 
- * MODES DE FONCTIONNEMENT:
- * - SIMULATION: Pour le développement et les tests (par défaut)
- * - SANDBOX: Environnement de test SATIM
- * - PRODUCTION: Environnement de production SATIM
+ *
+ * ENVIRONNEMENTS (SATIM_MODE) :
+ * - sandbox : passerelle de test SATIM
+ * - production : passerelle de production SATIM
+ * SATIM_BASE_URL remplace l'URL de l'environnement, par exemple pour le
+ * simulateur local : http://localhost:4010/payment/rest (npm run satim:simulator)
  */
 
 const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const logger = require('../config/logger');
 
 // Configuration SATIM
 const SATIM_CONFIG = {
-    // Mode actuel (simulation, sandbox, production)
-    MODE: process.env.SATIM_MODE || 'simulation',
+    // Environnement (sandbox, production)
+    MODE: process.env.SATIM_MODE || 'sandbox',
 
     // Credentials SATIM (à obtenir via contrat)
     MERCHANT_ID: process.env.SATIM_MERCHANT_ID || 'EATERZ_TEST',
     TERMINAL_ID: process.env.SATIM_TERMINAL_ID || 'TERM_001',
+    PASSWORD: process.env.SATIM_PASSWORD || process.env.SATIM_SECRET_KEY || 'test_password',
     SECRET_KEY: process.env.SATIM_SECRET_KEY || 'test_secret_key_32_characters_long',
 
     // URLs SATIM
     URLS: {
-        sandbox: {
-            payment: 'https://test.satim.dz/payment/rest/register.do',
-            status: 'https://test.satim.dz/payment/rest/getOrderStatus.do',
-            refund: 'https://test.satim.dz/payment/rest/refund.do',
-            confirm: 'https://test.satim.dz/payment/rest/deposit.do'
-        },
-        production: {
-            payment: 'https://cib.satim.dz/payment/rest/register.do',
-            status: 'https://cib.satim.dz/payment/rest/getOrderStatus.do',
-            refund: 'https://cib.satim.dz/payment/rest/refund.do',
-            confirm: 'https://cib.satim.dz/payment/rest/deposit.do'
-        }
+        sandbox: 'https://test.satim.dz/payment/rest',
+        production: 'https://cib.satim.dz/payment/rest'
     },
 
-    // URLs de callback
+    // URLs de retour après la page de paiement
     CALLBACK_URLS: {
-        success: process.env.FRONTEND_URL + '/payment/success',
-        failure: process.env.FRONTEND_URL + '/payment/failure',
+        success: process.env.SATIM_RETURN_URL || `${process.env.FRONTEND_URL}/payment/callback`,
+        failure: process.env.SATIM_FAIL_URL || `${process.env.FRONTEND_URL}/payment/failed`,
         webhook: process.env.BACKEND_URL + '/api/paiements/webhook/satim'
     },
 
+    // Délai de l'appel HTTP à la passerelle (ms)
+    TIMEOUT: 15000,
+
     // Montants limites (en DZD)
     LIMITS: {
         MIN_AMOUNT: 100,        // 100 DA minimum
@@ -68,6 +67,7 @@ const SATIM_RESPONSE_CODES = {
     '13': { success: false, message: 'Montant invalide' },
     '14': { success: false, message: 'Numéro de carte invalide' },
     '15': { success: false, message: 'Émetteur inconnu' },
+    '17': { success: false, message: 'Paiement annulé par le client' },
     '30': { success: false, message: 'Erreur de format' },
     '33': { success: false, message: 'Carte expirée' },
     '41': { success: false, message: 'Carte perdue' },
@@ -85,6 +85,38 @@ const SATIM_RESPONSE_CODES = {
     '96': { success: false, message: 'Erreur système' }
 };
 
+// Statuts de commande SATIM (OrderStatus de getOrderStatus.do)
+const SATIM_ORDER_STATUS = {
+    0: 'PENDING',       // Enregistrée, non payée
+    1: 'PROCESSING',    // Pré-autorisée
+    2: 'COMPLETED',     // Payée
+    3: 'FAILED',        // Annulée
+    4: 'REFUNDED',      // Remboursée
+    6: 'FAILED'         // Refusée
+};
+
+/**
+ * URL de base de l'API REST SATIM
+ */
+const getBaseUrl = () => process.env.SATIM_BASE_URL ||
+    SATIM_CONFIG.URLS[SATIM_CONFIG.MODE] ||
+    SATIM_CONFIG.URLS.sandbox;
+
+/**
+ * Appel d'une méthode de l'API REST SATIM (paramètres en query string)
+ */
+const callSatim = async (method, params) => {
+    const response = await axios.post(`${getBaseUrl()}/${method}`, null, {
+        params: {
+            userName: SATIM_CONFIG.MERCHANT_ID,
+            password: SATIM_CONFIG.PASSWORD,
+            ...params
+        },
+        timeout: SATIM_CONFIG.TIMEOUT
+    });
+    return response.data;
+};
+
 /**
  * Génère une signature HMAC-SHA256 pour sécuriser les requêtes
  */
@@ -105,6 +137,9 @@ const generateSignature = (data) => {
  */
 const verifySignature = (data, signature) => {
     const expectedSignature = generateSignature(data);
+    if (typeof signature !== 'string' || signature.length !== expectedSignature.length) {
+        return false;
+    }
     return crypto.timingSafeEqual(
         Buffer.from(signature),
         Buffer.from(expectedSignature)
@@ -121,30 +156,18 @@ const generateOrderNumber = () => {
 };
 
 /**
- * Simule un délai réseau réaliste
- */
-const simulateNetworkDelay = async (min = 800, max = 2000) => {
-    if (SATIM_CONFIG.MODE === 'simulation') {
-        const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-        await new Promise(resolve => setTimeout(resolve, delay));
-    }
-};
-
-/**
- * Initialise une session de paiement SATIM
- * @param {Object} params - Paramètres de paiement
- * @returns {Object} - Session de paiement ou erreur
+ * Enregistre la transaction auprès de SATIM (register.do)
+ * @returns {Object} - { success, transactionId, orderNumber, paymentUrl, expiresAt, amount } ou erreur
  */
-const initializePayment = async ({
-    orderId,
+const initiate = async ({
+    reference,
     amount,
-    currency = 'DZD',
     description,
-    customerEmail,
-    customerPhone,
     cardType, // 'cib' ou 'edahabia'
     returnUrl,
-    language = 'FR'
+    failUrl,
+    language = 'FR',
+    customer = {}
 }) => {
     // Validation du montant
     if (amount < SATIM_CONFIG.LIMITS.MIN_AMOUNT) {
@@ -164,81 +187,46 @@ const initializePayment = async ({
     }
 
     const orderNumber = generateOrderNumber();
-    const sessionId = uuidv4();
-
-    // Données de la requête
-    const requestData = {
-        merchantId: SATIM_CONFIG.MERCHANT_ID,
-        terminalId: SATIM_CONFIG.TERMINAL_ID,
-        orderNumber,
-        amount: Math.round(amount * 100), // Montant en centimes
-        currency: currency === 'DZD' ? '012' : currency,
-        description: description || `Commande EATERZ #${orderId}`,
-        email: customerEmail,
-        phone: customerPhone,
-        cardType: cardType.toUpperCase(),
-        returnUrl: returnUrl || SATIM_CONFIG.CALLBACK_URLS.success,
-        failUrl: SATIM_CONFIG.CALLBACK_URLS.failure,
-        language,
-        sessionId,
-        timestamp: new Date().toISOString()
-    };
-
-    // Ajouter la signature
-    requestData.signature = generateSignature(requestData);
-
-    // Mode simulation
-    if (SATIM_CONFIG.MODE === 'simulation') {
-        await simulateNetworkDelay();
-
-        return {
-            success: true,
-            sessionId,
-            orderNumber,
-            paymentUrl: `/payment/checkout?session=${sessionId}`,
-            expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // 15 min
-            amount,
-            cardType: cardType.toUpperCase()
-        };
-    }
 
-    // Mode sandbox/production - Appel réel à l'API SATIM
     try {
-        const apiUrl = SATIM_CONFIG.MODE === 'production'
-            ? SATIM_CONFIG.URLS.production.payment
-            : SATIM_CONFIG.URLS.sandbox.payment;
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify(requestData)
+        const result = await callSatim('register.do', {
+            orderNumber,
+            amount: Math.round(amount * 100), // Montant en centimes
+            currency: '012', // Code DZD
+            returnUrl: returnUrl || SATIM_CONFIG.CALLBACK_URLS.success,
+            failUrl: failUrl || SATIM_CONFIG.CALLBACK_URLS.failure,
+            description: description || `Commande EATERZ #${reference}`,
+            language,
+            jsonParams: JSON.stringify({
+                force_terminal_id: SATIM_CONFIG.TERMINAL_ID,
+                udf1: reference,
+                udf2: cardType ? cardType.toUpperCase() : undefined,
+                email: customer.email,
+                phone: customer.telephone
+            })
         });
 
-        const result = await response.json();
-
-        if (result.errorCode === '0' || result.success) {
+        if (result.errorCode && result.errorCode !== '0') {
+            logger.error('[SATIM] Erreur initiation:', result);
             return {
-                success: true,
-                sessionId: result.orderId || sessionId,
-                orderNumber: result.orderNumber || orderNumber,
-                paymentUrl: result.formUrl || result.redirectUrl,
-                expiresAt: result.expirationDate,
-                amount,
-                cardType: cardType.toUpperCase()
+                success: false,
+                error: result.errorMessage || 'Erreur lors de l\'initialisation du paiement',
+                code: result.errorCode
             };
         }
 
         return {
-            success: false,
-            error: result.errorMessage || 'Erreur lors de l\'initialisation du paiement',
-            code: result.errorCode || 'INIT_ERROR'
+            success: true,
+            transactionId: result.orderId,
+            orderNumber,
+            paymentUrl: result.formUrl,
+            expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // Session SATIM : 15 min
+            amount,
+            cardType: cardType ? cardType.toUpperCase() : null
         };
 
     } catch (error) {
-        console.error('Erreur SATIM:', error);
+        logger.error('[SATIM] Erreur API register.do:', error.message);
         return {
             success: false,
             error: 'Service de paiement temporairement indisponible',
@@ -248,271 +236,116 @@ const initializePayment = async ({
 };
 
 /**
- * Traite le paiement avec les informations de carte
- * Utilisé pour le mode de paiement direct (sans redirection)
+ * Vérifie le statut d'une transaction (getOrderStatus.do)
  */
-const processDirectPayment = async ({
-    sessionId,
-    cardNumber,
-    expiryMonth,
-    expiryYear,
-    cvv,
-    cardholderName,
-    amount,
-    cardType
-}) => {
-    await simulateNetworkDelay(1500, 3500);
-
-    // Nettoyer le numéro de carte
-    const cleanCardNumber = cardNumber.replace(/\s/g, '');
-
-    // Validation basique
-    if (cardType === 'cib' && (cleanCardNumber.length !== 19 || !cleanCardNumber.startsWith('6'))) {
-        return {
-            success: false,
-            error: 'Numéro de carte CIB invalide',
-            code: 'INVALID_CARD'
-        };
-    }
-
-    if (cardType === 'edahabia' && cleanCardNumber.length !== 16) {
-        return {
-            success: false,
-            error: 'Numéro de carte EDAHABIA invalide',
-            code: 'INVALID_CARD'
-        };
-    }
-
-    // Vérifier la date d'expiration
-    const now = new Date();
-    const expiry = new Date(2000 + parseInt(expiryYear), parseInt(expiryMonth) - 1);
-    if (expiry < now) {
-        return {
-            success: false,
-            error: 'Carte expirée',
-            code: 'CARD_EXPIRED'
-        };
-    }
-
-    // Mode simulation
-    if (SATIM_CONFIG.MODE === 'simulation') {
-        // Carte de test pour forcer l'échec
-        if (cleanCardNumber.endsWith('0000')) {
-            return {
-                success: false,
-                error: 'Transaction refusée par la banque',
-                code: '05',
-                transactionId: generateOrderNumber()
-            };
-        }
-
-        // Simulation de succès (95%)
-        if (cleanCardNumber.endsWith('1111') || Math.random() < 0.95) {
-            const transactionId = generateOrderNumber();
-
-            return {
-                success: true,
-                transactionId,
-                authorizationCode: `AUTH${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-                cardLast4: cleanCardNumber.slice(-4),
-                cardType: cardType.toUpperCase(),
-                amount,
-                timestamp: new Date().toISOString(),
-                responseCode: '00',
-                message: 'Transaction approuvée'
-            };
-        }
-
-        // Simulation d'échec aléatoire
-        const failureCodes = ['51', '55', '61', '65'];
-        const randomCode = failureCodes[Math.floor(Math.random() * failureCodes.length)];
-
-        return {
-            success: false,
-            error: SATIM_RESPONSE_CODES[randomCode]?.message || 'Transaction refusée',
-            code: randomCode,
-            transactionId: generateOrderNumber()
-        };
-    }
-
-    // Mode sandbox/production
+const status = async ({ transactionId }) => {
     try {
-        const apiUrl = SATIM_CONFIG.MODE === 'production'
-            ? SATIM_CONFIG.URLS.production.confirm
-            : SATIM_CONFIG.URLS.sandbox.confirm;
-
-        const requestData = {
-            merchantId: SATIM_CONFIG.MERCHANT_ID,
-            orderId: sessionId,
-            pan: cleanCardNumber,
-            expiry: `${expiryMonth}${expiryYear}`,
-            cvc: cvv,
-            cardholderName,
-            amount: Math.round(amount * 100)
-        };
-
-        requestData.signature = generateSignature(requestData);
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestData)
+        const result = await callSatim('getOrderStatus.do', {
+            orderId: transactionId,
+            language: 'FR'
         });
 
-        const result = await response.json();
-        const responseInfo = SATIM_RESPONSE_CODES[result.actionCode] || { success: false, message: 'Erreur inconnue' };
-
-        if (responseInfo.success) {
+        if (result.ErrorCode && result.ErrorCode !== '0' && result.OrderStatus === undefined) {
             return {
-                success: true,
-                transactionId: result.orderId || result.transactionId,
-                authorizationCode: result.approvalCode,
-                cardLast4: cleanCardNumber.slice(-4),
-                cardType: cardType.toUpperCase(),
-                amount,
-                timestamp: new Date().toISOString(),
-                responseCode: result.actionCode,
-                message: responseInfo.message
+                success: false,
+                error: result.ErrorMessage || 'Transaction inconnue',
+                code: result.ErrorCode
             };
         }
 
         return {
-            success: false,
-            error: responseInfo.message,
-            code: result.actionCode,
-            transactionId: result.orderId
+            success: true,
+            transactionId,
+            status: SATIM_ORDER_STATUS[result.OrderStatus] || 'FAILED',
+            amount: result.Amount / 100,
+            actionCode: result.actionCode != null ? String(result.actionCode).padStart(2, '0') : null,
+            authorizationCode: result.approvalCode,
+            cardLast4: result.Pan?.slice(-4),
+            timestamp: new Date().toISOString()
         };
 
     } catch (error) {
-        console.error('Erreur paiement SATIM:', error);
+        logger.error('[SATIM] Erreur vérification statut:', error.message);
         return {
             success: false,
-            error: 'Erreur de connexion au serveur de paiement',
-            code: 'CONNECTION_ERROR'
+            error: 'Impossible de vérifier le statut',
+            code: 'STATUS_CHECK_ERROR'
         };
     }
 };
 
 /**
- * Vérifie le statut d'une transaction
+ * Confirme un paiement au retour de la page SATIM : la transaction doit être payée
  */
-const checkPaymentStatus = async (orderId) => {
-    if (SATIM_CONFIG.MODE === 'simulation') {
-        await simulateNetworkDelay(500, 1000);
-
-        // Simulation de différents statuts
-        const statuses = [
-            { status: 'COMPLETED', message: 'Paiement confirmé' },
-            { status: 'PENDING', message: 'En attente de confirmation' },
-            { status: 'PROCESSING', message: 'Traitement en cours' }
-        ];
-
+const confirm = async ({ transactionId, amount, cardType, card }) => {
+    if (card) {
         return {
-            success: true,
-            orderId,
-            ...statuses[0], // Toujours retourner COMPLETED en simulation
-            timestamp: new Date().toISOString()
+            success: false,
+            error: 'La saisie directe de la carte n\'est pas disponible, utilisez la page de paiement sécurisée',
+            code: 'DIRECT_PAYMENT_UNSUPPORTED'
         };
     }
 
-    try {
-        const apiUrl = SATIM_CONFIG.MODE === 'production'
-            ? SATIM_CONFIG.URLS.production.status
-            : SATIM_CONFIG.URLS.sandbox.status;
-
-        const requestData = {
-            merchantId: SATIM_CONFIG.MERCHANT_ID,
-            orderId,
-            language: 'FR'
-        };
-
-        requestData.signature = generateSignature(requestData);
-
-        const response = await fetch(`${apiUrl}?${new URLSearchParams(requestData)}`);
-        const result = await response.json();
+    const result = await status({ transactionId });
+    if (!result.success) return result;
 
+    if (result.status !== 'COMPLETED') {
+        const responseInfo = SATIM_RESPONSE_CODES[result.actionCode] || { message: 'Paiement non abouti' };
         return {
-            success: true,
-            orderId,
-            status: result.orderStatus === 2 ? 'COMPLETED' :
-                result.orderStatus === 1 ? 'PROCESSING' :
-                    result.orderStatus === 0 ? 'PENDING' : 'FAILED',
-            amount: result.amount / 100,
-            cardLast4: result.Pan?.slice(-4),
-            timestamp: result.date
+            success: false,
+            status: result.status,
+            error: responseInfo.message,
+            code: result.actionCode || result.status,
+            transactionId
         };
+    }
 
-    } catch (error) {
-        console.error('Erreur vérification statut:', error);
+    // Le montant débité doit être celui de la commande
+    if (amount !== undefined && Math.round(result.amount * 100) !== Math.round(amount * 100)) {
+        logger.error(`[SATIM] Montant débité (${result.amount}) différent du montant attendu (${amount}) pour ${transactionId}`);
         return {
             success: false,
-            error: 'Impossible de vérifier le statut',
-            code: 'STATUS_CHECK_ERROR'
+            status: result.status,
+            error: 'Montant du paiement incohérent',
+            code: 'AMOUNT_MISMATCH',
+            transactionId
         };
     }
+
+    return {
+        success: true,
+        status: 'COMPLETED',
+        transactionId,
+        authorizationCode: result.authorizationCode,
+        cardLast4: result.cardLast4,
+        cardType: cardType ? cardType.toUpperCase() : null,
+        amount: result.amount,
+        responseCode: result.actionCode,
+        timestamp: result.timestamp,
+        message: SATIM_RESPONSE_CODES['00'].message
+    };
 };
 
 /**
- * Initie un remboursement
+ * Initie un remboursement (refund.do)
  */
-const initiateRefund = async (transactionId, amount, reason) => {
-    if (SATIM_CONFIG.MODE === 'simulation') {
-        await simulateNetworkDelay(1000, 2500);
-
-        // 95% de succès pour les remboursements
-        if (Math.random() < 0.95) {
-            return {
-                success: true,
-                refundId: `RFD-${uuidv4().slice(0, 8).toUpperCase()}`,
-                originalTransactionId: transactionId,
-                amount,
-                reason,
-                status: 'PROCESSED',
-                timestamp: new Date().toISOString(),
-                estimatedDelay: '3-5 jours ouvrables'
-            };
-        }
-
-        return {
-            success: false,
-            error: 'Remboursement temporairement indisponible',
-            code: 'REFUND_UNAVAILABLE'
-        };
-    }
-
+const refund = async ({ transactionId, amount, reason }) => {
     try {
-        const apiUrl = SATIM_CONFIG.MODE === 'production'
-            ? SATIM_CONFIG.URLS.production.refund
-            : SATIM_CONFIG.URLS.sandbox.refund;
-
-        const requestData = {
-            merchantId: SATIM_CONFIG.MERCHANT_ID,
+        const result = await callSatim('refund.do', {
             orderId: transactionId,
-            amount: Math.round(amount * 100),
-            currency: '012'
-        };
-
-        requestData.signature = generateSignature(requestData);
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestData)
+            amount: Math.round(amount * 100)
         });
 
-        const result = await response.json();
-
-        if (result.errorCode === '0') {
+        if (String(result.errorCode) === '0') {
             return {
                 success: true,
-                refundId: result.refundOrderId,
+                refundId: result.refundOrderId || `RFD-${transactionId}`,
                 originalTransactionId: transactionId,
                 amount,
                 reason,
                 status: 'PROCESSED',
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+                estimatedDelay: '3-5 jours ouvrables'
             };
         }
 
@@ -523,7 +356,7 @@ const initiateRefund = async (transactionId, amount, reason) => {
         };
 
     } catch (error) {
-        console.error('Erreur remboursement SATIM:', error);
+        logger.error('[SATIM] Erreur remboursement:', error.message);
         return {
             success: false,
             error: 'Service de remboursement indisponible',
@@ -533,15 +366,15 @@ const initiateRefund = async (transactionId, amount, reason) => {
 };
 
 /**
- * Traite un webhook/callback SATIM
+ * Traite une notification serveur à serveur SATIM (signée HMAC)
  */
-const handleWebhook = async (webhookData) => {
-    const { orderId, amount, status, signature, actionCode } = webhookData;
+const parseWebhook = async (webhookData) => {
+    const { orderId, amount, status: statut, signature, actionCode } = webhookData;
 
     // Vérifier la signature
-    const dataToVerify = { orderId, amount, status, actionCode };
+    const dataToVerify = { orderId, amount, status: statut, actionCode };
     if (!verifySignature(dataToVerify, signature)) {
-        console.warn('Signature webhook invalide');
+        logger.warn('[SATIM] Signature webhook invalide');
         return {
             success: false,
             error: 'Signature invalide',
@@ -552,7 +385,7 @@ const handleWebhook = async (webhookData) => {
     const responseInfo = SATIM_RESPONSE_CODES[actionCode] || { success: false };
 
     return {
-        success: responseInfo.success,
+        success: true,
         orderId,
         amount: amount / 100,
         status: responseInfo.success ? 'COMPLETED' : 'FAILED',
@@ -562,39 +395,22 @@ const handleWebhook = async (webhookData) => {
     };
 };
 
-/**
- * Génère les informations pour le paiement en espèces
- */
-const generateCashPaymentInfo = (orderId, amount) => {
-    return {
-        success: true,
-        paymentMethod: 'CASH',
-        orderId,
-        amount,
-        instructions: [
-            'Préparez le montant exact si possible',
-            'Le livreur vous remettra un reçu',
-            'Vous pouvez suivre votre commande en temps réel'
-        ],
-        message: 'Paiement en espèces à la livraison'
-    };
-};
-
 module.exports = {
+    name: 'satim',
+
     // Configuration
     SATIM_CONFIG,
     SATIM_RESPONSE_CODES,
 
-    // Fonctions principales
-    initializePayment,
-    processDirectPayment,
-    checkPaymentStatus,
-    initiateRefund,
-    handleWebhook,
+    // Interface fournisseur de paiement
+    initiate,
+    confirm,
+    status,
+    refund,
+    parseWebhook,
 
     // Utilitaires
     generateSignature,
     verifySignature,
-    generateOrderNumber,
-    generateCashPaymentInfo
+    generateOrderNumber
 };
@@ -0,0 +1,22 @@
+/**
+ * Accès en lecture aux paramètres de la plateforme (config/settings.json)
+ * pour les services et jobs, avec repli sur les valeurs par défaut
+ */
+const { loadSettings, DEFAULT_SETTINGS } = require('../controllers/settingsController');
+
+/**
+ * Obtenir une catégorie de paramètres, complétée par les valeurs par défaut
+ * @param {string} category - ex: 'delivery', 'payment', 'system'
+ * @returns {Promise<Object>}
+ */
+const getSettings = async (category) => {
+  const settings = await loadSettings();
+  return {
+    ...(DEFAULT_SETTINGS[category] || {}),
+    ...(settings[category] || {})
+  };
+};
+
+module.exports = {
+  getSettings
+};
@@ -0,0 +1,277 @@
+/**
+ * Relevés de règlement des prestataires
+ *
+ * Chaque semaine, un relevé par prestataire reprend les écritures de son
+ * compte au grand livre (voir services/ledgerService.js) passées sur la
+ * période : ventes brutes des commandes livrées, moins ses promotions, les
+ * commissions et les remboursements ou litiges, plus les frais de livraison
+ * et pourboires des commandes qu'il a livrées lui-même. Le total est le net dû.
+ *
+ * Les espèces d'une commande livrée par le prestataire restent dans sa caisse :
+ * elles sont déduites du virement. Celles encaissées par un livreur de la
+ * plateforme lui sont reversées et figurent sur le relevé pour information,
+ * comme les promotions prises en charge par la plateforme.
+ *
+ * La période est la semaine locale (fuseau de la plateforme) commençant au
+ * jour settlementWeekStartDay des paramètres "commission". Le relevé est figé
+ * à l'émission ; seul son paiement, marqué par un admin, est ensuite tracé.
+ */
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Commande, Livraison, EcritureComptable, ReleveReglement, sequelize } = require('../models');
+const { LEDGER_ACCOUNTS, LEDGER_EVENTS, LEDGER_NATURES, PAYMENT_MODES, SETTLEMENT_STATUS } = require('../utils/constants');
+const { getSettings } = require('./settingsService');
+const { getTimezone, getLocalParts, localToDate, addDays } = require('./openingHoursService');
+const logger = require('../config/logger');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Montant signé d'une écriture : positif au crédit, négatif au débit
+const signe = (e) => parseFloat(e.credit) - parseFloat(e.debit);
+
+/**
+ * Dernière semaine entièrement écoulée
+ * @param {Date} now
+ * @param {string} timezone
+ * @param {number} weekStartDay - 0 = dimanche ... 6 = samedi
+ * @returns {{ debut: Date, fin: Date, debutKey: string }}
+ */
+const getLastWeek = (now, timezone, weekStartDay = 0) => {
+  const { dateKey } = getLocalParts(now, timezone);
+  const jour = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const finKey = addDays(dateKey, -((jour - weekStartDay + 7) % 7));
+  const debutKey = addDays(finKey, -7);
+
+  return {
+    debut: localToDate(debutKey, 0, timezone),
+    fin: localToDate(finKey, 0, timezone),
+    debutKey
+  };
+};
+
+/**
+ * Calculer un relevé à partir des écritures de la période
+ * @param {Object} params
+ * @param {number} params.prestataireId
+ * @param {Array<EcritureComptable>} params.ecritures - écritures de la période des commandes du prestataire (tous comptes)
+ * @param {Array<Commande>} params.commandes - { id, numero, modePaiement, dateLivraison }
+ * @param {Map<number, number>} params.livreurs - livreur de chaque commande livrée
+ */
+const buildStatement = ({ prestataireId, ecritures, commandes, livreurs }) => {
+  const totaux = {
+    nombreCommandes: 0,
+    ventesBrutes: 0,
+    promotions: 0,
+    promotionsPlateforme: 0,
+    commissions: 0,
+    remboursements: 0,
+    fraisLivraison: 0,
+    netDu: 0,
+    especesPrestataire: 0,
+    especesLivreurs: 0
+  };
+
+  const lignes = commandes.map(commande => {
+    const ligne = {
+      commandeId: commande.id,
+      numero: commande.numero,
+      date: commande.dateLivraison,
+      modePaiement: commande.modePaiement,
+      encaissePar: null,
+      brut: 0,
+      promo: 0,
+      commission: 0,
+      remboursement: 0,
+      fraisLivraison: 0,
+      net: 0
+    };
+
+    for (const e of ecritures.filter(ec => ec.commandeId === commande.id)) {
+      const montant = signe(e);
+      const livraison = e.evenement === LEDGER_EVENTS.DELIVERED;
+
+      if (e.compte === LEDGER_ACCOUNTS.PRESTATAIRE && e.titulaireId === prestataireId) {
+        ligne.net += montant;
+        if (e.evenement === LEDGER_EVENTS.REFUNDED || e.evenement === LEDGER_EVENTS.DISPUTED) {
+          ligne.remboursement += montant;
+        } else if (e.nature === LEDGER_NATURES.GROSS) {
+          ligne.brut += montant;
+        } else if (e.nature === LEDGER_NATURES.PROMO) {
+          ligne.promo += montant;
+        } else if (e.nature === LEDGER_NATURES.COMMISSION) {
+          ligne.commission += montant;
+        } else {
+          ligne.fraisLivraison += montant;
+        }
+      } else if (livraison && e.compte === LEDGER_ACCOUNTS.PLATFORM && e.nature === LEDGER_NATURES.PROMO) {
+        totaux.promotionsPlateforme -= montant;
+      } else if (livraison && e.compte === LEDGER_ACCOUNTS.CASH_IN) {
+        // Commande livrée sur la période : qui a encaissé le paiement
+        totaux.nombreCommandes++;
+        // La part réglée d'avance (portefeuille, cartes cadeaux) est détenue par la plateforme
+        const prepaye = parseFloat(commande.montantPortefeuille || 0) + parseFloat(commande.montantCartesCadeaux || 0);
+        const especes = round2(-montant - prepaye);
+        if (commande.modePaiement !== PAYMENT_MODES.CASH) {
+          ligne.encaissePar = LEDGER_ACCOUNTS.PLATFORM;
+        } else if (livreurs.get(commande.id)) {
+          ligne.encaissePar = LEDGER_ACCOUNTS.LIVREUR;
+          totaux.especesLivreurs += especes;
+        } else {
+          ligne.encaissePar = LEDGER_ACCOUNTS.PRESTATAIRE;
+          totaux.especesPrestataire += especes;
+        }
+      }
+    }
+
+    ['brut', 'promo', 'commission', 'remboursement', 'fraisLivraison', 'net'].forEach(cle => {
+      ligne[cle] = round2(ligne[cle]);
+    });
+    totaux.ventesBrutes += ligne.brut;
+    totaux.promotions += ligne.promo;
+    totaux.commissions += ligne.commission;
+    totaux.remboursements += ligne.remboursement;
+    totaux.fraisLivraison += ligne.fraisLivraison;
+    totaux.netDu += ligne.net;
+    return ligne;
+  });
+
+  Object.keys(totaux).forEach(cle => {
+    if (cle !== 'nombreCommandes') totaux[cle] = round2(totaux[cle]);
+  });
+
+  return {
+    ...totaux,
+    montantAVerser: round2(totaux.netDu - totaux.especesPrestataire),
+    lignes
+  };
+};
+
+/**
+ * Émettre le relevé d'un prestataire pour une période
+ * @returns {Promise<ReleveReglement|null>} null si aucune écriture ou relevé déjà émis
+ */
+const generateStatement = async ({ prestataireId, debut, fin, debutKey }) => {
+  const existant = await ReleveReglement.findOne({ where: { prestataireId, periodeDebut: debut }, attributes: ['id'] });
+  if (existant) return null;
+
+  const periode = { [Op.gte]: debut, [Op.lt]: fin };
+  const ecrituresPrestataire = await EcritureComptable.findAll({
+    where: { compte: LEDGER_ACCOUNTS.PRESTATAIRE, titulaireId: prestataireId, createdAt: periode },
+    attributes: ['commandeId']
+  });
+  const commandeIds = [...new Set(ecrituresPrestataire.map(e => e.commandeId))];
+  if (commandeIds.length === 0) return null;
+
+  const [ecritures, commandes, livraisons] = await Promise.all([
+    EcritureComptable.findAll({
+      where: { commandeId: { [Op.in]: commandeIds }, createdAt: periode },
+      order: [['id', 'ASC']]
+    }),
+    Commande.findAll({
+      where: { id: { [Op.in]: commandeIds } },
+      attributes: ['id', 'numero', 'modePaiement', 'montantPortefeuille', 'montantCartesCadeaux', 'dateLivraison'],
+      order: [['dateLivraison', 'ASC'], ['id', 'ASC']]
+    }),
+    Livraison.findAll({
+      where: { commandeId: { [Op.in]: commandeIds } },
+      attributes: ['commandeId', 'livreurId']
+    })
+  ]);
+
+  const releve = buildStatement({
+    prestataireId,
+    ecritures,
+    commandes,
+    livreurs: new Map(livraisons.map(l => [l.commandeId, l.livreurId]))
+  });
+
+  try {
+    return await ReleveReglement.create({
+      numero: `REL-${debutKey.replace(/-/g, '')}-${prestataireId}`,
+      prestataireId,
+      periodeDebut: debut,
+      periodeFin: fin,
+      ...releve
+    });
+  } catch (error) {
+    // Émis entre-temps par une autre exécution
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Émettre les relevés de la dernière semaine écoulée (idempotent)
+ * @param {Date} [now]
+ * @returns {Promise<Array<ReleveReglement>>} relevés émis
+ */
+const generateWeeklyStatements = async (now = new Date()) => {
+  const [timezone, settings] = await Promise.all([getTimezone(), getSettings('commission')]);
+  const { debut, fin, debutKey } = getLastWeek(now, timezone, settings.settlementWeekStartDay ?? 0);
+
+  const titulaires = await EcritureComptable.findAll({
+    where: { compte: LEDGER_ACCOUNTS.PRESTATAIRE, createdAt: { [Op.gte]: debut, [Op.lt]: fin } },
+    attributes: [[sequelize.fn('DISTINCT', sequelize.col('titulaireId')), 'titulaireId']],
+    raw: true
+  });
+
+  const releves = [];
+  for (const { titulaireId } of titulaires) {
+    try {
+      const releve = await generateStatement({ prestataireId: titulaireId, debut, fin, debutKey });
+      if (releve) releves.push(releve);
+    } catch (error) {
+      logger.error(`[Settlement] Erreur émission du relevé du prestataire ${titulaireId}:`, error);
+    }
+  }
+  return releves;
+};
+
+/**
+ * Marquer un relevé comme payé
+ * @param {Object} params
+ * @param {number} params.releveId
+ * @param {number} params.adminId
+ * @param {string} [params.referencePaiement] - référence du virement
+ * @param {string} [params.commentaire]
+ * @returns {Promise<{ success: boolean, releve?: ReleveReglement, error?: string }>}
+ */
+const markStatementPaid = async ({ releveId, adminId, referencePaiement, commentaire }) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const releve = await ReleveReglement.findByPk(releveId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!releve) {
+      await transaction.rollback();
+      return { success: false, error: 'Relevé non trouvé' };
+    }
+    if (releve.statut === SETTLEMENT_STATUS.PAID) {
+      await transaction.rollback();
+      return { success: false, error: 'Ce relevé est déjà marqué comme payé' };
+    }
+
+    releve.statut = SETTLEMENT_STATUS.PAID;
+    releve.datePaiement = new Date();
+    releve.payePar = adminId;
+    releve.referencePaiement = referencePaiement || null;
+    releve.addHistorique('paye', adminId, {
+      montant: parseFloat(releve.montantAVerser),
+      referencePaiement: referencePaiement || null,
+      commentaire: commentaire || null
+    });
+    await releve.save({ transaction });
+
+    await transaction.commit();
+    return { success: true, releve };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  getLastWeek,
+  buildStatement,
+  generateStatement,
+  generateWeeklyStatements,
+  markStatementPaid
+};
@@ -4,8 +4,9 @@
  */
 const cron = require('node-cron');
 const { Op, fn, col, literal } = require('sequelize');
-const { User, Commande, Plat, Favori, Promotion, Notification } = require('../models');
+const { User, Commande, Plat, Favori, Promotion, Notification, Panier, PanierItem } = require('../models');
 const { sendPushToUser } = require('./pushService');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
 const logger = require('../config/logger');
 
 /**
@@ -16,8 +17,15 @@ const REMINDER_TYPES = {
     REORDER_SUGGESTION: 'reorder_suggestion', // Suggestion de recommande
     INACTIVE_USER: 'inactive_user',           // Utilisateur inactif
     LUNCH_REMINDER: 'lunch_reminder',         // Rappel déjeuner
+    ABANDONED_CART: 'abandoned_cart',         // Panier non commandé
 };
 
+/**
+ * Délais de relance des paniers abandonnés
+ */
+const ABANDONED_CART_DELAY_HOURS = 2;   // Inactivité minimale avant relance
+const ABANDONED_CART_MAX_AGE_DAYS = 3;  // Au-delà, le panier n'est plus relancé
+
 /**
  * Envoyer rappels pour plats favoris en promo
  */
@@ -203,6 +211,65 @@ const sendLunchReminders = async () => {
     }
 };
 
+/**
+ * Relancer les clients ayant laissé un panier sans commander
+ * Une seule relance par période d'inactivité (réarmée à chaque modification du panier)
+ */
+const sendAbandonedCartReminders = async () => {
+    try {
+        const inactiveSince = new Date(Date.now() - ABANDONED_CART_DELAY_HOURS * 60 * 60 * 1000);
+        const tooOld = new Date(Date.now() - ABANDONED_CART_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+
+        const paniers = await Panier.findAll({
+            where: {
+                relanceEnvoyeeAt: null,
+                derniereActivite: {
+                    [Op.lte]: inactiveSince,
+                    [Op.gte]: tooOld,
+                },
+            },
+            include: [
+                {
+                    model: PanierItem,
+                    as: 'items',
+                    required: true,
+                    include: [{ model: Plat, as: 'plat', attributes: ['id', 'nom'] }],
+                },
+                { model: User, as: 'client', attributes: ['id', 'prenom'], where: { isActive: true } },
+            ],
+        });
+
+        for (const panier of paniers) {
+            const nombreArticles = panier.items.reduce((sum, item) => sum + item.quantite, 0);
+            const premierPlat = panier.items[0].plat?.getNom() || 'vos plats';
+
+            await Notification.create({
+                userId: panier.clientId,
+                type: NOTIFICATION_TYPES.SYSTEM,
+                titre: '🛒 Votre panier vous attend',
+                message: `${premierPlat}${nombreArticles > 1 ? ` et ${nombreArticles - 1} autre(s) article(s)` : ''} sont encore dans votre panier.`,
+                lien: '/panier',
+                data: { panierId: panier.id, type: REMINDER_TYPES.ABANDONED_CART },
+            });
+
+            await sendPushToUser(panier.clientId, {
+                title: `🛒 ${panier.client.prenom}, votre panier vous attend`,
+                body: `${nombreArticles} article(s) prêts à être commandés`,
+                icon: '/icons/icon-192x192.png',
+                data: { url: '/panier' },
+            });
+
+            await panier.update({ relanceEnvoyeeAt: new Date() });
+        }
+
+        if (paniers.length > 0) {
+            logger.info(`[SmartReminders] ${paniers.length} relances panier abandonné envoyées`);
+        }
+    } catch (error) {
+        logger.error('[SmartReminders] Erreur relances panier:', error);
+    }
+};
+
 /**
  * Initialiser les jobs CRON de rappels intelligents
  */
@@ -228,10 +295,25 @@ const initSmartRemindersJob = () => {
     logger.info('[SmartReminders] Jobs CRON initialisés');
 };
 
+/**
+ * Initialiser le job CRON de relance des paniers abandonnés
+ */
+const initAbandonedCartJob = () => {
+    // Toutes les 30 minutes - Relance des paniers abandonnés
+    cron.schedule('*/30 * * * *', async () => {
+        logger.debug('[SmartReminders] Exécution relances panier abandonné');
+        await sendAbandonedCartReminders();
+    });
+
+    logger.info('[SmartReminders] Job relance panier abandonné initialisé - Intervalle: 30 minutes');
+};
+
 module.exports = {
     initSmartRemindersJob,
+    initAbandonedCartJob,
     sendFavoritePromoReminders,
     sendReorderSuggestions,
     sendLunchReminders,
+    sendAbandonedCartReminders,
     REMINDER_TYPES,
 };
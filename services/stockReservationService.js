@@ -0,0 +1,64 @@
+/**
+ * Service de réservation du stock des paiements en ligne
+ *
+ * Une commande CIB/Edahabia décrémente le stock à sa création mais ne le
+ * garde que jusqu'à Commande.stockReserveJusquA (payment.stockReservationMinutes).
+ * Un paiement réussi valide la réservation (stockReserveJusquA remis à null) ;
+ * un paiement échoué ou jamais finalisé est annulé par stockReservationJob,
+ * ce qui rend le stock via la machine à états.
+ */
+const { Op } = require('sequelize');
+const { Commande } = require('../models');
+const { ORDER_STATUS, PAYMENT_MODES } = require('../utils/constants');
+const { getSettings } = require('./settingsService');
+const { refundCancelledCommande } = require('./orderStateMachine');
+const logger = require('../config/logger');
+
+const ONLINE_MODES = [PAYMENT_MODES.CIB, PAYMENT_MODES.EDAHABIA];
+
+/**
+ * Fin de réservation d'une nouvelle commande (null pour le paiement à la livraison)
+ * @returns {Promise<Date|null>}
+ */
+const getReservationExpiry = async (modePaiement, now = new Date()) => {
+  if (!ONLINE_MODES.includes(modePaiement)) return null;
+
+  const { stockReservationMinutes } = await getSettings('payment');
+  return new Date(now.getTime() + stockReservationMinutes * 60000);
+};
+
+/**
+ * Enregistrer un paiement réussi et valider la réservation du stock
+ *
+ * Si la réservation a été libérée entre-temps (commande annulée), le
+ * paiement est tout de même enregistré puis remboursé.
+ * @param {Commande} commande
+ * @param {Object} updateData - statutPaiement, transactionId, paiementDetails
+ * @returns {Promise<{ committed: boolean, refund?: Object }>}
+ */
+const commitPayment = async (commande, updateData) => {
+  const data = { ...updateData, stockReserveJusquA: null };
+
+  const [updated] = await Commande.update(data, {
+    where: { id: commande.id, statut: { [Op.ne]: ORDER_STATUS.CANCELLED } }
+  });
+
+  if (updated > 0) {
+    commande.set(data);
+    return { committed: true };
+  }
+
+  await Commande.update(updateData, { where: { id: commande.id } });
+  commande.set({ ...updateData, statut: ORDER_STATUS.CANCELLED });
+
+  logger.warn(`[StockReservation] Paiement reçu après annulation de la commande #${commande.numero}, remboursement`);
+  const refund = await refundCancelledCommande(commande);
+
+  return { committed: false, refund };
+};
+
+module.exports = {
+  ONLINE_MODES,
+  getReservationExpiry,
+  commitPayment
+};
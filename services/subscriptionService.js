@@ -9,6 +9,10 @@ const { sendPushToUser } = require('./pushService');
 const { getIO } = require('../config/socket');
 const { generateOrderNumber } = require('../utils/helpers');
 const logger = require('../config/logger');
+const { resolveItemOptions } = require('./platOptionsService');
+const { calculateDeliveryFee } = require('./deliveryFeeService');
+const { resolveOrderTiming } = require('./openingHoursService');
+const { recordHistory } = require('./orderStateMachine');
 
 /**
  * Traiter les abonnements dont l'heure de commande est arrivée
@@ -41,7 +45,7 @@ const processSubscriptions = async () => {
             include: [
                 { model: User, as: 'client', attributes: ['id', 'prenom', 'nom', 'email'] },
                 { model: Plat, as: 'plat' },
-                { model: User, as: 'prestataire', attributes: ['id', 'nom'] },
+                { model: User, as: 'prestataire', attributes: ['id', 'nom', 'nomEtablissement', 'zonesLivraison', 'positionActuelle', 'horairesOuverture'] },
             ],
         });
 
@@ -57,37 +61,73 @@ const processSubscriptions = async () => {
                 let prestataireId = sub.prestataireId;
                 let sousTotal = 0;
 
-                if (sub.type === 'plat' && sub.plat) {
-                    items = [{
-                        platId: sub.plat.id,
-                        quantite: 1,
-                        prixUnitaire: sub.plat.prixPromo || sub.plat.prix,
-                    }];
-                    prestataireId = sub.plat.prestataireId;
-                    sousTotal = sub.plat.prixPromo || sub.plat.prix;
-                } else if (sub.type === 'panier' && sub.panierItems) {
+                const lignes = sub.type === 'plat'
+                    ? (sub.plat ? [{ plat: sub.plat, quantite: 1, options: [] }] : [])
+                    : [];
+
+                if (sub.type === 'panier' && sub.panierItems) {
                     for (const item of sub.panierItems) {
-                        const plat = await Plat.findByPk(item.platId);
-                        if (plat && plat.disponible) {
-                            const prix = plat.prixPromo || plat.prix;
-                            items.push({
-                                platId: plat.id,
-                                quantite: item.quantite || 1,
-                                prixUnitaire: prix,
-                            });
-                            sousTotal += prix * (item.quantite || 1);
-                            if (!prestataireId) prestataireId = plat.prestataireId;
+                        const plat = await Plat.findOne({ where: { id: item.platId, isDeleted: false } });
+                        if (plat) {
+                            lignes.push({ plat, quantite: item.quantite || 1, options: item.options });
                         }
                     }
                 }
 
+                for (const ligne of lignes) {
+                    const { plat, quantite } = ligne;
+                    if (!plat.isAvailable || plat.isDeleted) continue;
+
+                    // Prix et suppléments toujours recalculés depuis le catalogue
+                    const optionsResult = resolveItemOptions(plat, ligne.options);
+                    if (!optionsResult.valid) {
+                        logger.warn(`[SubscriptionJob] Abonnement #${sub.id}: ${optionsResult.error}`);
+                        continue;
+                    }
+
+                    const prixUnitaire = plat.getPrixActuel();
+                    items.push({
+                        platId: plat.id,
+                        quantite,
+                        prixUnitaire,
+                        options: optionsResult.options,
+                        supplementsTotal: optionsResult.supplementsTotal,
+                    });
+                    sousTotal += (prixUnitaire + optionsResult.supplementsTotal) * quantite;
+                    if (!prestataireId) prestataireId = plat.prestataireId;
+                }
+
                 if (items.length === 0) {
                     logger.warn(`[SubscriptionJob] Aucun item pour abonnement #${sub.id}`);
                     continue;
                 }
 
+                // Frais de livraison selon la zone de l'abonnement
+                const prestataire = sub.prestataire && sub.prestataire.id === prestataireId
+                    ? sub.prestataire
+                    : await User.findByPk(prestataireId, {
+                        attributes: ['id', 'nomEtablissement', 'zonesLivraison', 'positionActuelle', 'horairesOuverture'],
+                    });
+                const livraison = await calculateDeliveryFee({
+                    prestataire,
+                    adresseLivraison: sub.adresseLivraison,
+                    villeLivraison: sub.villeLivraison,
+                    sousTotal,
+                });
+                if (!livraison.disponible) {
+                    logger.warn(`[SubscriptionJob] Abonnement #${sub.id}: ${livraison.error}`);
+                    continue;
+                }
+
+                // Prestataire fermé : commande programmée à la réouverture (ou reportée au prochain passage)
+                const programmation = await resolveOrderTiming({ prestataire });
+                if (!programmation.valid) {
+                    logger.warn(`[SubscriptionJob] Abonnement #${sub.id}: ${programmation.error}`);
+                    continue;
+                }
+
                 // Créer la commande
-                const fraisLivraison = 200;
+                const fraisLivraison = livraison.frais;
                 const total = sousTotal + fraisLivraison;
 
                 const commande = await Commande.create({
@@ -103,10 +143,17 @@ const processSubscriptions = async () => {
                     modePaiement: sub.modePaiement,
                     typeCommande: 'plats',
                     modeLivraison: 'immediat',
-                    isScheduled: false,
+                    isScheduled: programmation.isScheduled,
+                    dateLivraisonSouhaitee: programmation.dateLivraisonSouhaitee,
                     notesClient: `Commande automatique - Abonnement #${sub.id}`,
                 });
 
+                await recordHistory(commande, {
+                    acteurType: 'system',
+                    motif: `Commande automatique - Abonnement #${sub.id}`,
+                    metadata: { subscriptionId: sub.id },
+                });
+
                 // Créer les items de commande
                 for (const item of items) {
                     await CommandeItem.create({
@@ -114,6 +161,8 @@ const processSubscriptions = async () => {
                         platId: item.platId,
                         quantite: item.quantite,
                         prixUnitaire: item.prixUnitaire,
+                        options: item.options,
+                        supplementsTotal: item.supplementsTotal,
                     });
                 }
 
@@ -0,0 +1,172 @@
+/**
+ * Fournisseur de paiement de test (CIB/EDAHABIA sans passerelle)
+ *
+ * Implémentation en mémoire de l'interface de paymentProviderService, sans
+ * délai ni aléa : le résultat dépend uniquement de la carte utilisée. Les
+ * mêmes cartes de test sont acceptées par le simulateur SATIM local
+ * (scripts/satimSimulator.js).
+ *
+ * Cartes de test :
+ * - CIB 6280 5800 0000 0000 011 / EDAHABIA 6280 7000 0000 0014 : acceptée
+ * - CIB 6280 5800 0000 0000 029 / EDAHABIA 6280 7000 0000 0022 : fonds insuffisants (51)
+ * - CIB 6280 5800 0000 0000 037 : autorisation refusée (05)
+ * - CIB 6280 5800 0000 0000 045 : carte perdue (41)
+ * - EDAHABIA 6280 7000 0000 0030 : émetteur indisponible (91)
+ * - toute autre carte au bon format est acceptée, sauf si elle finit par 0000 (05)
+ */
+const crypto = require('crypto');
+const { isValidCIBCard, isValidEdahabiaCard } = require('../utils/helpers');
+const { SATIM_RESPONSE_CODES, verifySignature } = require('./satimService');
+
+const TEST_CARDS = {
+  '6280580000000000011': '00',
+  '6280580000000000029': '51',
+  '6280580000000000037': '05',
+  '6280580000000000045': '41',
+  '6280700000000014': '00',
+  '6280700000000022': '51',
+  '6280700000000030': '91'
+};
+
+const transactions = new Map();
+
+const generateId = (prefix) => `${prefix}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+/**
+ * Résultat d'une carte de test
+ * @returns {{ success: boolean, actionCode: string, message: string }}
+ */
+const evaluateTestCard = ({ cardNumber, expiryMonth, expiryYear, cardType }, now = new Date()) => {
+  const numero = String(cardNumber || '').replace(/\s/g, '');
+  const formatValide = cardType === 'edahabia' ? isValidEdahabiaCard(numero) : isValidCIBCard(numero);
+
+  let actionCode;
+  if (!formatValide) {
+    actionCode = '14';
+  } else if (new Date(2000 + parseInt(expiryYear, 10), parseInt(expiryMonth, 10)) <= now) {
+    actionCode = '33';
+  } else {
+    actionCode = TEST_CARDS[numero] || (numero.endsWith('0000') ? '05' : '00');
+  }
+
+  return { success: actionCode === '00', actionCode, message: SATIM_RESPONSE_CODES[actionCode].message };
+};
+
+/**
+ * Créer une transaction ; la redirection revient directement sur returnUrl (paiement accepté)
+ */
+const initiate = async ({ reference, amount, returnUrl, cardType }) => {
+  const transactionId = generateId('TEST');
+  transactions.set(transactionId, { reference, amount, cardType, status: 'PENDING' });
+
+  const separateur = returnUrl && returnUrl.includes('?') ? '&' : '?';
+  return {
+    success: true,
+    transactionId,
+    paymentUrl: returnUrl ? `${returnUrl}${separateur}orderId=${transactionId}` : null,
+    expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+    amount
+  };
+};
+
+/**
+ * Confirmer un paiement : débit direct si la carte est fournie, sinon retour de redirection
+ */
+const confirm = async ({ transactionId, amount, cardType, card }) => {
+  if (!card && !transactions.has(transactionId)) {
+    return { success: false, status: 'FAILED', error: 'Transaction inconnue', code: 'UNKNOWN_TRANSACTION', transactionId };
+  }
+
+  const id = transactionId && transactions.has(transactionId) ? transactionId : generateId('TEST');
+  const transaction = transactions.get(id) || { amount, cardType };
+  const montant = amount ?? transaction.amount;
+
+  const result = card
+    ? evaluateTestCard({ ...card, cardType: cardType || transaction.cardType })
+    : { success: true, actionCode: '00', message: SATIM_RESPONSE_CODES['00'].message };
+
+  transactions.set(id, { ...transaction, amount: montant, status: result.success ? 'COMPLETED' : 'FAILED' });
+
+  if (!result.success) {
+    return {
+      success: false,
+      status: 'FAILED',
+      error: result.message,
+      code: result.actionCode,
+      transactionId: id
+    };
+  }
+
+  return {
+    success: true,
+    status: 'COMPLETED',
+    transactionId: id,
+    authorizationCode: `AUTH${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+    cardLast4: card ? String(card.cardNumber).replace(/\s/g, '').slice(-4) : null,
+    cardType: (cardType || transaction.cardType || 'cib').toUpperCase(),
+    amount: montant,
+    responseCode: result.actionCode,
+    timestamp: new Date().toISOString(),
+    message: result.message
+  };
+};
+
+const status = async ({ transactionId }) => {
+  const transaction = transactions.get(transactionId);
+  return {
+    success: true,
+    transactionId,
+    status: transaction ? transaction.status : 'COMPLETED',
+    amount: transaction ? transaction.amount : null,
+    timestamp: new Date().toISOString()
+  };
+};
+
+const refund = async ({ transactionId, amount, reason }) => {
+  const transaction = transactions.get(transactionId);
+  if (transaction) {
+    transactions.set(transactionId, { ...transaction, status: 'REFUNDED' });
+  }
+
+  return {
+    success: true,
+    refundId: generateId('RFD'),
+    originalTransactionId: transactionId,
+    amount,
+    reason,
+    status: 'PROCESSED',
+    timestamp: new Date().toISOString(),
+    estimatedDelay: 'Immédiat (test)'
+  };
+};
+
+/**
+ * Notification du fournisseur de test, au format signé des webhooks SATIM
+ * { orderId, amount (centimes), status, actionCode, signature }
+ */
+const parseWebhook = async ({ orderId, amount, status: statut, actionCode, signature }) => {
+  if (!verifySignature({ orderId, amount, status: statut, actionCode }, signature)) {
+    return { success: false, error: 'Signature invalide', code: 'INVALID_SIGNATURE' };
+  }
+
+  return {
+    success: true,
+    orderId,
+    amount: amount / 100,
+    status: actionCode === '00' ? 'COMPLETED' : 'FAILED',
+    message: SATIM_RESPONSE_CODES[actionCode]?.message,
+    actionCode,
+    timestamp: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  name: 'test',
+  TEST_CARDS,
+  evaluateTestCard,
+  initiate,
+  confirm,
+  status,
+  refund,
+  parseWebhook
+};
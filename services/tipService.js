@@ -0,0 +1,93 @@
+/**
+ * Service des pourboires livreur
+ *
+ * Pourboire au checkout (montant fixe ou pourcentage du sous-total, inclus dans
+ * le total de la commande) ou après livraison (débité séparément, dans un délai
+ * configurable). Le pourboire est reversé intégralement au livreur via
+ * Livraison.pourboire.
+ */
+const { Livraison } = require('../models');
+const { ORDER_STATUS } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calculer le pourboire demandé par le client
+ * @param {Object} params
+ * @param {number} [params.montant] - pourboire fixe en DA
+ * @param {number} [params.pourcentage] - pourcentage du sous-total
+ * @param {number} params.base - sous-total de référence
+ * @param {Object} params.settings - réglages livraison (getSettings('delivery'))
+ * @returns {{ valid: boolean, error?: string, pourboire?: number }}
+ */
+const computeTip = ({ montant, pourcentage, base, settings }) => {
+  const hasMontant = montant !== undefined && montant !== null && montant !== '';
+  const hasPourcentage = pourcentage !== undefined && pourcentage !== null && pourcentage !== '';
+
+  if (!hasMontant && !hasPourcentage) return { valid: true, pourboire: 0 };
+
+  if (!settings.tipsEnabled) {
+    return { valid: false, error: 'Les pourboires sont désactivés' };
+  }
+  if (hasMontant && hasPourcentage) {
+    return { valid: false, error: 'Indiquez un montant ou un pourcentage de pourboire, pas les deux' };
+  }
+
+  let pourboire;
+  if (hasPourcentage) {
+    const taux = Number(pourcentage);
+    if (!Number.isFinite(taux) || taux < 0 || taux > settings.maxTipPercentage) {
+      return { valid: false, error: `Le pourboire doit être compris entre 0 et ${settings.maxTipPercentage}%` };
+    }
+    pourboire = round(base * taux / 100);
+  } else {
+    pourboire = round(Number(montant));
+    if (!Number.isFinite(pourboire) || pourboire < 0) {
+      return { valid: false, error: 'Montant de pourboire invalide' };
+    }
+  }
+
+  if (pourboire > settings.maxTipAmount) {
+    return { valid: false, error: `Le pourboire ne peut pas dépasser ${settings.maxTipAmount} DA` };
+  }
+
+  return { valid: true, pourboire };
+};
+
+/**
+ * Vérifier qu'un pourboire après livraison est encore possible
+ * @returns {{ valid: boolean, error?: string }}
+ */
+const checkTipWindow = (commande, settings, now = new Date()) => {
+  if (!settings.tipsEnabled) {
+    return { valid: false, error: 'Les pourboires sont désactivés' };
+  }
+  if (commande.statut !== ORDER_STATUS.DELIVERED || !commande.dateLivraison) {
+    return { valid: false, error: 'Le pourboire après livraison n\'est possible que pour une commande livrée' };
+  }
+
+  const limite = new Date(commande.dateLivraison).getTime() + settings.tipWindowHours * 3600000;
+  if (now.getTime() > limite) {
+    return { valid: false, error: `Le pourboire doit être laissé dans les ${settings.tipWindowHours}h suivant la livraison` };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Reverser un pourboire au livreur de la commande
+ * @returns {Promise<Livraison|null>} la livraison créditée (null si aucune)
+ */
+const creditTip = async ({ commandeId, montant, transaction }) => {
+  const livraison = await Livraison.findOne({ where: { commandeId }, transaction });
+  if (!livraison || montant <= 0) return livraison;
+
+  await livraison.increment('pourboire', { by: montant, transaction });
+  return livraison;
+};
+
+module.exports = {
+  computeTip,
+  checkTipWindow,
+  creditTip
+};
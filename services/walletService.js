@@ -0,0 +1,168 @@
+/**
+ * Portefeuille client
+ *
+ * Chaque client dispose d'un solde (User.soldePortefeuille) et d'un journal
+ * de mouvements (TransactionPortefeuille). Le portefeuille est crédité par
+ * les remboursements admin envoyés vers le portefeuille plutôt que vers la
+ * carte, par les résolutions de litige, et par l'annulation d'une commande
+ * qu'il a réglée. À la création d'une commande, le client peut l'utiliser
+ * pour tout ou partie du total : le reste est payé par carte ou en espèces
+ * (voir Commande.getMontantAPayer).
+ */
+const { User, TransactionPortefeuille, sequelize } = require('../models');
+const { WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Appliquer un mouvement au solde d'un client verrouillé (dans la transaction de l'appelant)
+ */
+const applyMovement = async (client, { type, montant, commandeId, litigeId, adminId, libelle }, transaction) => {
+  const soldeApres = round2(parseFloat(client.soldePortefeuille || 0) + montant);
+
+  await client.update({ soldePortefeuille: soldeApres }, { transaction });
+  return TransactionPortefeuille.create({
+    clientId: client.id,
+    type,
+    montant,
+    soldeApres,
+    commandeId: commandeId || null,
+    litigeId: litigeId || null,
+    adminId: adminId || null,
+    libelle: libelle ? libelle.slice(0, 255) : null
+  }, { transaction });
+};
+
+const findLockedClient = (clientId, transaction) => User.findByPk(clientId, {
+  attributes: ['id', 'soldePortefeuille'],
+  transaction,
+  lock: transaction.LOCK.UPDATE
+});
+
+/**
+ * Montant du portefeuille utilisable pour une commande (verrouille le solde jusqu'à la fin de la transaction)
+ * @param {Object} params
+ * @param {number} params.clientId
+ * @param {number} params.total - Total de la commande
+ * @param {number} [params.montantMax] - Plafond choisi par le client (par défaut : tout le solde)
+ * @param {Transaction} params.transaction
+ * @returns {Promise<number>}
+ */
+const getUsableBalance = async ({ clientId, total, montantMax, transaction }) => {
+  const client = await findLockedClient(clientId, transaction);
+  const solde = parseFloat(client?.soldePortefeuille || 0);
+  const plafond = montantMax ? parseFloat(montantMax) : Infinity;
+  return round2(Math.max(0, Math.min(solde, parseFloat(total), plafond)));
+};
+
+/**
+ * Débiter le portefeuille pour régler une commande (dans la transaction de la création)
+ * @param {Object} params
+ * @param {Commande} params.commande
+ * @param {number} params.montant
+ * @param {Transaction} transaction
+ * @returns {Promise<{ success: boolean, mouvement?: TransactionPortefeuille, error?: string }>}
+ */
+const payWithWallet = async ({ commande, montant }, transaction) => {
+  const client = await findLockedClient(commande.clientId, transaction);
+  const debit = round2(parseFloat(montant));
+
+  if (!client || parseFloat(client.soldePortefeuille || 0) < debit) {
+    return { success: false, error: 'Solde du portefeuille insuffisant' };
+  }
+
+  const mouvement = await applyMovement(client, {
+    type: WALLET_TRANSACTION_TYPES.PAYMENT,
+    montant: -debit,
+    commandeId: commande.id,
+    libelle: `Commande #${commande.numero}`
+  }, transaction);
+  return { success: true, mouvement };
+};
+
+/**
+ * Recréditer la part payée par le portefeuille encore engagée sur une commande
+ * (dans la transaction de l'annulation, d'un remboursement complet ou d'une modification)
+ * @param {Commande} commande
+ * @param {Transaction} transaction
+ * @param {Object} [options]
+ * @param {number} [options.montant] - Plafond à recréditer (par défaut : toute la part encore engagée)
+ * @param {string} [options.motif]
+ * @returns {Promise<TransactionPortefeuille|null>} null si le portefeuille n'a pas été utilisé ou déjà recrédité
+ */
+const restoreWalletPayment = async (commande, transaction, { montant, motif } = {}) => {
+  if (!(parseFloat(commande.montantPortefeuille || 0) > 0)) return null;
+
+  // Le solde verrouillé, deux restitutions simultanées ne peuvent pas rendre deux fois le même montant
+  const client = await findLockedClient(commande.clientId, transaction);
+  const mouvements = await TransactionPortefeuille.sum('montant', {
+    where: {
+      commandeId: commande.id,
+      type: [WALLET_TRANSACTION_TYPES.PAYMENT, WALLET_TRANSACTION_TYPES.CANCELLATION]
+    },
+    transaction
+  });
+  const engage = round2(-parseFloat(mouvements || 0));
+  const credit = round2(Math.min(engage, montant === undefined ? engage : parseFloat(montant)));
+  if (credit <= 0) return null;
+
+  return applyMovement(client, {
+    type: WALLET_TRANSACTION_TYPES.CANCELLATION,
+    montant: credit,
+    commandeId: commande.id,
+    libelle: `${motif || 'Annulation'} de la commande #${commande.numero}`
+  }, transaction);
+};
+
+/**
+ * Rembourser une commande sur le portefeuille du client (crédit immédiat)
+ * @param {Object} params
+ * @param {Commande} params.commande
+ * @param {number} params.montant
+ * @param {string} [params.motif]
+ * @param {number} [params.adminId]
+ * @param {number} [params.litigeId]
+ * @returns {Promise<{ success: boolean, mouvement?: TransactionPortefeuille, error?: string }>}
+ */
+const refundToWallet = async ({ commande, montant, motif, adminId, litigeId }) => {
+  const credit = round2(parseFloat(montant));
+  if (!(credit > 0)) {
+    return { success: false, error: 'Montant de remboursement invalide' };
+  }
+  if (credit > parseFloat(commande.total)) {
+    return { success: false, error: 'Le montant du remboursement dépasse le total de la commande' };
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const client = await findLockedClient(commande.clientId, transaction);
+    if (!client) {
+      await transaction.rollback();
+      return { success: false, error: 'Client non trouvé' };
+    }
+
+    const libelle = `${litigeId ? 'Litige' : 'Remboursement'} commande #${commande.numero}${motif ? ` : ${motif}` : ''}`;
+    const mouvement = await applyMovement(client, {
+      type: WALLET_TRANSACTION_TYPES.REFUND,
+      montant: credit,
+      commandeId: commande.id,
+      litigeId,
+      adminId,
+      libelle
+    }, transaction);
+
+    await transaction.commit();
+    return { success: true, mouvement };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  getUsableBalance,
+  payWithWallet,
+  restoreWalletPayment,
+  refundToWallet
+};
@@ -0,0 +1,44 @@
+/**
+ * Test Helpers
+ *
+ * Shared doubles for unit tests that mock the models.
+ */
+
+/**
+ * Sequelize transaction double (commit, rollback, row locks)
+ * Use it as `const mockTransaction = createMockTransaction()` so that
+ * jest.mock factories may reference it.
+ */
+const createMockTransaction = () => ({
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  afterCommit: jest.fn(),
+  LOCK: { UPDATE: 'UPDATE' }
+});
+
+/**
+ * Model instance double: set() and update() apply the changes to the record itself
+ * @param {Object} data - attributes (and overridden methods)
+ */
+const makeRecord = (data) => ({
+  set: jest.fn(function (changes) { Object.assign(this, changes); }),
+  update: jest.fn(async function (changes) { Object.assign(this, changes); return this; }),
+  ...data
+});
+
+/**
+ * Call an asyncHandler controller and wait for its JSON response or its error
+ * @returns {Promise<{ status: number, body?: Object, error?: Error }>}
+ */
+const callHandler = (handler, req) => new Promise((resolve) => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => resolve({ status: res.statusCode, body }));
+  handler({ params: {}, body: {}, ...req }, res, (error) => resolve({ status: res.statusCode, error }));
+});
+
+module.exports = {
+  createMockTransaction,
+  makeRecord,
+  callHandler
+};
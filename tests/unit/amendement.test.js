@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for Order Amendments
+ */
+
+const { createMockTransaction, makeRecord } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  CommandeItem: { findAll: jest.fn() },
+  Plat: { findOne: jest.fn(), findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+const mockRefund = jest.fn();
+jest.mock('../../services/paymentProviderService', () => ({ getPaymentProvider: jest.fn(() => ({ refund: mockRefund })) }));
+jest.mock('../../services/walletService', () => ({ restoreWalletPayment: jest.fn() }));
+jest.mock('../../services/giftCardService', () => ({ restoreGiftCards: jest.fn() }));
+jest.mock('../../config/logger', () => ({ error: jest.fn() }));
+
+const { Plat } = require('../../models');
+const { restoreWalletPayment } = require('../../services/walletService');
+const { restoreGiftCards } = require('../../services/giftCardService');
+const { getMontantAPayer } = require('../../utils/helpers');
+const { buildAmendement, refundDifference } = require('../../services/amendementService');
+
+const items = [
+  { id: 1, platId: 10, quantite: 2, prixUnitaire: '500.00', supplementsTotal: '0.00', options: [], platSnapshot: { nom: 'Pizza' } },
+  { id: 2, platId: 11, quantite: 3, prixUnitaire: '200.00', supplementsTotal: '50.00', options: [], platSnapshot: { nom: 'Frites' } }
+];
+
+// sousTotal 1750, reduction 175, livraison 200 → total 1775
+const makeCommande = (extra = {}) => ({
+  id: 1,
+  prestataireId: 20,
+  sousTotal: '1750.00',
+  reduction: '175.00',
+  total: '1775.00',
+  statutPaiement: 'en_attente',
+  modePaiement: 'especes',
+  ...extra
+});
+
+describe('Amendement Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should remove and reduce lines and scale the promo reduction', async () => {
+    const result = await buildAmendement({
+      commande: makeCommande(),
+      items,
+      changements: [
+        { commandeItemId: 1, action: 'retirer' },
+        { commandeItemId: 2, action: 'reduire', quantite: 2 }
+      ]
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.lignes).toHaveLength(1);
+    expect(result.nouveauSousTotal).toBe(500);
+    expect(result.nouvelleReduction).toBe(50);
+    expect(result.nouveauTotal).toBe(650);
+    expect(result.difference).toBe(1125);
+  });
+
+  it('should price a substitute dish from the same prestataire', async () => {
+    Plat.findOne.mockResolvedValue({
+      id: 12,
+      isAvailable: true,
+      stock: -1,
+      getNom: () => 'Pizza royale',
+      getPrixActuel: () => 650
+    });
+
+    const result = await buildAmendement({
+      commande: makeCommande({ reduction: '0.00', total: '1950.00' }),
+      items,
+      changements: [{ commandeItemId: 1, action: 'remplacer', platId: 12 }]
+    });
+
+    expect(Plat.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: 12, prestataireId: 20 })
+    }));
+    expect(result.valid).toBe(true);
+    expect(result.lignes[0]).toMatchObject({ remplaceItemId: 1, platId: 12, quantite: 2, sousTotal: 1300 });
+    expect(result.nouveauTotal).toBe(2250);
+    expect(result.difference).toBe(-300);
+  });
+
+  it('should refuse to raise the total of an order paid online', async () => {
+    Plat.findOne.mockResolvedValue({
+      id: 12,
+      isAvailable: true,
+      stock: -1,
+      getNom: () => 'Pizza royale',
+      getPrixActuel: () => 650
+    });
+
+    const result = await buildAmendement({
+      commande: makeCommande({ statutPaiement: 'reussi', modePaiement: 'cib', transactionId: 'TX1' }),
+      items,
+      changements: [{ commandeItemId: 1, action: 'remplacer', platId: 12 }]
+    });
+
+    expect(result.valid).toBe(false);
+  });
+
+  it('should reject invalid changes', async () => {
+    const commande = makeCommande();
+
+    const unknown = await buildAmendement({ commande, items, changements: [{ commandeItemId: 99, action: 'retirer' }] });
+    const badQuantity = await buildAmendement({ commande, items, changements: [{ commandeItemId: 2, action: 'reduire', quantite: 3 }] });
+    const everything = await buildAmendement({
+      commande,
+      items,
+      changements: [{ commandeItemId: 1, action: 'retirer' }, { commandeItemId: 2, action: 'retirer' }]
+    });
+
+    expect(unknown.valid).toBe(false);
+    expect(badQuantity.valid).toBe(false);
+    expect(everything.valid).toBe(false);
+  });
+
+  describe('refundDifference', () => {
+    const makeAmendement = (difference) => ({ id: 7, difference: String(difference), update: jest.fn() });
+    const makePaidCommande = (extra) => {
+      const commande = makeRecord(makeCommande({ numero: 'EAT-1', paiementDetails: {}, ...extra }));
+      commande.getMontantAPayer = () => getMontantAPayer(commande);
+      return commande;
+    };
+
+    it('should refund the card share, then the wallet share', async () => {
+      // 2000 payés : 500 par le portefeuille, 1500 par carte ; total ramené à 300
+      const commande = makePaidCommande({
+        total: '300.00',
+        montantPortefeuille: '500.00',
+        statutPaiement: 'reussi',
+        modePaiement: 'cib',
+        transactionId: 'TX1'
+      });
+      mockRefund.mockResolvedValue({ success: true, refundId: 'RFD-1', status: 'COMPLETED' });
+      restoreWalletPayment.mockResolvedValue({ id: 3, montant: '200.00' });
+      restoreGiftCards.mockResolvedValue(0);
+
+      const remboursement = await refundDifference({ amendement: makeAmendement(1700), commande });
+
+      expect(mockRefund).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 'TX1', amount: 1500 }));
+      expect(restoreWalletPayment).toHaveBeenCalledWith(commande, mockTransaction, { montant: 200, motif: 'Modification' });
+      expect(remboursement).toMatchObject({ success: true, amount: 1700, carte: 1500, portefeuille: 200, cartesCadeaux: 0 });
+      expect(commande.montantPortefeuille).toBe(300);
+      expect(commande.getMontantAPayer()).toBe(0);
+      expect(commande.paiementDetails.remboursementsPartiels).toEqual([expect.objectContaining({ amendementId: 7, amount: 1700 })]);
+    });
+
+    it('should give the difference back to the gift cards of a fully prepaid order', async () => {
+      const commande = makePaidCommande({
+        total: '1475.00',
+        montantCartesCadeaux: '1775.00',
+        statutPaiement: 'reussi',
+        modePaiement: 'carte_cadeau',
+        transactionId: null
+      });
+      restoreWalletPayment.mockResolvedValue(null);
+      restoreGiftCards.mockResolvedValue(300);
+
+      const remboursement = await refundDifference({ amendement: makeAmendement(300), commande });
+
+      expect(mockRefund).not.toHaveBeenCalled();
+      expect(restoreGiftCards).toHaveBeenCalledWith(commande, { transaction: mockTransaction, motif: 'Modification', montant: 300 });
+      expect(remboursement).toMatchObject({ success: true, amount: 300, carte: 0, cartesCadeaux: 300 });
+      expect(commande.montantCartesCadeaux).toBe(1475);
+    });
+
+    it('should only lower what is left to pay on an unpaid order', async () => {
+      const commande = makePaidCommande({ total: '1475.00', montantPortefeuille: '500.00' });
+
+      expect(await refundDifference({ amendement: makeAmendement(300), commande })).toBeNull();
+      expect(mockRefund).not.toHaveBeenCalled();
+      expect(restoreWalletPayment).not.toHaveBeenCalled();
+    });
+  });
+});
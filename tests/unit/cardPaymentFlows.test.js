@@ -0,0 +1,391 @@
+/**
+ * Unit Tests for the Card Payment Flows against the SATIM Provider
+ * (commande, pourboire après livraison, part de commande groupée)
+ */
+
+const { createMockTransaction, makeRecord, callHandler } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Checkout: { findOne: jest.fn() },
+  CommandeGroupe: { findOne: jest.fn() },
+  CommandeGroupePart: { findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Livraison: {},
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToPrestataire: jest.fn(),
+  emitToCommande: jest.fn()
+}));
+
+jest.mock('../../services/stockReservationService', () => ({
+  commitPayment: jest.fn(async () => ({ committed: true }))
+}));
+jest.mock('../../services/orderRulesService', () => ({
+  getPaymentOptions: jest.fn(),
+  checkPaymentMode: jest.fn(async () => ({ valid: true }))
+}));
+jest.mock('../../services/ledgerService', () => ({
+  recordRefund: jest.fn(),
+  recordTip: jest.fn()
+}));
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => ({ tipsEnabled: true, maxTipAmount: 2000, maxTipPercentage: 30, tipWindowHours: 24 }))
+}));
+jest.mock('../../services/tipService', () => ({
+  ...jest.requireActual('../../services/tipService'),
+  creditTip: jest.fn()
+}));
+jest.mock('../../services/groupOrderService', () => ({
+  generateGroupCode: jest.fn(),
+  isGroupeOuvert: jest.fn(),
+  computeParts: jest.fn(),
+  debitGiftCard: jest.fn(),
+  settleCommandeIfComplete: jest.fn(async () => true)
+}));
+
+const axios = require('axios');
+const { Commande, Checkout, CommandeGroupe, CommandeGroupePart } = require('../../models');
+const { commitPayment } = require('../../services/stockReservationService');
+const { checkPaymentMode } = require('../../services/orderRulesService');
+const { recordTip } = require('../../services/ledgerService');
+const { creditTip } = require('../../services/tipService');
+const { settleCommandeIfComplete } = require('../../services/groupOrderService');
+const { initiatePayment, processPayment, confirmCashPayment } = require('../../controllers/paiementController');
+const { laisserPourboire, confirmerPourboire } = require('../../controllers/pourboireController');
+const { payerPart, confirmerPart } = require('../../controllers/commandeGroupeController');
+const satimController = require('../../controllers/satimController');
+const { createSatimSimulator } = require('../../scripts/satimSimulator');
+
+const RETURN_URL = 'http://front.test/paiement/retour';
+const user = { id: 10, email: 'client@test.dz', telephone: '0550000000' };
+
+const call = (handler, req) => callHandler(handler, { user, ...req });
+
+/**
+ * Saisir une carte de test sur la page de paiement du simulateur
+ */
+const payOnForm = async (paymentUrl, cardNumber) => {
+  const { mdOrder } = Object.fromEntries(new URL(paymentUrl).searchParams);
+  await axios.post(
+    new URL('/payment/merchants/submit', paymentUrl).toString(),
+    new URLSearchParams({ mdOrder, cardNumber, expiryMonth: '12', expiryYear: '30', cvv: '123' }).toString(),
+    { maxRedirects: 0, validateStatus: status => status === 302 }
+  );
+};
+
+describe('Card Payment Flows (SATIM)', () => {
+  const env = { ...process.env };
+  let server;
+
+  beforeAll((done) => {
+    server = createSatimSimulator().listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYMENT_PROVIDER = 'satim';
+    process.env.SATIM_BASE_URL = `http://127.0.0.1:${server.address().port}/payment/rest`;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('Commande', () => {
+    const makeCommande = () => makeRecord({
+      id: 1,
+      numero: 'EAT-1',
+      clientId: 10,
+      prestataireId: 20,
+      statut: 'en_attente',
+      statutPaiement: 'en_attente',
+      modePaiement: 'cib',
+      transactionId: null,
+      getMontantAPayer: () => 1500
+    });
+
+    it('should confirm the order by its transaction after the redirect', async () => {
+      const commande = makeCommande();
+      Commande.findOne.mockResolvedValue(commande);
+      Checkout.findOne.mockResolvedValue(null);
+      Commande.update.mockResolvedValue([1]);
+
+      const session = await call(initiatePayment, { body: { commandeId: 1, cardType: 'cib', returnUrl: RETURN_URL } });
+      expect(session.body.success).toBe(true);
+      expect(commande.transactionId).toBe(session.body.data.sessionId);
+
+      await payOnForm(session.body.data.paymentUrl, '6280580000000000011');
+      const { status, body } = await call(processPayment, { body: { orderId: 'EAT-1' } });
+
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({ transactionId: commande.transactionId, amount: 1500, cardLast4: '0011' });
+      expect(commitPayment).toHaveBeenCalledWith(commande, expect.objectContaining({ statutPaiement: 'reussi' }));
+    });
+
+    it('should refuse to confirm an order without a payment session', async () => {
+      Commande.findOne.mockResolvedValue(makeCommande());
+      Checkout.findOne.mockResolvedValue(null);
+
+      const { status, error } = await call(processPayment, { body: { orderId: 'EAT-1' } });
+
+      expect(status).toBe(400);
+      expect(error.message).toMatch(/initiez d'abord la session de paiement/);
+      expect(Commande.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Route SATIM', () => {
+    const makeCommande = (extra = {}) => makeRecord({
+      id: 1,
+      numero: 'EAT-1',
+      clientId: 10,
+      prestataireId: 20,
+      statut: 'en_attente',
+      statutPaiement: 'en_attente',
+      modePaiement: 'cib',
+      checkoutId: null,
+      getMontantAPayer: () => 1500,
+      ...extra
+    });
+
+    it('should not pay a checkout sub-order or a cash order on its own', async () => {
+      Commande.findOne.mockResolvedValue(makeCommande({ checkoutId: 8 }));
+      const sousCommande = await call(satimController.initiatePayment, { body: { orderId: 1 } });
+      expect(sousCommande.status).toBe(400);
+      expect(sousCommande.error.message).toMatch(/réglez le checkout en une fois/);
+
+      Commande.findOne.mockResolvedValue(makeCommande({ modePaiement: 'especes' }));
+      const especes = await call(satimController.initiatePayment, { body: { orderId: 1 } });
+      expect(especes.status).toBe(400);
+      expect(especes.error.message).toMatch(/paiement en espèces/);
+    });
+
+    it('should not confirm a refunded order again when its return URL is replayed', async () => {
+      Commande.findOne.mockResolvedValue(makeCommande({ statutPaiement: 'rembourse', transactionId: 'TX1' }));
+      const res = { redirect: jest.fn() };
+
+      await satimController.paymentCallback({ query: { orderId: 'TX1' } }, res, jest.fn());
+
+      expect(res.redirect).toHaveBeenCalledWith(expect.stringMatching(/\/client\/orders\/1$/));
+      expect(commitPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Passage au paiement en espèces', () => {
+    const makeCommande = (extra = {}) => makeRecord({
+      id: 1,
+      numero: 'EAT-1',
+      clientId: 10,
+      prestataireId: 20,
+      statut: 'en_attente',
+      statutPaiement: 'echoue',
+      modePaiement: 'cib',
+      total: '1500.00',
+      stockReserveJusquA: new Date(Date.now() + 600000),
+      getMontantAPayer: () => 1500,
+      ...extra
+    });
+
+    it('should switch an unpaid order to cash on delivery and keep its stock', async () => {
+      Commande.findOne.mockResolvedValue(makeCommande());
+      Commande.update.mockResolvedValue([1]);
+
+      const { status, body } = await call(confirmCashPayment, { body: { orderId: 1 } });
+
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({ amount: 1500, commandeId: 1 });
+      expect(Commande.update).toHaveBeenCalledWith(
+        { modePaiement: 'especes', statutPaiement: 'en_attente', stockReserveJusquA: null },
+        { where: expect.objectContaining({ id: 1 }) }
+      );
+    });
+
+    it('should not switch to cash when cash on delivery is not allowed', async () => {
+      Commande.findOne.mockResolvedValue(makeCommande());
+      checkPaymentMode.mockResolvedValueOnce({
+        valid: false,
+        error: 'Le paiement à la livraison est limité à 1000 DA pour vos premières commandes'
+      });
+
+      const { status, error } = await call(confirmCashPayment, { body: { orderId: 1 } });
+
+      expect(status).toBe(400);
+      expect(error.message).toMatch(/limité à 1000 DA/);
+      expect(checkPaymentMode).toHaveBeenCalledWith(expect.objectContaining({
+        prestataireIds: [20], total: 1500, montantMode: 1500, modePaiement: 'especes'
+      }));
+      expect(Commande.update).not.toHaveBeenCalled();
+    });
+
+    it('should not ask for cash on a paid, refunded, prepaid or cancelled order', async () => {
+      for (const extra of [
+        { statutPaiement: 'reussi' },
+        { statutPaiement: 'rembourse' },
+        { statutPaiement: 'en_attente', getMontantAPayer: () => 0 },
+        { statut: 'annulee' }
+      ]) {
+        Commande.findOne.mockResolvedValue(makeCommande(extra));
+        const { status } = await call(confirmCashPayment, { body: { orderId: 1 } });
+        expect(status).toBe(400);
+      }
+      expect(Commande.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Pourboire après livraison', () => {
+    const makeCommande = () => makeRecord({
+      id: 2,
+      numero: 'EAT-2',
+      clientId: 10,
+      statut: 'livree',
+      dateLivraison: new Date(),
+      sousTotal: '2000.00',
+      pourboireApresLivraison: '0.00',
+      paiementDetails: null,
+      livraison: { livreurId: 30 }
+    });
+
+    it('should credit the livreur once the tip transaction is paid', async () => {
+      const commande = makeCommande();
+      Commande.findOne.mockResolvedValue(commande);
+      Commande.update.mockResolvedValue([1]);
+
+      const session = await call(laisserPourboire, {
+        params: { id: 2 },
+        body: { montant: 300, cardType: 'cib', returnUrl: RETURN_URL }
+      });
+      expect(session.body.data).toMatchObject({ pourboire: 300 });
+      expect(commande.paiementDetails.pourboireApresLivraison)
+        .toMatchObject({ montant: 300, transactionId: session.body.data.sessionId, statutPaiement: 'en_attente' });
+
+      await payOnForm(session.body.data.paymentUrl, '6280580000000000011');
+      const { status, body } = await call(confirmerPourboire, { params: { id: 2 } });
+
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({ pourboire: 300, transactionId: session.body.data.sessionId });
+      expect(Commande.update).toHaveBeenCalledWith(
+        { pourboireApresLivraison: 300 },
+        { where: { id: 2, pourboireApresLivraison: 0 }, transaction: mockTransaction }
+      );
+      expect(creditTip).toHaveBeenCalledWith({ commandeId: 2, montant: 300, transaction: mockTransaction });
+      expect(recordTip).toHaveBeenCalledWith(expect.objectContaining({ livreurId: 30, montant: 300 }));
+    });
+
+    it('should not credit a declined tip', async () => {
+      const commande = makeCommande();
+      Commande.findOne.mockResolvedValue(commande);
+
+      const session = await call(laisserPourboire, {
+        params: { id: 2 },
+        body: { montant: 300, cardType: 'cib', returnUrl: RETURN_URL }
+      });
+      await payOnForm(session.body.data.paymentUrl, '6280580000000000029');
+      const { status, body } = await call(confirmerPourboire, { params: { id: 2 } });
+
+      expect(status).toBe(400);
+      expect(body).toMatchObject({ success: false, code: '51' });
+      expect(commande.paiementDetails.pourboireApresLivraison.statutPaiement).toBe('echoue');
+      expect(Commande.update).not.toHaveBeenCalled();
+      expect(creditTip).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Part de commande groupée', () => {
+    const groupe = { id: 3, code: 'GRP3', hoteId: 11, commandeId: 4 };
+    const makePart = () => makeRecord({
+      id: 5,
+      groupeId: 3,
+      participantId: 10,
+      montant: '1200.00',
+      modePaiement: null,
+      statutPaiement: 'en_attente',
+      transactionId: null
+    });
+
+    beforeEach(() => {
+      Commande.findByPk.mockResolvedValue({ id: 4, statut: 'en_attente' });
+    });
+
+    it('should settle the share once its transaction is paid', async () => {
+      const part = makePart();
+      CommandeGroupe.findOne.mockResolvedValue(groupe);
+      CommandeGroupePart.findOne.mockResolvedValue(part);
+      CommandeGroupePart.update.mockImplementation(async (changes) => {
+        Object.assign(part, changes);
+        return [1];
+      });
+      CommandeGroupePart.findByPk.mockResolvedValue(part);
+
+      const session = await call(payerPart, {
+        params: { code: 'GRP3' },
+        body: { modePaiement: 'edahabia', returnUrl: RETURN_URL }
+      });
+      expect(session.body.data).toMatchObject({ amount: 1200 });
+      expect(part).toMatchObject({ modePaiement: 'edahabia', transactionId: session.body.data.sessionId });
+
+      await payOnForm(session.body.data.paymentUrl, '6280700000000014');
+      const { status, body } = await call(confirmerPart, { params: { code: 'GRP3' } });
+
+      expect(status).toBe(200);
+      expect(body.data.commandePayee).toBe(true);
+      expect(part).toMatchObject({ statutPaiement: 'reussi', transactionId: session.body.data.sessionId });
+      expect(settleCommandeIfComplete).toHaveBeenCalledWith(4);
+    });
+
+    it('should keep a share unpaid when the amount does not match', async () => {
+      const part = makePart();
+      CommandeGroupe.findOne.mockResolvedValue(groupe);
+      CommandeGroupePart.findOne.mockResolvedValue(part);
+      CommandeGroupePart.update.mockImplementation(async (changes) => {
+        Object.assign(part, changes);
+        return [1];
+      });
+
+      const session = await call(payerPart, {
+        params: { code: 'GRP3' },
+        body: { modePaiement: 'cib', returnUrl: RETURN_URL }
+      });
+      await payOnForm(session.body.data.paymentUrl, '6280580000000000011');
+
+      // La part a changé depuis l'ouverture de la session
+      part.montant = '1500.00';
+      const { status, body } = await call(confirmerPart, { params: { code: 'GRP3' } });
+
+      expect(status).toBe(400);
+      expect(body.code).toBe('AMOUNT_MISMATCH');
+      expect(part.statutPaiement).toBe('echoue');
+      expect(settleCommandeIfComplete).not.toHaveBeenCalled();
+    });
+
+    it('should not take a share payment once the group order is cancelled', async () => {
+      CommandeGroupe.findOne.mockResolvedValue(groupe);
+      CommandeGroupePart.findOne.mockResolvedValue(makePart());
+      Commande.findByPk.mockResolvedValue({ id: 4, statut: 'annulee' });
+
+      const { status, error } = await call(payerPart, {
+        params: { code: 'GRP3' },
+        body: { modePaiement: 'cib', returnUrl: RETURN_URL }
+      });
+
+      expect(status).toBe(400);
+      expect(error.message).toBe('La commande groupée a été annulée');
+      expect(CommandeGroupePart.update).not.toHaveBeenCalled();
+    });
+  });
+});
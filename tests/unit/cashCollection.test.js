@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Livreur Cash-on-Delivery Reconciliation
+ */
+
+const { createMockTransaction, makeRecord } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Livraison: { findOne: jest.fn() },
+  User: { findByPk: jest.fn(), findOne: jest.fn() },
+  MouvementEspeces: { create: jest.fn(async data => ({ id: 1, ...data })) },
+  RemiseEspeces: { create: jest.fn(async data => ({ id: 7, ...data })), findAll: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+const { Livraison, User, MouvementEspeces, RemiseEspeces } = require('../../models');
+const {
+  isUnderCashCap,
+  collectCashOnDelivery,
+  recordRemittance,
+  getDiscrepancyReport
+} = require('../../services/cashCollectionService');
+
+const makeLivreur = (soldeEspeces) => makeRecord({ id: 30, soldeEspeces });
+
+describe('Cash-on-Delivery Reconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should compare the cash held plus the order against the cap', () => {
+    expect(isUnderCashCap('18000.00', 2000, 20000)).toBe(true);
+    expect(isUnderCashCap('18000.00', 2000.01, 20000)).toBe(false);
+    expect(isUnderCashCap('50000.00', 2000, 0)).toBe(true);
+  });
+
+  it('should add the order total to the livreur cash on a cash delivery', async () => {
+    const livreur = makeLivreur('1500.00');
+    Livraison.findOne.mockResolvedValue({ id: 3, livreurId: 30 });
+    User.findByPk.mockResolvedValue(livreur);
+
+    const commande = { id: 1, numero: 'EAT-1', modePaiement: 'especes', total: '2450.50' };
+    await collectCashOnDelivery(commande, mockTransaction);
+
+    expect(User.findByPk).toHaveBeenCalledWith(30, expect.objectContaining({ lock: 'UPDATE', transaction: mockTransaction }));
+    expect(livreur.soldeEspeces).toBe(3950.5);
+    expect(MouvementEspeces.create).toHaveBeenCalledWith(
+      expect.objectContaining({ livreurId: 30, type: 'encaissement', montant: 2450.5, soldeApres: 3950.5, commandeId: 1 }),
+      { transaction: mockTransaction }
+    );
+  });
+
+  it('should ignore card payments and orders delivered without a livreur', async () => {
+    expect(await collectCashOnDelivery({ id: 1, modePaiement: 'cib', total: '1000.00' }, mockTransaction)).toBeNull();
+    expect(Livraison.findOne).not.toHaveBeenCalled();
+
+    Livraison.findOne.mockResolvedValue(null);
+    expect(await collectCashOnDelivery({ id: 2, modePaiement: 'especes', total: '1000.00' }, mockTransaction)).toBeNull();
+    expect(MouvementEspeces.create).not.toHaveBeenCalled();
+  });
+
+  it('should record a remittance and keep a shortfall on the balance', async () => {
+    const livreur = makeLivreur('5000.00');
+    User.findOne.mockResolvedValue(livreur);
+
+    const result = await recordRemittance({ livreurId: 30, adminId: 1, montantRemis: 4800, commentaire: 'Billet manquant' });
+
+    expect(result.success).toBe(true);
+    expect(RemiseEspeces.create).toHaveBeenCalledWith(
+      expect.objectContaining({ montantAttendu: 5000, montantRemis: 4800, ecart: -200, soldeApres: 200 }),
+      { transaction: mockTransaction }
+    );
+    expect(MouvementEspeces.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'remise', montant: -4800, soldeApres: 200, remiseId: 7 }),
+      { transaction: mockTransaction }
+    );
+    expect(livreur.soldeEspeces).toBe(200);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  it('should refuse remittances for unknown livreurs', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const result = await recordRemittance({ livreurId: 99, adminId: 1, montantRemis: 100 });
+
+    expect(result).toEqual({ success: false, error: 'Livreur non trouvé' });
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(RemiseEspeces.create).not.toHaveBeenCalled();
+  });
+
+  it('should summarise discrepancies per livreur', async () => {
+    RemiseEspeces.findAll.mockResolvedValue([
+      { livreurId: 30, ecart: '-200.00', livreur: { id: 30 } },
+      { livreurId: 31, ecart: '50.00', livreur: { id: 31 } },
+      { livreurId: 30, ecart: '-100.00', livreur: { id: 30 } }
+    ]);
+
+    const rapport = await getDiscrepancyReport();
+
+    expect(rapport.totalManquant).toBe(300);
+    expect(rapport.totalExcedent).toBe(50);
+    expect(rapport.parLivreur[0]).toMatchObject({ livreur: { id: 30 }, nombreEcarts: 2, manquant: 300, excedent: 0 });
+  });
+});
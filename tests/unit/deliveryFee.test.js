@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Delivery Fee Engine
+ */
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn()
+}));
+
+const { getSettings } = require('../../services/settingsService');
+const { calculateDeliveryFee, matchesZone } = require('../../services/deliveryFeeService');
+
+const baseSettings = {
+  baseDeliveryFee: 200,
+  freeDeliveryThreshold: 2000,
+  maxDeliveryDistance: 15,
+  includedDeliveryDistance: 3,
+  deliveryFeePerKm: 20,
+  deliveryZones: [
+    { nom: 'Alger Centre', frais: 150, communes: ['Sidi M\'Hamed'] }
+  ]
+};
+
+const prestataire = {
+  id: 1,
+  nomEtablissement: 'Chez Karim',
+  zonesLivraison: [],
+  positionActuelle: { lat: 36.7538, lng: 3.0588 }
+};
+
+describe('Delivery Fee Engine', () => {
+  beforeEach(() => {
+    getSettings.mockResolvedValue(baseSettings);
+  });
+
+  describe('matchesZone', () => {
+    it('should ignore case, accents and dashes', () => {
+      expect(matchesZone('Bab-Ezzouar', { villeLivraison: 'bab ezzouar' })).toBe(true);
+      expect(matchesZone('Hydra', { adresseLivraison: '12 rue des Pins, Hydra' })).toBe(true);
+      expect(matchesZone('Hydra', { adresseLivraison: 'Cité Hydrauliques' })).toBe(false);
+    });
+  });
+
+  describe('calculateDeliveryFee', () => {
+    it('should use the zone fee when the address matches a zone', async () => {
+      const result = await calculateDeliveryFee({
+        prestataire,
+        villeLivraison: 'Sidi M\'Hamed',
+        sousTotal: 1000
+      });
+
+      expect(result).toMatchObject({ disponible: true, frais: 150, mode: 'zone', zone: 'Alger Centre' });
+    });
+
+    it('should charge per km beyond the included distance', async () => {
+      const result = await calculateDeliveryFee({
+        prestataire,
+        adresseLivraison: 'Quelque part',
+        positionLivraison: { lat: 36.7538, lng: 3.1588 },
+        sousTotal: 1000
+      });
+
+      expect(result.mode).toBe('distance');
+      expect(result.distanceKm).toBeGreaterThan(3);
+      expect(result.frais).toBe(Math.round(200 + (result.distanceKm - 3) * 20));
+    });
+
+    it('should refuse addresses beyond the maximum distance', async () => {
+      const result = await calculateDeliveryFee({
+        prestataire,
+        positionLivraison: { lat: 35.6971, lng: -0.6308 },
+        sousTotal: 1000
+      });
+
+      expect(result.disponible).toBe(false);
+    });
+
+    it('should refuse addresses outside the prestataire zones', async () => {
+      const result = await calculateDeliveryFee({
+        prestataire: { ...prestataire, zonesLivraison: ['Hydra', 'El Biar'] },
+        villeLivraison: 'Blida',
+        sousTotal: 1000
+      });
+
+      expect(result.disponible).toBe(false);
+      expect(result.error).toContain('Chez Karim');
+    });
+
+    it('should offer delivery above the free delivery threshold', async () => {
+      const result = await calculateDeliveryFee({
+        prestataire,
+        villeLivraison: 'Alger Centre',
+        sousTotal: 2500
+      });
+
+      expect(result).toMatchObject({ frais: 0, livraisonGratuite: true });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Delivery Slots
+ */
+
+jest.mock('../../models', () => ({
+  CreneauLivraison: { findAll: jest.fn(), findOrCreate: jest.fn(), update: jest.fn() },
+  sequelize: { literal: jest.fn(sql => sql) }
+}));
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => ({ timezone: 'Africa/Algiers' }))
+}));
+
+const { CreneauLivraison } = require('../../models');
+const {
+  validateCreneaux,
+  getAvailableSlots,
+  resolveDeliverySlot,
+  reserveSlot
+} = require('../../services/deliverySlotService');
+
+// Heure d'Alger (UTC+1, sans heure d'été)
+const alger = (iso) => new Date(`${iso}+01:00`);
+
+// 2026-10-19 est un lundi : service du midi de 12:00 à 13:00
+const prestataire = {
+  id: 20,
+  horairesOuverture: { lundi: { ouvert: true, debut: '12:00', fin: '13:00' } },
+  creneauxLivraison: { actif: true, dureeMinutes: 15, maxCommandes: 2, delaiMinimumMinutes: 30 }
+};
+const now = alger('2026-10-19T10:00:00');
+
+describe('Delivery Slot Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CreneauLivraison.findAll.mockResolvedValue([{ debut: alger('2026-10-19T12:15:00'), reservations: 2 }]);
+  });
+
+  it('should cut opening hours into slots with remaining places', async () => {
+    const slots = await getAvailableSlots({ prestataire, date: '2026-10-19', now });
+
+    expect(slots.map(s => s.debut)).toEqual([
+      alger('2026-10-19T12:00:00'),
+      alger('2026-10-19T12:15:00'),
+      alger('2026-10-19T12:30:00'),
+      alger('2026-10-19T12:45:00')
+    ]);
+    expect(slots[0]).toMatchObject({ placesRestantes: 2, disponible: true });
+    expect(slots[1]).toMatchObject({ placesRestantes: 0, disponible: false });
+  });
+
+  it('should hide slots starting before the minimum notice', async () => {
+    const slots = await getAvailableSlots({ prestataire, date: '2026-10-19', now: alger('2026-10-19T11:50:00') });
+
+    expect(slots[0].debut).toEqual(alger('2026-10-19T12:30:00'));
+  });
+
+  it('should refuse a full slot chosen by the client and point to the next one', async () => {
+    const full = await resolveDeliverySlot({ prestataire, date: alger('2026-10-19T12:20:00'), exact: true, now });
+    expect(full.valid).toBe(false);
+    expect(full.error).toContain('12:30');
+
+    const ok = await resolveDeliverySlot({ prestataire, date: alger('2026-10-19T12:05:00'), exact: true, now });
+    expect(ok.creneau).toEqual({ debut: alger('2026-10-19T12:00:00'), fin: alger('2026-10-19T12:15:00') });
+  });
+
+  it('should push automatic scheduling to the first free slot', async () => {
+    const slot = await resolveDeliverySlot({ prestataire, date: alger('2026-10-19T12:15:00'), exact: false, now });
+
+    expect(slot.creneau.debut).toEqual(alger('2026-10-19T12:30:00'));
+  });
+
+  it('should ignore slots when the prestataire does not publish them', async () => {
+    const slot = await resolveDeliverySlot({
+      prestataire: { ...prestataire, creneauxLivraison: null },
+      date: alger('2026-10-19T12:15:00'),
+      exact: true,
+      now
+    });
+
+    expect(slot).toEqual({ valid: true, creneau: null });
+  });
+
+  it('should reserve only while the slot has room', async () => {
+    const creneau = { debut: alger('2026-10-19T12:00:00'), fin: alger('2026-10-19T12:15:00') };
+    CreneauLivraison.findOrCreate.mockResolvedValue([{ id: 5 }]);
+
+    CreneauLivraison.update.mockResolvedValue([1]);
+    expect(await reserveSlot({ prestataire, creneau })).toEqual({ success: true, creneauId: 5 });
+    expect(CreneauLivraison.update.mock.calls[0][1].where.reservations).toBeDefined();
+
+    CreneauLivraison.update.mockResolvedValue([0]);
+    expect((await reserveSlot({ prestataire, creneau })).success).toBe(false);
+  });
+
+  it('should validate the slot configuration', () => {
+    expect(validateCreneaux({ actif: true, dureeMinutes: 15, maxCommandes: 5 }).valid).toBe(true);
+    expect(validateCreneaux(null).valid).toBe(true);
+    expect(validateCreneaux({ dureeMinutes: 7 }).valid).toBe(false);
+    expect(validateCreneaux({ maxCommandes: 0 }).valid).toBe(false);
+    expect(validateCreneaux({ actif: 'oui' }).valid).toBe(false);
+  });
+});
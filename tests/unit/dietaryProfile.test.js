@@ -0,0 +1,53 @@
+/**
+ * Unit Tests for the Dietary Profile
+ */
+
+const {
+  validateProfilAlimentaire,
+  getPlatWarnings,
+  withWarnings,
+  checkCartConflicts,
+  buildAcknowledgement
+} = require('../../services/dietaryProfileService');
+
+const bowl = { id: 1, nom: { fr: 'Bowl poulet' }, allergenes: ['gluten', 'sesame'], tags: ['halal'] };
+const salade = { id: 2, nom: { fr: 'Salade' }, allergenes: [], tags: ['vegan', 'halal'] };
+
+describe('Dietary Profile Service', () => {
+  it('should flag declared allergens and diets the dish does not meet', () => {
+    const avertissements = getPlatWarnings(bowl, { allergies: ['sesame', 'lait'], regimes: ['vegetarien', 'halal', 'sans-gluten'] });
+
+    expect(avertissements.map(a => `${a.type}:${a.code}`)).toEqual([
+      'allergie:sesame',
+      'regime:vegetarien',
+      'regime:sans-gluten'
+    ]);
+  });
+
+  it('should treat vegan dishes as vegetarian', () => {
+    expect(getPlatWarnings(salade, { regimes: ['vegetarien', 'sans-lactose'] })).toEqual([]);
+  });
+
+  it('should leave catalog entries untouched without a profile', () => {
+    expect(withWarnings([bowl], null)[0].avertissements).toBeUndefined();
+    expect(withWarnings([bowl], { allergies: ['gluten'] })[0].avertissements).toHaveLength(1);
+  });
+
+  it('should list only conflicting cart dishes and timestamp the acknowledgement', () => {
+    const conflits = checkCartConflicts([bowl, salade], { allergies: ['gluten'] });
+
+    expect(conflits).toEqual([
+      { platId: 1, nom: 'Bowl poulet', avertissements: [expect.objectContaining({ code: 'gluten' })] }
+    ]);
+    expect(buildAcknowledgement(conflits).confirmeLe).toBeInstanceOf(Date);
+    expect(buildAcknowledgement([])).toBeNull();
+  });
+
+  it('should validate the profile against the allergen and diet lists', () => {
+    expect(validateProfilAlimentaire({ allergies: ['gluten'], regimes: ['halal'] }).valid).toBe(true);
+    expect(validateProfilAlimentaire(null).valid).toBe(true);
+    expect(validateProfilAlimentaire({ allergies: ['chocolat'] }).valid).toBe(false);
+    expect(validateProfilAlimentaire({ regimes: 'vegan' }).valid).toBe(false);
+    expect(validateProfilAlimentaire({ preferences: [] }).valid).toBe(false);
+  });
+});
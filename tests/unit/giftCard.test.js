@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Gift Card Redemption at Checkout
+ */
+
+const { createMockTransaction, makeRecord } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { findByPk: jest.fn() },
+  GiftCard: { findOne: jest.fn(), findByPk: jest.fn() },
+  MouvementCarteCadeau: { create: jest.fn(async data => ({ id: 1, ...data })), findAll: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+const { GiftCard, MouvementCarteCadeau } = require('../../models');
+const { allocateGiftCards, redeemGiftCards, restoreGiftCards } = require('../../services/giftCardService');
+
+const makeCard = (id, code, montantRestant, extra = {}) => makeRecord({
+  id,
+  code,
+  montantRestant,
+  beneficiaireId: 10,
+  statut: 'claimed',
+  dateExpiration: new Date(Date.now() + 86400000),
+  ...extra
+});
+
+const commande = { id: 1, numero: 'EAT-1', clientId: 10, total: '2500.00', montantCartesCadeaux: '0.00' };
+
+describe('Gift Card Redemption', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should spread the total over the cards in order and lock them', async () => {
+    const premiere = makeCard(1, 'GIFT-AAAA-1111', '1000.00');
+    const seconde = makeCard(2, 'GIFT-BBBB-2222', '5000.00');
+    GiftCard.findOne.mockResolvedValueOnce(premiere).mockResolvedValueOnce(seconde);
+
+    const result = await allocateGiftCards({
+      codes: ['gift-aaaa-1111 ', 'GIFT-BBBB-2222', 'GIFT-AAAA-1111'],
+      clientId: 10,
+      total: 2500,
+      transaction: mockTransaction
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.total).toBe(2500);
+    expect(result.utilisations.map(u => u.montant)).toEqual([1000, 1500]);
+    expect(GiftCard.findOne).toHaveBeenCalledTimes(2);
+    expect(GiftCard.findOne).toHaveBeenCalledWith({ where: { code: 'GIFT-AAAA-1111' }, transaction: mockTransaction, lock: 'UPDATE' });
+  });
+
+  it('should reject cards that are not claimed by the client or expired', async () => {
+    GiftCard.findOne.mockResolvedValueOnce(makeCard(1, 'GIFT-AAAA-1111', '1000.00', { beneficiaireId: 99 }));
+    expect(await allocateGiftCards({ codes: ['GIFT-AAAA-1111'], clientId: 10, total: 500, transaction: mockTransaction }))
+      .toEqual({ success: false, error: 'Carte cadeau introuvable ou non réclamée : GIFT-AAAA-1111' });
+
+    GiftCard.findOne.mockResolvedValueOnce(makeCard(2, 'GIFT-BBBB-2222', '1000.00', { dateExpiration: new Date('2020-01-01') }));
+    expect(await allocateGiftCards({ codes: ['GIFT-BBBB-2222'], clientId: 10, total: 500, transaction: mockTransaction }))
+      .toEqual({ success: false, error: 'La carte cadeau GIFT-BBBB-2222 ne peut plus être utilisée' });
+  });
+
+  it('should debit each card against the order and mark emptied cards used', async () => {
+    const premiere = makeCard(1, 'GIFT-AAAA-1111', '1000.00');
+    const seconde = makeCard(2, 'GIFT-BBBB-2222', '5000.00');
+
+    await redeemGiftCards({
+      commande,
+      utilisations: [{ giftCard: premiere, montant: 1000 }, { giftCard: seconde, montant: 1500 }]
+    }, mockTransaction);
+
+    expect(premiere).toMatchObject({ montantRestant: 0, statut: 'used' });
+    expect(seconde).toMatchObject({ montantRestant: 3500, statut: 'claimed' });
+    expect(MouvementCarteCadeau.create).toHaveBeenCalledWith(
+      expect.objectContaining({ giftCardId: 2, commandeId: 1, clientId: 10, type: 'utilisation', montant: -1500, soldeApres: 3500 }),
+      { transaction: mockTransaction }
+    );
+  });
+
+  it('should restore only what is still committed on the order', async () => {
+    const carte = makeCard(1, 'GIFT-AAAA-1111', '0.00', { statut: 'used' });
+    GiftCard.findByPk.mockResolvedValue(carte);
+    MouvementCarteCadeau.findAll.mockResolvedValue([
+      { giftCardId: 1, montant: '-1000.00' },
+      { giftCardId: 2, montant: '-1500.00' },
+      { giftCardId: 2, montant: '1500.00' }
+    ]);
+
+    const total = await restoreGiftCards({ ...commande, montantCartesCadeaux: '2500.00' }, { motif: 'Remboursement' });
+
+    expect(total).toBe(1000);
+    expect(GiftCard.findByPk).toHaveBeenCalledTimes(1);
+    expect(carte).toMatchObject({ montantRestant: 1000, statut: 'claimed' });
+    expect(MouvementCarteCadeau.create).toHaveBeenCalledWith(
+      expect.objectContaining({ giftCardId: 1, type: 'restitution', montant: 1000, soldeApres: 1000 }),
+      { transaction: mockTransaction }
+    );
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  it('should do nothing for orders paid without gift cards', async () => {
+    expect(await restoreGiftCards(commande, { transaction: mockTransaction })).toBe(0);
+    expect(MouvementCarteCadeau.findAll).not.toHaveBeenCalled();
+  });
+});
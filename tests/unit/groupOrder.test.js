@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Group Orders
+ */
+
+const { Op } = require('sequelize');
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { update: jest.fn(), findByPk: jest.fn() },
+  CommandeGroupePart: { findAll: jest.fn() },
+  GiftCard: { findOne: jest.fn() },
+  MouvementCarteCadeau: { create: jest.fn() }
+}));
+
+jest.mock('../../config/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToPrestataire: jest.fn(),
+  emitToCommande: jest.fn()
+}));
+
+const { Commande, CommandeGroupePart, GiftCard, MouvementCarteCadeau } = require('../../models');
+const { emitToCommande } = require('../../config/socket');
+const {
+  isGroupeOuvert,
+  computeParts,
+  debitGiftCard,
+  settleCommandeIfComplete
+} = require('../../services/groupOrderService');
+
+describe('Group Order Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should close the group after the cutoff or once ordered', () => {
+    const now = new Date('2026-03-02T11:00:00Z');
+    const dateLimite = new Date('2026-03-02T11:30:00Z');
+
+    expect(isGroupeOuvert({ statut: 'ouverte', dateLimite }, now)).toBe(true);
+    expect(isGroupeOuvert({ statut: 'ouverte', dateLimite }, new Date('2026-03-02T12:00:00Z'))).toBe(false);
+    expect(isGroupeOuvert({ statut: 'commandee', dateLimite }, now)).toBe(false);
+  });
+
+  it('should split reduction by subtotal and delivery fees equally', () => {
+    const devis = {
+      lignes: [{ sousTotal: 600 }, { sousTotal: 300 }, { sousTotal: 100 }],
+      reduction: 100,
+      fraisLivraison: 200
+    };
+    const items = [{ participantId: 1 }, { participantId: 2 }, { participantId: 1 }];
+
+    const parts = computeParts(devis, items);
+
+    expect(parts).toEqual([
+      { participantId: 1, sousTotal: 700, reduction: 70, fraisLivraison: 100, montant: 730 },
+      { participantId: 2, sousTotal: 300, reduction: 30, fraisLivraison: 100, montant: 370 }
+    ]);
+    expect(parts.reduce((sum, p) => sum + p.montant, 0)).toBe(1100);
+  });
+
+  it('should only debit a gift card owned by the participant with enough balance', async () => {
+    const part = { commandeId: 7, participantId: 1, montant: '500.00' };
+
+    GiftCard.findOne.mockResolvedValue({ id: 3, beneficiaireId: 99, statut: 'claimed' });
+    const notMine = await debitGiftCard({ code: 'GIFT-1', part, transaction: mockTransaction });
+    expect(notMine.success).toBe(false);
+
+    const lowCard = { id: 3, beneficiaireId: 1, statut: 'claimed', montantRestant: '200.00', update: jest.fn() };
+    GiftCard.findOne.mockResolvedValue(lowCard);
+    const insufficient = await debitGiftCard({ code: 'GIFT-1', part, transaction: mockTransaction });
+    expect(insufficient.success).toBe(false);
+    expect(lowCard.update).not.toHaveBeenCalled();
+
+    const giftCard = {
+      id: 3,
+      beneficiaireId: 1,
+      statut: 'claimed',
+      montantRestant: '500.00',
+      update: jest.fn()
+    };
+    GiftCard.findOne.mockResolvedValue(giftCard);
+    const paid = await debitGiftCard({ code: 'GIFT-1', part, libelle: 'Part de la commande groupée GRP1', transaction: mockTransaction });
+
+    expect(paid.success).toBe(true);
+    expect(GiftCard.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', transaction: mockTransaction }));
+    expect(giftCard.update).toHaveBeenCalledWith(
+      expect.objectContaining({ montantRestant: 0, statut: 'used' }),
+      { transaction: mockTransaction }
+    );
+    expect(MouvementCarteCadeau.create).toHaveBeenCalledWith(
+      expect.objectContaining({ giftCardId: 3, commandeId: 7, clientId: 1, type: 'utilisation', montant: -500, soldeApres: 0 }),
+      { transaction: mockTransaction }
+    );
+    expect(MouvementCarteCadeau.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mark the order paid only when every share is paid', async () => {
+    CommandeGroupePart.findAll.mockResolvedValue([
+      { participantId: 1, statutPaiement: 'reussi' },
+      { participantId: 2, statutPaiement: 'en_attente' }
+    ]);
+    expect(await settleCommandeIfComplete(7)).toBe(false);
+    expect(Commande.update).not.toHaveBeenCalled();
+
+    CommandeGroupePart.findAll.mockResolvedValue([
+      { participantId: 1, statutPaiement: 'reussi' },
+      { participantId: 2, statutPaiement: 'reussi' }
+    ]);
+    Commande.update.mockResolvedValue([1]);
+    Commande.findByPk.mockResolvedValue({ id: 7, numero: 'EAT-7', prestataireId: 20 });
+
+    expect(await settleCommandeIfComplete(7)).toBe(true);
+    expect(Commande.update).toHaveBeenCalledWith({ statutPaiement: 'reussi' }, {
+      where: expect.objectContaining({ id: 7, statut: { [Op.ne]: 'annulee' } })
+    });
+    expect(emitToCommande).toHaveBeenCalledWith(7, 'commande:payee', expect.anything());
+  });
+});
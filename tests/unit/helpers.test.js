@@ -13,6 +13,7 @@ const {
   sanitizeSearchQuery,
   paginate,
   paginationResponse,
+  getMontantAPayer,
   maskEmail,
   slugify
 } = require('../../utils/helpers');
@@ -182,6 +183,13 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('getMontantAPayer', () => {
+    it('should deduct the wallet and gift card shares from the total', () => {
+      expect(getMontantAPayer({ total: '2000.00', montantPortefeuille: '500.00', montantCartesCadeaux: '300.50' })).toBe(1199.5);
+      expect(getMontantAPayer({ total: '2000.00' })).toBe(2000);
+    });
+  });
+
   describe('maskEmail', () => {
     it('should mask email correctly', () => {
       expect(maskEmail('test@example.com')).toBe('t**t@example.com');
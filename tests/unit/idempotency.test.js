@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for Idempotency Middleware
+ */
+
+const mockStore = new Map();
+
+jest.mock('../../config/redis', () => ({
+  safeGet: jest.fn(async (key) => mockStore.get(key) || null),
+  safeSet: jest.fn(async (key, value) => { mockStore.set(key, value); return true; }),
+  safeSetNX: jest.fn(async (key, value) => {
+    if (mockStore.has(key)) return false;
+    mockStore.set(key, value);
+    return true;
+  }),
+  safeDel: jest.fn(async (key) => mockStore.delete(key))
+}));
+
+jest.mock('../../models', () => ({ IdempotencyKey: {} }));
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const { idempotency, hashRequest } = require('../../middleware/idempotencyMiddleware');
+
+const makeReq = (body, key = 'abc-123') => ({
+  method: 'POST',
+  baseUrl: '/api/commandes',
+  path: '/',
+  originalUrl: '/api/commandes',
+  user: { id: 7 },
+  body,
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const makeRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status: jest.fn((code) => { res.statusCode = code; return res; }),
+    set: jest.fn((name, value) => { res.headers[name] = value; return res; }),
+    json: jest.fn((body) => { res.body = body; return res; }),
+    on: jest.fn()
+  };
+  return res;
+};
+
+const run = (req, res) => new Promise((resolve) => {
+  idempotency()(req, res, (error) => resolve(error || null)).then(() => resolve(null));
+});
+
+describe('Idempotency Middleware', () => {
+  beforeEach(() => mockStore.clear());
+
+  it('should hash bodies independently of key order', () => {
+    expect(hashRequest({ a: 1, b: { c: 2, d: 3 } })).toBe(hashRequest({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashRequest({ a: 1 })).not.toBe(hashRequest({ a: 2 }));
+  });
+
+  it('should pass through requests without the header', async () => {
+    const next = jest.fn();
+    await idempotency()(makeReq({}, undefined), makeRes(), next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should replay the original response for the same key and body', async () => {
+    const body = { prestataireId: 1, items: [{ platId: 2, quantite: 1 }] };
+
+    const firstRes = makeRes();
+    expect(await run(makeReq(body), firstRes)).toBeNull();
+    firstRes.status(201);
+    await firstRes.json({ success: true, data: { id: 42 } });
+
+    const replayRes = makeRes();
+    await run(makeReq(body), replayRes);
+
+    expect(replayRes.statusCode).toBe(201);
+    expect(replayRes.body).toEqual({ success: true, data: { id: 42 } });
+    expect(replayRes.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    const firstRes = makeRes();
+    await run(makeReq({ montant: 100 }), firstRes);
+    await firstRes.json({ success: true });
+
+    const res = makeRes();
+    const error = await run(makeReq({ montant: 200 }), res);
+
+    expect(res.statusCode).toBe(422);
+    expect(error).toBeInstanceOf(Error);
+  });
+
+  it('should reject a retry while the first request is still running', async () => {
+    await run(makeReq({ montant: 100 }), makeRes());
+
+    const res = makeRes();
+    const error = await run(makeReq({ montant: 100 }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(error).toBeInstanceOf(Error);
+  });
+
+  it('should release the key after a server error', async () => {
+    const firstRes = makeRes();
+    await run(makeReq({ montant: 100 }), firstRes);
+    firstRes.status(500);
+    await firstRes.json({ success: false });
+
+    expect(await run(makeReq({ montant: 100 }), makeRes())).toBeNull();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for Invoices and Credit Notes
+ */
+
+const PDFDocument = require('pdfkit');
+
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { findByPk: jest.fn() },
+  CommandeItem: { findAll: jest.fn() },
+  Plat: {},
+  Categorie: {},
+  User: { findByPk: jest.fn() },
+  Facture: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(async data => ({ id: 99, ...data })) },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async (category) => (category === 'invoice'
+    ? { defaultVatRate: 19, deliveryVatRate: 19, invoicePrefix: 'FAC', creditNotePrefix: 'AV' }
+    : { timezone: 'Africa/Algiers' }))
+}));
+
+jest.mock('../../config/logger', () => ({ error: jest.fn() }));
+
+const { Commande, CommandeItem, User, Facture } = require('../../models');
+const {
+  validateLegalInfo,
+  buildInvoiceLines,
+  computeTotals,
+  issueInvoice,
+  issueCreditNote,
+  renderInvoicePDF
+} = require('../../services/invoiceService');
+
+const renderToBuffer = (facture) => new Promise((resolve) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { CreationDate: new Date(facture.dateEmission) } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  renderInvoicePDF(doc, facture, 'Africa/Algiers');
+  doc.end();
+});
+
+describe('Invoice Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should split TTC prices per VAT rate and spread the discount', () => {
+    const lignes = buildInvoiceLines({
+      articles: [
+        { designation: 'Bowl', quantite: 2, montantTTC: 1190, tauxTVA: 19 },
+        { designation: 'Jus', quantite: 1, montantTTC: 545, tauxTVA: 9 }
+      ],
+      reduction: 347,
+      fraisLivraison: 238,
+      pourboire: 100,
+      tauxLivraison: 19
+    });
+
+    expect(lignes[0]).toMatchObject({ prixUnitaireTTC: 595, montantHT: 1000, montantTVA: 190 });
+    expect(lignes.filter(l => l.designation.startsWith('Remise')).map(l => l.montantTTC)).toEqual([-238, -109]);
+    expect(lignes[lignes.length - 1]).toMatchObject({ tauxTVA: 0, montantTVA: 0, montantTTC: 100 });
+
+    const totaux = computeTotals(lignes);
+    expect(totaux.totalTTC).toBe(1190 + 545 - 347 + 238 + 100);
+    expect(totaux.totalHT + totaux.totalTVA).toBeCloseTo(totaux.totalTTC, 2);
+    expect(totaux.detailTVA.map(d => d.tauxTVA)).toEqual([0, 9, 19]);
+    expect(totaux.detailTVA[2]).toMatchObject({ montantHT: 1000, montantTVA: 190 });
+  });
+
+  it('should number invoices sequentially per fiscal year', async () => {
+    Commande.findByPk.mockResolvedValue({ id: 1, numero: 'EAT-1', statut: 'livree', clientId: 10, prestataireId: 20, reduction: 0, fraisLivraison: 0 });
+    Facture.findOne
+      .mockResolvedValueOnce(null) // pas encore de facture pour la commande
+      .mockResolvedValueOnce({ sequence: 41 }); // dernière facture de l'exercice
+    CommandeItem.findAll.mockResolvedValue([
+      { quantite: 1, sousTotal: '1190.00', platSnapshot: { nom: { fr: 'Bowl' } }, plat: { categorie: { tauxTVA: null } } }
+    ]);
+    User.findByPk.mockImplementation(async id => (id === 20
+      ? { nomEtablissement: 'Chez Test', email: 'p@test.dz', informationsLegales: { nif: '000016001234567', rc: '16/00-1234567B12' } }
+      : { prenom: 'Amine', nom: 'B', email: 'c@test.dz', informationsLegales: null }));
+
+    const facture = await issueInvoice(1);
+
+    expect(facture).toMatchObject({ type: 'facture', sequence: 42, commandeNumero: 'EAT-1', totalTTC: 1190 });
+    expect(facture.numero).toMatch(/^FAC-\d{4}-000042$/);
+    expect(facture.vendeur).toMatchObject({ nom: 'Chez Test', nif: '000016001234567', rc: '16/00-1234567B12' });
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  it('should not invoice an order that is not delivered', async () => {
+    Commande.findByPk.mockResolvedValue({ id: 1, statut: 'en_livraison' });
+
+    expect(await issueInvoice(1)).toBeNull();
+    expect(Facture.create).not.toHaveBeenCalled();
+  });
+
+  it('should cap partial credit notes to the amount left to credit', async () => {
+    const facture = {
+      id: 7,
+      totalTTC: '1000.00',
+      commandeNumero: 'EAT-1',
+      vendeur: {},
+      acheteur: {},
+      detailTVA: [{ tauxTVA: 19, montantHT: 840.34, montantTVA: 159.66, montantTTC: 1000 }],
+      lignes: []
+    };
+    Commande.findByPk.mockResolvedValue({ id: 1 });
+    Facture.findOne.mockResolvedValueOnce(facture).mockResolvedValueOnce(null);
+    Facture.findAll.mockResolvedValue([{ totalTTC: '-700.00' }]);
+
+    const avoir = await issueCreditNote({ commandeId: 1, montant: 500, motif: 'Litige' });
+
+    expect(avoir).toMatchObject({ type: 'avoir', factureOrigineId: 7, totalTTC: -300, sequence: 1 });
+    expect(avoir.numero).toMatch(/^AV-\d{4}-000001$/);
+  });
+
+  it('should skip credit notes for orders that were never invoiced', async () => {
+    Commande.findByPk.mockResolvedValue({ id: 1 });
+    Facture.findOne.mockResolvedValue(null);
+
+    expect(await issueCreditNote({ commandeId: 1, montant: 500 })).toBeNull();
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should regenerate the exact same PDF from stored data', async () => {
+    const lignes = buildInvoiceLines({
+      articles: [{ designation: 'Bowl', quantite: 1, montantTTC: 1190, tauxTVA: 19 }],
+      tauxLivraison: 19
+    });
+    const facture = {
+      type: 'facture',
+      numero: 'FAC-2026-000042',
+      commandeNumero: 'EAT-1',
+      dateEmission: '2026-10-19T10:00:00.000Z',
+      vendeur: { nom: 'Chez Test', nif: '000016001234567' },
+      acheteur: { nom: 'Amine B' },
+      lignes,
+      ...computeTotals(lignes)
+    };
+
+    const [premier, second] = [await renderToBuffer(facture), await renderToBuffer(facture)];
+    expect(premier.equals(second)).toBe(true);
+  });
+
+  it('should validate legal identifiers', () => {
+    expect(validateLegalInfo({ nif: '000016001234567', rc: '16/00-1234567B12' }).valid).toBe(true);
+    expect(validateLegalInfo(null).valid).toBe(true);
+    expect(validateLegalInfo({ nif: '123' }).valid).toBe(false);
+    expect(validateLegalInfo({ iban: 'DZ00' }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Kitchen Capacity Service
+ */
+
+jest.mock('../../models', () => ({
+  Commande: { findAll: jest.fn() }
+}));
+
+const { Commande } = require('../../models');
+const {
+  getCapacite,
+  validateCapacite,
+  getPrepTime,
+  computeEstimate,
+  resolveKitchenCapacity
+} = require('../../services/kitchenCapacityService');
+
+const now = new Date('2026-03-02T12:00:00Z');
+const minutesAgo = (min) => new Date(now.getTime() - min * 60000);
+
+// Trois commandes en préparation : restent 5, 10 et 25 minutes
+const enPreparation = [
+  { id: 1, prestataireId: 20, datePreparation: minutesAgo(15), tempsPreparationEstime: 20 },
+  { id: 2, prestataireId: 20, datePreparation: minutesAgo(20), tempsPreparationEstime: 30 },
+  { id: 3, prestataireId: 20, datePreparation: minutesAgo(5), tempsPreparationEstime: 30 }
+];
+
+const makePrestataire = (capaciteCuisine) => ({ id: 20, nomEtablissement: 'Chez Test', capaciteCuisine });
+
+describe('Kitchen Capacity Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Commande.findAll.mockResolvedValue(enPreparation);
+  });
+
+  it('should use the longest dish but never less than the base time', () => {
+    const capacite = getCapacite(makePrestataire({ tempsPreparationBase: 15 }));
+
+    expect(getPrepTime([{ tempPreparation: 10 }, { tempPreparation: 35 }], capacite)).toBe(35);
+    expect(getPrepTime([{ tempPreparation: 10 }], capacite)).toBe(15);
+  });
+
+  it('should wait for the first free slot when the kitchen is full', () => {
+    const capacite = getCapacite(makePrestataire({ commandesSimultanees: 2 }));
+    const estimate = computeEstimate(capacite, [5, 10, 25], 20);
+
+    expect(estimate.surcharge).toBe(true);
+    expect(estimate.attenteMinutes).toBe(10);
+    expect(estimate.estimationMinutes).toBe(30);
+  });
+
+  it('should not delay orders when the kitchen has room or no limit', () => {
+    expect(computeEstimate(getCapacite(makePrestataire({ commandesSimultanees: 4 })), [5, 10, 25], 20))
+      .toMatchObject({ surcharge: false, estimationMinutes: 20 });
+    expect(computeEstimate(getCapacite(null), [5, 10, 25], 20))
+      .toMatchObject({ surcharge: false, estimationMinutes: 20 });
+  });
+
+  it('should add the busy-mode delay', () => {
+    const capacite = getCapacite(makePrestataire({ modeAffluence: true, minutesAffluence: 15 }));
+
+    expect(computeEstimate(capacite, [], 20)).toMatchObject({ surcharge: true, estimationMinutes: 35 });
+  });
+
+  it('should extend, push back or refuse orders over capacity', async () => {
+    const plats = [{ tempPreparation: 20 }];
+
+    const prolonger = await resolveKitchenCapacity({
+      prestataire: makePrestataire({ commandesSimultanees: 3 }), plats, now
+    });
+    expect(prolonger).toMatchObject({ valid: true, surcharge: true, estimationMinutes: 25 });
+    expect(prolonger.avertissement).toBeDefined();
+
+    const decaler = await resolveKitchenCapacity({
+      prestataire: makePrestataire({ commandesSimultanees: 3, politiqueSurcharge: 'decaler' }), plats, now
+    });
+    expect(decaler.dateDecalee).toEqual(new Date(now.getTime() + 5 * 60000));
+
+    const refuser = await resolveKitchenCapacity({
+      prestataire: makePrestataire({ commandesSimultanees: 3, politiqueSurcharge: 'refuser' }), plats, now
+    });
+    expect(refuser).toMatchObject({ valid: false, motifCode: 'trop_occupe' });
+  });
+
+  it('should validate the capacity configuration', () => {
+    expect(validateCapacite({ commandesSimultanees: 3, politiqueSurcharge: 'decaler' }).valid).toBe(true);
+    expect(validateCapacite(null).valid).toBe(true);
+    expect(validateCapacite({ commandesSimultanees: 0 }).valid).toBe(false);
+    expect(validateCapacite({ politiqueSurcharge: 'ignorer' }).valid).toBe(false);
+    expect(validateCapacite({ modeAffluence: 'oui' }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for the Commission Ledger
+ */
+
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { findByPk: jest.fn() },
+  Livraison: { findOne: jest.fn() },
+  Promotion: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn() },
+  EcritureComptable: { count: jest.fn(), findAll: jest.fn(), bulkCreate: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => ({ platformCommission: 15, deliveryCommission: 10, premiumPartnerCommission: 12 }))
+}));
+
+jest.mock('../../config/logger', () => ({ error: jest.fn() }));
+
+const { Commande, Livraison, User, EcritureComptable } = require('../../models');
+const {
+  buildDeliveryLines,
+  buildRefundLines,
+  buildDisputeLines,
+  recordOrderDelivered,
+  recordRefund
+} = require('../../services/ledgerService');
+
+const settings = { platformCommission: 15, deliveryCommission: 10, premiumPartnerCommission: 12 };
+
+const makeCommande = (extra = {}) => ({
+  id: 1,
+  numero: 'EAT-1',
+  prestataireId: 20,
+  statut: 'livree',
+  sousTotal: '2000.00',
+  reduction: '0.00',
+  fraisLivraison: '300.00',
+  pourboire: '100.00',
+  ...extra
+});
+
+const total = (lignes, sens) => Math.round(lignes.reduce((sum, l) => sum + l[sens], 0) * 100) / 100;
+const montant = (lignes, compte, nature) => lignes
+  .filter(l => l.compte === compte && l.nature === nature)
+  .reduce((sum, l) => sum + l.credit - l.debit, 0);
+
+describe('Commission Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should split a delivered order between prestataire, livreur and platform', () => {
+    const lignes = buildDeliveryLines({ commande: makeCommande(), livreurId: 30, settings });
+
+    expect(total(lignes, 'debit')).toBe(total(lignes, 'credit'));
+    expect(montant(lignes, 'encaissement', 'encaissement')).toBe(-2400);
+    expect(montant(lignes, 'prestataire', 'brut')).toBe(2000);
+    expect(montant(lignes, 'prestataire', 'commission')).toBe(-300);
+    expect(montant(lignes, 'plateforme', 'commission')).toBe(300);
+    expect(montant(lignes, 'livreur', 'frais_livraison')).toBe(270);
+    expect(montant(lignes, 'plateforme', 'frais_livraison')).toBe(30);
+    expect(montant(lignes, 'livreur', 'pourboire')).toBe(100);
+    expect(lignes.find(l => l.compte === 'livreur').titulaireId).toBe(30);
+  });
+
+  it('should apply the premium partner rate', () => {
+    const lignes = buildDeliveryLines({
+      commande: makeCommande(),
+      livreurId: 30,
+      prestataire: { id: 20, partenairePremium: true },
+      settings
+    });
+
+    expect(montant(lignes, 'plateforme', 'commission')).toBe(240);
+  });
+
+  it('should charge promotions to whoever funds them', () => {
+    const commande = makeCommande({ reduction: '200.00', pourboire: '0.00' });
+
+    const prestataire = buildDeliveryLines({ commande, promotion: { prestataireId: 20 }, livreurId: 30, settings });
+    expect(montant(prestataire, 'prestataire', 'promo')).toBe(-200);
+    expect(montant(prestataire, 'plateforme', 'commission')).toBe(270);
+    expect(total(prestataire, 'debit')).toBe(total(prestataire, 'credit'));
+
+    const plateforme = buildDeliveryLines({ commande, promotion: { prestataireId: null }, livreurId: 30, settings });
+    expect(montant(plateforme, 'plateforme', 'promo')).toBe(-200);
+    expect(montant(plateforme, 'plateforme', 'commission')).toBe(300);
+    expect(total(plateforme, 'debit')).toBe(total(plateforme, 'credit'));
+  });
+
+  it('should give delivery fee and tip to the prestataire without a livreur', () => {
+    const lignes = buildDeliveryLines({ commande: makeCommande(), settings });
+
+    expect(lignes.some(l => l.compte === 'livreur')).toBe(false);
+    expect(montant(lignes, 'prestataire', 'frais_livraison')).toBe(300);
+    expect(montant(lignes, 'prestataire', 'pourboire')).toBe(100);
+    expect(montant(lignes, 'plateforme', 'frais_livraison')).toBe(0);
+  });
+
+  it('should reverse a delivery proportionally and stay balanced', () => {
+    const livraison = buildDeliveryLines({ commande: makeCommande({ sousTotal: '1333.33' }), livreurId: 30, settings });
+    const lignes = buildRefundLines(livraison, 1000, 'Remboursement');
+
+    expect(total(lignes, 'debit')).toBe(total(lignes, 'credit'));
+    expect(montant(lignes, 'encaissement', 'encaissement')).toBe(1000);
+    expect(montant(lignes, 'prestataire', 'brut')).toBeLessThan(0);
+    expect(montant(lignes, 'plateforme', 'commission')).toBeLessThan(0);
+
+    const complet = buildRefundLines(livraison, 1733.33, 'Remboursement');
+    expect(montant(complet, 'livreur', 'pourboire')).toBeCloseTo(-100, 2);
+    expect(montant(complet, 'prestataire', 'brut')).toBeCloseTo(-1333.33, 2);
+  });
+
+  it('should charge dispute refunds to the prestataire', () => {
+    const lignes = buildDisputeLines({ commande: makeCommande(), montant: 500, libelle: 'Litige' });
+
+    expect(lignes).toEqual([
+      expect.objectContaining({ compte: 'encaissement', credit: 500, debit: 0 }),
+      expect.objectContaining({ compte: 'prestataire', titulaireId: 20, nature: 'brut', debit: 500, credit: 0 })
+    ]);
+  });
+
+  it('should record a delivery only once', async () => {
+    Commande.findByPk.mockResolvedValue(makeCommande());
+    Livraison.findOne.mockResolvedValue({ livreurId: 30 });
+    User.findByPk.mockResolvedValue({ id: 20, partenairePremium: false });
+    EcritureComptable.count.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+    const result = await recordOrderDelivered(1);
+    expect(result.lignes.length).toBeGreaterThan(0);
+    expect(EcritureComptable.bulkCreate).toHaveBeenCalledWith(
+      expect.arrayContaining([expect.objectContaining({ evenement: 'livraison', commandeId: 1, operation: result.operation })]),
+      { transaction: mockTransaction }
+    );
+
+    expect(await recordOrderDelivered(1)).toBeNull();
+    expect(EcritureComptable.bulkCreate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cap refunds at the amount still refundable', async () => {
+    const livraison = buildDeliveryLines({ commande: makeCommande(), livreurId: 30, settings });
+    Commande.findByPk.mockResolvedValue(makeCommande());
+    EcritureComptable.findAll.mockResolvedValue([
+      ...livraison.map(l => ({ ...l, evenement: 'livraison' })),
+      { compte: 'encaissement', nature: 'encaissement', evenement: 'remboursement', debit: 0, credit: 2000 }
+    ]);
+
+    const result = await recordRefund({ commandeId: 1, montant: 1000 });
+    expect(montant(result.lignes, 'encaissement', 'encaissement')).toBe(400);
+
+    EcritureComptable.findAll.mockResolvedValue([]);
+    expect(await recordRefund({ commandeId: 1, montant: 1000 })).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Opening Hours
+ */
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn()
+}));
+
+const { getSettings } = require('../../services/settingsService');
+const {
+  isOpenAt,
+  getNextOpening,
+  resolveOrderTiming,
+  validateHoraires
+} = require('../../services/openingHoursService');
+
+const TZ = 'Africa/Algiers';
+
+// Heure d'Alger (UTC+1, sans heure d'été)
+const alger = (iso) => new Date(`${iso}+01:00`);
+
+// 2026-10-19 est un lundi
+const horaires = {
+  lundi: { ouvert: true, plages: [{ debut: '11:00', fin: '15:00' }, { debut: '18:00', fin: '01:00' }] },
+  mardi: { ouvert: true, debut: '11:00', fin: '22:00' },
+  mercredi: { ouvert: false },
+  fermeturesExceptionnelles: [{ debut: '2026-10-21', fin: '2026-10-22', motif: 'Travaux' }],
+  joursSpeciaux: { '2026-10-27': { ouvert: false } }
+};
+
+describe('Opening Hours', () => {
+  beforeEach(() => {
+    getSettings.mockImplementation(async (category) => (
+      category === 'system' ? { timezone: TZ } : { closedOrderPolicy: 'schedule' }
+    ));
+  });
+
+  describe('isOpenAt', () => {
+    it('should handle split shifts', () => {
+      expect(isOpenAt(horaires, alger('2026-10-19T12:00:00'), TZ)).toBe(true);
+      expect(isOpenAt(horaires, alger('2026-10-19T16:00:00'), TZ)).toBe(false);
+      expect(isOpenAt(horaires, alger('2026-10-19T19:30:00'), TZ)).toBe(true);
+    });
+
+    it('should extend shifts past midnight into the next day', () => {
+      expect(isOpenAt(horaires, alger('2026-10-20T00:30:00'), TZ)).toBe(true);
+      expect(isOpenAt(horaires, alger('2026-10-20T02:00:00'), TZ)).toBe(false);
+    });
+
+    it('should apply holiday overrides', () => {
+      expect(isOpenAt(horaires, alger('2026-10-27T12:00:00'), TZ)).toBe(false);
+    });
+
+    it('should consider prestataires without hours always open', () => {
+      expect(isOpenAt(null, alger('2026-10-19T03:00:00'), TZ)).toBe(true);
+    });
+  });
+
+  describe('getNextOpening', () => {
+    it('should skip closed days and exceptional closures', () => {
+      const next = getNextOpening(horaires, alger('2026-10-20T23:00:00'), TZ);
+      // mercredi et jeudi fermés (travaux), rien jusqu'au lundi suivant 11:00
+      expect(next.toISOString()).toBe(alger('2026-10-26T11:00:00').toISOString());
+    });
+
+    it('should return the next shift of the same day', () => {
+      const next = getNextOpening(horaires, alger('2026-10-19T16:00:00'), TZ);
+      expect(next.toISOString()).toBe(alger('2026-10-19T18:00:00').toISOString());
+    });
+  });
+
+  describe('resolveOrderTiming', () => {
+    const prestataire = { nomEtablissement: 'Chez Karim', horairesOuverture: horaires };
+
+    it('should schedule orders placed while closed', async () => {
+      const result = await resolveOrderTiming({ prestataire, now: alger('2026-10-19T16:00:00') });
+
+      expect(result.valid).toBe(true);
+      expect(result.isScheduled).toBe(true);
+      expect(result.dateLivraisonSouhaitee.toISOString()).toBe(alger('2026-10-19T18:00:00').toISOString());
+      expect(result.avertissement).toContain('Chez Karim');
+    });
+
+    it('should block orders placed while closed when configured', async () => {
+      getSettings.mockImplementation(async (category) => (
+        category === 'system' ? { timezone: TZ } : { closedOrderPolicy: 'block' }
+      ));
+
+      const result = await resolveOrderTiming({ prestataire, now: alger('2026-10-19T16:00:00') });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject a requested time outside opening hours', async () => {
+      const result = await resolveOrderTiming({
+        prestataire,
+        dateLivraisonSouhaitee: alger('2026-10-21T12:00:00').toISOString(),
+        now: alger('2026-10-19T12:00:00')
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('validateHoraires', () => {
+    it('should accept the documented format', () => {
+      expect(validateHoraires(horaires).valid).toBe(true);
+    });
+
+    it('should reject malformed times and unknown keys', () => {
+      expect(validateHoraires({ lundi: { ouvert: true, debut: '8h', fin: '22:00' } }).valid).toBe(false);
+      expect(validateHoraires({ monday: { ouvert: false } }).valid).toBe(false);
+    });
+  });
+});
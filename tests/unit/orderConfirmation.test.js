@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for the Order Confirmation Job
+ */
+
+jest.mock('../../models', () => ({
+  Commande: { findAll: jest.fn(), update: jest.fn() },
+  User: { findAll: jest.fn() },
+  Notification: { create: jest.fn() }
+}));
+
+jest.mock('../../config/socket', () => ({
+  emitToPrestataire: jest.fn(),
+  emitToAdmins: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../services/orderStateMachine', () => ({ transitionCommande: jest.fn() }));
+jest.mock('../../services/pushService', () => ({ sendPushToUser: jest.fn() }));
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async (category) => (category === 'delivery'
+    ? { confirmationReminderMinutes: 5, confirmationTimeoutMinutes: 15 }
+    : { adminAlerts: true }))
+}));
+
+const { Commande, User, Notification } = require('../../models');
+const { emitToPrestataire, emitToAdmins } = require('../../config/socket');
+const { transitionCommande } = require('../../services/orderStateMachine');
+const { sendPushToUser } = require('../../services/pushService');
+const { sendConfirmationReminders, cancelUnconfirmedOrders } = require('../../jobs/orderConfirmationJob');
+
+const now = new Date('2026-03-02T12:00:00Z');
+const makeCommande = (minutesAgo) => ({
+  id: 1,
+  numero: 'EAT-1',
+  clientId: 10,
+  prestataireId: 20,
+  statut: 'en_attente',
+  statutPaiement: 'en_attente',
+  createdAt: new Date(now.getTime() - minutesAgo * 60000),
+  prestataire: { id: 20, nomEtablissement: 'Chez Test' }
+});
+
+describe('Order Confirmation Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should remind the prestataire once and alert admins', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande(6)]);
+    Commande.update.mockResolvedValue([1]);
+    User.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+    await sendConfirmationReminders(now);
+
+    const [{ where }] = Commande.findAll.mock.calls[0];
+    expect(where).toMatchObject({ statut: 'en_attente', isScheduled: false, rappelConfirmationEnvoye: false });
+    expect(emitToPrestataire).toHaveBeenCalledWith(20, 'commande:rappel', expect.objectContaining({ annulationDans: 9 }));
+    expect(sendPushToUser).toHaveBeenCalledWith(20, expect.anything());
+    expect(emitToAdmins).toHaveBeenCalledWith('commande:non-confirmee', expect.anything());
+    expect(Notification.create).toHaveBeenCalledTimes(3);
+  });
+
+  it('should skip reminders already claimed by another run', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande(6)]);
+    Commande.update.mockResolvedValue([0]);
+    User.findAll.mockResolvedValue([]);
+
+    await sendConfirmationReminders(now);
+
+    expect(emitToPrestataire).not.toHaveBeenCalled();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('should cancel timed-out orders as a missed confirmation and notify the client', async () => {
+    const commande = makeCommande(16);
+    Commande.findAll.mockResolvedValue([commande]);
+    transitionCommande.mockResolvedValue({ success: true, commande });
+
+    await cancelUnconfirmedOrders(now);
+
+    expect(Commande.findAll.mock.calls[0][0].where.createdAt).toBeDefined();
+    expect(transitionCommande).toHaveBeenCalledWith(commande, 'annulee', expect.objectContaining({
+      acteurType: 'system',
+      motifCode: 'sans_reponse'
+    }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 10 }));
+    expect(sendPushToUser).toHaveBeenCalledWith(10, expect.anything());
+  });
+
+  it('should leave the client alone when the order changed in the meantime', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande(16)]);
+    transitionCommande.mockResolvedValue({ success: false, error: 'La commande a été modifiée entre-temps' });
+
+    await cancelUnconfirmedOrders(now);
+
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for Order Amount Limits and Payment Methods
+ */
+
+jest.mock('../../models', () => ({
+  Commande: { count: jest.fn() },
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../../services/satimService', () => ({
+  SATIM_CONFIG: { LIMITS: { MIN_AMOUNT: 100, MAX_AMOUNT: 500000 } }
+}));
+
+const mockPaymentSettings = {
+  cashOnDeliveryEnabled: true,
+  onlinePaymentEnabled: true,
+  minimumOrderAmount: 200,
+  maximumOrderAmount: 50000,
+  newAccountCashLimit: 3000,
+  newAccountDeliveredOrders: 3
+};
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => mockPaymentSettings)
+}));
+
+const { Commande, User } = require('../../models');
+const { getSettings } = require('../../services/settingsService');
+const {
+  validateReglesCommande,
+  getOrderRules,
+  checkMinimumAmount,
+  getPaymentOptions,
+  checkPaymentMode
+} = require('../../services/orderRulesService');
+
+const boutique = { id: 20, nomEtablissement: 'Épicerie Test', reglesCommande: { montantMinimum: 1500, montantMaximum: 80000 } };
+const client = { id: 10 };
+
+describe('Order Rules Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Commande.count.mockResolvedValue(5);
+  });
+
+  it('should let a prestataire replace the minimum but only lower the maximum', () => {
+    expect(getOrderRules(boutique, mockPaymentSettings)).toEqual({
+      montantMinimum: 1500,
+      montantMaximum: 50000,
+      especes: true,
+      enLigne: true
+    });
+    expect(checkMinimumAmount(boutique, 1200, mockPaymentSettings)).toEqual({
+      valid: false,
+      error: 'Le minimum de commande chez Épicerie Test est de 1500 DA'
+    });
+    expect(checkMinimumAmount({ id: 21 }, 250, mockPaymentSettings).valid).toBe(true);
+  });
+
+  it('should hide payment methods disabled by the admin or the prestataire', async () => {
+    getSettings.mockResolvedValueOnce({ ...mockPaymentSettings, onlinePaymentEnabled: false });
+
+    const options = await getPaymentOptions({ client, prestataires: [{ id: 21 }], total: 1000 });
+
+    expect(options.filter(o => o.disponible).map(o => o.mode)).toEqual(['especes']);
+
+    const sansEspeces = await getPaymentOptions({
+      prestataires: [{ id: 21 }, { id: 22, reglesCommande: { especes: false } }],
+      total: 1000
+    });
+    expect(sansEspeces.find(o => o.mode === 'especes')).toMatchObject({ disponible: false });
+  });
+
+  it('should cap cash on delivery for new accounts', async () => {
+    Commande.count.mockResolvedValue(1);
+
+    const options = await getPaymentOptions({ client, prestataires: [], total: 4000 });
+    const especes = options.find(o => o.mode === 'especes');
+
+    expect(especes).toMatchObject({ disponible: false, limites: { min: 0, max: 3000 } });
+    expect(especes.raison).toMatch(/premières commandes/);
+    expect(options.find(o => o.mode === 'cib').disponible).toBe(true);
+  });
+
+  it('should reject orders above the maximum or with an unavailable payment mode', async () => {
+    User.findAll.mockResolvedValue([{ id: 20, reglesCommande: { montantMaximum: 10000, especes: false } }]);
+
+    expect(await checkPaymentMode({ client, prestataireIds: [20], total: 12000, modePaiement: 'cib' }))
+      .toEqual({ valid: false, error: 'Le montant maximum d\'une commande est de 10000 DA' });
+    expect((await checkPaymentMode({ client, prestataireIds: [20], total: 2000, modePaiement: 'especes' })).valid)
+      .toBe(false);
+    expect(await checkPaymentMode({ client, prestataireIds: [20], total: 2000, modePaiement: 'edahabia' }))
+      .toEqual({ valid: true });
+  });
+
+  it('should check the maximum on the whole order when part of it is prepaid', async () => {
+    User.findAll.mockResolvedValue([{ id: 20, reglesCommande: { montantMaximum: 10000, especes: false } }]);
+
+    expect(await checkPaymentMode({ client, prestataireIds: [20], total: 12000, montantMode: 2000, modePaiement: 'cib' }))
+      .toEqual({ valid: false, error: 'Le montant maximum d\'une commande est de 10000 DA' });
+    expect(await checkPaymentMode({ client, prestataireIds: [20], total: 8000, montantMode: 0, modePaiement: 'portefeuille' }))
+      .toEqual({ valid: true });
+    // Le moyen choisi est vérifié sur la part qu'il règle
+    expect(await checkPaymentMode({ client, prestataireIds: [20], total: 8000, montantMode: 50, modePaiement: 'cib' }))
+      .toEqual({ valid: false, error: 'Montant minimum pour ce moyen de paiement : 100 DA' });
+  });
+
+  it('should validate prestataire rules', () => {
+    expect(validateReglesCommande({ montantMinimum: 1500, especes: false }).valid).toBe(true);
+    expect(validateReglesCommande(null).valid).toBe(true);
+    expect(validateReglesCommande({ montantMinimum: -1 }).valid).toBe(false);
+    expect(validateReglesCommande({ montantMinimum: 5000, montantMaximum: 1000 }).valid).toBe(false);
+    expect(validateReglesCommande({ especes: false, enLigne: false }).valid).toBe(false);
+    expect(validateReglesCommande({ livraison: true }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for Order State Machine
+ */
+
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { update: jest.fn() },
+  CommandeItem: { findAll: jest.fn() },
+  CommandeHistorique: { create: jest.fn() },
+  CommandeGroupePart: { findAll: jest.fn(), update: jest.fn() },
+  Plat: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../services/emailService', () => ({ sendOrderStatusEmail: jest.fn() }));
+
+jest.mock('../../config/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToPrestataire: jest.fn(),
+  emitToCommande: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({ error: jest.fn() }));
+
+const mockProvider = { refund: jest.fn() };
+jest.mock('../../services/paymentProviderService', () => ({ getPaymentProvider: jest.fn(() => mockProvider) }));
+jest.mock('../../services/invoiceService', () => ({ issueInvoice: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({ recordOrderDelivered: jest.fn() }));
+jest.mock('../../services/cashCollectionService', () => ({ collectCashOnDelivery: jest.fn() }));
+jest.mock('../../services/walletService', () => ({ restoreWalletPayment: jest.fn() }));
+jest.mock('../../services/giftCardService', () => ({ restoreGiftCards: jest.fn() }));
+
+const { Commande, CommandeItem, CommandeHistorique, CommandeGroupePart, Plat } = require('../../models');
+const { emitToUser, emitToPrestataire } = require('../../config/socket');
+const { sendOrderStatusEmail } = require('../../services/emailService');
+const { issueInvoice } = require('../../services/invoiceService');
+const { recordOrderDelivered } = require('../../services/ledgerService');
+const { collectCashOnDelivery } = require('../../services/cashCollectionService');
+const { restoreWalletPayment } = require('../../services/walletService');
+const { restoreGiftCards } = require('../../services/giftCardService');
+const { canTransition, transitionCommande } = require('../../services/orderStateMachine');
+
+const makeCommande = (statut, extra = {}) => ({
+  id: 1,
+  numero: 'EAT-1',
+  clientId: 10,
+  prestataireId: 20,
+  statut,
+  modePaiement: 'especes',
+  client: { id: 10 },
+  set: jest.fn(function (data) { Object.assign(this, data); }),
+  ...extra
+});
+
+describe('Order State Machine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Commande.update.mockResolvedValue([1]);
+  });
+
+  it('should only allow forward transitions and early cancellation', () => {
+    expect(canTransition('en_attente', 'confirmee')).toBe(true);
+    expect(canTransition('confirmee', 'annulee')).toBe(true);
+    expect(canTransition('en_preparation', 'annulee')).toBe(false);
+    expect(canTransition('livree', 'en_livraison')).toBe(false);
+  });
+
+  it('should reject invalid transitions without writing', async () => {
+    const result = await transitionCommande(makeCommande('en_attente'), 'livree', { acteurType: 'prestataire' });
+
+    expect(result.success).toBe(false);
+    expect(Commande.update).not.toHaveBeenCalled();
+  });
+
+  it('should timestamp, record history and mark cash orders paid on delivery', async () => {
+    const commande = makeCommande('en_livraison');
+    const result = await transitionCommande(commande, 'livree', { acteurId: 5, acteurType: 'livreur' });
+
+    expect(result.success).toBe(true);
+    const [updateData, options] = Commande.update.mock.calls[0];
+    expect(updateData).toMatchObject({ statut: 'livree', statutPaiement: 'reussi' });
+    expect(updateData.dateLivraison).toBeInstanceOf(Date);
+    expect(options.where).toEqual({ id: 1, statut: 'en_livraison' });
+    expect(CommandeHistorique.create).toHaveBeenCalledWith(
+      expect.objectContaining({ ancienStatut: 'en_livraison', nouveauStatut: 'livree', acteurType: 'livreur' }),
+      expect.anything()
+    );
+    expect(sendOrderStatusEmail).toHaveBeenCalled();
+    expect(collectCashOnDelivery).toHaveBeenCalledWith(commande, mockTransaction);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+    expect(issueInvoice).toHaveBeenCalledWith(1);
+    expect(recordOrderDelivered).toHaveBeenCalledWith(1);
+  });
+
+  it('should restore stock and notify the prestataire when the client cancels', async () => {
+    const plat = { stock: 3, increment: jest.fn() };
+    CommandeItem.findAll.mockResolvedValue([{ platId: 7, quantite: 2 }]);
+    Plat.findByPk.mockResolvedValue(plat);
+
+    const result = await transitionCommande(makeCommande('en_attente'), 'annulee', {
+      acteurId: 10,
+      acteurType: 'client',
+      motif: 'Erreur de commande'
+    });
+
+    expect(result.success).toBe(true);
+    expect(plat.increment).toHaveBeenCalledWith('stock', expect.objectContaining({ by: 2 }));
+    expect(emitToPrestataire).toHaveBeenCalledWith(20, 'commande:annulee', expect.objectContaining({ annulePar: 'client' }));
+    expect(sendOrderStatusEmail).not.toHaveBeenCalled();
+  });
+
+  it('should refund card payments when a paid order is cancelled', async () => {
+    CommandeItem.findAll.mockResolvedValue([]);
+    mockProvider.refund.mockResolvedValue({ success: true, refundId: 'RFD-1', amount: 1500, status: 'processed' });
+    const commande = makeCommande('en_attente', {
+      modePaiement: 'cib',
+      statutPaiement: 'reussi',
+      transactionId: 'TX-1',
+      total: '1500.00'
+    });
+
+    await transitionCommande(commande, 'annulee', { acteurType: 'system', motifCode: 'sans_reponse' });
+
+    expect(mockProvider.refund).toHaveBeenCalledWith({ transactionId: 'TX-1', amount: 1500, reason: expect.any(String) });
+    expect(Commande.update).toHaveBeenLastCalledWith(
+      expect.objectContaining({ statutPaiement: 'rembourse' }),
+      { where: { id: 1, statutPaiement: 'reussi' } }
+    );
+    expect(commande.statutPaiement).toBe('rembourse');
+    expect(emitToUser).toHaveBeenCalledWith(10, 'paiement:refund', expect.objectContaining({ refundId: 'RFD-1' }));
+  });
+
+  it('should restore the wallet and gift cards and refund only the card part on cancellation', async () => {
+    CommandeItem.findAll.mockResolvedValue([]);
+    mockProvider.refund.mockResolvedValue({ success: true, refundId: 'RFD-2', amount: 800, status: 'processed' });
+    const commande = makeCommande('confirmee', {
+      modePaiement: 'cib',
+      statutPaiement: 'reussi',
+      transactionId: 'TX-2',
+      total: '1500.00',
+      montantPortefeuille: '500.00',
+      montantCartesCadeaux: '200.00'
+    });
+
+    await transitionCommande(commande, 'annulee', { acteurType: 'admin' });
+
+    expect(restoreWalletPayment).toHaveBeenCalledWith(commande, mockTransaction);
+    expect(restoreGiftCards).toHaveBeenCalledWith(commande, { transaction: mockTransaction });
+    expect(mockProvider.refund).toHaveBeenCalledWith({ transactionId: 'TX-2', amount: 800, reason: expect.any(String) });
+  });
+
+  it('should mark orders paid by the wallet alone as refunded on cancellation', async () => {
+    CommandeItem.findAll.mockResolvedValue([]);
+    const commande = makeCommande('en_attente', {
+      modePaiement: 'portefeuille',
+      statutPaiement: 'reussi',
+      total: '800.00',
+      montantPortefeuille: '800.00'
+    });
+
+    await transitionCommande(commande, 'annulee', { acteurType: 'client' });
+
+    expect(Commande.update.mock.calls[0][0]).toMatchObject({ statut: 'annulee', statutPaiement: 'rembourse' });
+    expect(restoreWalletPayment).toHaveBeenCalledWith(commande, mockTransaction);
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+
+  it('should refund each paid share of a cancelled group order', async () => {
+    CommandeItem.findAll.mockResolvedValue([]);
+    mockProvider.refund.mockResolvedValue({ success: true, refundId: 'RFD-3', amount: 1200, status: 'processed' });
+    restoreGiftCards.mockResolvedValue(600);
+    const makePart = (data) => ({
+      statutPaiement: 'reussi',
+      paiementDetails: null,
+      update: jest.fn(),
+      ...data
+    });
+    const partCarte = makePart({ id: 1, participantId: 11, modePaiement: 'cib', transactionId: 'TX-P1', montant: '1200.00' });
+    const partCadeau = makePart({ id: 2, participantId: 12, modePaiement: 'carte_cadeau', giftCardId: 5, montant: '600.00' });
+    CommandeGroupePart.findAll.mockResolvedValue([partCarte, partCadeau]);
+    CommandeGroupePart.update.mockResolvedValue([1]);
+    const commande = makeCommande('en_attente', {
+      modePaiement: 'cib',
+      statutPaiement: 'en_attente',
+      transactionId: null,
+      total: '2400.00',
+      paiementDetails: { commandeGroupeId: 3, paiementFractionne: true }
+    });
+
+    await transitionCommande(commande, 'annulee', { acteurType: 'system', motifCode: 'sans_reponse' });
+
+    expect(CommandeGroupePart.findAll).toHaveBeenCalledWith({ where: { commandeId: 1, statutPaiement: 'reussi' } });
+    expect(mockProvider.refund).toHaveBeenCalledTimes(1);
+    expect(mockProvider.refund).toHaveBeenCalledWith({ transactionId: 'TX-P1', amount: 1200, reason: expect.any(String) });
+    expect(restoreGiftCards).toHaveBeenCalledWith(commande, { giftCardId: 5, motif: expect.any(String) });
+    expect(partCarte.update).toHaveBeenCalledWith(expect.objectContaining({ statutPaiement: 'rembourse' }));
+    expect(partCadeau.update).toHaveBeenCalledWith(expect.objectContaining({ statutPaiement: 'rembourse' }));
+    expect(emitToUser).toHaveBeenCalledWith(11, 'paiement:refund', expect.objectContaining({ refundId: 'RFD-3' }));
+    expect(emitToUser).toHaveBeenCalledWith(12, 'paiement:refund', expect.objectContaining({ amount: 600 }));
+  });
+
+  it('should not refund a group share already claimed by another cancellation', async () => {
+    CommandeItem.findAll.mockResolvedValue([]);
+    CommandeGroupePart.findAll.mockResolvedValue([
+      { id: 1, participantId: 11, modePaiement: 'cib', transactionId: 'TX-P1', montant: '1200.00', update: jest.fn() }
+    ]);
+    CommandeGroupePart.update.mockResolvedValue([0]);
+    const commande = makeCommande('confirmee', {
+      modePaiement: 'cib',
+      statutPaiement: 'reussi',
+      paiementDetails: { paiementFractionne: true }
+    });
+
+    await transitionCommande(commande, 'annulee', { acteurType: 'prestataire' });
+
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the order changed concurrently', async () => {
+    Commande.update.mockResolvedValue([0]);
+
+    const result = await transitionCommande(makeCommande('en_attente'), 'confirmee', { acteurType: 'prestataire' });
+
+    expect(result.success).toBe(false);
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(CommandeHistorique.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for the Payment Provider Layer and the SATIM Simulator
+ */
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const axios = require('axios');
+const { getPaymentProvider } = require('../../services/paymentProviderService');
+const satimService = require('../../services/satimService');
+const testPaymentProvider = require('../../services/testPaymentProvider');
+const cashPaymentProvider = require('../../services/cashPaymentProvider');
+const { createSatimSimulator } = require('../../scripts/satimSimulator');
+
+const card = (cardNumber) => ({ cardNumber, expiryMonth: '12', expiryYear: '30', cvv: '123', cardholderName: 'Test' });
+
+describe('Payment Providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should pick the provider from the payment mode and configuration', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    delete process.env.SATIM_MODE;
+    process.env.NODE_ENV = 'test';
+
+    expect(getPaymentProvider('especes')).toBe(cashPaymentProvider);
+    expect(getPaymentProvider('cib')).toBe(testPaymentProvider);
+
+    process.env.SATIM_MODE = 'sandbox';
+    expect(getPaymentProvider('edahabia')).toBe(satimService);
+
+    process.env.PAYMENT_PROVIDER = 'test';
+    process.env.NODE_ENV = 'production';
+    expect(() => getPaymentProvider('cib')).toThrow(/production/);
+  });
+
+  it('should give deterministic results for the test cards', async () => {
+    expect(testPaymentProvider.evaluateTestCard({ ...card('6280580000000000011'), cardType: 'cib' }).actionCode).toBe('00');
+    expect(testPaymentProvider.evaluateTestCard({ ...card('6280700000000022'), cardType: 'edahabia' }).actionCode).toBe('51');
+    expect(testPaymentProvider.evaluateTestCard({ ...card('6280580000000000000'), cardType: 'cib' }).actionCode).toBe('05');
+    expect(testPaymentProvider.evaluateTestCard({ ...card('1234'), cardType: 'cib' }).actionCode).toBe('14');
+    expect(testPaymentProvider.evaluateTestCard({ ...card('6280580000000000011'), expiryYear: '20', cardType: 'cib' }).actionCode).toBe('33');
+
+    const declined = await testPaymentProvider.confirm({ amount: 1500, cardType: 'cib', card: card('6280580000000000045') });
+    expect(declined).toMatchObject({ success: false, code: '41', error: 'Carte perdue' });
+
+    const approved = await testPaymentProvider.confirm({ amount: 1500, cardType: 'cib', card: card('6280580000000000011') });
+    expect(approved).toMatchObject({ success: true, status: 'COMPLETED', amount: 1500, cardLast4: '0011' });
+  });
+
+  it('should only accept signed webhooks', async () => {
+    const notification = { orderId: 'TX-1', amount: 150000, status: 'COMPLETED', actionCode: '00' };
+
+    expect(await satimService.parseWebhook({ ...notification, signature: 'invalide' }))
+      .toMatchObject({ success: false, code: 'INVALID_SIGNATURE' });
+    expect(await satimService.parseWebhook({ ...notification, signature: satimService.generateSignature(notification) }))
+      .toMatchObject({ success: true, status: 'COMPLETED', amount: 1500 });
+  });
+
+  it('should not refund cash payments', async () => {
+    expect(await cashPaymentProvider.refund({ transactionId: null, amount: 1000 }))
+      .toMatchObject({ success: false, code: 'NOT_APPLICABLE' });
+  });
+
+  describe('SATIM provider against the local simulator', () => {
+    let server;
+
+    beforeAll((done) => {
+      server = createSatimSimulator().listen(0, done);
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      process.env.SATIM_BASE_URL = `http://127.0.0.1:${server.address().port}/payment/rest`;
+    });
+
+    const payOnForm = async (paymentUrl, cardNumber) => {
+      const { mdOrder } = Object.fromEntries(new URL(paymentUrl).searchParams);
+      const form = await axios.get(paymentUrl);
+      expect(form.status).toBe(200);
+
+      const response = await axios.post(
+        new URL('/payment/merchants/submit', paymentUrl).toString(),
+        new URLSearchParams({ mdOrder, cardNumber, expiryMonth: '12', expiryYear: '30', cvv: '123' }).toString(),
+        { maxRedirects: 0, validateStatus: status => status === 302 }
+      );
+      return response.headers.location;
+    };
+
+    it('should run the redirect flow, confirm and refund', async () => {
+      const session = await satimService.initiate({
+        reference: 'EAT-1',
+        amount: 1500,
+        cardType: 'cib',
+        returnUrl: 'http://front.test/payment/callback?commandeId=1',
+        failUrl: 'http://front.test/payment/failed?commandeId=1'
+      });
+      expect(session.success).toBe(true);
+
+      const location = await payOnForm(session.paymentUrl, '6280580000000000011');
+      expect(location).toBe(`http://front.test/payment/callback?commandeId=1&orderId=${session.transactionId}`);
+
+      const confirmed = await satimService.confirm({ transactionId: session.transactionId, amount: 1500, cardType: 'cib' });
+      expect(confirmed).toMatchObject({ success: true, status: 'COMPLETED', amount: 1500, cardLast4: '0011' });
+
+      // Le montant payé doit être celui de la commande
+      expect(await satimService.confirm({ transactionId: session.transactionId, amount: 2000 }))
+        .toMatchObject({ success: false, code: 'AMOUNT_MISMATCH' });
+
+      expect(await satimService.refund({ transactionId: session.transactionId, amount: 1500, reason: 'Test' }))
+        .toMatchObject({ success: true, status: 'PROCESSED' });
+      expect(await satimService.status({ transactionId: session.transactionId }))
+        .toMatchObject({ success: true, status: 'REFUNDED' });
+    });
+
+    it('should send declined payments to the fail URL', async () => {
+      const session = await satimService.initiate({
+        reference: 'EAT-2',
+        amount: 800,
+        cardType: 'cib',
+        returnUrl: 'http://front.test/payment/callback',
+        failUrl: 'http://front.test/payment/failed'
+      });
+
+      const location = await payOnForm(session.paymentUrl, '6280580000000000029');
+      expect(location).toBe(`http://front.test/payment/failed?orderId=${session.transactionId}`);
+
+      expect(await satimService.confirm({ transactionId: session.transactionId, amount: 800 }))
+        .toMatchObject({ success: false, status: 'FAILED', code: '51', error: 'Fonds insuffisants' });
+      expect(await satimService.refund({ transactionId: session.transactionId, amount: 800 }))
+        .toMatchObject({ success: false, code: '7' });
+    });
+
+    it('should refuse direct card entry', async () => {
+      expect(await satimService.confirm({ amount: 1500, card: card('6280580000000000011') }))
+        .toMatchObject({ success: false, code: 'DIRECT_PAYMENT_UNSUPPORTED' });
+    });
+  });
+});
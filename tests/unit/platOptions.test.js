@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Dish Options Pricing
+ */
+
+const {
+  validateOptionGroups,
+  parseOptionGroups,
+  resolveItemOptions
+} = require('../../services/platOptionsService');
+
+const makePlat = (options) => ({
+  id: 1,
+  options,
+  getNom: () => 'Pizza'
+});
+
+const taille = {
+  nom: 'Taille',
+  obligatoire: true,
+  choix: [
+    { label: 'Normal', supplement: 0 },
+    { label: 'Large', supplement: 200 }
+  ]
+};
+
+const sauces = {
+  nom: 'Sauces',
+  max: 2,
+  choix: [
+    { label: 'Harissa', supplement: 20 },
+    { label: 'Mayo', supplement: 30 },
+    { label: 'Ketchup', supplement: 30, disponible: false }
+  ]
+};
+
+describe('Plat Options Service', () => {
+  describe('resolveItemOptions', () => {
+    const plat = makePlat([taille, sauces]);
+
+    it('should price options from the catalog and ignore client supplements', () => {
+      const result = resolveItemOptions(plat, [
+        { nom: 'Taille', choix: 'Large', supplement: 0 },
+        { nom: 'Sauces', choix: ['Harissa', 'Mayo'] }
+      ]);
+
+      expect(result.valid).toBe(true);
+      expect(result.supplementsTotal).toBe(250);
+      expect(result.options).toEqual([
+        { nom: 'Taille', choix: 'Large', supplement: 200 },
+        { nom: 'Sauces', choix: 'Harissa', supplement: 20 },
+        { nom: 'Sauces', choix: 'Mayo', supplement: 30 }
+      ]);
+    });
+
+    it('should reject a missing required group', () => {
+      const result = resolveItemOptions(plat, []);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('obligatoire');
+    });
+
+    it('should reject unknown groups and choices', () => {
+      expect(resolveItemOptions(plat, [{ nom: 'Taille', choix: 'XXL' }]).valid).toBe(false);
+      expect(resolveItemOptions(plat, [
+        { nom: 'Taille', choix: 'Normal' },
+        { nom: 'Cuisson', choix: 'Bien cuit' }
+      ]).valid).toBe(false);
+    });
+
+    it('should enforce max and unavailable choices', () => {
+      expect(resolveItemOptions(plat, [
+        { nom: 'Taille', choix: 'Normal' },
+        { nom: 'Sauces', choix: ['Harissa', 'Mayo', 'Ketchup'] }
+      ]).valid).toBe(false);
+      expect(resolveItemOptions(plat, [
+        { nom: 'Taille', choix: 'Normal' },
+        { nom: 'Sauces', choix: 'Ketchup' }
+      ]).valid).toBe(false);
+    });
+
+    it('should accept plats without options', () => {
+      const result = resolveItemOptions(makePlat(null), undefined);
+      expect(result).toEqual({ valid: true, options: [], supplementsTotal: 0 });
+    });
+  });
+
+  describe('validateOptionGroups', () => {
+    it('should accept a valid definition', () => {
+      expect(validateOptionGroups([taille, sauces]).valid).toBe(true);
+    });
+
+    it('should reject negative supplements and inconsistent bounds', () => {
+      expect(validateOptionGroups([{ nom: 'A', choix: [{ label: 'x', supplement: -5 }] }]).valid).toBe(false);
+      expect(validateOptionGroups([{ nom: 'A', min: 3, max: 2, choix: [{ label: 'x' }] }]).valid).toBe(false);
+    });
+
+    it('should parse JSON strings from multipart forms', () => {
+      const result = parseOptionGroups(JSON.stringify([taille]));
+      expect(result.valid).toBe(true);
+      expect(result.groups).toHaveLength(1);
+      expect(parseOptionGroups('{invalid').valid).toBe(false);
+    });
+  });
+});
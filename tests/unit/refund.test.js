@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for Order Refund Accounting
+ */
+
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  CommandeGroupePart: { sum: jest.fn() },
+  MouvementCarteCadeau: { sum: jest.fn() },
+  TransactionPortefeuille: { sum: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../services/walletService', () => ({ restoreWalletPayment: jest.fn() }));
+jest.mock('../../services/giftCardService', () => ({ restoreGiftCards: jest.fn() }));
+
+const { CommandeGroupePart, MouvementCarteCadeau, TransactionPortefeuille } = require('../../models');
+const { restoreWalletPayment } = require('../../services/walletService');
+const { restoreGiftCards } = require('../../services/giftCardService');
+const { getRefundSummary, withOriginalRefund, restorePrepaidShares } = require('../../services/refundService');
+
+describe('Order Refunds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TransactionPortefeuille.sum.mockResolvedValue(null);
+    MouvementCarteCadeau.sum.mockResolvedValue(null);
+    CommandeGroupePart.sum.mockResolvedValue(null);
+  });
+
+  it('should add up every refund already made on the order', async () => {
+    TransactionPortefeuille.sum.mockResolvedValue(400);
+    MouvementCarteCadeau.sum.mockResolvedValue(300);
+    const commande = {
+      id: 1,
+      total: '2000.00',
+      paiementDetails: { montantRembourseMoyenInitial: 500 }
+    };
+
+    expect(await getRefundSummary(commande)).toEqual({
+      paye: 2000,
+      portefeuille: 400,
+      cartesCadeaux: 300,
+      moyenInitial: 500,
+      rembourse: 1200,
+      restant: 800
+    });
+    expect(TransactionPortefeuille.sum).toHaveBeenCalledWith('montant', {
+      where: { commandeId: 1, type: ['remboursement', 'annulation'] }
+    });
+    expect(CommandeGroupePart.sum).not.toHaveBeenCalled();
+  });
+
+  it('should count what accepted amendments gave back as paid and refunded', async () => {
+    const commande = {
+      id: 1,
+      total: '700.00',
+      paiementDetails: {
+        remboursementsPartiels: [
+          { amendementId: 1, success: true, amount: 300, carte: 300 },
+          { amendementId: 2, success: false, amount: 100, carte: 100 }
+        ]
+      }
+    };
+
+    // 1100 payés, 300 rendus sur la carte ; l'échec de la seconde modification reste dû
+    expect(await getRefundSummary(commande)).toMatchObject({ paye: 1100, moyenInitial: 300, restant: 800 });
+  });
+
+  it('should count the refunded shares of a group order', async () => {
+    CommandeGroupePart.sum.mockResolvedValue(1200);
+    const commande = { id: 1, total: '2400.00', paiementDetails: { paiementFractionne: true } };
+
+    expect(await getRefundSummary(commande)).toMatchObject({ moyenInitial: 1200, restant: 1200 });
+  });
+
+  it('should accumulate refunds made on the original payment method', () => {
+    const details = withOriginalRefund({ montantRembourseMoyenInitial: 200, cardLast4: '0011' }, 300, { refundId: 'RFD-1' });
+
+    expect(details).toEqual({ cardLast4: '0011', refund: { refundId: 'RFD-1' }, montantRembourseMoyenInitial: 500 });
+  });
+
+  it('should give back gift cards first, then the wallet, up to the remaining amount', async () => {
+    restoreGiftCards.mockResolvedValue(400);
+    restoreWalletPayment.mockResolvedValue({ id: 9, montant: '200.00' });
+    const commande = { id: 1, total: '2000.00' };
+
+    const result = await restorePrepaidShares(commande, { montantMax: 600, motif: 'Remboursement' });
+
+    expect(restoreGiftCards).toHaveBeenCalledWith(commande, { transaction: mockTransaction, motif: 'Remboursement', montant: 600 });
+    expect(restoreWalletPayment).toHaveBeenCalledWith(commande, mockTransaction, { montant: 200, motif: 'Remboursement' });
+    expect(result).toMatchObject({ cartesCadeaux: 400, portefeuille: 200 });
+    expect(mockTransaction.commit).toHaveBeenCalled();
+
+    expect(await restorePrepaidShares(commande, { montantMax: 0, motif: 'Remboursement' }))
+      .toEqual({ cartesCadeaux: 0, portefeuille: 0, mouvement: null });
+    expect(restoreGiftCards).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit Tests for Successive Refunds of an Order Paid by Wallet, Card and Gift Card
+ * (litige, remboursement sur la carte, double remboursement)
+ */
+
+const { createMockTransaction, makeRecord, callHandler } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+/**
+ * Table en mémoire : lignes filtrées par égalité (ou appartenance pour un tableau)
+ */
+const mockTable = () => {
+  const rows = [];
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) =>
+    (Array.isArray(value) ? value.includes(row[key]) : row[key] === value));
+
+  return {
+    rows,
+    create: jest.fn(async (data) => {
+      const row = { id: rows.length + 1, ...data };
+      rows.push(row);
+      return row;
+    }),
+    findAll: jest.fn(async ({ where }) => rows.filter(row => matches(row, where))),
+    sum: jest.fn(async (field, { where }) => rows
+      .filter(row => matches(row, where))
+      .reduce((total, row) => total + parseFloat(row[field]), 0))
+  };
+};
+
+jest.mock('../../models', () => ({
+  Commande: { findByPk: jest.fn(), update: jest.fn() },
+  Checkout: {},
+  CommandeGroupePart: { sum: jest.fn(async () => 0) },
+  GiftCard: { findByPk: jest.fn() },
+  Litige: { findByPk: jest.fn() },
+  MouvementCarteCadeau: mockTable(),
+  TransactionPortefeuille: mockTable(),
+  User: { findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+jest.mock('../../config/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToAdmins: jest.fn()
+}));
+
+const mockProvider = { refund: jest.fn() };
+jest.mock('../../services/paymentProviderService', () => ({
+  getPaymentProvider: jest.fn(() => mockProvider),
+  getOnlineProvider: jest.fn(() => mockProvider)
+}));
+jest.mock('../../services/invoiceService', () => ({ issueRefundCreditNote: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({
+  recordRefund: jest.fn(),
+  recordDisputeRefund: jest.fn()
+}));
+jest.mock('../../services/stockReservationService', () => ({ commitPayment: jest.fn() }));
+jest.mock('../../services/orderRulesService', () => ({
+  getPaymentOptions: jest.fn(),
+  checkPaymentMode: jest.fn()
+}));
+
+const {
+  Commande, GiftCard, Litige, MouvementCarteCadeau, TransactionPortefeuille, User
+} = require('../../models');
+const { issueRefundCreditNote } = require('../../services/invoiceService');
+const { recordRefund, recordDisputeRefund } = require('../../services/ledgerService');
+const { getRefundSummary } = require('../../services/refundService');
+const { getMontantAPayer } = require('../../utils/helpers');
+const { requestRefund } = require('../../controllers/paiementController');
+const { resoudreLitige } = require('../../controllers/litigeController');
+const { forceRemboursement } = require('../../controllers/commandeController');
+const { requestRefund: requestSatimRefund } = require('../../controllers/satimController');
+
+const admin = { id: 1, role: 'admin' };
+const call = (handler, req) => callHandler(handler, { user: admin, ...req });
+
+const makeLitige = (id) => makeRecord({
+  id,
+  numero: `LIT-${id}`,
+  commandeId: 1,
+  clientId: 10,
+  prestataireId: 20,
+  statut: 'ouvert',
+  addMessage: jest.fn(),
+  save: jest.fn()
+});
+
+describe('Successive Refunds', () => {
+  let commande;
+  let client;
+  let giftCard;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TransactionPortefeuille.rows.length = 0;
+    MouvementCarteCadeau.rows.length = 0;
+
+    // 3000 DA : 1000 par carte cadeau, 500 par le portefeuille, 1500 par carte CIB
+    commande = makeRecord({
+      id: 1,
+      numero: 'EAT-1',
+      clientId: 10,
+      total: '3000.00',
+      montantCartesCadeaux: '1000.00',
+      montantPortefeuille: '500.00',
+      modePaiement: 'cib',
+      transactionId: 'TX1',
+      statutPaiement: 'reussi',
+      paiementDetails: {}
+    });
+    commande.getMontantAPayer = () => getMontantAPayer(commande);
+    client = makeRecord({ id: 10, soldePortefeuille: '0.00' });
+    giftCard = makeRecord({
+      id: 5,
+      code: 'GC-1',
+      montantRestant: '0.00',
+      statut: 'used',
+      dateExpiration: new Date(Date.now() + 86400000)
+    });
+    MouvementCarteCadeau.rows.push({
+      id: 1, giftCardId: 5, commandeId: 1, clientId: 10, type: 'utilisation', montant: '-1000.00'
+    });
+    TransactionPortefeuille.rows.push({
+      id: 1, clientId: 10, commandeId: 1, type: 'paiement', montant: '-500.00'
+    });
+
+    Commande.findByPk.mockResolvedValue(commande);
+    Commande.update.mockImplementation(async (changes, { where }) => {
+      if (where.statutPaiement && where.statutPaiement !== commande.statutPaiement) return [0];
+      Object.assign(commande, changes);
+      return [1];
+    });
+    User.findByPk.mockResolvedValue(client);
+    GiftCard.findByPk.mockResolvedValue(giftCard);
+    mockProvider.refund.mockImplementation(async ({ amount }) => ({
+      success: true, refundId: 'RFD-1', amount, status: 'PROCESSED'
+    }));
+  });
+
+  it('should never return more than was paid across disputes and refunds', async () => {
+    // Litige : 400 DA crédités sur le portefeuille
+    Litige.findByPk.mockResolvedValue(makeLitige(1));
+    const partiel = await call(resoudreLitige, {
+      params: { id: 1 },
+      body: { resolution: 'remboursement_partiel', montantRembourse: 400 }
+    });
+    expect(partiel.status).toBe(200);
+    expect(recordDisputeRefund).toHaveBeenCalledWith(expect.objectContaining({ montant: 400 }));
+
+    // Remboursement complet : la carte, puis les cartes cadeaux et le reste du portefeuille
+    const complet = await call(requestRefund, { body: { commandeId: 1 } });
+    expect(complet.body.data).toMatchObject({ amount: 2600, carte: 1500, cartesCadeaux: 1000, partPortefeuille: 100 });
+    expect(mockProvider.refund).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 'TX1', amount: 1500 }));
+    expect(issueRefundCreditNote).toHaveBeenCalledWith(expect.objectContaining({ montant: 2600 }));
+    expect(recordRefund).toHaveBeenCalledWith(expect.objectContaining({ montant: 2600 }));
+    expect(giftCard).toMatchObject({ montantRestant: 1000, statut: 'claimed' });
+    expect(client.soldePortefeuille).toBe(500);
+    expect(await getRefundSummary(commande)).toMatchObject({ paye: 3000, rembourse: 3000, restant: 0 });
+
+    // Second remboursement de la commande
+    const double = await call(requestRefund, { body: { commandeId: 1 } });
+    expect(double.status).toBe(400);
+    expect(mockProvider.refund).toHaveBeenCalledTimes(1);
+
+    // Nouveau litige : plus rien à rendre
+    Litige.findByPk.mockResolvedValue(makeLitige(2));
+    const depasse = await call(resoudreLitige, {
+      params: { id: 2 },
+      body: { resolution: 'remboursement_partiel', montantRembourse: 100 }
+    });
+    expect(depasse.status).toBe(400);
+    expect(depasse.error.message).toMatch(/reste remboursable de la commande \(0 DA\)/);
+
+    Litige.findByPk.mockResolvedValue(makeLitige(3));
+    const total = await call(resoudreLitige, { params: { id: 3 }, body: { resolution: 'remboursement_total' } });
+    expect(total.status).toBe(200);
+    expect(recordDisputeRefund).toHaveBeenCalledTimes(1);
+
+    expect(client.soldePortefeuille).toBe(500);
+    expect(giftCard.montantRestant).toBe(1000);
+    expect(TransactionPortefeuille.rows.map(t => [t.type, t.montant]))
+      .toEqual([['paiement', '-500.00'], ['remboursement', 400], ['annulation', 100]]);
+  });
+
+  it('should cap a card refund at the card share and leave the rest refundable', async () => {
+    const trop = await call(requestRefund, { body: { commandeId: 1, montant: 2000 } });
+    expect(trop.status).toBe(400);
+    expect(trop.error.message).toMatch(/part payée par carte/);
+
+    const partiel = await call(requestRefund, { body: { commandeId: 1, montant: 1500 } });
+    expect(partiel.body.data).toMatchObject({ amount: 1500, carte: 1500, cartesCadeaux: 0, partPortefeuille: 0 });
+    expect(commande.paiementDetails.montantRembourseMoyenInitial).toBe(1500);
+
+    // Le solde remboursable reste la part réglée d'avance
+    expect(await getRefundSummary(commande)).toMatchObject({ moyenInitial: 1500, restant: 1500 });
+    Litige.findByPk.mockResolvedValue(makeLitige(1));
+    await call(resoudreLitige, { params: { id: 1 }, body: { resolution: 'remboursement_total' } });
+
+    expect(giftCard.montantRestant).toBe(1000);
+    expect(client.soldePortefeuille).toBe(500);
+    expect(recordDisputeRefund).toHaveBeenCalledWith(expect.objectContaining({ montant: 1500 }));
+    expect(await getRefundSummary(commande)).toMatchObject({ restant: 0 });
+  });
+
+  it('should keep a partly force-refunded order paid until everything is returned', async () => {
+    const partiel = await call(forceRemboursement, {
+      params: { id: 1 },
+      body: { montant: 1000, motif: 'Geste commercial', destination: 'portefeuille' }
+    });
+    expect(partiel.status).toBe(200);
+    expect(commande.statutPaiement).toBe('reussi');
+    expect(commande.paiementDetails.montantRembourse).toBe(1000);
+    expect(client.soldePortefeuille).toBe(1000);
+
+    const complet = await call(forceRemboursement, { params: { id: 1 }, body: { motif: 'Commande non livrée' } });
+    expect(complet.body).toMatchObject({ cartesCadeaux: 1000, partPortefeuille: 500 });
+    expect(commande.statutPaiement).toBe('rembourse');
+    expect(commande.paiementDetails).toMatchObject({ montantRembourseMoyenInitial: 500, montantRembourse: 3000 });
+    expect(recordRefund).toHaveBeenLastCalledWith(expect.objectContaining({ montant: 2000 }));
+  });
+
+  it('should release a forced refund that could not be credited', async () => {
+    User.findByPk.mockResolvedValue(null);
+
+    const { status, error } = await call(forceRemboursement, {
+      params: { id: 1 },
+      body: { montant: 300, motif: 'Geste commercial', destination: 'portefeuille' }
+    });
+
+    expect(status).toBe(400);
+    expect(error.message).toBe('Client non trouvé');
+    expect(commande.statutPaiement).toBe('reussi');
+    expect(issueRefundCreditNote).not.toHaveBeenCalled();
+  });
+
+  it('should refund only the card share through the SATIM refund route', async () => {
+    const { body } = await call(requestSatimRefund, { body: { orderId: 1, reason: 'Commande non livrée' } });
+
+    expect(mockProvider.refund).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 'TX1', amount: 1500 }));
+    expect(body.data).toMatchObject({ amount: 3000, carte: 1500, cartesCadeaux: 1000, partPortefeuille: 500 });
+    expect(commande).toMatchObject({ statutPaiement: 'rembourse', paiementDetails: { montantRembourseMoyenInitial: 1500 } });
+  });
+
+  it('should refund a claimed order only once', async () => {
+    // Une autre demande a réservé la commande entre la lecture et la réservation
+    Commande.update.mockResolvedValueOnce([0]);
+
+    const { status } = await call(requestSatimRefund, { body: { orderId: 1, amount: 500 } });
+
+    expect(status).toBe(409);
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+
+  it('should keep a partly refunded order paid and release it when the card refund fails', async () => {
+    mockProvider.refund.mockResolvedValueOnce({ success: false, error: 'Refusé', code: 'REFUND_FAILED' });
+    const refuse = await call(requestRefund, { body: { commandeId: 1, montant: 500 } });
+    expect(refuse.status).toBe(400);
+    expect(commande.statutPaiement).toBe('reussi');
+
+    await call(requestRefund, { body: { commandeId: 1, montant: 500 } });
+    expect(commande.statutPaiement).toBe('reussi');
+    expect(commande.paiementDetails).toMatchObject({ montantRembourseMoyenInitial: 500, montantRembourse: 500 });
+  });
+});
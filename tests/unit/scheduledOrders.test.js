@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for the Scheduled Orders Job
+ */
+
+jest.mock('../../models', () => ({
+  Commande: { findAll: jest.fn(), update: jest.fn() },
+  User: { findAll: jest.fn() },
+  Notification: { create: jest.fn() }
+}));
+
+jest.mock('../../config/socket', () => ({
+  emitToPrestataire: jest.fn(),
+  emitToAdmins: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../services/orderStateMachine', () => ({ transitionCommande: jest.fn() }));
+jest.mock('../../services/pushService', () => ({ sendPushToUser: jest.fn() }));
+jest.mock('../../services/openingHoursService', () => ({
+  getTimezone: jest.fn(async () => 'Africa/Algiers'),
+  formatLocal: jest.fn(date => date.toISOString())
+}));
+
+const mockDeliverySettings = {
+  scheduledAcceptanceLeadMinutes: 60,
+  scheduledNoResponsePolicy: 'cancel',
+  confirmationTimeoutMinutes: 15
+};
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => mockDeliverySettings)
+}));
+
+const { Commande, User, Notification } = require('../../models');
+const { emitToPrestataire, emitToAdmins } = require('../../config/socket');
+const { transitionCommande } = require('../../services/orderStateMachine');
+const { getSettings } = require('../../services/settingsService');
+const { getScheduledPrepStart } = require('../../services/kitchenCapacityService');
+const { requestScheduledAcceptance, processScheduledOrders } = require('../../jobs/scheduledOrdersJob');
+
+const now = new Date('2026-03-02T12:00:00Z');
+const minutes = (n) => new Date(now.getTime() + n * 60000);
+const makeCommande = (overrides = {}) => ({
+  id: 1,
+  numero: 'EAT-1',
+  clientId: 10,
+  prestataireId: 20,
+  statut: 'en_attente',
+  statutPaiement: 'en_attente',
+  isScheduled: true,
+  dateLivraisonSouhaitee: minutes(50),
+  debutPreparationPrevu: minutes(0),
+  acceptationDemandeeLe: minutes(-60),
+  client: { id: 10, prenom: 'Amine' },
+  prestataire: { id: 20, nomEtablissement: 'Chez Test' },
+  ...overrides
+});
+
+describe('Scheduled Orders Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transitionCommande.mockResolvedValue({ success: true });
+  });
+
+  it('should start prep at delivery time minus prep and delivery estimates', () => {
+    expect(getScheduledPrepStart(new Date('2026-03-02T20:00:00Z'), 25, 30))
+      .toEqual(new Date('2026-03-02T19:05:00Z'));
+  });
+
+  it('should ask the prestataire to accept once, ahead of prep', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande({ debutPreparationPrevu: minutes(45), acceptationDemandeeLe: null })]);
+    Commande.update.mockResolvedValue([1]);
+
+    await requestScheduledAcceptance(now);
+
+    const { where } = Commande.findAll.mock.calls[0][0];
+    expect(where).toMatchObject({ isScheduled: true, statut: 'en_attente', acceptationDemandeeLe: null });
+    expect(Commande.update).toHaveBeenCalledWith(
+      { acceptationDemandeeLe: now },
+      { where: { id: 1, acceptationDemandeeLe: null } }
+    );
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 20 }));
+    expect(emitToPrestataire).toHaveBeenCalledWith(20, 'commande:acceptation-requise', expect.any(Object));
+  });
+
+  it('should start prep of accepted orders and cancel unanswered ones', async () => {
+    Commande.findAll.mockResolvedValue([
+      makeCommande({ statut: 'confirmee' }),
+      makeCommande({ id: 2, numero: 'EAT-2' })
+    ]);
+
+    await processScheduledOrders(now);
+
+    expect(transitionCommande).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), 'en_preparation', expect.objectContaining({ acteurType: 'system' }));
+    expect(transitionCommande).toHaveBeenCalledWith(expect.objectContaining({ id: 2 }), 'annulee', expect.objectContaining({ motifCode: 'sans_reponse' }));
+  });
+
+  it('should leave the prestataire time to answer a late acceptance request', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande({ acceptationDemandeeLe: minutes(-5) })]);
+
+    await processScheduledOrders(now);
+
+    expect(transitionCommande).not.toHaveBeenCalled();
+  });
+
+  it('should escalate to admins instead of cancelling when configured', async () => {
+    getSettings.mockResolvedValue({ ...mockDeliverySettings, scheduledNoResponsePolicy: 'escalate' });
+    Commande.findAll.mockResolvedValue([makeCommande()]);
+    Commande.update.mockResolvedValue([1]);
+    User.findAll.mockResolvedValue([{ id: 1 }]);
+
+    await processScheduledOrders(now);
+
+    expect(transitionCommande).not.toHaveBeenCalled();
+    expect(emitToAdmins).toHaveBeenCalledWith('commande:non-confirmee', expect.objectContaining({ commandeId: 1, programmee: true }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 1 }));
+
+    // Toujours sans réponse à l'heure de livraison : annulée
+    Commande.findAll.mockResolvedValue([makeCommande({ dateLivraisonSouhaitee: minutes(-1) })]);
+    await processScheduledOrders(now);
+    expect(transitionCommande).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), 'annulee', expect.any(Object));
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Prestataire Settlement Statements
+ */
+
+const { createMockTransaction } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  Commande: { findAll: jest.fn() },
+  Livraison: { findAll: jest.fn() },
+  EcritureComptable: { findAll: jest.fn() },
+  ReleveReglement: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn(async data => ({ id: 5, ...data })) },
+  sequelize: { transaction: jest.fn(async () => mockTransaction), fn: jest.fn(), col: jest.fn() }
+}));
+
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => ({ timezone: 'Africa/Algiers', settlementWeekStartDay: 0 }))
+}));
+
+jest.mock('../../config/logger', () => ({ error: jest.fn() }));
+
+const { Commande, Livraison, EcritureComptable, ReleveReglement } = require('../../models');
+const { buildDeliveryLines, buildRefundLines } = require('../../services/ledgerService');
+const { getLastWeek, buildStatement, generateStatement, markStatementPaid } = require('../../services/settlementService');
+
+const settings = { platformCommission: 15, deliveryCommission: 10, premiumPartnerCommission: 12 };
+
+const makeCommande = (id, extra = {}) => ({
+  id,
+  numero: `EAT-${id}`,
+  prestataireId: 20,
+  modePaiement: 'cib',
+  dateLivraison: new Date('2026-10-13T12:00:00Z'),
+  sousTotal: '2000.00',
+  reduction: '0.00',
+  fraisLivraison: '300.00',
+  pourboire: '0.00',
+  ...extra
+});
+
+// Écritures comptables telles que relues en base
+const ecrituresDe = (commande, lignes, evenement = 'livraison') =>
+  lignes.map(l => ({ ...l, commandeId: commande.id, evenement }));
+
+describe('Settlement Statements', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should cover the last full local week', () => {
+    // Mardi 20 octobre 2026, 10h à Alger
+    const { debut, fin, debutKey } = getLastWeek(new Date('2026-10-20T09:00:00Z'), 'Africa/Algiers', 0);
+
+    expect(debutKey).toBe('2026-10-11');
+    expect(debut).toEqual(new Date('2026-10-10T23:00:00Z'));
+    expect(fin).toEqual(new Date('2026-10-17T23:00:00Z'));
+
+    // Le jour même du début de semaine, la semaine en cours n'est pas incluse
+    expect(getLastWeek(new Date('2026-10-18T08:00:00Z'), 'Africa/Algiers', 0).debutKey).toBe('2026-10-11');
+    expect(getLastWeek(new Date('2026-10-20T09:00:00Z'), 'Africa/Algiers', 1).debutKey).toBe('2026-10-12');
+  });
+
+  it('should net commissions, promotions, refunds and cash kept by the prestataire', () => {
+    const carte = makeCommande(1, { reduction: '200.00', promotionId: 3 });
+    const livreur = makeCommande(2, { modePaiement: 'especes' });
+    const prestataire = makeCommande(3, { modePaiement: 'especes', pourboire: '100.00' });
+
+    const livraisonCarte = buildDeliveryLines({ commande: carte, promotion: { prestataireId: null }, livreurId: 30, settings });
+    const ecritures = [
+      ...ecrituresDe(carte, livraisonCarte),
+      ...ecrituresDe(carte, buildRefundLines(livraisonCarte, 500, 'Remboursement'), 'remboursement'),
+      ...ecrituresDe(livreur, buildDeliveryLines({ commande: livreur, livreurId: 30, settings })),
+      ...ecrituresDe(prestataire, buildDeliveryLines({ commande: prestataire, settings }))
+    ];
+
+    const releve = buildStatement({
+      prestataireId: 20,
+      ecritures,
+      commandes: [carte, livreur, prestataire],
+      livreurs: new Map([[1, 30], [2, 30], [3, null]])
+    });
+
+    expect(releve.nombreCommandes).toBe(3);
+    expect(releve.ventesBrutes).toBe(6000);
+    expect(releve.commissions).toBe(-900);
+    expect(releve.promotions).toBe(0);
+    expect(releve.promotionsPlateforme).toBe(200);
+    expect(releve.fraisLivraison).toBe(400);
+    expect(releve.remboursements).toBeLessThan(0);
+    expect(releve.netDu).toBe(Math.round((6000 - 900 + 400 + releve.remboursements) * 100) / 100);
+
+    // Espèces : la commande livrée par le prestataire reste dans sa caisse
+    expect(releve.especesPrestataire).toBe(2400);
+    expect(releve.especesLivreurs).toBe(2300);
+    expect(releve.montantAVerser).toBe(Math.round((releve.netDu - 2400) * 100) / 100);
+    expect(releve.lignes.map(l => l.encaissePar)).toEqual(['plateforme', 'livreur', 'prestataire']);
+  });
+
+  it('should not issue a statement twice for the same period', async () => {
+    ReleveReglement.findOne.mockResolvedValue({ id: 1 });
+
+    const result = await generateStatement({ prestataireId: 20, debut: new Date(), fin: new Date(), debutKey: '2026-10-11' });
+
+    expect(result).toBeNull();
+    expect(EcritureComptable.findAll).not.toHaveBeenCalled();
+  });
+
+  it('should issue a numbered statement from the ledger', async () => {
+    const commande = makeCommande(1);
+    const lignes = ecrituresDe(commande, buildDeliveryLines({ commande, livreurId: 30, settings }));
+    ReleveReglement.findOne.mockResolvedValue(null);
+    EcritureComptable.findAll
+      .mockResolvedValueOnce(lignes.filter(l => l.compte === 'prestataire'))
+      .mockResolvedValueOnce(lignes);
+    Commande.findAll.mockResolvedValue([commande]);
+    Livraison.findAll.mockResolvedValue([{ commandeId: 1, livreurId: 30 }]);
+
+    const releve = await generateStatement({
+      prestataireId: 20,
+      debut: new Date('2026-10-10T23:00:00Z'),
+      fin: new Date('2026-10-17T23:00:00Z'),
+      debutKey: '2026-10-11'
+    });
+
+    expect(releve).toMatchObject({ numero: 'REL-20261011-20', prestataireId: 20, netDu: 1700, montantAVerser: 1700 });
+  });
+
+  it('should mark a statement paid once with an audit entry', async () => {
+    const releve = {
+      id: 5,
+      statut: 'en_attente',
+      montantAVerser: '1700.00',
+      historique: [],
+      addHistorique: jest.fn(function (action, adminId, details) { this.historique.push({ action, adminId, details }); }),
+      save: jest.fn()
+    };
+    ReleveReglement.findByPk.mockResolvedValue(releve);
+
+    const result = await markStatementPaid({ releveId: 5, adminId: 1, referencePaiement: 'VIR-42' });
+
+    expect(result.success).toBe(true);
+    expect(releve).toMatchObject({ statut: 'paye', payePar: 1, referencePaiement: 'VIR-42' });
+    expect(releve.historique).toEqual([{ action: 'paye', adminId: 1, details: { montant: 1700, referencePaiement: 'VIR-42', commentaire: null } }]);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+
+    const again = await markStatementPaid({ releveId: 5, adminId: 1 });
+    expect(again).toEqual({ success: false, error: 'Ce relevé est déjà marqué comme payé' });
+  });
+});
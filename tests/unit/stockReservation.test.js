@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for the Stock Reservation of Online Payments
+ */
+
+jest.mock('../../models', () => ({
+  Commande: { findAll: jest.fn(), update: jest.fn() },
+  Notification: { create: jest.fn() }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../services/orderStateMachine', () => ({
+  transitionCommande: jest.fn(),
+  refundCancelledCommande: jest.fn(async () => ({ success: true, refundId: 'RF-1' }))
+}));
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn(async () => ({ stockReservationMinutes: 15 }))
+}));
+
+const { Commande, Notification } = require('../../models');
+const { transitionCommande, refundCancelledCommande } = require('../../services/orderStateMachine');
+const { getReservationExpiry, commitPayment } = require('../../services/stockReservationService');
+const { releaseExpiredReservations } = require('../../jobs/stockReservationJob');
+
+const now = new Date('2026-03-02T12:00:00Z');
+const makeCommande = (overrides = {}) => ({
+  id: 1,
+  numero: 'EAT-1',
+  clientId: 10,
+  statut: 'en_attente',
+  statutPaiement: 'en_attente',
+  stockReserveJusquA: new Date(now.getTime() - 60000),
+  set: jest.fn(function set(data) { Object.assign(this, data); }),
+  ...overrides
+});
+
+describe('Stock Reservation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should only hold stock with an expiry for online payments', async () => {
+    expect(await getReservationExpiry('cib', now)).toEqual(new Date('2026-03-02T12:15:00Z'));
+    expect(await getReservationExpiry('edahabia', now)).toEqual(new Date('2026-03-02T12:15:00Z'));
+    expect(await getReservationExpiry('especes', now)).toBeNull();
+  });
+
+  it('should commit the reservation on a successful payment', async () => {
+    Commande.update.mockResolvedValue([1]);
+    const commande = makeCommande();
+
+    const result = await commitPayment(commande, { statutPaiement: 'reussi' });
+
+    expect(result).toEqual({ committed: true });
+    expect(Commande.update).toHaveBeenCalledWith(
+      { statutPaiement: 'reussi', stockReserveJusquA: null },
+      expect.objectContaining({ where: expect.objectContaining({ id: 1 }) })
+    );
+    expect(commande.stockReserveJusquA).toBeNull();
+    expect(refundCancelledCommande).not.toHaveBeenCalled();
+  });
+
+  it('should refund a payment received after the reservation was released', async () => {
+    Commande.update.mockResolvedValueOnce([0]).mockResolvedValueOnce([1]);
+    const commande = makeCommande({ statut: 'annulee', transactionId: 'TX-1' });
+
+    const result = await commitPayment(commande, { statutPaiement: 'reussi' });
+
+    expect(result.committed).toBe(false);
+    expect(refundCancelledCommande).toHaveBeenCalledWith(expect.objectContaining({ statutPaiement: 'reussi', statut: 'annulee' }));
+  });
+
+  it('should cancel expired or failed reservations through the state machine', async () => {
+    Commande.findAll.mockResolvedValue([
+      makeCommande(),
+      makeCommande({ id: 2, numero: 'EAT-2', statutPaiement: 'echoue' })
+    ]);
+    transitionCommande.mockResolvedValue({ success: true });
+
+    await releaseExpiredReservations(now);
+
+    expect(transitionCommande).toHaveBeenCalledTimes(2);
+    const [commande, statut, options] = transitionCommande.mock.calls[0];
+    expect(commande.id).toBe(1);
+    expect(statut).toBe('annulee');
+    expect(options).toMatchObject({
+      acteurType: 'system',
+      updates: { stockReserveJusquA: null },
+      metadata: expect.objectContaining({ reservationExpiree: true })
+    });
+    expect(options.where).toHaveProperty('statutPaiement');
+    expect(transitionCommande.mock.calls[1][2].motif).toMatch(/échoué/);
+    expect(Notification.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('should leave orders alone when the payment went through meanwhile', async () => {
+    Commande.findAll.mockResolvedValue([makeCommande()]);
+    transitionCommande.mockResolvedValue({ success: false, error: 'La commande a été modifiée entre-temps' });
+
+    await releaseExpiredReservations(now);
+
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for Tip Service
+ */
+
+jest.mock('../../models', () => ({
+  Livraison: { findOne: jest.fn() }
+}));
+
+const { Livraison } = require('../../models');
+const { computeTip, checkTipWindow, creditTip } = require('../../services/tipService');
+
+const settings = { tipsEnabled: true, maxTipPercentage: 30, maxTipAmount: 2000, tipWindowHours: 48 };
+
+describe('Tip Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should compute a fixed or percentage tip', () => {
+    expect(computeTip({ base: 1500, settings })).toEqual({ valid: true, pourboire: 0 });
+    expect(computeTip({ montant: 150, base: 1500, settings })).toEqual({ valid: true, pourboire: 150 });
+    expect(computeTip({ pourcentage: 10, base: 1555, settings })).toEqual({ valid: true, pourboire: 155.5 });
+  });
+
+  it('should reject invalid or excessive tips', () => {
+    expect(computeTip({ montant: 100, pourcentage: 10, base: 1500, settings }).valid).toBe(false);
+    expect(computeTip({ pourcentage: 50, base: 1500, settings }).valid).toBe(false);
+    expect(computeTip({ montant: 2500, base: 1500, settings }).valid).toBe(false);
+    expect(computeTip({ montant: -5, base: 1500, settings }).valid).toBe(false);
+    expect(computeTip({ montant: 100, base: 1500, settings: { ...settings, tipsEnabled: false } }).valid).toBe(false);
+  });
+
+  it('should only allow post-delivery tips within the window', () => {
+    const dateLivraison = new Date('2026-03-02T12:00:00Z');
+    const livree = { statut: 'livree', dateLivraison };
+
+    expect(checkTipWindow(livree, settings, new Date('2026-03-03T12:00:00Z')).valid).toBe(true);
+    expect(checkTipWindow(livree, settings, new Date('2026-03-04T12:00:01Z')).valid).toBe(false);
+    expect(checkTipWindow({ statut: 'en_livraison', dateLivraison: null }, settings).valid).toBe(false);
+  });
+
+  it('should credit the whole tip to the delivery', async () => {
+    const livraison = { increment: jest.fn() };
+    Livraison.findOne.mockResolvedValue(livraison);
+
+    await creditTip({ commandeId: 7, montant: 200 });
+
+    expect(livraison.increment).toHaveBeenCalledWith('pourboire', { by: 200, transaction: undefined });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for the Client Wallet
+ */
+
+const { createMockTransaction, makeRecord } = require('../helpers');
+
+const mockTransaction = createMockTransaction();
+
+jest.mock('../../models', () => ({
+  User: { findByPk: jest.fn() },
+  TransactionPortefeuille: { create: jest.fn(async data => ({ id: 1, ...data })), sum: jest.fn() },
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+
+const { User, TransactionPortefeuille } = require('../../models');
+const {
+  getUsableBalance,
+  payWithWallet,
+  restoreWalletPayment,
+  refundToWallet
+} = require('../../services/walletService');
+
+const makeClient = (soldePortefeuille) => makeRecord({ id: 10, soldePortefeuille });
+
+const commande = { id: 1, numero: 'EAT-1', clientId: 10, total: '2000.00', montantPortefeuille: '0.00' };
+
+describe('Client Wallet', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should use the balance up to the order total and the client cap', async () => {
+    User.findByPk.mockResolvedValue(makeClient('1500.00'));
+
+    expect(await getUsableBalance({ clientId: 10, total: 2000, transaction: mockTransaction })).toBe(1500);
+    expect(await getUsableBalance({ clientId: 10, total: 900, transaction: mockTransaction })).toBe(900);
+    expect(await getUsableBalance({ clientId: 10, total: 2000, montantMax: '400', transaction: mockTransaction })).toBe(400);
+    expect(User.findByPk).toHaveBeenCalledWith(10, expect.objectContaining({ lock: 'UPDATE', transaction: mockTransaction }));
+  });
+
+  it('should debit the wallet in the order transaction', async () => {
+    const client = makeClient('1500.00');
+    User.findByPk.mockResolvedValue(client);
+
+    const result = await payWithWallet({ commande, montant: 1200 }, mockTransaction);
+
+    expect(result.success).toBe(true);
+    expect(client.soldePortefeuille).toBe(300);
+    expect(TransactionPortefeuille.create).toHaveBeenCalledWith(
+      expect.objectContaining({ clientId: 10, type: 'paiement', montant: -1200, soldeApres: 300, commandeId: 1 }),
+      { transaction: mockTransaction }
+    );
+  });
+
+  it('should refuse a debit above the balance', async () => {
+    User.findByPk.mockResolvedValue(makeClient('100.00'));
+
+    const result = await payWithWallet({ commande, montant: 500 }, mockTransaction);
+
+    expect(result).toEqual({ success: false, error: 'Solde du portefeuille insuffisant' });
+    expect(TransactionPortefeuille.create).not.toHaveBeenCalled();
+  });
+
+  it('should recredit the wallet share of a cancelled order once', async () => {
+    const client = makeClient('0.00');
+    User.findByPk.mockResolvedValue(client);
+    TransactionPortefeuille.sum.mockResolvedValueOnce(-750).mockResolvedValueOnce(0);
+    const annulee = { ...commande, montantPortefeuille: '750.00' };
+
+    await restoreWalletPayment(annulee, mockTransaction);
+    expect(client.soldePortefeuille).toBe(750);
+    expect(TransactionPortefeuille.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'annulation', montant: 750, soldeApres: 750, commandeId: 1 }),
+      { transaction: mockTransaction }
+    );
+
+    expect(await restoreWalletPayment(annulee, mockTransaction)).toBeNull();
+    expect(await restoreWalletPayment(commande, mockTransaction)).toBeNull();
+    expect(TransactionPortefeuille.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should recredit only what is still committed, up to the given amount', async () => {
+    const client = makeClient('100.00');
+    User.findByPk.mockResolvedValue(client);
+    // 750 débités, 250 déjà rendus par une modification
+    TransactionPortefeuille.sum.mockResolvedValue(-500);
+    const modifiee = { ...commande, montantPortefeuille: '500.00' };
+
+    await restoreWalletPayment(modifiee, mockTransaction, { montant: 300, motif: 'Remboursement' });
+
+    expect(client.soldePortefeuille).toBe(400);
+    expect(TransactionPortefeuille.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'annulation', montant: 300, libelle: 'Remboursement de la commande #EAT-1' }),
+      { transaction: mockTransaction }
+    );
+  });
+
+  it('should credit an admin refund instantly', async () => {
+    const client = makeClient('50.00');
+    User.findByPk.mockResolvedValue(client);
+
+    const result = await refundToWallet({ commande, montant: 800, motif: 'Plat manquant', adminId: 1 });
+
+    expect(result.success).toBe(true);
+    expect(client.soldePortefeuille).toBe(850);
+    expect(TransactionPortefeuille.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'remboursement', montant: 800, soldeApres: 850, adminId: 1, libelle: 'Remboursement commande #EAT-1 : Plat manquant' }),
+      { transaction: mockTransaction }
+    );
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  it('should not refund more than the order total', async () => {
+    const result = await refundToWallet({ commande, montant: 2500 });
+
+    expect(result).toEqual({ success: false, error: 'Le montant du remboursement dépasse le total de la commande' });
+    expect(User.findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -53,6 +53,8 @@ const AUDIT_ACTIONS = {
   LITIGE_RESOLUTION: 'LITIGE_RESOLUTION',
   PROMOTION_CREATE: 'PROMOTION_CREATE',
   PROMOTION_DELETE: 'PROMOTION_DELETE',
+  SETTLEMENT_PAID: 'SETTLEMENT_PAID',
+  CASH_REMITTANCE: 'CASH_REMITTANCE',
 };
 
 module.exports = {
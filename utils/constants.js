@@ -37,9 +37,14 @@ const PAYMENT_STATUS = {
 const PAYMENT_MODES = {
   CIB: 'cib',
   EDAHABIA: 'edahabia',
-  CASH: 'especes'
+  CASH: 'especes',
+  WALLET: 'portefeuille',      // Commande entièrement réglée par le portefeuille client
+  GIFT_CARD: 'carte_cadeau'    // Commande entièrement réglée par cartes cadeaux
 };
 
+// Modes sans paiement à encaisser : la commande est payée dès sa création
+const PREPAID_PAYMENT_MODES = [PAYMENT_MODES.WALLET, PAYMENT_MODES.GIFT_CARD];
+
 // Statuts de litige
 const DISPUTE_STATUS = {
   OPEN: 'ouvert',
@@ -54,6 +59,7 @@ const ORDER_REJECTION_REASONS = {
   TOO_BUSY: 'trop_occupe',
   OUTSIDE_HOURS: 'hors_horaires',
   DELIVERY_ZONE: 'zone_non_desservie',
+  NO_RESPONSE: 'sans_reponse',
   OTHER: 'autre'
 };
 
@@ -77,6 +83,61 @@ const DELIVERY_STATUS = {
 // Commission livreur (5%)
 const LIVREUR_COMMISSION_RATE = 0.05;
 
+// Grand livre des commissions : comptes, événements et natures des écritures
+const LEDGER_ACCOUNTS = {
+  CASH_IN: 'encaissement',     // Sommes payées par les clients (carte ou espèces)
+  PRESTATAIRE: 'prestataire',  // Dû au prestataire
+  LIVREUR: 'livreur',          // Dû au livreur
+  PLATFORM: 'plateforme'       // Revenus de la plateforme (commissions moins promos financées)
+};
+
+const LEDGER_EVENTS = {
+  DELIVERED: 'livraison',
+  REFUNDED: 'remboursement',
+  DISPUTED: 'litige',
+  TIP: 'pourboire'
+};
+
+const LEDGER_NATURES = {
+  CASH_IN: 'encaissement',
+  GROSS: 'brut',
+  COMMISSION: 'commission',
+  DELIVERY_FEE: 'frais_livraison',
+  TIP: 'pourboire',
+  PROMO: 'promo'
+};
+
+// Mouvements d'espèces des livreurs (paiement à la livraison)
+const CASH_MOVEMENT_TYPES = {
+  COLLECTED: 'encaissement',   // Espèces reçues du client à la livraison
+  REMITTED: 'remise'           // Espèces remises à la plateforme
+};
+
+// Mouvements du portefeuille client
+const WALLET_TRANSACTION_TYPES = {
+  REFUND: 'remboursement',     // Remboursement crédité (admin, litige)
+  PAYMENT: 'paiement',         // Utilisé pour régler une commande
+  CANCELLATION: 'annulation'   // Montant d'une commande annulée recrédité
+};
+
+// Mouvements des cartes cadeaux utilisées au paiement d'une commande
+const GIFT_CARD_MOVEMENT_TYPES = {
+  REDEEMED: 'utilisation',     // Montant déduit pour régler la commande
+  RESTORED: 'restitution'      // Montant rendu à l'annulation ou au remboursement
+};
+
+// Destination d'un remboursement admin
+const REFUND_DESTINATIONS = {
+  ORIGINAL: 'moyen_initial',   // Retour sur la carte utilisée
+  WALLET: 'portefeuille'       // Crédit immédiat du portefeuille
+};
+
+// Statuts des relevés de règlement prestataire
+const SETTLEMENT_STATUS = {
+  PENDING: 'en_attente',       // Relevé émis, virement à effectuer
+  PAID: 'paye'                 // Virement effectué par un admin
+};
+
 // Types de promotion
 const PROMO_TYPES = {
   PERCENTAGE: 'pourcentage',
@@ -116,6 +177,16 @@ const ALLERGENS = [
   'mollusques'
 ];
 
+// Régimes alimentaires déclarables dans le profil client
+const DIETS = [
+  'vegetarien',
+  'vegan',
+  'halal',
+  'sans-gluten',
+  'sans-lactose',
+  'keto'
+];
+
 // Langues supportées
 const LANGUAGES = ['fr', 'en', 'ar'];
 
@@ -129,14 +200,24 @@ module.exports = {
   ORDER_STATUS,
   PAYMENT_STATUS,
   PAYMENT_MODES,
+  PREPAID_PAYMENT_MODES,
   DISPUTE_STATUS,
   ORDER_REJECTION_REASONS,
   LIVREUR_STATUS,
   DELIVERY_STATUS,
   LIVREUR_COMMISSION_RATE,
+  LEDGER_ACCOUNTS,
+  LEDGER_EVENTS,
+  LEDGER_NATURES,
+  SETTLEMENT_STATUS,
+  CASH_MOVEMENT_TYPES,
+  WALLET_TRANSACTION_TYPES,
+  GIFT_CARD_MOVEMENT_TYPES,
+  REFUND_DESTINATIONS,
   PROMO_TYPES,
   NOTIFICATION_TYPES,
   ALLERGENS,
+  DIETS,
   LANGUAGES,
   DEFAULT_PAGE_SIZE,
   MAX_PAGE_SIZE
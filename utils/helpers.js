@@ -127,6 +127,15 @@ const paginationResponse = (data, count, page, limit) => {
   };
 };
 
+/**
+ * Montant restant à régler par carte ou en espèces : total moins la part
+ * réglée d'avance à la création (portefeuille client et cartes cadeaux)
+ */
+const getMontantAPayer = (commande) => {
+  const prepaye = parseFloat(commande.montantPortefeuille || 0) + parseFloat(commande.montantCartesCadeaux || 0);
+  return Math.round((parseFloat(commande.total) - prepaye) * 100) / 100;
+};
+
 /**
  * Masque partiellement un email
  */
@@ -164,6 +173,7 @@ module.exports = {
   sanitizeSearchQuery,
   paginate,
   paginationResponse,
+  getMontantAPayer,
   maskEmail,
   slugify
 };